@@ -9,6 +9,9 @@ import HoldingModel from '../Model/HoldingModel.js';
 import PositionsModel from '../Model/PositionsModel.js';
 import UserWatchlistModel from '../Model/UserWatchlistModel.js';
 import cloudinaryAdapter from '../services/storage/adapters/cloudinaryAdapter.js';
+import { DEFAULT_TRADING_ACCESS, normalizeTradingAccess } from '../Utils/TradingAccessManager.js';
+import { cancelPendingOrder } from '../Utils/PendingOrderManager.js';
+import { exitCustomerPositions } from '../Utils/RiskManager.js';
 
 // Utility function to format date (e.g., to YYYY-MM-DD)
 const formatDate = (date) => {
@@ -82,6 +85,9 @@ const getBrokerCustomers = asyncHandler(async (req, res) => {
     joining_date: formatDate(customer.createdAt), 
     status: customer.status || 'Active',
     profile_photo: customer.profile_photo || null,
+    trading_status: customer.trading_status || DEFAULT_TRADING_ACCESS.trading_status,
+    segment_permissions: { ...DEFAULT_TRADING_ACCESS.segment_permissions, ...(customer.segment_permissions?.toObject?.() || customer.segment_permissions || {}) },
+    trading_status_reason: customer.trading_status_reason || '',
   }));
 
   console.log('format cutomer', formattedCustomers)
@@ -674,6 +680,115 @@ const getCustomerDetails = asyncHandler(async (req, res) => {
   });
 });
 
+// Trading access ka response shape (list + update dono me same)
+const tradingAccessOf = (customer) => ({
+  id: customer.customer_id,
+  trading_status: customer.trading_status || DEFAULT_TRADING_ACCESS.trading_status,
+  segment_permissions: { ...DEFAULT_TRADING_ACCESS.segment_permissions, ...(customer.segment_permissions || {}) },
+  trading_status_reason: customer.trading_status_reason || '',
+  trading_status_updated_at: customer.trading_status_updated_at || null,
+});
+
+// @desc    Broker sets customer trading status (ACTIVE / CLOSE_ONLY / BLOCKED) and segment permissions
+// @route   PUT /api/auth/customer/:customerId/trading-access
+// @access  Private (Broker only)
+const updateTradingAccess = asyncHandler(async (req, res) => {
+  const { customerId } = req.params;
+
+  if (req.role !== 'broker') {
+    return res.status(403).json({ success: false, message: 'Only the broker can change trading access.' });
+  }
+
+  const customer = await CustomerModel.findOne({
+    customer_id: customerId,
+    attached_broker_id: req.user._id
+  }).lean();
+
+  if (!customer) {
+    return res.status(404).json({ success: false, message: 'Customer not found or not linked to this broker.' });
+  }
+
+  const { update, error } = normalizeTradingAccess(req.body || {}, customer);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  const updated = await CustomerModel.findOneAndUpdate(
+    { _id: customer._id },
+    { $set: update },
+    { new: true }
+  ).lean();
+
+  console.log(`[updateTradingAccess] ${customerId}: ${updated.trading_status}`, updated.segment_permissions);
+
+  res.status(200).json({
+    success: true,
+    message: 'Trading access updated.',
+    customer: tradingAccessOf(updated),
+  });
+});
+
+// @desc    Kill switch: block customer, cancel pending / AMO orders, exit all open positions
+// @route   POST /api/auth/customer/:customerId/kill-switch
+// @access  Private (Broker only)
+const killSwitchCustomer = asyncHandler(async (req, res) => {
+  const { customerId } = req.params;
+  const { reason } = req.body || {};
+
+  if (req.role !== 'broker') {
+    return res.status(403).json({ success: false, message: 'Only the broker can use the kill switch.' });
+  }
+
+  // 1. Pehle block - taaki exit ke beech naya order na aa sake
+  const customer = await CustomerModel.findOneAndUpdate(
+    { customer_id: customerId, attached_broker_id: req.user._id },
+    {
+      $set: {
+        trading_status: 'BLOCKED',
+        trading_status_reason: reason ? String(reason).slice(0, 200) : 'Exit all and block',
+        trading_status_updated_at: new Date(),
+      }
+    },
+    { new: true }
+  ).lean();
+
+  if (!customer) {
+    return res.status(404).json({ success: false, message: 'Customer not found or not linked to this broker.' });
+  }
+
+  const broker = await BrokerModel.findById(req.user._id).select('login_id');
+  const brokerIdStr = broker?.login_id || '';
+
+  // 2. Pending / AMO orders cancel (margin release)
+  const pending = await OrderModel.find({
+    broker_id_str: brokerIdStr,
+    customer_id_str: customerId,
+    order_status: { $in: ['PENDING', 'AMO'] },
+  }).select('_id').lean();
+
+  let cancelledCount = 0;
+  for (const order of pending) {
+    const cancelled = await cancelPendingOrder(order._id, 'CANCELLED', 'Cancelled by broker (kill switch)');
+    if (cancelled) cancelledCount += 1;
+  }
+
+  // 3. Saari open positions market pe exit
+  const exits = await exitCustomerPositions(brokerIdStr, customerId, { reason: 'KILL_SWITCH' });
+  const failed = exits.filter(e => !e.ok);
+
+  console.log(`[killSwitchCustomer] ${customerId}: cancelled ${cancelledCount}, exited ${exits.length - failed.length}/${exits.length}`);
+
+  res.status(failed.length ? 207 : 200).json({
+    success: failed.length === 0,
+    message: failed.length
+      ? `Account blocked; ${failed.length} of ${exits.length} positions could not be exited.`
+      : `Account blocked; ${exits.length} positions exited, ${cancelledCount} pending orders cancelled.`,
+    customer: tradingAccessOf(customer),
+    cancelled_orders: cancelledCount,
+    exits,
+  });
+});
+
 export { 
   addCustomer, 
   getBrokerCustomers, 
@@ -682,5 +797,7 @@ export {
   restoreCustomer, 
   permanentDeleteCustomer,
   uploadProfilePhoto,
-  getCustomerDetails
+  getCustomerDetails,
+  updateTradingAccess,
+  killSwitchCustomer
 };
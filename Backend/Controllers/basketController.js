@@ -0,0 +1,212 @@
+import asyncHandler from 'express-async-handler';
+import crypto from 'crypto';
+import Basket from '../Model/BasketModel.js';
+import { placeBasketOrders } from './orderController.js';
+import { findInstrument, validateOrderInstrument } from '../Utils/InstrumentManager.js';
+import { getISTDateString } from '../Utils/marketStatus.js';
+
+const MAX_BASKET_LEGS = 20;
+
+// Legs ko master ke against normalize + validate karo (lot / tick / expiry).
+// Returns { legs } or { error }.
+const normalizeLegs = async (legs) => {
+  if (!Array.isArray(legs) || legs.length === 0) return { error: 'legs must be a non-empty array' };
+  if (legs.length > MAX_BASKET_LEGS) return { error: `A basket can have at most ${MAX_BASKET_LEGS} legs` };
+
+  const normalized = [];
+  for (const [index, leg] of legs.entries()) {
+    if (!leg?.instrument_token) return { error: `Leg ${index + 1}: instrument_token is required` };
+
+    const instrument = await findInstrument(leg.instrument_token);
+    const lotSize = Number(instrument?.lot_size) || 1;
+    const quantity = Number(leg.quantity) || (Number(leg.lots) || 0) * lotSize;
+    const side = String(leg.side || '').toUpperCase();
+    if (!['BUY', 'SELL'].includes(side)) return { error: `Leg ${index + 1}: side must be BUY or SELL` };
+    const orderType = String(leg.order_type || 'MARKET').toUpperCase();
+
+    const normalizedLeg = {
+      instrument_token: String(leg.instrument_token),
+      symbol: instrument?.tradingsymbol || leg.symbol,
+      segment: instrument?.segment || leg.segment,
+      lot_size: lotSize,
+      side,
+      product: String(leg.product || 'NRML').toUpperCase(),
+      order_type: orderType,
+      variety: String(leg.variety || 'REGULAR').toUpperCase(),
+      price: orderType === 'MARKET' ? 0 : Number(leg.price) || 0, // MARKET => execution time ka server LTP
+      trigger_price: Number(leg.trigger_price) || 0,
+      stop_loss: Number(leg.stop_loss) || 0,
+      target: Number(leg.target) || 0,
+      quantity,
+      lots: quantity / lotSize,
+    };
+
+    const check = validateOrderInstrument(instrument, normalizedLeg);
+    if (check.error) return { error: `Leg ${index + 1}: ${check.error}` };
+
+    normalized.push(normalizedLeg);
+  }
+  return { legs: normalized };
+};
+
+// Legs => postOrder bodies (customer + jobbing price basket se)
+const toOrderBodies = ({ broker_id_str, customer_id_str, jobbin_price, meta }, legs) =>
+  legs.map(leg => ({
+    ...leg,
+    broker_id_str: String(broker_id_str),
+    customer_id_str: String(customer_id_str),
+    jobbin_price: jobbin_price ?? '0',
+    meta,
+  }));
+
+// POST /api/baskets
+const createBasket = asyncHandler(async (req, res) => {
+  const { broker_id_str, customer_id_str, name, legs, jobbin_price } = req.body || {};
+
+  if (!broker_id_str || !customer_id_str) {
+    return res.status(400).json({ ok: false, error: 'broker_id_str and customer_id_str are required' });
+  }
+  if (!String(name || '').trim()) {
+    return res.status(400).json({ ok: false, error: 'name is required' });
+  }
+
+  const { legs: normalizedLegs, error } = await normalizeLegs(legs);
+  if (error) return res.status(400).json({ ok: false, error });
+
+  const exists = await Basket.exists({ broker_id_str, customer_id_str, name: String(name).trim() });
+  if (exists) return res.status(409).json({ ok: false, error: `Basket "${String(name).trim()}" already exists` });
+
+  const basket = await Basket.create({
+    broker_id_str: String(broker_id_str),
+    customer_id_str: String(customer_id_str),
+    name: String(name).trim(),
+    legs: normalizedLegs,
+    jobbin_price: jobbin_price ?? '0',
+  });
+
+  return res.status(201).json({ ok: true, message: 'Basket saved', basket });
+});
+
+// GET /api/baskets?broker_id_str=..&customer_id_str=..
+const getBaskets = asyncHandler(async (req, res) => {
+  const { broker_id_str, customer_id_str } = req.query;
+  if (!broker_id_str || !customer_id_str) {
+    return res.status(400).json({ ok: false, error: 'broker_id_str and customer_id_str are required' });
+  }
+
+  const baskets = await Basket.find({
+    broker_id_str: String(broker_id_str),
+    customer_id_str: String(customer_id_str),
+  }).sort({ updatedAt: -1 }).lean();
+  return res.json({ ok: true, baskets });
+});
+
+// PUT /api/baskets/:id - naam / legs / jobbing price badlo
+const updateBasket = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { broker_id_str, customer_id_str, name, legs, jobbin_price } = req.body || {};
+
+  const basket = await Basket.findOne({ _id: id, broker_id_str, customer_id_str });
+  if (!basket) return res.status(404).json({ ok: false, error: 'Basket not found' });
+
+  if (legs !== undefined) {
+    const { legs: normalizedLegs, error } = await normalizeLegs(legs);
+    if (error) return res.status(400).json({ ok: false, error });
+    basket.legs = normalizedLegs;
+  }
+  if (name !== undefined) {
+    const trimmed = String(name).trim();
+    if (!trimmed) return res.status(400).json({ ok: false, error: 'name cannot be empty' });
+    const clash = await Basket.exists({ broker_id_str, customer_id_str, name: trimmed, _id: { $ne: basket._id } });
+    if (clash) return res.status(409).json({ ok: false, error: `Basket "${trimmed}" already exists` });
+    basket.name = trimmed;
+  }
+  if (jobbin_price !== undefined) basket.jobbin_price = jobbin_price;
+
+  await basket.save();
+  return res.json({ ok: true, message: 'Basket updated', basket });
+});
+
+// DELETE /api/baskets/:id
+const deleteBasket = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { broker_id_str, customer_id_str } = { ...req.query, ...(req.body || {}) };
+
+  const deleted = await Basket.findOneAndDelete({ _id: id, broker_id_str, customer_id_str });
+  if (!deleted) return res.status(404).json({ ok: false, error: 'Basket not found' });
+
+  return res.json({ ok: true, message: 'Basket deleted' });
+});
+
+// Purane din ka saved LIMIT / SL price aaj replay nahi hota: execute ke saath fresh price
+// (prices = { legIndex: price }) bhejo ya basket edit karo. MARKET legs server LTP pe.
+const applyLegPrices = (basket, prices = {}) => {
+  const savedToday = getISTDateString(new Date(basket.updatedAt)) === getISTDateString();
+  const legs = [];
+  for (const [index, leg] of basket.legs.entries()) {
+    if (leg.order_type === 'MARKET') {
+      legs.push({ ...leg, price: 0 });
+      continue;
+    }
+    const fresh = Number(prices?.[index]) || 0;
+    if (fresh > 0) {
+      legs.push({ ...leg, price: fresh });
+      continue;
+    }
+    if (!savedToday && ['LIMIT', 'SL'].includes(leg.order_type)) {
+      return { error: `Leg ${index + 1} (${leg.symbol}): saved ${leg.order_type} price ${leg.price} is from ${getISTDateString(new Date(basket.updatedAt))}; send a fresh price or edit the basket` };
+    }
+    legs.push(leg);
+  }
+  return { legs };
+};
+
+// POST /api/baskets/:id/execute - saved basket ke saare legs (all or none)
+const executeBasket = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { broker_id_str, customer_id_str, jobbin_price, prices } = req.body || {};
+
+  const basket = await Basket.findOne({ _id: id, broker_id_str, customer_id_str }).lean();
+  if (!basket) return res.status(404).json({ ok: false, error: 'Basket not found' });
+
+  const { legs, error } = applyLegPrices(basket, prices);
+  if (error) return res.status(400).json({ ok: false, error });
+
+  const basketId = crypto.randomUUID();
+  const bodies = toOrderBodies({
+    broker_id_str: basket.broker_id_str,
+    customer_id_str: basket.customer_id_str,
+    jobbin_price: jobbin_price ?? basket.jobbin_price,
+    meta: { basket: { id: String(basket._id), name: basket.name } },
+  }, legs);
+
+  const { status, payload } = await placeBasketOrders(bodies, { basketId });
+
+  if (status === 200) {
+    await Basket.updateOne(
+      { _id: basket._id },
+      { $set: { last_executed_at: new Date(), last_basket_id: basketId }, $inc: { execution_count: 1 } },
+      { timestamps: false } // updatedAt = legs / prices kab save hue (stale LIMIT check)
+    );
+  }
+
+  return res.status(status).json(payload);
+});
+
+// POST /api/baskets/execute - bina save kiye legs execute karo
+const executeLegs = asyncHandler(async (req, res) => {
+  const { broker_id_str, customer_id_str, legs, jobbin_price } = req.body || {};
+
+  if (!broker_id_str || !customer_id_str) {
+    return res.status(400).json({ ok: false, error: 'broker_id_str and customer_id_str are required' });
+  }
+
+  const { legs: normalizedLegs, error } = await normalizeLegs(legs);
+  if (error) return res.status(400).json({ ok: false, error });
+
+  const bodies = toOrderBodies({ broker_id_str, customer_id_str, jobbin_price, meta: {} }, normalizedLegs);
+  const { status, payload } = await placeBasketOrders(bodies);
+  return res.status(status).json(payload);
+});
+
+export { createBasket, getBaskets, updateBasket, deleteBasket, executeBasket, executeLegs };
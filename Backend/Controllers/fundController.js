@@ -1,27 +1,73 @@
 // Example Controller Function
 import Fund from '../Model/FundModel.js'; // Ensure casing matches exactly
 import asyncHandler from 'express-async-handler';
+import OptionLimitAudit from '../Model/OptionLimitAuditModel.js';
+import { getOptionUtilisation, normalizeOptionCapConfig } from '../Utils/OptionLimitManager.js';
+import RiskEvent from '../Model/RiskEventModel.js';
+import { getRiskConfig, normalizeRiskConfig, computeMtm, refreshCustomerBook } from '../Utils/RiskManager.js';
+import { LEDGER_ACCOUNTS, LEDGER_ENTRY_TYPES, postFundEntry, getLedgerStatement } from '../Utils/LedgerManager.js';
+import { runTradeTransaction, TradeError } from '../services/tradeTransaction.js';
+import FundSnapshot from '../Model/FundSnapshotModel.js';
+
+// Sirf customer ka apna broker (ya admin) paisa / limit badal sakta hai
+const isFundManager = (req, broker_id_str) => (
+    (req.role === 'broker' && String(req.user?.login_id) === String(broker_id_str)) || req.user?.role === 'admin'
+);
+
+/**
+ * Broker ne naya balance / limit set kiya => difference ki ledger entry (seedha $set nahi).
+ * Net balance badha => DEPOSIT, ghata => WITHDRAWAL; limits => ADJUSTMENT.
+ */
+const setFundBalance = (req, account, newValue, { createIfMissing = false } = {}) => {
+    const { broker_id_str, customer_id_str, note } = req.body;
+
+    return runTradeTransaction(async (session) => {
+        let fund = await Fund.findOne({ broker_id_str, customer_id_str }).session(session);
+        if (!fund) {
+            if (!createIfMissing) throw new TradeError("Fund record not found", 404);
+            fund = new Fund({ broker_id_str, customer_id_str });
+        }
+
+        const delta = Number(newValue) - (Number(fund.get(LEDGER_ACCOUNTS[account])) || 0);
+        const entry_type = account !== 'NET_BALANCE' ? 'ADJUSTMENT' : (delta >= 0 ? 'DEPOSIT' : 'WITHDRAWAL');
+        postFundEntry(fund, account, delta, {
+            entry_type,
+            actor: { user_id: String(req.user?._id || ''), name: req.user?.name, role: req.user?.role || req.role },
+            narration: note ? String(note).slice(0, 200) : `Set by ${req.user?.name || 'broker'}`,
+        });
 
-const updateNetAvailableBalance = async (req, res) => {
-    console.log("fund hit")
-    const { broker_id_str, customer_id_str, new_balance } = req.body;
+        await fund.save({ session });
+        return fund;
+    });
+};
 
-    try {
-        const updatedFund = await Fund.findOneAndUpdate(
-            { broker_id_str, customer_id_str },
-            { 
-                $set: { 
-                    net_available_balance: new_balance,
-                } 
-            },
-            { new: true, upsert: true } // Create if not exists
-        );
+// Common guard + error mapping for the broker balance / limit PUTs
+const brokerFundUpdate = (account, field, options) => asyncHandler(async (req, res) => {
+    const { broker_id_str, customer_id_str } = req.body;
+    const value = req.body[field];
 
+    if (!broker_id_str || !customer_id_str) {
+        return res.status(400).json({ success: false, message: "Broker ID and Customer ID required" });
+    }
+    if (value === undefined || !Number.isFinite(Number(value))) {
+        return res.status(400).json({ success: false, message: `${field} must be a number` });
+    }
+    if (!isFundManager(req, broker_id_str)) {
+        return res.status(403).json({ success: false, message: "Only the customer's broker can change funds" });
+    }
+
+    try {
+        const updatedFund = await setFundBalance(req, account, Number(value), options);
         res.status(200).json({ success: true, data: updatedFund });
     } catch (error) {
-        res.status(500).json({ success: false, message: error.message });
+        if (error instanceof TradeError) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        throw error;
     }
-};
+});
+
+const updateNetAvailableBalance = brokerFundUpdate('NET_BALANCE', 'new_balance', { createIfMissing: true });
 
 
 const getFunds = asyncHandler(async (req, res) => {
@@ -66,117 +112,277 @@ const getFunds = asyncHandler(async (req, res) => {
 });
 
 
-const updateIntradayLimit = asyncHandler(async (req, res) => {
-    const { broker_id_str, customer_id_str, new_limit } = req.body;
+const updateIntradayLimit = brokerFundUpdate('INTRADAY_LIMIT', 'new_limit');
 
-    if (new_limit === undefined) {
-        res.status(400);
-        throw new Error("New limit is required");
+
+const updateIntradayAvailabeLimit = brokerFundUpdate('INTRADAY_LIMIT', 'new_limit');
+
+
+const updateOvernightAvailableLimit = brokerFundUpdate('OVERNIGHT_LIMIT', 'new_limit');
+
+
+
+
+const updateBrokerMobile = asyncHandler(async (req, res) => {
+    const { broker_id_str, customer_id_str, mobile } = req.body;
+
+    if (!broker_id_str || !customer_id_str) {
+        return res.status(400).json({ success: false, message: "Broker ID and Customer ID required" });
+    }
+    
+    if (!mobile) {
+        return res.status(400).json({ success: false, message: "Mobile number is required" });
     }
 
     const updatedFund = await Fund.findOneAndUpdate(
-        { broker_id_str, customer_id_str },
+        { broker_id_str, customer_id_str }, // 1. Filter
         { 
             $set: { 
-                "intraday.available_limit": new_limit 
+                broker_mobile_number: Number(mobile) 
             } 
-        },
-        { new: true }
+        }, // 2. Update
+        { new: true, upsert: true } // 3. Options
     );
 
-    if (!updatedFund) {
-        res.status(404);
-        throw new Error("Fund record not found");
+    res.status(200).json({ 
+        success: true, 
+        message: "Mobile Number Updated Successfully", 
+        data: updatedFund 
+    });
+});
+
+
+// GET /api/funds/optionLimit - per-customer cap config + aaj ki utilisation
+const getOptionLimit = asyncHandler(async (req, res) => {
+    const { broker_id_str, customer_id_str } = req.query;
+
+    if (!broker_id_str || !customer_id_str) {
+        return res.status(400).json({ success: false, message: "Broker ID and Customer ID required" });
     }
 
-    res.status(200).json({ success: true, data: updatedFund });
+    const fund = await Fund.findOne({ broker_id_str, customer_id_str });
+    if (!fund) {
+        return res.status(404).json({ success: false, message: "Fund record not found" });
+    }
+
+    res.status(200).json({
+        success: true,
+        data: {
+            config: fund.option_limit_config,
+            utilisation: getOptionUtilisation(fund),
+        }
+    });
 });
 
 
-const updateIntradayAvailabeLimit = asyncHandler(async (req, res) => {
-    const { broker_id_str, customer_id_str, new_limit } = req.body;
-    console.log('newlimit', new_limit)
-    if (new_limit === undefined) {
-        res.status(400);
-        throw new Error("New limit is required");
+// PUT /api/funds/optionLimit (broker only) - cap badlo, audit log me entry
+// body: { broker_id_str, customer_id_str, config: { intraday: { buy: { mode, value }, sell }, overnight }, note }
+const updateOptionLimit = asyncHandler(async (req, res) => {
+    const { broker_id_str, customer_id_str, config, note } = req.body;
+
+    if (!broker_id_str || !customer_id_str) {
+        return res.status(400).json({ success: false, message: "Broker ID and Customer ID required" });
+    }
+    // Sirf customer ka apna broker (ya admin) cap badal sakta hai
+    const isOwnBroker = req.role === 'broker' && String(req.user?.login_id) === String(broker_id_str);
+    if (!isOwnBroker && req.user?.role !== 'admin') {
+        return res.status(403).json({ success: false, message: "Only the customer's broker can change option limits" });
     }
 
-    const updatedFund = await Fund.findOneAndUpdate(
-        { broker_id_str, customer_id_str },
-        { 
-            $set: { 
-                "intraday.available_limit": new_limit 
-            } 
+    const fund = await Fund.findOne({ broker_id_str, customer_id_str });
+    if (!fund) {
+        return res.status(404).json({ success: false, message: "Fund record not found" });
+    }
+
+    const before = fund.option_limit_config?.toObject ? fund.option_limit_config.toObject() : (fund.option_limit_config || {});
+    const { config: nextConfig, error } = normalizeOptionCapConfig(config, before);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+
+    fund.option_limit_config = nextConfig;
+    await fund.save();
+
+    await OptionLimitAudit.create({
+        broker_id_str,
+        customer_id_str,
+        changed_by: {
+            user_id: String(req.user?._id || ''),
+            role: req.role,
+            name: req.user?.name,
         },
-        { new: true }
-    );
+        before,
+        after: nextConfig,
+        note,
+        ip: req.ip,
+    });
 
-    if (!updatedFund) {
-        res.status(404);
-        throw new Error("Fund record not found");
+    res.status(200).json({
+        success: true,
+        message: "Option limit updated",
+        data: {
+            config: fund.option_limit_config,
+            utilisation: getOptionUtilisation(fund),
+        }
+    });
+});
+
+
+// GET /api/funds/optionLimit/audit - change history (latest first)
+const getOptionLimitAudit = asyncHandler(async (req, res) => {
+    const { broker_id_str, customer_id_str, limit = 50 } = req.query;
+
+    if (!broker_id_str || !customer_id_str) {
+        return res.status(400).json({ success: false, message: "Broker ID and Customer ID required" });
     }
 
-    res.status(200).json({ success: true, data: updatedFund });
+    const entries = await OptionLimitAudit.find({ broker_id_str, customer_id_str })
+        .sort({ createdAt: -1 })
+        .limit(Math.min(Number(limit) || 50, 500))
+        .lean();
+
+    res.status(200).json({ success: true, data: entries });
 });
 
 
+// Live MTM (risk engine ki nazar se) - positions na ho to sirf config
+const riskSnapshot = async (fund) => {
+    const book = await refreshCustomerBook(fund.broker_id_str, fund.customer_id_str);
+    const snapshot = book ? computeMtm(book) : null;
+    return {
+        config: getRiskConfig(fund),
+        state: fund.mtm_risk_state,
+        live: snapshot && { ...snapshot, positions: snapshot.positions.length },
+    };
+};
 
-const updateOvernightAvailableLimit = asyncHandler(async (req, res) => {
-    const { broker_id_str, customer_id_str, new_limit } = req.body;
 
-    if (new_limit === undefined) {
-        res.status(400);
-        throw new Error("New limit is required");
+// GET /api/funds/risk - MTM risk thresholds + live MTM / loss %
+const getRiskLimit = asyncHandler(async (req, res) => {
+    const { broker_id_str, customer_id_str } = req.query;
+
+    if (!broker_id_str || !customer_id_str) {
+        return res.status(400).json({ success: false, message: "Broker ID and Customer ID required" });
     }
 
-    const updatedFund = await Fund.findOneAndUpdate(
-        { broker_id_str, customer_id_str },
-        { 
-            $set: { 
-                "overnight.available_limit": new_limit 
-            } 
-        },
-        { new: true }
-    );
+    const fund = await Fund.findOne({ broker_id_str, customer_id_str });
+    if (!fund) {
+        return res.status(404).json({ success: false, message: "Fund record not found" });
+    }
+
+    res.status(200).json({ success: true, data: await riskSnapshot(fund) });
+});
+
+
+// PUT /api/funds/risk (broker only)
+// body: { broker_id_str, customer_id_str, enabled, warning_pct, squareoff_pct }
+const updateRiskLimit = asyncHandler(async (req, res) => {
+    const { broker_id_str, customer_id_str, ...input } = req.body;
+
+    if (!broker_id_str || !customer_id_str) {
+        return res.status(400).json({ success: false, message: "Broker ID and Customer ID required" });
+    }
+    const isOwnBroker = req.role === 'broker' && String(req.user?.login_id) === String(broker_id_str);
+    if (!isOwnBroker && req.user?.role !== 'admin') {
+        return res.status(403).json({ success: false, message: "Only the customer's broker can change risk limits" });
+    }
+
+    const fund = await Fund.findOne({ broker_id_str, customer_id_str });
+    if (!fund) {
+        return res.status(404).json({ success: false, message: "Fund record not found" });
+    }
+
+    const { config, error } = normalizeRiskConfig(input, fund.mtm_risk_config);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+
+    fund.mtm_risk_config = config;
+    await fund.save();
+
+    res.status(200).json({ success: true, message: "Risk limits updated", data: await riskSnapshot(fund) });
+});
+
+
+// GET /api/funds/risk/events - MTM warnings / square-offs (latest first)
+const getRiskEvents = asyncHandler(async (req, res) => {
+    const { broker_id_str, customer_id_str, limit = 50 } = req.query;
 
-    if (!updatedFund) {
-        res.status(404);
-        throw new Error("Fund record not found");
+    if (!broker_id_str || !customer_id_str) {
+        return res.status(400).json({ success: false, message: "Broker ID and Customer ID required" });
     }
 
-    res.status(200).json({ success: true, data: updatedFund });
+    const events = await RiskEvent.find({ broker_id_str, customer_id_str })
+        .sort({ createdAt: -1 })
+        .limit(Math.min(Number(limit) || 50, 500))
+        .lean();
+
+    res.status(200).json({ success: true, data: events });
 });
 
 
+// GET /api/funds/ledger?broker_id_str=..&customer_id_str=..&from=YYYY-MM-DD&to=YYYY-MM-DD&account=NET_BALANCE&entry_type=..
+// Har fund movement (deposit, margin, P&L, charges...) + opening / closing balance of the period
+const getFundLedger = asyncHandler(async (req, res) => {
+    const { broker_id_str, customer_id_str, from, to, account = 'NET_BALANCE', entry_type, limit = 500 } = req.query;
 
+    if (!broker_id_str || !customer_id_str) {
+        return res.status(400).json({ success: false, message: "Broker ID and Customer ID required" });
+    }
+    if (!LEDGER_ACCOUNTS[account]) {
+        return res.status(400).json({ success: false, message: `account must be one of ${Object.keys(LEDGER_ACCOUNTS).join(', ')}` });
+    }
+    if (entry_type && !LEDGER_ENTRY_TYPES.includes(entry_type)) {
+        return res.status(400).json({ success: false, message: `entry_type must be one of ${LEDGER_ENTRY_TYPES.join(', ')}` });
+    }
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+        return res.status(400).json({ success: false, message: "from / to must be YYYY-MM-DD" });
+    }
 
-const updateBrokerMobile = asyncHandler(async (req, res) => {
-    const { broker_id_str, customer_id_str, mobile } = req.body;
+    const fund = await Fund.findOne({ broker_id_str, customer_id_str }).lean();
+    const currentBalance = fund ? Number(LEDGER_ACCOUNTS[account].split('.').reduce((obj, key) => obj?.[key], fund)) || 0 : 0;
+
+    const statement = await getLedgerStatement({
+        broker_id_str,
+        customer_id_str,
+        account,
+        from,
+        to,
+        entry_type,
+        limit: Math.min(Math.max(Number(limit) || 500, 1), 2000),
+    }, currentBalance);
+
+    res.status(200).json({ success: true, data: { from: from || null, to: to || null, ...statement } });
+});
+
+// GET /api/funds/eod?broker_id_str=..&customer_id_str=..&from=YYYY-MM-DD&to=YYYY-MM-DD
+// EOD settlement snapshots (naya pehle)
+const getEodSnapshots = asyncHandler(async (req, res) => {
+    const { broker_id_str, customer_id_str, from, to, limit = 30 } = req.query;
 
     if (!broker_id_str || !customer_id_str) {
         return res.status(400).json({ success: false, message: "Broker ID and Customer ID required" });
     }
-    
-    if (!mobile) {
-        return res.status(400).json({ success: false, message: "Mobile number is required" });
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+        return res.status(400).json({ success: false, message: "from / to must be YYYY-MM-DD" });
     }
 
-    const updatedFund = await Fund.findOneAndUpdate(
-        { broker_id_str, customer_id_str }, // 1. Filter
-        { 
-            $set: { 
-                broker_mobile_number: Number(mobile) 
-            } 
-        }, // 2. Update
-        { new: true, upsert: true } // 3. Options
-    );
+    const filter = { broker_id_str, customer_id_str };
+    if (from || to) {
+        filter.trade_date = {};
+        if (from) filter.trade_date.$gte = from;
+        if (to) filter.trade_date.$lte = to;
+    }
 
-    res.status(200).json({ 
-        success: true, 
-        message: "Mobile Number Updated Successfully", 
-        data: updatedFund 
-    });
+    const snapshots = await FundSnapshot.find(filter)
+        .sort({ trade_date: -1 })
+        .limit(Math.min(Math.max(Number(limit) || 30, 1), 366))
+        .lean();
+
+    res.status(200).json({ success: true, data: snapshots });
 });
 
 
-export { getFunds, updateNetAvailableBalance, updateIntradayLimit, updateIntradayAvailabeLimit, updateOvernightAvailableLimit, updateBrokerMobile };
+export { getEodSnapshots, getRiskLimit, updateRiskLimit, getRiskEvents, getFundLedger, getOptionLimit, updateOptionLimit, getOptionLimitAudit, getFunds, updateNetAvailableBalance, updateIntradayLimit, updateIntradayAvailabeLimit, updateOvernightAvailableLimit, updateBrokerMobile };
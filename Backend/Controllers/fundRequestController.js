@@ -0,0 +1,161 @@
+import asyncHandler from 'express-async-handler';
+import FundRequest from '../Model/FundRequestModel.js';
+import BrokerModel from '../Model/BrokerModel.js';
+import StorageService from '../services/storage/StorageService.js';
+import { TradeError } from '../services/tradeTransaction.js';
+import { computeWithdrawable, normalizeFundRequest, decideFundRequest } from '../Utils/FundRequestManager.js';
+
+const STATUSES = ['PENDING', 'APPROVED', 'REJECTED', 'CANCELLED'];
+
+const actorOf = (req) => ({ user_id: String(req.user?._id || ''), name: req.user?.name, role: req.user?.role || req.role });
+
+// Customer token => uska broker ka login_id (FundRequest / Fund isi string pe chalte hain)
+const resolveCustomerScope = async (req) => {
+    if (req.role !== 'customer') return { error: 'Only customers can raise fund requests', status: 403 };
+    const broker = await BrokerModel.findById(req.user.attached_broker_id).select('login_id').lean();
+    if (!broker) return { error: 'Attached broker not found', status: 404 };
+    return { broker_id_str: String(broker.login_id), customer_id_str: String(req.user.customer_id) };
+};
+
+const isBrokerOf = (req, broker_id_str) => (
+    (req.role === 'broker' && String(req.user?.login_id) === String(broker_id_str)) || req.user?.role === 'admin'
+);
+
+// POST /api/funds/requests  (multipart: request_type, amount, utr, note, proof?)
+const createFundRequest = asyncHandler(async (req, res) => {
+    const scope = await resolveCustomerScope(req);
+    if (scope.error) return res.status(scope.status).json({ success: false, message: scope.error });
+
+    const { fields, error } = normalizeFundRequest(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    if (fields.request_type === 'DEPOSIT') {
+        // Ek UTR sirf ek baar credit ho (rejected ko dobara bhej sakte hain)
+        const duplicate = await FundRequest.exists({
+            broker_id_str: scope.broker_id_str,
+            utr: fields.utr,
+            status: { $in: ['PENDING', 'APPROVED'] },
+        });
+        if (duplicate) return res.status(409).json({ success: false, message: `UTR ${fields.utr} is already submitted` });
+    } else {
+        const breakdown = await computeWithdrawable(scope);
+        if (fields.amount > breakdown.withdrawable) {
+            return res.status(400).json({
+                success: false,
+                message: `Withdrawal exceeds free balance. Withdrawable: ${breakdown.withdrawable.toFixed(2)}`,
+                data: breakdown,
+            });
+        }
+    }
+
+    let proof;
+    if (req.file) {
+        const result = await StorageService.upload(
+            req.file.buffer,
+            `${fields.request_type.toLowerCase()}_${Date.now()}.${req.file.mimetype === 'image/png' ? 'png' : 'jpg'}`,
+            `fund-requests/${scope.customer_id_str}`
+        );
+        if (!result.success) return res.status(502).json({ success: false, message: 'Failed to upload proof image' });
+        proof = { url: result.url, publicId: result.publicId };
+    }
+
+    const request = await FundRequest.create({ ...scope, ...fields, proof });
+    res.status(201).json({ success: true, message: 'Request submitted to your broker', data: request });
+});
+
+// GET /api/funds/requests?status=PENDING
+// Customer => apni requests; broker => apna inbox (admin: ?broker_id_str=..)
+const getFundRequests = asyncHandler(async (req, res) => {
+    const { status, customer_id_str, broker_id_str, limit = 100 } = req.query;
+    if (status && !STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, message: `status must be one of ${STATUSES.join(', ')}` });
+    }
+
+    let filter;
+    if (req.role === 'customer') {
+        const scope = await resolveCustomerScope(req);
+        if (scope.error) return res.status(scope.status).json({ success: false, message: scope.error });
+        filter = scope;
+    } else {
+        const brokerId = req.user?.role === 'admin' && broker_id_str ? String(broker_id_str) : String(req.user.login_id);
+        filter = { broker_id_str: brokerId };
+        if (customer_id_str) filter.customer_id_str = String(customer_id_str);
+    }
+    if (status) filter.status = status;
+
+    const requests = await FundRequest.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(Math.min(Math.max(Number(limit) || 100, 1), 500))
+        .lean();
+
+    res.status(200).json({ success: true, data: requests });
+});
+
+// GET /api/funds/withdrawable  (customer: khud; broker: ?customer_id_str=..)
+const getWithdrawable = asyncHandler(async (req, res) => {
+    let scope;
+    if (req.role === 'customer') {
+        scope = await resolveCustomerScope(req);
+        if (scope.error) return res.status(scope.status).json({ success: false, message: scope.error });
+    } else {
+        const { broker_id_str = req.user?.login_id, customer_id_str } = req.query;
+        if (!customer_id_str) return res.status(400).json({ success: false, message: 'Customer ID required' });
+        if (!isBrokerOf(req, broker_id_str)) {
+            return res.status(403).json({ success: false, message: "Only the customer's broker can view this" });
+        }
+        scope = { broker_id_str: String(broker_id_str), customer_id_str: String(customer_id_str) };
+    }
+
+    res.status(200).json({ success: true, data: await computeWithdrawable(scope) });
+});
+
+// PUT /api/funds/requests/:id/approve | /reject
+const decide = (action) => asyncHandler(async (req, res) => {
+    const request = await FundRequest.findById(req.params.id).select('broker_id_str').lean();
+    if (!request) return res.status(404).json({ success: false, message: 'Request not found' });
+    if (!isBrokerOf(req, request.broker_id_str)) {
+        return res.status(403).json({ success: false, message: "Only the customer's broker can decide fund requests" });
+    }
+    if (action === 'REJECT' && !String(req.body?.reason || '').trim()) {
+        return res.status(400).json({ success: false, message: 'Rejection reason is required' });
+    }
+
+    try {
+        const result = await decideFundRequest(req.params.id, action, {
+            actor: actorOf(req),
+            reason: req.body?.reason,
+            payout_reference: req.body?.payout_reference,
+            broker_id_str: request.broker_id_str,
+        });
+        res.status(200).json({
+            success: true,
+            message: action === 'APPROVE' ? 'Request approved and funds updated' : 'Request rejected',
+            data: result,
+        });
+    } catch (error) {
+        if (error instanceof TradeError) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        throw error;
+    }
+});
+
+const approveFundRequest = decide('APPROVE');
+const rejectFundRequest = decide('REJECT');
+
+// PUT /api/funds/requests/:id/cancel  (customer, sirf PENDING)
+const cancelFundRequest = asyncHandler(async (req, res) => {
+    const scope = await resolveCustomerScope(req);
+    if (scope.error) return res.status(scope.status).json({ success: false, message: scope.error });
+
+    const request = await FundRequest.findOneAndUpdate(
+        { _id: req.params.id, ...scope, status: 'PENDING' },
+        { $set: { status: 'CANCELLED', decided_by: actorOf(req), decided_at: new Date() } },
+        { new: true }
+    );
+    if (!request) return res.status(409).json({ success: false, message: 'Request not found or already processed' });
+
+    res.status(200).json({ success: true, message: 'Request cancelled', data: request });
+});
+
+export { createFundRequest, getFundRequests, getWithdrawable, approveFundRequest, rejectFundRequest, cancelFundRequest };
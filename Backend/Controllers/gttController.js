@@ -0,0 +1,186 @@
+import asyncHandler from 'express-async-handler';
+import Gtt from '../Model/GttModel.js';
+import { lmf as dhanSocket } from '../index.js';
+import { fetchLtp } from '../Utils/PriceManager.js';
+import { findInstrument, validateOrderInstrument } from '../Utils/InstrumentManager.js';
+import {
+  GTT_MAX_VALIDITY_DAYS,
+  validateGttLegs,
+  addGttToBook,
+  removeGttFromBook,
+} from '../Utils/GttManager.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reference price: fresh tick cache -> Kite LTP API -> client supplied
+const resolveLastPrice = async (token, fallback) => (await fetchLtp(token)) || Number(fallback) || 0;
+
+// Default + max validity = 1 year
+const resolveExpiry = (expiresAt) => {
+  const maxExpiry = new Date(Date.now() + GTT_MAX_VALIDITY_DAYS * DAY_MS);
+  if (!expiresAt) return { expiry: maxExpiry };
+
+  const expiry = new Date(expiresAt);
+  if (Number.isNaN(expiry.getTime())) return { error: 'expires_at is not a valid date' };
+  if (expiry <= new Date()) return { error: 'expires_at must be in the future' };
+  if (expiry > maxExpiry) return { error: `GTT validity cannot exceed ${GTT_MAX_VALIDITY_DAYS} days` };
+  return { expiry };
+};
+
+const normalizeLegs = (legs, lotSize) => (Array.isArray(legs) ? legs : []).map(leg => {
+  const quantity = Number(leg.quantity) || (Number(leg.lots) || 0) * lotSize;
+  return {
+    trigger_price: Number(leg.trigger_price),
+    side: String(leg.side || '').toUpperCase(),
+    product: String(leg.product || 'NRML').toUpperCase(),
+    order_type: String(leg.order_type || 'LIMIT').toUpperCase(),
+    price: Number(leg.price) || 0,
+    quantity,
+    lots: Number(leg.lots) || quantity / lotSize,
+  };
+});
+
+// POST /api/gtt
+const createGtt = asyncHandler(async (req, res) => {
+  const {
+    broker_id_str,
+    customer_id_str,
+    instrument_token,
+    symbol,
+    segment,
+    lot_size,
+    gtt_type = 'SINGLE',
+    legs,
+    last_price,
+    jobbin_price,
+    expires_at,
+  } = req.body || {};
+
+  if (!broker_id_str || !customer_id_str) {
+    return res.status(400).json({ ok: false, error: 'broker_id_str and customer_id_str are required' });
+  }
+  if (!instrument_token || !symbol) {
+    return res.status(400).json({ ok: false, error: 'instrument_token and symbol are required' });
+  }
+
+  // Lot / tick / expiry master se (trigger par placeOrder bhi yahi check karega)
+  const instrument = await findInstrument(instrument_token);
+  const lotSize = Number(instrument?.lot_size) || Number(lot_size) || 1;
+  const type = String(gtt_type).toUpperCase();
+  const normalizedLegs = normalizeLegs(legs, lotSize);
+
+  for (const leg of normalizedLegs) {
+    const check = validateOrderInstrument(instrument, leg);
+    if (check.error) return res.status(400).json({ ok: false, error: check.error });
+  }
+
+  const lastPrice = await resolveLastPrice(instrument_token, last_price);
+
+  const legError = validateGttLegs({ gtt_type: type, legs: normalizedLegs, last_price: lastPrice, lot_size: lotSize });
+  if (legError) return res.status(400).json({ ok: false, error: legError });
+
+  const { expiry, error: expiryError } = resolveExpiry(expires_at);
+  if (expiryError) return res.status(400).json({ ok: false, error: expiryError });
+
+  const gtt = await Gtt.create({
+    broker_id_str: String(broker_id_str),
+    customer_id_str: String(customer_id_str),
+    instrument_token: String(instrument_token),
+    symbol: instrument.tradingsymbol || symbol,
+    segment: instrument.segment || segment,
+    lot_size: lotSize,
+    gtt_type: type,
+    legs: normalizedLegs,
+    last_price: lastPrice,
+    jobbin_price: jobbin_price ?? '0',
+    expires_at: expiry,
+  });
+
+  addGttToBook(gtt);
+  dhanSocket.subscribe([{ instrument_token: gtt.instrument_token }]);
+
+  return res.status(201).json({ ok: true, message: 'GTT created', gtt });
+});
+
+// GET /api/gtt?broker_id_str=..&customer_id_str=..&status=ACTIVE
+const getGtts = asyncHandler(async (req, res) => {
+  const { broker_id_str, customer_id_str, status } = req.query;
+  if (!broker_id_str || !customer_id_str) {
+    return res.status(400).json({ ok: false, error: 'broker_id_str and customer_id_str are required' });
+  }
+
+  const filter = { broker_id_str: String(broker_id_str), customer_id_str: String(customer_id_str) };
+  if (status) filter.status = String(status).toUpperCase();
+
+  const gtts = await Gtt.find(filter).sort({ createdAt: -1 }).lean();
+  return res.json({ ok: true, gtts });
+});
+
+// PUT /api/gtt/:id - legs / expiry badlo (sirf ACTIVE)
+const modifyGtt = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { broker_id_str, customer_id_str, gtt_type, legs, last_price, jobbin_price, expires_at } = req.body || {};
+
+  const gtt = await Gtt.findOne({ _id: id, broker_id_str, customer_id_str });
+  if (!gtt) return res.status(404).json({ ok: false, error: 'GTT not found' });
+  if (gtt.status !== 'ACTIVE') {
+    return res.status(400).json({ ok: false, error: `GTT is already ${gtt.status}` });
+  }
+
+  const type = gtt_type ? String(gtt_type).toUpperCase() : gtt.gtt_type;
+  const normalizedLegs = legs ? normalizeLegs(legs, gtt.lot_size) : gtt.legs.map(l => l.toObject());
+  const lastPrice = await resolveLastPrice(gtt.instrument_token, last_price ?? gtt.last_price);
+
+  const instrument = await findInstrument(gtt.instrument_token);
+  for (const leg of normalizedLegs) {
+    const check = validateOrderInstrument(instrument, leg);
+    if (check.error) return res.status(400).json({ ok: false, error: check.error });
+  }
+
+  const legError = validateGttLegs({ gtt_type: type, legs: normalizedLegs, last_price: lastPrice, lot_size: gtt.lot_size });
+  if (legError) return res.status(400).json({ ok: false, error: legError });
+
+  let expiry = gtt.expires_at;
+  if (expires_at) {
+    const resolved = resolveExpiry(expires_at);
+    if (resolved.error) return res.status(400).json({ ok: false, error: resolved.error });
+    expiry = resolved.expiry;
+  }
+
+  // Conditional update - tick ne beech me trigger kar diya ho to modify nahi
+  const updated = await Gtt.findOneAndUpdate(
+    { _id: gtt._id, status: 'ACTIVE' },
+    {
+      $set: {
+        gtt_type: type,
+        legs: normalizedLegs,
+        last_price: lastPrice,
+        expires_at: expiry,
+        ...(jobbin_price !== undefined ? { jobbin_price } : {}),
+      }
+    },
+    { new: true }
+  );
+  if (!updated) return res.status(409).json({ ok: false, error: 'GTT was triggered or cancelled meanwhile' });
+
+  addGttToBook(updated);
+  return res.json({ ok: true, message: 'GTT modified', gtt: updated });
+});
+
+// DELETE /api/gtt/:id
+const cancelGtt = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { broker_id_str, customer_id_str } = { ...req.query, ...(req.body || {}) };
+
+  const cancelled = await Gtt.findOneAndUpdate(
+    { _id: id, broker_id_str, customer_id_str, status: 'ACTIVE' },
+    { $set: { status: 'CANCELLED', reason: 'Cancelled by user' } },
+    { new: true }
+  );
+  if (!cancelled) return res.status(404).json({ ok: false, error: 'Active GTT not found' });
+
+  removeGttFromBook(cancelled.instrument_token, cancelled._id);
+  return res.json({ ok: true, message: 'GTT cancelled', gtt: cancelled });
+});
+
+export { createGtt, getGtts, modifyGtt, cancelGtt };
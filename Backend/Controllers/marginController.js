@@ -0,0 +1,143 @@
+import asyncHandler from 'express-async-handler';
+import MarginProfile from '../Model/MarginProfileModel.js';
+import {
+  MARGIN_SEGMENTS,
+  getMarginRules,
+  normalizeMarginRules,
+  ruleRate,
+  resolveMarginRule,
+} from '../Utils/LeverageManager.js';
+import { calculateIncrementalMargin } from '../Utils/SpanMarginManager.js';
+
+const MAX_CALC_LEGS = 20;
+
+// Effective rules + leverage (x) per segment, funds screen ke liye
+const withLeverage = (rules) => Object.fromEntries(
+  Object.entries(rules).map(([key, rule]) => {
+    // SPAN: rate order pe banta hai; leverage = SPAN par multiplier
+    const rate = ruleRate(rule);
+    return [key, { ...rule, label: MARGIN_SEGMENTS[key], rate, leverage: Number((1 / rate).toFixed(2)) }];
+  })
+);
+
+// GET /api/margin/profile?broker_id_str=..&customer_id_str=..
+// customer_id_str na ho to broker ka default profile
+const getMarginProfile = asyncHandler(async (req, res) => {
+  const { broker_id_str, customer_id_str } = req.query;
+  if (!broker_id_str) {
+    return res.status(400).json({ ok: false, error: 'broker_id_str is required' });
+  }
+
+  const [brokerProfile, customerProfile] = await Promise.all([
+    MarginProfile.findOne({ broker_id_str: String(broker_id_str), customer_id_str: null }).lean(),
+    customer_id_str
+      ? MarginProfile.findOne({ broker_id_str: String(broker_id_str), customer_id_str: String(customer_id_str) }).lean()
+      : null,
+  ]);
+
+  const rules = await getMarginRules(broker_id_str, customer_id_str || null);
+
+  return res.json({
+    ok: true,
+    segments: MARGIN_SEGMENTS,
+    rules: withLeverage(rules),
+    broker_rules: brokerProfile?.rules || {},
+    customer_rules: customerProfile?.rules || {},
+  });
+});
+
+// PUT /api/margin/profile (broker only)
+// body: { broker_id_str, customer_id_str?, rules: { EQ_INTRADAY: { mode, value, squareoff_pct }, FUT: null, ... } }
+// customer_id_str => us customer ka override, warna broker default. null rule => override hatao.
+const updateMarginProfile = asyncHandler(async (req, res) => {
+  const { broker_id_str, customer_id_str, rules } = req.body || {};
+  if (!broker_id_str) {
+    return res.status(400).json({ ok: false, error: 'broker_id_str is required' });
+  }
+  if (!rules || typeof rules !== 'object') {
+    return res.status(400).json({ ok: false, error: 'rules must be an object keyed by margin segment' });
+  }
+
+  // Sirf apna broker (ya admin) leverage badal sakta hai
+  const isOwnBroker = req.role === 'broker' && String(req.user?.login_id) === String(broker_id_str);
+  if (!isOwnBroker && req.user?.role !== 'admin') {
+    return res.status(403).json({ ok: false, error: 'Only the broker can change margin rules' });
+  }
+
+  const scope = { broker_id_str: String(broker_id_str), customer_id_str: customer_id_str ? String(customer_id_str) : null };
+  const existing = await MarginProfile.findOne(scope).lean();
+
+  const { rules: nextRules, error } = normalizeMarginRules(rules, existing?.rules);
+  if (error) return res.status(400).json({ ok: false, error });
+
+  const profile = await MarginProfile.findOneAndUpdate(
+    scope,
+    {
+      $set: {
+        rules: nextRules,
+        updated_by: { user_id: String(req.user?._id || ''), name: req.user?.name },
+      }
+    },
+    { new: true, upsert: true }
+  );
+
+  const effective = await getMarginRules(broker_id_str, scope.customer_id_str);
+  return res.json({ ok: true, message: 'Margin rules updated', profile, rules: withLeverage(effective) });
+});
+
+// POST /api/margin/calculate - order ticket ke liye SPAN + exposure margin
+// body: { broker_id_str?, customer_id_str?, legs: [{ instrument_token, side, quantity, price? }] }
+// (legs na ho to body khud ek leg). Customer diya ho to uski open F&O positions ke
+// saath hedge benefit; `required` = us par incremental margin.
+const calculateMargin = asyncHandler(async (req, res) => {
+  const { broker_id_str, customer_id_str, legs: bodyLegs } = req.body || {};
+  const legs = Array.isArray(bodyLegs) ? bodyLegs : [req.body || {}];
+
+  if (legs.length === 0 || legs.length > MAX_CALC_LEGS) {
+    return res.status(400).json({ ok: false, error: `Provide 1 to ${MAX_CALC_LEGS} legs` });
+  }
+  for (const [index, leg] of legs.entries()) {
+    const side = String(leg.side || '').toUpperCase();
+    if (!leg.instrument_token || !['BUY', 'SELL'].includes(side) || !(Number(leg.quantity) > 0)) {
+      return res.status(400).json({ ok: false, error: `Leg ${index + 1}: instrument_token, side (BUY/SELL) and quantity are required` });
+    }
+  }
+
+  const result = await calculateIncrementalMargin(legs, { broker_id_str, customer_id_str });
+  const rules = broker_id_str ? await getMarginRules(broker_id_str, customer_id_str || null) : null;
+
+  const legMargins = result.legs.map((leg, i) => {
+    const rule = rules
+      ? resolveMarginRule(rules, { segment: legs[leg.index].segment, symbol: leg.symbol, product: legs[leg.index].product, instrument_type: leg.instrument_type, side: leg.side })
+      : null;
+    return {
+      instrument_token: leg.instrument_token,
+      symbol: leg.symbol,
+      side: leg.side,
+      quantity: Math.abs(leg.quantity),
+      price: leg.price,
+      underlying_price: leg.underlying_price,
+      implied_vol: Number(leg.vol.toFixed(4)),
+      margin: result.standalone[i],
+      margin_rule: rule && { segment: rule.segment, mode: rule.mode, value: rule.value },
+    };
+  });
+  const standaloneTotal = Number(result.standalone.reduce((sum, m) => sum + m, 0).toFixed(2));
+  const combined = Number((result.after.total - result.before.total).toFixed(2));
+
+  return res.json({
+    ok: true,
+    required: result.incremental,
+    span: result.after.span,
+    exposure: result.after.exposure,
+    premium: result.after.premium,
+    standalone_total: standaloneTotal,
+    hedge_benefit: Number(Math.max(standaloneTotal - combined, 0).toFixed(2)),
+    groups: result.after.groups,
+    existing_margin: result.before.total,
+    legs: legMargins,
+    ignored: result.ignored,
+  });
+});
+
+export { getMarginProfile, updateMarginProfile, calculateMargin };
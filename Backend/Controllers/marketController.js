@@ -0,0 +1,85 @@
+import asyncHandler from 'express-async-handler';
+import MarketCalendar from '../Model/MarketCalendarModel.js';
+import { getMarketStatus, MARKETS } from '../Utils/marketStatus.js';
+import {
+  CALENDAR_TYPES,
+  getCalendarEntries,
+  loadMarketCalendar,
+  normalizeCalendarEntry,
+} from '../Utils/MarketCalendarManager.js';
+
+// GET /api/market/status?segment=NFO-OPT&symbol=..
+// segment na ho to saare markets ka status
+const getMarketStatusHandler = asyncHandler(async (req, res) => {
+  const { segment, symbol } = req.query;
+
+  if (segment) {
+    return res.json({ ok: true, status: getMarketStatus(String(segment), { symbol }) });
+  }
+
+  const markets = Object.fromEntries(MARKETS.map(market => [market, getMarketStatus(market)]));
+  return res.json({ ok: true, markets });
+});
+
+// Exchange calendar sab customers pe lagta hai - sirf broker / admin badal sakte hain
+const canManageCalendar = (req) => req.role === 'broker';
+
+const createdBy = (req) => ({ user_id: String(req.user?._id || ''), name: req.user?.name, role: req.user?.role || req.role });
+
+// GET /api/market/calendar?from=YYYY-MM-DD&to=YYYY-MM-DD
+const getMarketCalendar = asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+  return res.json({ ok: true, types: CALENDAR_TYPES, markets: MARKETS, entries: getCalendarEntries({ from, to }) });
+});
+
+// POST /api/market/calendar (broker / admin)
+// body: { date, type: HOLIDAY | SPECIAL, markets?, sessions?: [{ session, start, end }], name? }
+const createCalendarEntry = asyncHandler(async (req, res) => {
+  if (!canManageCalendar(req)) return res.status(403).json({ ok: false, error: 'Only brokers can manage the market calendar' });
+
+  const { update, error } = normalizeCalendarEntry(req.body || {});
+  if (error) return res.status(400).json({ ok: false, error });
+
+  const entry = await MarketCalendar.create({ ...update, created_by: createdBy(req) });
+  await loadMarketCalendar();
+
+  console.log(`[MarketCalendar] ${entry.type} ${entry.date} (${entry.markets.join('/')}) added by ${req.user?.login_id}`);
+  return res.status(201).json({ ok: true, entry });
+});
+
+// PUT /api/market/calendar/:id
+const updateCalendarEntry = asyncHandler(async (req, res) => {
+  if (!canManageCalendar(req)) return res.status(403).json({ ok: false, error: 'Only brokers can manage the market calendar' });
+
+  const existing = await MarketCalendar.findById(req.params.id).lean();
+  if (!existing) return res.status(404).json({ ok: false, error: 'Calendar entry not found' });
+
+  const { update, error } = normalizeCalendarEntry(req.body || {}, existing);
+  if (error) return res.status(400).json({ ok: false, error });
+
+  const entry = await MarketCalendar.findByIdAndUpdate(existing._id, { $set: update }, { new: true }).lean();
+  await loadMarketCalendar();
+
+  return res.json({ ok: true, entry });
+});
+
+// DELETE /api/market/calendar/:id
+const deleteCalendarEntry = asyncHandler(async (req, res) => {
+  if (!canManageCalendar(req)) return res.status(403).json({ ok: false, error: 'Only brokers can manage the market calendar' });
+
+  const existing = await MarketCalendar.findById(req.params.id).lean();
+  if (!existing) return res.status(404).json({ ok: false, error: 'Calendar entry not found' });
+
+  await MarketCalendar.deleteOne({ _id: existing._id });
+  await loadMarketCalendar();
+
+  return res.json({ ok: true, id: String(existing._id) });
+});
+
+export {
+  getMarketStatusHandler as getMarketStatus,
+  getMarketCalendar,
+  createCalendarEntry,
+  updateCalendarEntry,
+  deleteCalendarEntry,
+};
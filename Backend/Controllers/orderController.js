@@ -1,4 +1,5 @@
 import asyncHandler from "express-async-handler";
+import crypto from "crypto";
 import Order from "../Model/OrdersModel.js";
 import Fund from "../Model/FundModel.js";
 
@@ -7,10 +8,78 @@ import {
   addToWatchlist,
   updateTriggerInWatchlist,
 } from "../Utils/OrderManager.js";
-import { checkOptionLimit, updateOptionUsage, rollbackOptionUsage } from "../Utils/OptionLimitManager.js";
+import { checkOptionLimit, updateOptionUsage, isOptionOrder } from "../Utils/OptionLimitManager.js";
+import { bookRealizedPnl, isIntradayBucket } from "../Utils/PnlManager.js";
+import { calculateLegCharges, calculateOrderLegCharges } from "../Utils/ChargesCalculator.js";
+import {
+  addPendingOrder,
+  cancelPendingOrder,
+  isLimitCrossed,
+  isTriggerCrossed,
+} from "../Utils/PendingOrderManager.js";
+import {
+  BRACKET_VARIETIES,
+  isBracketOrder,
+  validateBracketParams,
+  computeCoverMargin,
+  createBracketLegs,
+  syncBracketLegs,
+  resolveBracketLegs,
+} from "../Utils/BracketOrderManager.js";
+import { runTradeTransaction, TradeError } from "../services/tradeTransaction.js";
+import { checkOrderSession, getMarketStatus } from "../Utils/marketStatus.js";
+import { findInstrument, validateOrderInstrument, validatePriceBand, sliceQuantity } from "../Utils/InstrumentManager.js";
+import { getCircuitLimit } from "../services/kiteQuote.js";
+import {
+  getMarginRules,
+  resolveMarginRule,
+  computeMargin,
+  computeSquareoffPrice,
+  orderMarginRate,
+} from "../Utils/LeverageManager.js";
+import { calculateExitRemargin, calculateIncrementalMargin } from "../Utils/SpanMarginManager.js";
+import { getTradingAccess, checkNewOrderAccess, checkModifyAccess } from "../Utils/TradingAccessManager.js";
+import { findOrderRestriction } from "../Utils/RestrictionManager.js";
+import { blockMargin, releaseMargin } from "../Utils/LedgerManager.js";
+import { fetchClosingPrice, fetchLtp, fetchLtps, liveLtp } from "../Utils/PriceManager.js";
+
+// Exit / P&L price sirf server ka LTP (client ka closed_ltp nahi) - na mile to exit reject
+const fetchExitPrice = async (order) => {
+  const ltp = await fetchLtp(order.instrument_token);
+  if (!ltp) throw new TradeError(`Live price unavailable for ${order.symbol}, try again`, 503);
+  return ltp;
+};
+
+// Hedge leg exit ke baad bache SPAN legs ka extra margin (calculateExitRemargin,
+// transaction se pehle). Exit ka released margin fund me aa chuka ho tab call karo;
+// free limit kam pade to exit hi reject (bacha leg under-margined nahi chhodte).
+const applyExitRemargin = async (fund, topUps, session) => {
+  for (const { order_id, symbol, extra } of topUps) {
+    const order = await Order.findOneAndUpdate(
+      { _id: order_id, order_status: { $in: ["OPEN", null, "HOLD"] } },
+      { $inc: { margin_blocked: extra } },
+      { new: true, session }
+    );
+    if (!order) continue;
+
+    const intraday = isIntradayBucket(order);
+    const freeLimit = intraday
+      ? fund.intraday.available_limit - fund.intraday.used_limit
+      : fund.overnight.available_limit;
+    if (extra > freeLimit) {
+      throw new TradeError(`Closing this hedge leaves ${symbol} short of margin. Extra required: ${extra.toFixed(2)}, Available: ${freeLimit.toFixed(2)}. Exit ${symbol} first or add funds.`);
+    }
+    blockMargin(fund, intraday, extra, { order, narration: "Hedge exit re-margin" });
+  }
+};
 
-const postOrder = asyncHandler(async (req, res) => {
-  const body = req.body || {};
+const reply = (status, payload) => ({ status, payload });
+
+// One order (already checked against the instrument master, within freeze limit):
+// validations + session check + exec price / margin. DB me kuch nahi likhta.
+// Returns a reply (rejection) or { plan } for reserveOrders().
+// ltp = server ka price (resolveOrderSlices: tick cache / Kite LTP) - MARKET fill isi pe.
+const prepareOrder = (body = {}, { clientOrderId, sliceId, basketId, marginRules, tradingAccess, ltp } = {}) => {
 
   // ... (Apki purani destructuring aur validations same rahengi) ...
   const {
@@ -20,163 +89,573 @@ const postOrder = asyncHandler(async (req, res) => {
     symbol,
     side,
     product,
+    order_type = "MARKET",
+    variety = "REGULAR",
     price = 0,
+    trigger_price = 0,
+    stop_loss = 0,
+    target = 0,
     quantity,
     lot_size = 1,
     lots,
     segment = "UNKNOWN",
+    instrument_type,
     jobbin_price,
     meta = {},
   } = body;
 
   if (!broker_id_str || !customer_id_str)
-    return res
-      .status(400)
-      .json({ error: "broker_id_str and customer_id_str are required" });
+    return reply(400, { error: "broker_id_str and customer_id_str are required" });
   if (!instrument_token || !symbol)
-    return res
-      .status(400)
-      .json({ error: "instrument_token and symbol are required" });
+    return reply(400, { error: "instrument_token and symbol are required" });
   if (!side || !["BUY", "SELL"].includes(side))
-    return res.status(400).json({ error: "side must be BUY or SELL" });
+    return reply(400, { error: "side must be BUY or SELL" });
   if (
     !product ||
     !["MIS", "NRML"].includes(String(product).trim().toUpperCase())
   )
-    return res.status(400).json({ error: "product must be MIS or NRML" });
+    return reply(400, { error: "product must be MIS or NRML" });
 
   const productNorm = String(product).trim().toUpperCase();
+  const orderTypeNorm = String(order_type).trim().toUpperCase();
+  const varietyNorm = String(variety || "REGULAR").trim().toUpperCase();
+  const isBracket = BRACKET_VARIETIES.includes(varietyNorm);
   const qtyNum = Number(quantity);
 
+  // Broker ka kill switch / close-only / segment permission
+  const accessError = checkNewOrderAccess(tradingAccess, { segment, symbol, instrument_type, product: productNorm, side });
+  if (accessError) return reply(403, { error: accessError });
+
+  const triggerNum = Number(trigger_price) || 0;
+
+  if (!["MARKET", "LIMIT", "SL", "SL-M"].includes(orderTypeNorm))
+    return reply(400, { error: "order_type must be MARKET, LIMIT, SL or SL-M" });
+  if (!["REGULAR", ...BRACKET_VARIETIES].includes(varietyNorm))
+    return reply(400, { error: "variety must be REGULAR, BO or CO" });
+  if (isBracket && productNorm !== "MIS")
+    return reply(400, { error: `${varietyNorm} orders are intraday only (product MIS)` });
+  if (isBracket && !["MARKET", "LIMIT"].includes(orderTypeNorm))
+    return reply(400, { error: `${varietyNorm} entry must be a MARKET or LIMIT order` });
+  if (["LIMIT", "SL"].includes(orderTypeNorm) && !(Number(price) > 0))
+    return reply(400, { error: `${orderTypeNorm} order requires a positive price` });
+  if (["SL", "SL-M"].includes(orderTypeNorm) && !(triggerNum > 0))
+    return reply(400, { error: `${orderTypeNorm} order requires a positive trigger_price` });
+  if (orderTypeNorm === "SL") {
+    // BUY SL: limit at/above trigger, SELL SL: limit at/below trigger
+    if (side === "BUY" && Number(price) < triggerNum)
+      return reply(400, { error: "For SL BUY, price must be at or above trigger_price" });
+    if (side === "SELL" && Number(price) > triggerNum)
+      return reply(400, { error: "For SL SELL, price must be at or below trigger_price" });
+  }
+
   if (!Number.isFinite(qtyNum) || qtyNum <= 0)
-    return res
-      .status(400)
-      .json({ error: "quantity must be a positive number" });
+    return reply(400, { error: "quantity must be a positive number" });
   if (!jobbin_price)
-    return res.status(400).json({ error: "enter jobbing price" });
+    return reply(400, { error: "enter jobbing price" });
+
+  // Segment ka session calendar: open session => normal order (session ke rules ke saath),
+  // band => After-Market Order: queue (status AMO) + margin reserve,
+  // next open par AmoManager opening LTP pe execute / reject karega
+  const sessionCheck = checkOrderSession({ segment, symbol, order_type: orderTypeNorm, product: productNorm });
+  if (!sessionCheck.allowed)
+    return reply(400, { error: sessionCheck.error, market_status: sessionCheck.status });
+  const isAmo = sessionCheck.amo;
+  if (isAmo && !["MARKET", "LIMIT"].includes(orderTypeNorm))
+    return reply(400, { error: "After-market orders can only be MARKET or LIMIT" });
+  if (isAmo && isBracket)
+    return reply(400, { error: `${varietyNorm} orders cannot be placed after market hours` });
 
   // ============================================================
-  // START: FUND & MARGIN LOGIC (Same as updateOrder)
+  // MARKET: server LTP pe fill (client ka price ignore); LTP nahi => reject
+  // LIMIT: marketable hai to turant LTP pe fill, warna PENDING book me
+  // SL / SL-M: trigger tak dormant PENDING (margin at limit / trigger)
   // ============================================================
+  let execPrice = orderTypeNorm === "MARKET" ? 0 : Number(price) || 0;
+  let isPending = false;
+  const cachedLtp = Number(ltp) || liveLtp(instrument_token);
+
+  if (orderTypeNorm === "MARKET") {
+    // AMO MARKET: last price pe margin reserve (open par re-adjust)
+    execPrice = cachedLtp;
+    if (!(execPrice > 0))
+      return reply(400, { error: "Live price unavailable for this instrument; try again or place a LIMIT order" });
+  } else if (orderTypeNorm === "LIMIT" && !isAmo) {
+    // (AMO LIMIT: limit price pe hi margin reserve)
+    if (isLimitCrossed(side, execPrice, cachedLtp)) {
+      execPrice = cachedLtp;
+    } else {
+      isPending = true;
+    }
+  } else if (orderTypeNorm === "SL" || orderTypeNorm === "SL-M") {
+    if (isTriggerCrossed(side, triggerNum, cachedLtp)) {
+      return reply(400, {
+        error: `Trigger price ${triggerNum} already crossed (LTP ${cachedLtp}). Trigger must be ${side === "BUY" ? "above" : "below"} the LTP; use MARKET or LIMIT instead.`,
+      });
+    }
+    isPending = true;
+    if (orderTypeNorm === "SL-M") execPrice = triggerNum;
+  }
 
-  const requiredMargin = Number(price) * qtyNum;
+  // Bracket / Cover: stop (aur BO target) entry price ke sahi side pe hone chahiye
+  const stopLossNum = Number(stop_loss) || 0;
+  const targetNum = Number(target) || 0;
+  if (isBracket) {
+    const bracketError = validateBracketParams({
+      variety: varietyNorm,
+      side,
+      refPrice: execPrice,
+      stopLoss: stopLossNum,
+      target: targetNum,
+    });
+    if (bracketError) return reply(400, { error: bracketError });
+  }
+
+  // Not executed yet: resting LIMIT / dormant SL / queued AMO
+  const isQueued = isPending || isAmo;
+
+  // Segment ka leverage rule (customer override > broker default > 1x)
+  const marginRule = resolveMarginRule(marginRules, { segment, symbol, product: productNorm, instrument_type, side });
+
+  // BO / CO: stop compulsory hai, isliye margin sirf stop tak ke risk pe
+  const requiredMargin = isBracket
+    ? computeCoverMargin({ refPrice: execPrice, stopLoss: stopLossNum, quantity: qtyNum })
+    : computeMargin(execPrice, qtyNum, marginRule.rate);
+
+  return {
+    plan: {
+      broker_id_str: String(broker_id_str),
+      customer_id_str: String(customer_id_str),
+      symbol: String(symbol),
+      productNorm,
+      orderTypeNorm,
+      varietyNorm,
+      isBracket,
+      isAmo,
+      isPending,
+      isQueued,
+      execPrice,
+      requiredMargin,
+      // --- SPECIAL LOGIC: DAILY 10% LIMIT FOR OPTIONS ---
+      isOption: isOptionOrder({ instrument_type, symbol }),
+      sessionStatus: sessionCheck.status,
+      orderFields: {
+        broker_id_str: String(broker_id_str),
+        customer_id_str: String(customer_id_str),
+        instrument_token: String(instrument_token),  // Kite field
+        symbol: String(symbol),
+        segment: String(segment),
+        instrument_type,
+        side,
+        product: productNorm,
+        order_type: orderTypeNorm,
+        variety: varietyNorm,
+        trigger_price: triggerNum,
+        stop_loss: isBracket ? stopLossNum : 0,
+        target: isBracket ? targetNum : 0,
+        order_status: isAmo ? "AMO" : isPending ? "PENDING" : productNorm === "MIS" ? "OPEN" : null,
+        price: execPrice,
+        quantity: qtyNum,
+        filled_qty: isQueued ? 0 : qtyNum,
+        avg_fill_price: isQueued ? 0 : execPrice,
+        lot_size: Number(lot_size) || 1,
+        lots,
+        increase_price:
+          jobbin_price === "" || jobbin_price == null ? 0 : Number(jobbin_price),
+        margin_blocked: requiredMargin, // Save blocked margin
+        margin_rule: marginRule,
+        // Leveraged position: loss blocked margin ke squareoff_pct tak => auto exit (fill par set)
+        squareoff_price: isQueued || isBracket ? 0 : computeSquareoffPrice({ side, price: execPrice, marginRule }),
+        meta: meta || {},
+        client_order_id: clientOrderId,
+        slice_id: sliceId,
+        basket_id: basketId,
+      },
+    },
+  };
+};
+
+// ============================================================
+// START: FUND & MARGIN LOGIC (Same as updateOrder)
+// Fund deduct + Order create ek hi transaction me: dono hote hain ya koi nahi.
+// Ek customer ke ek ya zyada orders (basket): margin aur option cap sab legs ka
+// milakar check hota hai, ek bhi fail => poora transaction abort.
+// Returns saved orders (plans ke order me). Throws TradeError.
+// ============================================================
+const reserveOrders = async (plans, session) => {
+  const { broker_id_str, customer_id_str } = plans[0];
+  if (plans.some(p => p.broker_id_str !== broker_id_str || p.customer_id_str !== customer_id_str)) {
+    throw new TradeError("All orders must belong to the same customer");
+  }
 
-  const fund = await Fund.findOne({ broker_id_str, customer_id_str });
+  const fund = await Fund.findOne({ broker_id_str, customer_id_str }).session(session);
 
   if (!fund) {
-    return res
-      .status(404)
-      .json({ error: "Fund account not found for this user." });
+    throw new TradeError("Fund account not found for this user.", 404);
   }
 
-  const isIntraday = productNorm === "MIS";
-  let availableLimit = 0;
+  // Product-wise totals: MIS => intraday bucket, NRML => overnight bucket
+  const totals = new Map();
+  for (const plan of plans) {
+    const total = totals.get(plan.productNorm) || { margin: 0, options: new Map() };
+    total.margin += plan.requiredMargin;
+    if (plan.isOption) {
+      // Option cap buy / sell alag
+      const side = plan.orderFields.side;
+      total.options.set(side, (total.options.get(side) || 0) + plan.requiredMargin);
+    }
+    totals.set(plan.productNorm, total);
+  }
 
-  // --- SPECIAL LOGIC: DAILY 10% LIMIT FOR OPTIONS ---
-  const symUpper = String(symbol).toUpperCase();
-  const isOption = (symUpper.endsWith("CE") || symUpper.endsWith("PE") || symUpper.endsWith("CALL") || symUpper.endsWith("PUT"));
+  for (const [product, total] of totals) {
+    for (const [side, optionMargin] of total.options) {
+      const limitCheck = checkOptionLimit(fund, product, optionMargin, side);
+      if (!limitCheck.allowed) {
+        throw new TradeError(limitCheck.message);
+      }
+    }
 
-  if (isOption) {
-    const limitCheck = checkOptionLimit(fund, productNorm, requiredMargin);
-    if (!limitCheck.allowed) {
-      return res.status(400).json({
-        error: limitCheck.message
-      });
+    let availableLimit = 0;
+    if (product === "MIS") {
+      // Intraday: Free = Available - Used
+      availableLimit = fund.intraday.available_limit - fund.intraday.used_limit;
+    } else {
+      // Overnight: Direct Available Limit (Cash)
+      availableLimit = fund.overnight.available_limit;
     }
-  }
-  // --------------------------------------------------
 
-  if (isIntraday) {
-    // Intraday: Free = Available - Used
-    availableLimit = fund.intraday.available_limit - fund.intraday.used_limit;
-  } else {
-    // Overnight: Direct Available Limit (Cash)
-    availableLimit = fund.overnight.available_limit;
+    if (total.margin > availableLimit) {
+      throw new TradeError(
+        `Insufficient Funds! Required: ${total.margin.toFixed(
+          2
+        )}, Available: ${availableLimit.toFixed(2)}`
+      );
+    }
   }
 
-  if (requiredMargin > availableLimit) {
-    return res.status(400).json({
-      error: `Insufficient Funds! Required: ${requiredMargin.toFixed(
-        2
-      )}, Available: ${availableLimit.toFixed(2)}`,
+  // Order docs pehle bana lo (_id ledger entry ke reference ke liye chahiye)
+  const orderDocs = plans.map((plan) => {
+    const orderDoc = new Order({
+      ...plan.orderFields,
+      placed_at: new Date(),
+      filled_at: plan.isQueued ? undefined : new Date(),
     });
-  }
+
+    // Executed leg ka statutory charges breakdown (pending / AMO ka fill par lagega)
+    if (!plan.isQueued) {
+      orderDoc.charges_breakdown = { entry: calculateOrderLegCharges(orderDoc, "entry", plan.execPrice) };
+    }
+
+    if (plan.isBracket) {
+      orderDoc.leg_type = "ENTRY";
+      orderDoc.bracket_id = String(orderDoc._id);
+    }
+    return orderDoc;
+  });
 
   // *** DEDUCT FUNDS ***
-  if (isIntraday) {
-    // Intraday: Increase Used Limit
-    fund.intraday.used_limit += requiredMargin;
-  } else {
-    // Overnight: Decrease Available Limit (Direct Cut)
-    fund.overnight.available_limit -= requiredMargin;
-  }
+  // MIS: Increase Used Limit, NRML: Decrease Available Limit (Direct Cut)
+  plans.forEach((plan, i) => {
+    blockMargin(fund, plan.productNorm === "MIS", plan.requiredMargin, { order: orderDocs[i] });
+  });
 
-  // Update Option Usage
-  if (isOption) {
-    console.log(`[OrderController] Updating Option Usage: Symbol=${symbol}, Product=${productNorm}, Margin=${requiredMargin}, Price=${price}`);
-    updateOptionUsage(fund, productNorm, requiredMargin);
-  } else {
-    console.log(`[OrderController] Not an Option: Symbol=${symbol}`);
+  for (const [product, total] of totals) {
+    // Update Option Usage
+    for (const [side, optionMargin] of total.options) {
+      console.log(`[OrderController] Updating Option Usage: Product=${product}, Side=${side}, Margin=${optionMargin}, Orders=${plans.length}`);
+      updateOptionUsage(fund, product, optionMargin, side);
+    }
   }
 
-  await fund.save();
+  await fund.save({ session });
   // ============================================================
   // END: FUND LOGIC
   // ============================================================
 
-  // ... (Create Order Object - Same as before) ...
-  const orderDoc = new Order({
-    broker_id_str: String(broker_id_str),
-    customer_id_str: String(customer_id_str),
-    instrument_token: String(instrument_token),  // Kite field
-    symbol: String(symbol),
-    segment: String(segment),
-    side,
-    product: productNorm,
-    order_status: productNorm === "MIS" ? "OPEN" : null,
-    price: Number(price) || 0,
-    quantity: qtyNum,
-    lot_size: Number(lot_size) || 1,
-    lots,
-    increase_price:
-      jobbin_price === "" || jobbin_price == null ? 0 : Number(jobbin_price),
-    margin_blocked: requiredMargin, // Save blocked margin
-    meta: meta || {},
-    placed_at: new Date(),
-  });
+  const savedOrders = [];
+  for (const [i, plan] of plans.entries()) {
+    const savedEntry = await orderDocs[i].save({ session });
+    if (plan.isBracket) await createBracketLegs(savedEntry, session);
 
-  try {
-    const saved = await orderDoc.save();
+    savedOrders.push(savedEntry);
+  }
 
+  return savedOrders;
+};
+
+// Commit ho gaya - ab RAM side effects (AMO open hone tak sirf DB me rehta hai)
+const applyOrderSideEffects = (plan, saved) => {
+  if (plan.isAmo) return;
+
+  if (plan.isPending) {
+    // Resting LIMIT / dormant SL: ticks aane par PendingOrderManager fill karega
+    addPendingOrder(saved);
+  } else {
     // Add to RAM (For Auto-Exit)
     addToWatchlist(saved);
-    // Subscribe using instrument_token for Kite WebSocket
-    dhanSocket.subscribe([
-      { instrument_token: saved.instrument_token },
-    ]);
+  }
+  // Subscribe using instrument_token for Kite WebSocket
+  dhanSocket.subscribe([
+    { instrument_token: saved.instrument_token },
+  ]);
+};
+
+const orderMessage = ({ isAmo, isPending, isBracket, varietyNorm, orderTypeNorm, sessionStatus }) => {
+  if (isAmo) {
+    return `AMO ${orderTypeNorm} order queued for the next ${sessionStatus.label} open (${sessionStatus.open})`;
+  }
+  if (isPending) return `${isBracket ? `${varietyNorm} ` : ""}${orderTypeNorm} order pending`;
+  return isBracket ? `${varietyNorm} order placed` : "Order saved";
+};
 
-    return res.json({ ok: true, message: "Order saved", order: saved });
+const transactionFailure = (error) => {
+  if (error instanceof TradeError) {
+    return reply(error.status, { error: error.message });
+  }
+  return reply(500, { error: "Order creation failed: " + error.message });
+};
+
+// SPAN rule wale legs (futures / option writing): notional ki jagah risk-array margin.
+// Customer ki open F&O positions + is batch ke legs same underlying/expiry pe milkar
+// dekhe jaate hain, isliye hedge (spread, future + put) ka margin kam lagta hai.
+// Long option legs ka premium waise hi block hota hai; bacha hua incremental margin
+// SPAN legs me unke standalone margin ke hisaab se baant-te hain. Mutates plans.
+// Calculation fail ho (ya SPAN leg price na ho) to order reject: notional / leverage
+// ka margin short option ke risk se kam ho sakta hai. Returns a reply (rejection) or null.
+const applySpanMargin = async (plans) => {
+  const eligible = plans.filter((p) => !p.isBracket);
+  const spanPlans = eligible.filter((p) => p.orderFields.margin_rule?.mode === "SPAN");
+  if (spanPlans.length === 0) return null;
+  const spanUnavailable = reply(503, { error: "SPAN margin could not be calculated right now; order not placed, try again" });
+
+  const legPlans = eligible.filter(
+    (p) => spanPlans.includes(p) || (p.isOption && p.orderFields.side === "BUY")
+  );
+  const { broker_id_str, customer_id_str } = plans[0];
+
+  let result;
+  try {
+    result = await calculateIncrementalMargin(
+      legPlans.map((p) => ({
+        instrument_token: p.orderFields.instrument_token,
+        side: p.orderFields.side,
+        quantity: p.orderFields.quantity,
+        price: p.execPrice,
+      })),
+      { broker_id_str, customer_id_str }
+    );
   } catch (error) {
-    // --- ROLLBACK FUND (Refund if Fail) ---
-    if (isIntraday) {
-      fund.intraday.used_limit -= requiredMargin;
-    } else {
-      fund.overnight.available_limit += requiredMargin;
+    console.error(`[OrderController] SPAN margin failed, order rejected: ${error.message}`);
+    return spanUnavailable;
+  }
+
+  const spanLegs = result.legs
+    .map((leg, i) => ({ plan: legPlans[leg.index], standalone: result.standalone[i], priced: leg.price > 0 }))
+    .filter(({ plan }) => spanPlans.includes(plan));
+  if (spanLegs.length < spanPlans.length || spanLegs.some(({ priced }) => !priced)) return spanUnavailable;
+
+  const longPremium = legPlans
+    .filter((p) => !spanPlans.includes(p))
+    .reduce((sum, p) => sum + p.requiredMargin, 0);
+  const spanPortion = Math.max(result.incremental - longPremium, 0);
+  const weightTotal = spanLegs.reduce((sum, leg) => sum + leg.standalone, 0);
+
+  for (const { plan, standalone } of spanLegs) {
+    const share = weightTotal > 0 ? spanPortion * standalone / weightTotal : spanPortion / spanLegs.length;
+    const rule = plan.orderFields.margin_rule;
+    const margin = Number((share / (Number(rule.value) || 1)).toFixed(2));
+    const notional = plan.execPrice * plan.orderFields.quantity;
+    const marginRule = { ...rule, rate: notional > 0 ? margin / notional : 1 };
+
+    plan.requiredMargin = margin;
+    plan.orderFields.margin_blocked = margin;
+    plan.orderFields.margin_rule = marginRule;
+    plan.orderFields.squareoff_price = plan.isQueued
+      ? 0
+      : computeSquareoffPrice({ side: plan.orderFields.side, price: plan.execPrice, marginRule });
+  }
+  return null;
+};
+
+const placeSingleOrder = async (body = {}, options = {}) => {
+  const prepared = prepareOrder(body, options);
+  if (!prepared.plan) return prepared;
+  const { plan } = prepared;
+
+  const spanRejection = await applySpanMargin([plan]);
+  if (spanRejection) return spanRejection;
+
+  let saved;
+  try {
+    [saved] = await runTradeTransaction((session) => reserveOrders([plan], session));
+  } catch (error) {
+    return transactionFailure(error);
+  }
+
+  applyOrderSideEffects(plan, saved);
+
+  return reply(200, {
+    ok: true,
+    message: orderMessage(plan),
+    order: saved,
+  });
+};
+
+// instrument_token se master lookup: lot / tick / expiry check, segment, symbol
+// aur instrument_type master se; circuit band check.
+// Freeze limit se badi qty => lot-aligned slices (har slice ek order body).
+// Returns a reply (rejection) or { slices, freezeQty, ltp } (ltp => prepareOrder ka MARKET price;
+// CLOSING session me closing price). Live price na mile => 503, order nahi.
+const resolveOrderSlices = async (body = {}) => {
+  if (!body.instrument_token)
+    return reply(400, { error: "instrument_token and symbol are required" });
+
+  const instrument = await findInstrument(body.instrument_token);
+  const check = validateOrderInstrument(instrument, body);
+  if (check.error) return reply(400, { error: check.error });
+
+  // Restricted scrip (F&O ban / illiquid / far-OTM / symbol): fresh position nahi
+  const restriction = await findOrderRestriction(instrument, body);
+  if (restriction) return reply(403, { error: restriction.error, restriction: restriction.rule.type });
+
+  // Circuit band (Kite quote, cached): absurd LIMIT price => absurd margin block, isliye reject
+  const band = await getCircuitLimit(body.instrument_token);
+  // CLOSING session (post-close, MARKET only): fill exchange ke closing price pe, LTP pe nahi
+  const isClosingSession = getMarketStatus(instrument.segment || body.segment, { symbol: instrument.tradingsymbol || body.symbol }).session === "CLOSING";
+  const ltp = isClosingSession
+    ? await fetchClosingPrice(body.instrument_token)
+    : await fetchLtp(body.instrument_token);
+  // Circuit quote ka last_price cached (purana) ho sakta hai, us pe fill nahi
+  if (!ltp)
+    return reply(503, {
+      error: isClosingSession
+        ? "Closing price not available yet; try again"
+        : "Live price unavailable for this instrument; try again",
+    });
+  const bandError = validatePriceBand(band, { ...body, ltp });
+  if (bandError) return reply(400, { error: bandError, circuit_limits: band });
+
+  const { lotSize, freezeQty } = check;
+  const qtyNum = Number(body.quantity);
+  const normalized = {
+    ...body,
+    symbol: instrument.tradingsymbol || body.symbol,
+    segment: instrument.segment || body.segment,
+    instrument_type: instrument.instrument_type,
+    lot_size: lotSize,
+    lots: qtyNum / lotSize,
+  };
+
+  const quantities = sliceQuantity(qtyNum, lotSize, freezeQty);
+  if (quantities.length === 1) return { slices: [normalized], freezeQty, ltp };
+
+  const slices = quantities.map((sliceQty, index) => ({
+    ...normalized,
+    quantity: sliceQty,
+    lots: sliceQty / lotSize,
+    meta: { ...(body.meta || {}), slice: { index: index + 1, count: quantities.length, freeze_qty: freezeQty } },
+  }));
+  return { slices, freezeQty, ltp };
+};
+
+// Customer ke leverage rules (ids missing => prepareOrder validation reject karega)
+const loadMarginRules = ({ broker_id_str, customer_id_str } = {}) => (
+  broker_id_str && customer_id_str ? getMarginRules(broker_id_str, customer_id_str) : null
+);
+
+// Customer ka trading status + segment permissions (prepareOrder check karta hai)
+const loadTradingAccess = ({ customer_id_str } = {}) => (
+  customer_id_str ? getTradingAccess(customer_id_str) : null
+);
+
+// Order placement entry point (HTTP postOrder, GTT trigger...).
+// Returns { status, payload } - caller decides how to send it.
+const placeOrder = async (body = {}, { clientOrderId } = {}) => {
+  const resolved = await resolveOrderSlices(body);
+  if (!resolved.slices) return resolved;
+
+  const [marginRules, tradingAccess] = await Promise.all([loadMarginRules(body), loadTradingAccess(body)]);
+  const { slices, freezeQty, ltp } = resolved;
+  if (slices.length === 1) return placeSingleOrder(slices[0], { clientOrderId, marginRules, tradingAccess, ltp });
+
+  // Auto-slice: har slice apna order (apna fund check); beech me reject => baaki nahi bhejte
+  const sliceId = crypto.randomUUID();
+  const orders = [];
+  for (const [index, sliceBody] of slices.entries()) {
+    const result = await placeSingleOrder(sliceBody, { clientOrderId, sliceId, marginRules, tradingAccess, ltp });
+
+    if (result.status !== 200) {
+      if (orders.length === 0) return result;
+      return reply(200, {
+        ok: true,
+        partial: true,
+        message: `${orders.length} of ${slices.length} slices placed; slice ${index + 1} rejected: ${result.payload?.error}`,
+        order: orders[0],
+        orders,
+        slice_id: sliceId,
+      });
     }
+    orders.push(result.payload.order);
+  }
+
+  return reply(200, {
+    ok: true,
+    message: `Quantity above freeze limit ${freezeQty}; placed as ${slices.length} orders`,
+    order: orders[0],
+    orders,
+    slice_id: sliceId,
+  });
+};
+
+// Basket: saare legs (freeze slices samet) ek hi transaction me - sab place honge ya koi nahi.
+// Har leg pehle instrument / circuit / session check se guzarta hai; fund aur option cap
+// saare legs ka total dekh ke. Returns { status, payload }.
+const placeBasketOrders = async (legs = [], { basketId = crypto.randomUUID() } = {}) => {
+  if (!Array.isArray(legs) || legs.length === 0)
+    return reply(400, { error: "Basket has no legs" });
+
+  const legRejection = (index, leg, { status, payload }) => reply(status, {
+    ...payload,
+    error: `Leg ${index + 1} (${leg.symbol || leg.instrument_token}): ${payload?.error}`,
+    leg: index,
+  });
 
-    // Rollback Option Limit
-    const symUpperRollback = String(symbol).toUpperCase();
-    const isOptionRollback = (symUpperRollback.endsWith("CE") || symUpperRollback.endsWith("PE") || symUpperRollback.endsWith("CALL") || symUpperRollback.endsWith("PUT"));
-    if (isOptionRollback) {
-      rollbackOptionUsage(fund, productNorm, requiredMargin);
+  const [marginRules, tradingAccess] = await Promise.all([loadMarginRules(legs[0]), loadTradingAccess(legs[0])]);
+  const plans = [];
+  for (const [index, leg] of legs.entries()) {
+    const resolved = await resolveOrderSlices(leg);
+    if (!resolved.slices) return legRejection(index, leg, resolved);
+
+    const sliceId = resolved.slices.length > 1 ? crypto.randomUUID() : undefined;
+    for (const sliceBody of resolved.slices) {
+      const prepared = prepareOrder(sliceBody, { sliceId, basketId, marginRules, tradingAccess, ltp: resolved.ltp });
+      if (!prepared.plan) return legRejection(index, leg, prepared);
+      plans.push(prepared.plan);
     }
+  }
 
-    await fund.save();
+  const spanRejection = await applySpanMargin(plans);
+  if (spanRejection) return spanRejection;
 
-    return res
-      .status(500)
-      .json({ error: "Order creation failed: " + error.message });
+  let saved;
+  try {
+    saved = await runTradeTransaction((session) => reserveOrders(plans, session));
+  } catch (error) {
+    return transactionFailure(error);
   }
+
+  saved.forEach((order, i) => applyOrderSideEffects(plans[i], order));
+
+  return reply(200, {
+    ok: true,
+    message: `Basket placed: ${saved.length} order${saved.length === 1 ? "" : "s"}`,
+    orders: saved,
+    basket_id: basketId,
+  });
+};
+
+const postOrder = asyncHandler(async (req, res) => {
+  const { status, payload } = await placeOrder(req.body || {}, { clientOrderId: req.idempotencyKey });
+  return res.status(status).json(payload);
 });
 
 const getOrderInstrument = asyncHandler(async (req, res) => {
@@ -200,7 +679,11 @@ const getOrderInstrument = asyncHandler(async (req, res) => {
 
   if (String(productIn).toUpperCase() === "NRML") {
     // 🎯 FIX: For NRML, filter out explicitly CLOSED orders, keeping only active/null status.
-    filter.order_status = { $ne: "CLOSED" };
+    // Pending/AMO/cancelled orders are not positions; ask for them explicitly with orderStatus=PENDING / AMO
+    filter.order_status =
+      ["PENDING", "AMO"].includes(order_status)
+        ? order_status
+        : { $nin: ["CLOSED", "PENDING", "AMO", "CANCELLED", "EXPIRED", "TRIGGER_PENDING", "FILLED"] };
   } else {
     if (order_status) {
       // allow special value 'ALL' to bypass filtering
@@ -214,6 +697,22 @@ const getOrderInstrument = asyncHandler(async (req, res) => {
 
   try {
     const ordersInstrument = await Order.find(filter).lean();
+
+    // BO / CO entries ke saath unke exit legs group karke bhejo
+    const bracketIds = ordersInstrument.filter(isBracketOrder).map(o => String(o._id));
+    if (bracketIds.length) {
+      const legs = await Order.find({
+        bracket_id: { $in: bracketIds },
+        leg_type: { $in: ["STOPLOSS", "TARGET"] },
+      }).lean();
+
+      for (const order of ordersInstrument) {
+        if (isBracketOrder(order)) {
+          order.legs = legs.filter(l => l.bracket_id === String(order._id));
+        }
+      }
+    }
+
     return res.json({ ok: true, ordersInstrument });
   } catch (err) {
     console.error("getOrderInstrument error:", err);
@@ -235,11 +734,12 @@ const updateOrder = asyncHandler(async (req, res) => {
     price,
     order_status,
     segment,
-    closed_ltp,
     closed_at,
     came_From,
     stop_loss,
     target,
+    trailing_sl_type,
+    trailing_sl_value,
     ...rest
   } = req.body || {};
 
@@ -254,7 +754,6 @@ const updateOrder = asyncHandler(async (req, res) => {
   if (lots) update.lots = Number(lots);
   if (price && order_status !== 'CLOSED') update.price = Number(price);
   if (order_status) update.order_status = order_status;
-  if (closed_ltp) update.closed_ltp = Number(closed_ltp);
   if (closed_at) update.closed_at = closed_at;
 
   // 👇 Fix: Add came_From to update object
@@ -264,149 +763,255 @@ const updateOrder = asyncHandler(async (req, res) => {
   if (stop_loss !== undefined) update.stop_loss = Number(stop_loss);
   if (target !== undefined) update.target = Number(target);
 
+  // 👇 Trailing SL update (value 0 => trailing off)
+  if (trailing_sl_value !== undefined) {
+    const trailType = String(trailing_sl_type || "POINTS").trim().toUpperCase();
+    const trailValue = Number(trailing_sl_value);
+
+    if (!["POINTS", "PERCENT"].includes(trailType)) {
+      return res.status(400).json({ success: false, message: 'trailing_sl_type must be POINTS or PERCENT' });
+    }
+    if (!Number.isFinite(trailValue) || trailValue < 0 || (trailType === "PERCENT" && trailValue >= 100)) {
+      return res.status(400).json({ success: false, message: 'trailing_sl_value must be a non-negative number (PERCENT below 100)' });
+    }
+
+    update.trailing_sl_type = trailType;
+    update.trailing_sl_value = trailValue;
+  }
+
   update.updatedAt = new Date();
 
   try {
-    // 1. Find Existing Order
-    let existing = await Order.findOne({ order_id: order_id });
-    if (!existing) existing = await Order.findById(order_id);
-
-    if (!existing) {
-      return res.status(404).json({ success: false, message: 'Order not found' });
+    // Exit price server ka LTP, transaction se pehle (network call transaction ke bahar)
+    // Add-to-position ka fill bhi server LTP pe
+    let exitPrice = 0;
+    let fillPrice = 0;
+    let remargin = [];
+    if (update.order_status === 'CLOSED' || update.quantity) {
+      const fields = 'instrument_token symbol quantity broker_id_str customer_id_str';
+      const target = await Order.findOne({ order_id: order_id }).select(fields).lean()
+        || await Order.findById(order_id).select(fields).lean();
+      if (!target) throw new TradeError('Order not found', 404);
+      if (update.order_status === 'CLOSED') {
+        exitPrice = await fetchExitPrice(target);
+        remargin = await calculateExitRemargin(new Map([[String(target._id), Number(target.quantity) || 0]]), target);
+      } else {
+        fillPrice = await fetchLtp(target.instrument_token);
+      }
     }
 
-    // 2. Find Fund
-    const fund = await Fund.findOne({
-      broker_id_str: existing.broker_id_str,
-      customer_id_str: existing.customer_id_str
-    });
+    // Order + Fund dono ek transaction me (do devices se parallel update safe)
+    const updated = await runTradeTransaction(async (session) => {
+      // 1. Find Existing Order
+      let existing = await Order.findOne({ order_id: order_id }).session(session);
+      if (!existing) existing = await Order.findById(order_id).session(session);
 
-    if (!fund) {
-      return res.status(404).json({ success: false, message: "Fund account not found" });
-    }
+      if (!existing) {
+        throw new TradeError('Order not found', 404);
+      }
 
+      if (['PENDING', 'AMO'].includes(existing.order_status) && update.order_status) {
+        throw new TradeError(`${existing.order_status === 'AMO' ? 'AMO' : 'Pending'} order is not a position yet. Use cancelOrder instead.`);
+      }
 
-    const currentProduct = update.product || existing.product;
-    const currentStatus = update.order_status || existing.order_status;
-    const isHold = currentStatus === 'HOLD';
-    const isIntraday = String(currentProduct).trim().toUpperCase() === 'MIS' || isHold;
+      // Kill switch / close-only: exit (CLOSED) hamesha allowed, baaki modify status pe depend
+      if (update.order_status !== 'CLOSED') {
+        const accessError = checkModifyAccess(await getTradingAccess(existing.customer_id_str), {
+          increasesRisk: Boolean(update.quantity && update.quantity > existing.quantity),
+        });
+        if (accessError) throw new TradeError(accessError, 403);
+      }
 
+      // Restricted scrip me qty badhana = fresh position
+      if (update.order_status !== 'CLOSED' && update.quantity && update.quantity > existing.quantity) {
+        const restriction = await findOrderRestriction(await findInstrument(existing.instrument_token), existing);
+        if (restriction) throw new TradeError(restriction.error, 403);
+      }
 
-    const existingIsIntraday = String(existing.product).trim().toUpperCase() === 'MIS';
+      const existingLot = Number(existing.lot_size) || 1;
+      if (update.quantity && update.quantity % existingLot !== 0) {
+        throw new TradeError(`quantity must be a multiple of lot size ${existingLot}`);
+      }
 
+      // BO / CO: intraday only, qty fixed (partial exit allowed), stop compulsory
+      if (isBracketOrder(existing)) {
+        const variety = existing.variety;
+        if (update.order_status === 'HOLD') {
+          throw new TradeError(`${variety} orders cannot be converted to HOLD`);
+        }
+        if (update.quantity && update.quantity !== existing.quantity) {
+          throw new TradeError(`${variety} quantity cannot be modified; use partial exit instead`);
+        }
+        if (update.stop_loss !== undefined && !(update.stop_loss > 0)) {
+          throw new TradeError(`${variety} order must keep a stop_loss`);
+        }
+        if (variety === 'BO' && update.target !== undefined && !(update.target > 0)) {
+          throw new TradeError('BO order must keep a target');
+        }
+        if (variety === 'CO' && update.target > 0) {
+          throw new TradeError('CO order has no target leg');
+        }
+      }
 
-    if (update.quantity && update.quantity > existing.quantity && existing.order_status !== 'CLOSED') {
+      // Trailing fresh start ho raha hai to watermark reset (entry price se dobara shuru)
+      if (update.trailing_sl_value > 0 && !(existing.trailing_sl_value > 0)) {
+        update.trail_best_price = 0;
+        update.trail_active = false;
+      }
 
-      const newQty = Number(update.quantity);
-      const calcPrice = update.price ? Number(update.price) : Number(existing.price);
+      // Naya manual stop => active stop ab trail ka nahi (ratchet dobara tighter hone par set karega)
+      if (update.stop_loss !== undefined && update.stop_loss !== Number(existing.stop_loss)) {
+        update.trail_active = false;
+      }
 
-      const oldMargin = existing.margin_blocked || (existing.quantity * existing.price);
-      const newTotalMargin = newQty * calcPrice;
+      // 2. Find Fund
+      const fund = await Fund.findOne({
+        broker_id_str: existing.broker_id_str,
+        customer_id_str: existing.customer_id_str
+      }).session(session);
 
-      const marginToDeduct = newTotalMargin - oldMargin;
+      if (!fund) {
+        throw new TradeError("Fund account not found", 404);
+      }
 
-      if (marginToDeduct > 0) {
 
-        let availableLimit = 0;
-        let currentUsed = 0;
+      const currentProduct = update.product || existing.product;
+      const currentStatus = update.order_status || existing.order_status;
+      const isHold = currentStatus === 'HOLD';
+      const isIntraday = String(currentProduct).trim().toUpperCase() === 'MIS' || isHold;
 
-        if (isIntraday) {
 
-          availableLimit = fund.intraday.available_limit;
-          currentUsed = fund.intraday.used_limit;
-        } else {
-          // Overnight Logic (Direct Cash)
-          availableLimit = fund.overnight.available_limit;
-          currentUsed = 0;
-        }
+      const existingIsIntraday = String(existing.product).trim().toUpperCase() === 'MIS';
 
-        const freeLimit = availableLimit - currentUsed;
 
-        if (marginToDeduct > freeLimit) {
-          return res.status(400).json({
-            success: false,
-            message: `Insufficient Funds! Required: ${marginToDeduct.toFixed(2)}, Available: ${freeLimit.toFixed(2)}`
-          });
-        }
+      // Open position ka entry price server ka hai; client price sirf pending order ke liye
+      if (!['PENDING', 'AMO'].includes(existing.order_status)) delete update.price;
+
+      if (update.quantity && update.quantity > existing.quantity && existing.order_status !== 'CLOSED') {
+
+        if (!fillPrice) throw new TradeError(`Live price unavailable for ${existing.symbol}, try again`, 503);
+
+        const oldQty = Number(existing.quantity) || 0;
+        const newQty = Number(update.quantity);
+        const addQty = newQty - oldQty;
+        const oldAvg = Number(existing.avg_fill_price || existing.price) || 0;
+
+        // Sirf nayi qty ka margin, fill price pe
+        const marginToDeduct = computeMargin(fillPrice, addQty, orderMarginRate(existing));
+        const newTotalMargin = Number(((Number(existing.margin_blocked) || 0) + marginToDeduct).toFixed(2));
+
+        if (marginToDeduct > 0) {
+
+          let availableLimit = 0;
+          let currentUsed = 0;
+
+          if (isIntraday) {
 
-        // --- 10% OPTION LIMIT CHECK (Update Scenario) ---
-        const exSymUpper = String(existing.symbol).toUpperCase();
-        const isOptionUpdate = (exSymUpper.endsWith("CE") || exSymUpper.endsWith("PE") || exSymUpper.endsWith("CALL") || exSymUpper.endsWith("PUT"));
-        if (isOptionUpdate) {
-          const limitCheck = checkOptionLimit(fund, currentProduct, marginToDeduct);
-          if (!limitCheck.allowed) {
-            // Slight change: message might refer to "Required" which here implies "Additional Required"
-            return res.status(400).json({
-              success: false,
-              message: limitCheck.message.replace('Required:', 'Additional Required:')
-            });
+            availableLimit = fund.intraday.available_limit;
+            currentUsed = fund.intraday.used_limit;
+          } else {
+            // Overnight Logic (Direct Cash)
+            availableLimit = fund.overnight.available_limit;
+            currentUsed = 0;
           }
 
-          updateOptionUsage(fund, currentProduct, marginToDeduct);
-        }
-        // -----------------------------------------------
-
-        // *** UPDATE FUND ***
-        if (isIntraday) {
-          // Intraday/HOLD: Increase Used Limit
-          fund.intraday.used_limit += marginToDeduct;
-        } else {
-          // Overnight (NRML): Decrease Available Limit
-          fund.overnight.available_limit -= marginToDeduct;
+          const freeLimit = availableLimit - currentUsed;
+
+          if (marginToDeduct > freeLimit) {
+            throw new TradeError(`Insufficient Funds! Required: ${marginToDeduct.toFixed(2)}, Available: ${freeLimit.toFixed(2)}`);
+          }
+
+          // --- 10% OPTION LIMIT CHECK (Update Scenario) ---
+          if (isOptionOrder(existing)) {
+            const limitCheck = checkOptionLimit(fund, currentProduct, marginToDeduct, existing.side);
+            if (!limitCheck.allowed) {
+              // Slight change: message might refer to "Required" which here implies "Additional Required"
+              throw new TradeError(limitCheck.message.replace('Required:', 'Additional Required:'));
+            }
+
+            updateOptionUsage(fund, currentProduct, marginToDeduct, existing.side);
+          }
+          // -----------------------------------------------
+
+          // *** UPDATE FUND ***
+          // Intraday/HOLD: Increase Used Limit, Overnight (NRML): Decrease Available Limit
+          blockMargin(fund, isIntraday, marginToDeduct, { order: existing, narration: 'Add to position' });
+
+          // Record new total margin
+          update.margin_blocked = newTotalMargin;
         }
 
-        // Record new total margin
-        update.margin_blocked = newTotalMargin;
+        // Add-to-position: weighted average hi P&L ka entry price hai
+        const newAvg = Number(((oldQty * oldAvg + addQty * fillPrice) / newQty).toFixed(2));
+        update.avg_fill_price = newAvg;
+        update.filled_qty = newQty;
+        update.squareoff_price = computeSquareoffPrice({ side: existing.side, price: newAvg, marginRule: existing.margin_rule });
       }
-    }
 
 
-    else if (update.order_status === 'CLOSED' && existing.order_status === 'OPEN' && existingIsIntraday) {
+      else if (update.order_status === 'CLOSED' && existing.order_status === 'OPEN' && existingIsIntraday) {
 
-      const marginToRelease = existing.margin_blocked || (existing.price * existing.quantity);
+        const marginToRelease = existing.margin_blocked || (existing.price * existing.quantity);
 
-      if (marginToRelease > 0) {
-        // For intraday we reduce used_limit by the blocked margin (i.e. free up the limit)
-        fund.intraday.used_limit -= marginToRelease;
-        if (fund.intraday.used_limit < 0) fund.intraday.used_limit = 0;
-      }
+        if (marginToRelease > 0) {
+          // For intraday we reduce used_limit by the blocked margin (i.e. free up the limit)
+          releaseMargin(fund, true, marginToRelease, { order: existing });
+        }
 
-      // Ensure we clear margin_blocked on the order
-      update.margin_blocked = 0;
-    }
+        // Realized P&L book karo (server LTP pe)
+        update.closed_ltp = exitPrice;
+        Object.assign(update, bookRealizedPnl(fund, existing, exitPrice));
 
-    else if (update.order_status === 'HOLD' && existing.order_status === 'OPEN' && existingIsIntraday) {
-      // Do not touch fund limits; only clear margin on the order
-      update.margin_blocked = 0;
-    }
+        // Ensure we clear margin_blocked on the order
+        update.margin_blocked = 0;
+      }
 
+      else if (update.order_status === 'HOLD' && existing.order_status === 'OPEN' && existingIsIntraday) {
+        // Do not touch fund limits; only clear margin on the order
+        update.margin_blocked = 0;
+      }
 
-    else if (update.order_status === 'CLOSED' && existing.order_status !== 'CLOSED') {
 
-      const marginToRelease = existing.margin_blocked || (existing.price * existing.quantity);
+      else if (update.order_status === 'CLOSED' && existing.order_status !== 'CLOSED') {
 
-      if (marginToRelease > 0) {
-        if (isIntraday) {
+        const marginToRelease = existing.margin_blocked || (existing.price * existing.quantity);
+
+        if (marginToRelease > 0) {
           // If currentProduct indicates intraday for the updated state, we reduce used_limit.
-          fund.intraday.used_limit -= marginToRelease;
-          if (fund.intraday.used_limit < 0) fund.intraday.used_limit = 0;
-        } else {
-          fund.overnight.available_limit += marginToRelease;
+          releaseMargin(fund, isIntraday, marginToRelease, { order: existing });
         }
+
+        // Realized P&L book karo (server LTP pe)
+        update.closed_ltp = exitPrice;
+        Object.assign(update, bookRealizedPnl(fund, existing, exitPrice));
+
+        // Clear margin on DB as well
+        update.margin_blocked = 0;
       }
 
-      // Clear margin on DB as well
-      update.margin_blocked = 0;
-    }
+      // Hedge leg close => bache SPAN legs ka margin
+      if (update.order_status === 'CLOSED' && existing.order_status !== 'CLOSED') {
+        await applyExitRemargin(fund, remargin, session);
+      }
 
-    await fund.save();
+      await fund.save({ session });
 
 
-    const updated = await Order.findByIdAndUpdate(existing._id, { $set: update }, { new: true, runValidators: true });
+      const updatedOrder = await Order.findByIdAndUpdate(existing._id, { $set: update }, { new: true, runValidators: true, session });
 
-    if (!updated) {
-      return res.status(500).json({ success: false, message: 'Failed to update order' });
-    }
+      if (!updatedOrder) {
+        throw new TradeError('Failed to update order', 500);
+      }
+
+      // Linked legs: entry close => legs cancel, warna SL / target sync
+      if (updatedOrder.order_status === 'CLOSED') {
+        await resolveBracketLegs(updatedOrder, {}, session);
+      } else {
+        await syncBracketLegs(updatedOrder, session);
+      }
+
+      return updatedOrder;
+    });
 
     // 👇 Update Watchlist (Auto-Exit System)
     if (updated.order_status !== 'CLOSED') {
@@ -416,112 +1021,253 @@ const updateOrder = asyncHandler(async (req, res) => {
     return res.status(200).json({ success: true, message: 'Order updated', order: updated });
 
   } catch (err) {
+    if (err instanceof TradeError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
     console.error('[updateOrder] error:', err);
     return res.status(500).json({ success: false, message: 'Internal server error: ' + err.message });
   }
 });
 
 
+// Partial exit: position ka kuch hissa LTP pe band karo.
+// Exited qty ek alag CLOSED child leg banti hai (apna closed_ltp + P&L),
+// parent me bachi qty OPEN rehti hai with same SL / target / trailing.
+const partialExitOrder = asyncHandler(async (req, res) => {
+  const { order_id, quantity, lots } = req.body || {};
+
+  if (!order_id) {
+    return res.status(400).json({ success: false, message: 'order_id is required' });
+  }
+
+  try {
+    // Exit leg server ke LTP pe (client ka closed_ltp nahi)
+    const target = await Order.findById(order_id).select('instrument_token symbol lot_size broker_id_str customer_id_str').lean();
+    if (!target) throw new TradeError('Order not found', 404);
+    const exitPrice = await fetchExitPrice(target);
+    const requestedQty = Number(quantity) || (Number(lots) || 0) * (Number(target.lot_size) || 1);
+    const remargin = await calculateExitRemargin(new Map([[String(target._id), requestedQty]]), target);
+
+    const { parent, child } = await runTradeTransaction(async (session) => {
+      const existing = await Order.findById(order_id).session(session);
+      if (!existing) throw new TradeError('Order not found', 404);
+
+      if (['CLOSED', 'PENDING', 'AMO', 'CANCELLED', 'EXPIRED', 'TRIGGER_PENDING', 'FILLED'].includes(existing.order_status)) {
+        throw new TradeError(`Order is ${existing.order_status}, not an open position`);
+      }
+
+      const lotSize = Number(existing.lot_size) || 1;
+      const exitQty = Number(quantity) || (Number(lots) || 0) * lotSize;
+      const openQty = Number(existing.quantity) || 0;
+
+      if (!Number.isInteger(exitQty) || exitQty <= 0 || exitQty % lotSize !== 0) {
+        throw new TradeError(`Exit quantity must be a positive multiple of lot size ${lotSize}`);
+      }
+      if (exitQty >= openQty) {
+        throw new TradeError(`Exit quantity must be less than open quantity ${openQty}. Use full exit instead.`);
+      }
+
+      const fund = await Fund.findOne({
+        broker_id_str: existing.broker_id_str,
+        customer_id_str: existing.customer_id_str
+      }).session(session);
+      if (!fund) throw new TradeError("Fund account not found", 404);
+
+      // Proportional margin release
+      const marginBlocked = Number(existing.margin_blocked) || 0;
+      const marginToRelease = Number((marginBlocked * exitQty / openQty).toFixed(2));
+
+      if (marginToRelease > 0) {
+        releaseMargin(fund, isIntradayBucket(existing), marginToRelease, { order: existing, narration: `Partial exit ${exitQty}` });
+      }
+
+      // Child leg = exited slice (same entry price), closed right away
+      const {
+        _id, createdAt, updatedAt, __v, charges_breakdown, realized_pnl, charges,
+        variety, leg_type, bracket_id, // slice is a plain closed trade, not a bracket of its own
+        ...base
+      } = existing.toObject();
+      const entryPrice = Number(existing.avg_fill_price || existing.price) || 0;
+      const closedAt = new Date();
+
+      const childLeg = new Order({
+        ...base,
+        parent_order_id: existing._id,
+        quantity: exitQty,
+        lots: exitQty / lotSize,
+        filled_qty: exitQty,
+        avg_fill_price: entryPrice,
+        margin_blocked: 0,
+        stop_loss: 0,
+        target: 0,
+        trailing_sl_value: 0,
+        trail_best_price: 0,
+        trail_active: false,
+        squareoff_price: 0,
+        order_status: 'CLOSED',
+        closed_ltp: exitPrice,
+        closed_at: closedAt,
+        exit_reason: 'PARTIAL_EXIT',
+        meta: { ...(base.meta || {}), from: 'partial_exit' },
+      });
+      childLeg.set(bookRealizedPnl(fund, childLeg, exitPrice));
+
+      // Parent me bachi hui qty
+      const remainingQty = openQty - exitQty;
+      existing.quantity = remainingQty;
+      existing.lots = remainingQty / lotSize;
+      existing.filled_qty = remainingQty;
+      existing.margin_blocked = Number((marginBlocked - marginToRelease).toFixed(2));
+      existing.set('charges_breakdown.entry', calculateOrderLegCharges(existing, 'entry', entryPrice, remainingQty));
+
+      await childLeg.save({ session });
+      await existing.save({ session });
+      // Hedge ka hissa band => bache SPAN legs ka margin (parent khud bhi ho sakta hai)
+      await applyExitRemargin(fund, remargin, session);
+      await fund.save({ session });
+      await syncBracketLegs(existing, session);
+
+      return { parent: existing, child: childLeg };
+    });
+
+    // SL / Target remaining qty pe chalu rahe
+    updateTriggerInWatchlist(parent);
+
+    console.log(`[partialExit] ${parent.symbol}: exited ${child.quantity} @ ${child.closed_ltp}, ${parent.quantity} still open`);
+
+    return res.status(200).json({
+      success: true,
+      message: `Exited ${child.quantity} of ${parent.symbol}, ${parent.quantity} still open`,
+      order: parent,
+      exit_leg: child,
+    });
+  } catch (err) {
+    if (err instanceof TradeError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('[partialExit] error:', err);
+    return res.status(500).json({ success: false, message: 'Partial exit failed', error: err.message });
+  }
+});
+
 // NOTE: Frontend se ab hum 'PUT' request bhejenge
 const exitAllOpenOrder = asyncHandler(async (req, res) => {
   // URL params se IDs
   const { broker_id_str, customer_id_str } = req.query;
 
   // Body se Payload
-  const { closed_ltp_map, closed_at } = req.body || {};
+  const { closed_at } = req.body || {};
 
   if (!broker_id_str || !customer_id_str) {
     res.status(400);
     throw new Error("Missing Broker ID or Customer ID");
   }
 
-  // Fetch open intraday orders
-  const openOrders = await Order.find({
-    broker_id_str: broker_id_str,
-    customer_id_str: customer_id_str,
-    order_status: "OPEN",
-    order_category: "INTRADAY",
-  });
-
-  if (!openOrders || openOrders.length === 0) {
-    console.log("No orders found for:", broker_id_str, customer_id_str);
-    return res.status(200).json({
-      success: false,
-      message: "No open Intraday orders found to exit.",
-    });
-  }
+  // Saare orders + fund ek transaction me: ya sab close honge ya koi nahi
+  let outcome;
+  try {
+    // Exit prices server ke LTP (client ka closed_ltp_map nahi), transaction se pehle
+    const exiting = await Order.find({
+      broker_id_str: broker_id_str,
+      customer_id_str: customer_id_str,
+      order_status: "OPEN",
+      order_category: "INTRADAY",
+    }).select("instrument_token quantity").lean();
+    const prices = await fetchLtps(exiting.map((o) => o.instrument_token));
+    // Intraday hedge band => bache carried SPAN legs ka margin
+    const remargin = await calculateExitRemargin(
+      new Map(exiting.map((o) => [String(o._id), Number(o.quantity) || 0])),
+      { broker_id_str, customer_id_str }
+    );
+
+    outcome = await runTradeTransaction(async (session) => {
+      // Fetch open intraday orders
+      const openOrders = await Order.find({
+        broker_id_str: broker_id_str,
+        customer_id_str: customer_id_str,
+        order_status: "OPEN",
+        order_category: "INTRADAY",
+      }).session(session);
+
+      if (!openOrders || openOrders.length === 0) {
+        return { empty: true };
+      }
 
-  // Fetch fund once (same broker+customer)
-  const fund = await Fund.findOne({
-    broker_id_str: broker_id_str,
-    customer_id_str: customer_id_str,
-  });
+      // Fetch fund once (same broker+customer)
+      const fund = await Fund.findOne({
+        broker_id_str: broker_id_str,
+        customer_id_str: customer_id_str,
+      }).session(session);
 
-  if (!fund) {
-    // If fund not found, mark all as failed
-    const failed = openOrders.map(o => ({ id: o._id, status: "Failed", error: "Fund account not found" }));
-    return res.status(404).json({
-      success: false,
-      message: "Fund account not found for this broker/customer.",
-      details: failed,
-    });
-  }
+      if (!fund) {
+        throw new TradeError("Fund account not found for this broker/customer.", 404);
+      }
 
-  const results = [];
+      const results = [];
 
-  // Loop through orders and close them, releasing intraday margin_blocked
-  for (const order of openOrders) {
-    try {
-      const exitPrice = closed_ltp_map ? closed_ltp_map[order._id] : 0;
+      // Loop through orders and close them, releasing intraday margin_blocked
+      for (const order of openOrders) {
+        const exitPrice = prices.get(String(order.instrument_token)) || 0;
+        if (!exitPrice) throw new TradeError(`Live price unavailable for ${order.symbol}, try again`, 503);
 
-      // Calculate margin to release (use margin_blocked if present else fallback)
-      const marginToRelease = Number(order.margin_blocked || (order.price * order.quantity) || 0);
+        // Calculate margin to release (use margin_blocked if present else fallback)
+        const marginToRelease = Number(order.margin_blocked || (order.price * order.quantity) || 0);
 
-      // Update order fields
-      order.order_status = "CLOSED";
-      order.closed_at = closed_at || new Date();
+        // Update order fields
+        order.order_status = "CLOSED";
+        order.closed_at = closed_at || new Date();
 
-      if (exitPrice) {
         order.closed_ltp = exitPrice;
-      }
 
-      // Release intraday margin: decrease fund.intraday.used_limit
-      if (marginToRelease > 0) {
-        // ensure fund.intraday exists
-        fund.intraday = fund.intraday || { used_limit: 0, available_limit: 0 };
+        // Release intraday margin: decrease fund.intraday.used_limit
+        if (marginToRelease > 0) {
+          releaseMargin(fund, true, marginToRelease, { order, narration: 'Exit all' });
+        }
+
+        // Realized P&L book karo (fund save loop ke baad ek baar hoga)
+        const pnlFields = bookRealizedPnl(fund, order, exitPrice);
+        order.set(pnlFields);
+
+        // Clear margin on the order
+        order.margin_blocked = 0;
+        order.updatedAt = new Date();
+
+        // Save order
+        await order.save({ session });
+        await resolveBracketLegs(order, {}, session);
 
-        fund.intraday.used_limit = Number(fund.intraday.used_limit || 0) - marginToRelease;
-        if (fund.intraday.used_limit < 0) fund.intraday.used_limit = 0;
+        results.push({ id: order._id, status: "Success", exit_price: exitPrice, released: marginToRelease, realized_pnl: pnlFields.realized_pnl });
       }
 
-      // Clear margin on the order
-      order.margin_blocked = 0;
-      order.updatedAt = new Date();
+      await applyExitRemargin(fund, remargin, session);
 
-      // Save order
-      await order.save();
+      // Save fund after processing all orders
+      await fund.save({ session });
 
-      results.push({ id: order._id, status: "Success", exit_price: exitPrice, released: marginToRelease });
-    } catch (error) {
-      console.error(`Failed to exit order ${order._id}:`, error);
-      results.push({ id: order._id, status: "Failed", error: error.message });
+      return { results };
+    });
+  } catch (err) {
+    if (err instanceof TradeError) {
+      return res.status(err.status).json({ success: false, message: err.message });
     }
+    console.error("Exit all failed, no order was closed:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to exit orders",
+      error: err.message,
+    });
   }
 
-  // Save fund after processing all orders
-  try {
-    await fund.save();
-  } catch (err) {
-    console.error("Failed to save fund after releasing margins:", err);
-    // If fund save fails, return 500 with details (orders may have been closed though)
-    return res.status(500).json({
+  if (outcome.empty) {
+    console.log("No orders found for:", broker_id_str, customer_id_str);
+    return res.status(200).json({
       success: false,
-      message: "Failed to update fund after exiting orders",
-      details: results,
-      fundError: err.message,
+      message: "No open Intraday orders found to exit.",
     });
   }
 
+  const { results } = outcome;
+
   res.status(200).json({
     success: true,
     message: `Processed ${results.length} orders`,
@@ -529,5 +1275,69 @@ const exitAllOpenOrder = asyncHandler(async (req, res) => {
   });
 });
 
+// Order ticket preview: same ChargesCalculator that books the executed legs
+const chargesPreview = asyncHandler(async (req, res) => {
+  const source = req.method === "GET" ? req.query || {} : req.body || {};
+  const { segment, symbol, product = "MIS", side = "BUY", price, quantity, exit_price } = source;
+
+  const priceNum = Number(price);
+  const qtyNum = Number(quantity);
+
+  if (!symbol && !segment)
+    return res.status(400).json({ ok: false, error: "segment or symbol is required" });
+  if (!["BUY", "SELL"].includes(String(side).toUpperCase()))
+    return res.status(400).json({ ok: false, error: "side must be BUY or SELL" });
+  if (!Number.isFinite(priceNum) || priceNum <= 0 || !Number.isFinite(qtyNum) || qtyNum <= 0)
+    return res.status(400).json({ ok: false, error: "price and quantity must be positive numbers" });
+
+  const sideNorm = String(side).toUpperCase();
+  const base = {
+    segment,
+    symbol,
+    product: String(product).trim().toUpperCase(),
+    quantity: qtyNum,
+  };
+
+  const entry = calculateLegCharges({ ...base, side: sideNorm, price: priceNum });
+  // Round-trip estimate: exit same price pe (ya diya hua exit_price)
+  const exit = calculateLegCharges({
+    ...base,
+    side: sideNorm === "BUY" ? "SELL" : "BUY",
+    price: Number(exit_price) > 0 ? Number(exit_price) : priceNum,
+  });
+
+  return res.json({
+    ok: true,
+    entry,
+    exit,
+    round_trip_total: Number((entry.total + exit.total).toFixed(2)),
+  });
+});
+
+// Cancel a PENDING LIMIT / SL order and release its blocked margin
+const cancelOrder = asyncHandler(async (req, res) => {
+  const { order_id } = req.body || {};
+
+  if (!order_id) {
+    return res.status(400).json({ success: false, message: 'order_id is required' });
+  }
+
+  const existing = await Order.findById(order_id).lean();
+  if (!existing) {
+    return res.status(404).json({ success: false, message: 'Order not found' });
+  }
+
+  if (!['PENDING', 'AMO'].includes(existing.order_status)) {
+    return res.status(400).json({ success: false, message: `Only PENDING / AMO orders can be cancelled (current: ${existing.order_status || 'OVERNIGHT'})` });
+  }
+
+  const cancelled = await cancelPendingOrder(existing._id);
+  if (!cancelled) {
+    // Race: tick ne beech me fill kar diya
+    return res.status(409).json({ success: false, message: 'Order was filled before it could be cancelled' });
+  }
+
+  return res.status(200).json({ success: true, message: 'Order cancelled', order: cancelled });
+});
 
-export { getOrderInstrument, postOrder, updateOrder, exitAllOpenOrder };
+export { placeOrder, placeBasketOrders, getOrderInstrument, postOrder, updateOrder, partialExitOrder, exitAllOpenOrder, cancelOrder, chargesPreview };
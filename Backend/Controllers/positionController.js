@@ -0,0 +1,51 @@
+import asyncHandler from 'express-async-handler';
+import { getPositions as buildPositions, getHoldings as buildHoldings } from '../services/positionService.js';
+
+// Totals for the summary strip (day P&L / holdings value)
+const summarize = (rows) => rows.reduce((acc, p) => {
+  acc.realized_pnl += p.realized_pnl;
+  acc.unrealized_pnl += p.unrealized_pnl;
+  acc.charges += p.charges;
+  acc.pnl += p.pnl;
+  acc.invested += Math.abs(p.quantity) * p.average_price;
+  acc.current_value += Math.abs(p.quantity) * (p.ltp || p.average_price);
+  return acc;
+}, { realized_pnl: 0, unrealized_pnl: 0, charges: 0, pnl: 0, invested: 0, current_value: 0 });
+
+const roundTotals = (totals) => Object.fromEntries(
+  Object.entries(totals).map(([k, v]) => [k, Number(v.toFixed(2))])
+);
+
+// GET /api/positions?broker_id_str=..&customer_id_str=..
+const getPositions = asyncHandler(async (req, res) => {
+  const { broker_id_str, customer_id_str } = req.query;
+  if (!broker_id_str || !customer_id_str) {
+    return res.status(400).json({ ok: false, error: "broker_id_str and customer_id_str are required" });
+  }
+
+  try {
+    const positions = await buildPositions({ broker_id_str, customer_id_str });
+    return res.json({ ok: true, positions, totals: roundTotals(summarize(positions)) });
+  } catch (err) {
+    console.error("getPositions error:", err);
+    return res.status(500).json({ ok: false, error: "Failed to build positions" });
+  }
+});
+
+// GET /api/holdings?broker_id_str=..&customer_id_str=..
+const getHoldings = asyncHandler(async (req, res) => {
+  const { broker_id_str, customer_id_str } = req.query;
+  if (!broker_id_str || !customer_id_str) {
+    return res.status(400).json({ ok: false, error: "broker_id_str and customer_id_str are required" });
+  }
+
+  try {
+    const holdings = await buildHoldings({ broker_id_str, customer_id_str });
+    return res.json({ ok: true, holdings, totals: roundTotals(summarize(holdings)) });
+  } catch (err) {
+    console.error("getHoldings error:", err);
+    return res.status(500).json({ ok: false, error: "Failed to build holdings" });
+  }
+});
+
+export { getPositions, getHoldings };
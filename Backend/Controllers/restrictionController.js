@@ -0,0 +1,127 @@
+import asyncHandler from 'express-async-handler';
+import InstrumentRestriction from '../Model/InstrumentRestrictionModel.js';
+import {
+  RESTRICTION_TYPES,
+  RESTRICTION_MODES,
+  getActiveRestrictions,
+  invalidateRestrictions,
+  normalizeRestriction,
+  importBanList,
+} from '../Utils/RestrictionManager.js';
+
+const isAdmin = (req) => req.role === 'broker' && req.user?.role === 'admin';
+
+// Write scope: global => sirf admin, warna broker ke apne customers
+const resolveWriteScope = (req, global) => {
+  if (req.role !== 'broker') return { error: 'Only brokers can manage restrictions' };
+  if (global) {
+    return isAdmin(req) ? { broker_id_str: null } : { error: 'Only admin can manage global restrictions' };
+  }
+  return { broker_id_str: String(req.user.login_id) };
+};
+
+const canEdit = (req, restriction) => (
+  restriction.broker_id_str === null
+    ? isAdmin(req)
+    : req.role === 'broker' && String(req.user?.login_id) === restriction.broker_id_str
+);
+
+const isTrue = (value) => value === true || value === 'true';
+
+const createdBy = (req) => ({ user_id: String(req.user?._id || ''), name: req.user?.name, role: req.user?.role || req.role });
+
+// GET /api/restrictions?broker_id_str=..&all=true
+// Default: abhi active rules (global + broker). all=true => expired bhi (management screen)
+const getRestrictions = asyncHandler(async (req, res) => {
+  const { broker_id_str, all } = req.query;
+
+  const restrictions = isTrue(all)
+    ? await InstrumentRestriction.find({ broker_id_str: { $in: broker_id_str ? [null, String(broker_id_str)] : [null] } })
+      .sort({ type: 1, symbol: 1 })
+      .lean()
+    : await getActiveRestrictions(broker_id_str);
+
+  return res.json({ ok: true, types: RESTRICTION_TYPES, modes: RESTRICTION_MODES, restrictions });
+});
+
+// POST /api/restrictions (broker / admin)
+// body: { type, symbol?, instrument_token?, mode?, max_strikes?, reason?, expires_at?, global? }
+const createRestriction = asyncHandler(async (req, res) => {
+  const scope = resolveWriteScope(req, isTrue(req.body?.global));
+  if (scope.error) return res.status(403).json({ ok: false, error: scope.error });
+
+  const { update, error } = normalizeRestriction(req.body || {});
+  if (error) return res.status(400).json({ ok: false, error });
+
+  const restriction = await InstrumentRestriction.create({
+    ...update,
+    broker_id_str: scope.broker_id_str,
+    source: 'MANUAL',
+    created_by: createdBy(req),
+  });
+  invalidateRestrictions();
+
+  return res.status(201).json({ ok: true, restriction });
+});
+
+// PUT /api/restrictions/:id
+const updateRestriction = asyncHandler(async (req, res) => {
+  const existing = await InstrumentRestriction.findById(req.params.id).lean();
+  if (!existing) return res.status(404).json({ ok: false, error: 'Restriction not found' });
+  if (!canEdit(req, existing)) return res.status(403).json({ ok: false, error: 'Not allowed to change this restriction' });
+
+  const { update, error } = normalizeRestriction(req.body || {}, existing);
+  if (error) return res.status(400).json({ ok: false, error });
+
+  const restriction = await InstrumentRestriction.findByIdAndUpdate(existing._id, { $set: update }, { new: true }).lean();
+  invalidateRestrictions();
+
+  return res.json({ ok: true, restriction });
+});
+
+// DELETE /api/restrictions/:id
+const deleteRestriction = asyncHandler(async (req, res) => {
+  const existing = await InstrumentRestriction.findById(req.params.id).lean();
+  if (!existing) return res.status(404).json({ ok: false, error: 'Restriction not found' });
+  if (!canEdit(req, existing)) return res.status(403).json({ ok: false, error: 'Not allowed to remove this restriction' });
+
+  await InstrumentRestriction.deleteOne({ _id: existing._id });
+  invalidateRestrictions();
+
+  return res.json({ ok: true, id: String(existing._id) });
+});
+
+// POST /api/restrictions/ban-list/import (multipart `file` ya JSON { content })
+// body: { trade_date?, global? } - NSE fo_secban.csv ya ek line me ek symbol
+const importBanListFile = asyncHandler(async (req, res) => {
+  const scope = resolveWriteScope(req, isTrue(req.body?.global));
+  if (scope.error) return res.status(403).json({ ok: false, error: scope.error });
+
+  const text = req.file ? req.file.buffer.toString('utf8') : req.body?.content;
+  if (!text || !String(text).trim()) {
+    return res.status(400).json({ ok: false, error: 'Upload the ban list file or send its content' });
+  }
+
+  const result = await importBanList({
+    broker_id_str: scope.broker_id_str,
+    text: String(text),
+    trade_date: req.body?.trade_date,
+    created_by: createdBy(req),
+  });
+  if (result.error) return res.status(400).json({ ok: false, error: result.error });
+
+  console.log(`[Restriction] Ban list ${result.trade_date} imported by ${req.user?.login_id}: ${result.symbols.length} symbols`);
+  return res.json({
+    ok: true,
+    message: `${result.symbols.length} securities in ban for ${result.trade_date}`,
+    ...result,
+  });
+});
+
+export {
+  getRestrictions,
+  createRestriction,
+  updateRestriction,
+  deleteRestriction,
+  importBanListFile,
+};
@@ -0,0 +1,114 @@
+import crypto from 'crypto';
+import asyncHandler from 'express-async-handler';
+import IdempotencyKey from '../Model/IdempotencyKeyModel.js';
+
+// Replay window for a key (default 24h)
+const WINDOW_MS = (Number(process.env.IDEMPOTENCY_WINDOW_MINUTES) || 24 * 60) * 60 * 1000;
+const MAX_KEY_LENGTH = 128;
+
+// Price is left out on purpose: a double-tap re-reads the live tick, so the
+// retry carries a slightly different price for the very same order.
+const hashOrderRequest = (body) => {
+  const { instrument_token, side, product, order_type = 'MARKET', quantity } = body;
+  const fingerprint = [instrument_token, side, product, order_type, quantity]
+    .map(v => String(v ?? '').trim().toUpperCase())
+    .join('|');
+  return crypto.createHash('sha256').update(fingerprint).digest('hex');
+};
+
+const claimKey = async (scope, requestHash) => {
+  try {
+    return await IdempotencyKey.create({
+      ...scope,
+      request_hash: requestHash,
+      expires_at: new Date(Date.now() + WINDOW_MS),
+    });
+  } catch (err) {
+    if (err.code === 11000) return null; // already claimed
+    throw err;
+  }
+};
+
+/**
+ * Order placement idempotency.
+ * Key = `Idempotency-Key` header, or `client_order_id` in the body.
+ * - First request claims the key and runs the handler.
+ * - A 2xx response is stored and replayed to any retry with the same key.
+ * - Non-2xx releases the key, so the customer can retry after fixing the issue.
+ * Requests without a key behave exactly as before.
+ */
+const orderIdempotency = asyncHandler(async (req, res, next) => {
+  const body = req.body || {};
+  const key = String(req.get('Idempotency-Key') || body.client_order_id || '').trim();
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+  }
+
+  const { broker_id_str, customer_id_str } = body;
+  if (!broker_id_str || !customer_id_str) return next(); // controller validation will reject
+
+  const scope = {
+    broker_id_str: String(broker_id_str),
+    customer_id_str: String(customer_id_str),
+    key,
+  };
+  const requestHash = hashOrderRequest(body);
+
+  let claim = await claimKey(scope, requestHash);
+
+  if (!claim) {
+    const existing = await IdempotencyKey.findOne(scope).lean();
+
+    if (!existing || existing.expires_at < new Date()) {
+      // Window over but TTL monitor ne abhi delete nahi kiya - fresh claim
+      await IdempotencyKey.deleteOne({ ...scope, expires_at: { $lt: new Date() } });
+      claim = await claimKey(scope, requestHash);
+    } else if (existing.request_hash !== requestHash) {
+      return res.status(422).json({ error: 'Idempotency-Key was already used for a different order' });
+    } else if (existing.status === 'IN_PROGRESS') {
+      return res.status(409).json({ error: 'An order with this Idempotency-Key is still being processed' });
+    } else {
+      console.log(`[Idempotency] Replaying order response for key ${key} (${customer_id_str})`);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response_status).json(existing.response_body);
+    }
+
+    if (!claim) {
+      return res.status(409).json({ error: 'An order with this Idempotency-Key is still being processed' });
+    }
+  }
+
+  req.idempotencyKey = key;
+
+  // Response ko store karke hi client ko bhejo, taaki turant aaya retry bhi replay paaye
+  let settled = false;
+  const sendJson = res.json.bind(res);
+  res.json = (payload) => {
+    settled = true;
+    const status = res.statusCode;
+    const settle = status >= 200 && status < 300
+      ? IdempotencyKey.updateOne(
+        { _id: claim._id },
+        { $set: { status: 'COMPLETED', response_status: status, response_body: JSON.parse(JSON.stringify(payload)) } } // plain copy (order doc)
+      )
+      : IdempotencyKey.deleteOne({ _id: claim._id });
+
+    settle
+      .catch(err => console.error(`[Idempotency] Failed to settle key ${key}:`, err))
+      .finally(() => sendJson(payload));
+    return res;
+  };
+
+  // Handler crashed / responded without json - key chhod do, warna window bhar 409 milega
+  res.on('close', () => {
+    if (settled) return;
+    IdempotencyKey.deleteOne({ _id: claim._id })
+      .catch(err => console.error(`[Idempotency] Failed to release key ${key}:`, err));
+  });
+
+  next();
+});
+
+export { orderIdempotency };
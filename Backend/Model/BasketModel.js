@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+// One leg = one order of the basket (same fields as postOrder)
+const BasketLegSchema = new mongoose.Schema(
+  {
+    instrument_token: { type: String, required: true },
+    symbol: { type: String, required: true },
+    segment: { type: String },
+    lot_size: { type: Number, default: 1 },
+    side: { type: String, enum: ["BUY", "SELL"], required: true },
+    product: { type: String, enum: ["MIS", "NRML"], default: "NRML" },
+    order_type: { type: String, enum: ["MARKET", "LIMIT", "SL", "SL-M"], default: "MARKET" },
+    variety: { type: String, enum: ["REGULAR", "BO", "CO"], default: "REGULAR" },
+    price: { type: Number, default: 0 },
+    trigger_price: { type: Number, default: 0 },
+    stop_loss: { type: Number, default: 0 },
+    target: { type: Number, default: 0 },
+    quantity: { type: Number, required: true, min: 1 },
+    lots: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// Saved basket per customer. Execute => saare legs ek transaction me (all or none),
+// jitni baar chaho re-execute kar sakte ho.
+const BasketSchema = new mongoose.Schema(
+  {
+    broker_id_str: { type: String, index: true, required: true },
+    customer_id_str: { type: String, index: true, required: true },
+
+    name: { type: String, required: true, trim: true },
+    legs: { type: [BasketLegSchema], default: [] },
+
+    jobbin_price: { type: String, default: "0" },
+
+    last_executed_at: { type: Date },
+    last_basket_id: { type: String }, // Order.basket_id of the last execution
+    execution_count: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+BasketSchema.index({ broker_id_str: 1, customer_id_str: 1, name: 1 }, { unique: true });
+
+export default mongoose.model("Basket", BasketSchema);
@@ -46,6 +46,24 @@ const CustomerSchema = new Schema({
         default: null,
     },
 
+    // 🚦 TRADING ACCESS (broker controls): ACTIVE / CLOSE_ONLY (sirf exit) / BLOCKED (kill switch)
+    trading_status: {
+        type: String,
+        enum: ['ACTIVE', 'CLOSE_ONLY', 'BLOCKED'],
+        default: 'ACTIVE',
+    },
+
+    // Segment-wise permission; options_buy_only => F&O / MCX me sirf option buy
+    segment_permissions: {
+        equity: { type: Boolean, default: true },
+        fno: { type: Boolean, default: true },   // NFO / BFO + currency (CDS / BCD)
+        mcx: { type: Boolean, default: true },
+        options_buy_only: { type: Boolean, default: false },
+    },
+
+    trading_status_reason: { type: String, default: '' },
+    trading_status_updated_at: { type: Date },
+
     // NOTE: 'timestamps: true' set hai, jo automatic 'createdAt' aur 'updatedAt' field banata hai.
 }, { timestamps: true }); // <--- Yeh 'createdAt' field provide karega
 
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+// Fund ki har balance movement ka immutable record (Utils/LedgerManager.js).
+// Ek entry = ek fund account (net balance / intraday limit / used / overnight limit)
+// ka change, contra_account = paisa kahan se aaya / kahan gaya.
+// Ek operation ki saari entries ka txn_id same hota hai.
+const fundLedgerSchema = new mongoose.Schema({
+    broker_id_str: { type: String, required: true, index: true },
+    customer_id_str: { type: String, required: true, index: true },
+    txn_id: { type: String, required: true, index: true },
+
+    entry_type: {
+        type: String,
+        enum: ['DEPOSIT', 'WITHDRAWAL', 'MARGIN_BLOCK', 'MARGIN_RELEASE', 'REALIZED_PNL', 'CHARGES', 'ADJUSTMENT'],
+        required: true,
+    },
+    account: {
+        type: String,
+        enum: ['NET_BALANCE', 'INTRADAY_LIMIT', 'INTRADAY_USED', 'OVERNIGHT_LIMIT'],
+        required: true,
+    },
+    contra_account: { type: String, enum: ['BROKER', 'MARGIN', 'MARKET', 'CHARGES', 'SYSTEM'], required: true },
+
+    amount: { type: Number, required: true }, // signed: account pe +credit / -debit
+    balance_before: { type: Number, required: true },
+    balance_after: { type: Number, required: true },
+
+    // Kisne / kis cheez ne kiya
+    order_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null },
+    fund_request_id: { type: mongoose.Schema.Types.ObjectId, ref: 'FundRequest', default: null },
+    symbol: { type: String },
+    actor: {
+        user_id: { type: String },
+        name: { type: String },
+        role: { type: String },
+    },
+    narration: { type: String, default: '' },
+
+    trade_date: { type: String, index: true }, // IST YYYY-MM-DD
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+});
+
+fundLedgerSchema.index({ broker_id_str: 1, customer_id_str: 1, account: 1, createdAt: 1 });
+
+// Append-only: entry galat ho to ADJUSTMENT entry, edit / delete nahi
+const rejectMutation = function () {
+    throw new Error('Fund ledger entries are immutable');
+};
+fundLedgerSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'], rejectMutation);
+fundLedgerSchema.pre('save', function () {
+    if (!this.isNew) throw new Error('Fund ledger entries are immutable');
+});
+
+const FundLedger = mongoose.model('FundLedger', fundLedgerSchema);
+
+export default FundLedger;
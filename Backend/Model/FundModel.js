@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { snapshotFundBalances, flushFundLedger } from '../Utils/LedgerManager.js';
 
 const fundSchema = new mongoose.Schema({
     customer_id_str: {
@@ -46,24 +47,68 @@ const fundSchema = new mongoose.Schema({
         },
     },
 
-    // 4. Option Limit Tracking (Daily 10% Cap) - SEGREGATED
+    // 4. Option Limit Tracking (Daily Cap) - SEGREGATED, buy / sell alag
+    // trade_date = IST trading day (YYYY-MM-DD) of the usage; naya din => reset
     option_limit: {
         intraday: {
             used_today: { type: Number, default: 0.00 },
+            used_buy: { type: Number, default: 0.00 },
+            used_sell: { type: Number, default: 0.00 },
+            trade_date: { type: String },
             last_trade_date: { type: Date }
         },
         overnight: {
             used_today: { type: Number, default: 0.00 },
+            used_buy: { type: Number, default: 0.00 },
+            used_sell: { type: Number, default: 0.00 },
+            trade_date: { type: String },
             last_trade_date: { type: Date }
         }
     },
 
+    // 5. Option Cap per customer (broker sets): PERCENT of available limit or ABSOLUTE ₹
+    option_limit_config: {
+        intraday: {
+            buy: { mode: { type: String, enum: ['PERCENT', 'ABSOLUTE'], default: 'PERCENT' }, value: { type: Number, default: 10 } },
+            sell: { mode: { type: String, enum: ['PERCENT', 'ABSOLUTE'], default: 'PERCENT' }, value: { type: Number, default: 10 } }
+        },
+        overnight: {
+            buy: { mode: { type: String, enum: ['PERCENT', 'ABSOLUTE'], default: 'PERCENT' }, value: { type: Number, default: 10 } },
+            sell: { mode: { type: String, enum: ['PERCENT', 'ABSOLUTE'], default: 'PERCENT' }, value: { type: Number, default: 10 } }
+        }
+    },
+
+    // 6. MTM risk (broker sets): live loss allocated limit ke warning_pct pe alert,
+    // squareoff_pct pe saari open positions exit (RiskManager)
+    mtm_risk_config: {
+        enabled: { type: Boolean, default: true },
+        warning_pct: { type: Number, default: 80 },
+        squareoff_pct: { type: Number, default: 90 }
+    },
+
+    // Aaj (IST trade_date) alert / square-off ho chuka hai ya nahi - restart ke baad duplicate alert na jaye
+    mtm_risk_state: {
+        trade_date: { type: String },
+        warned_at: { type: Date },
+        squared_off_at: { type: Date }
+    },
+
     broker_mobile_number:{type: Number}
 
 }, {
     timestamps: true, 
 });
 
+// Fund ledger: load / save par balances ka snapshot, save se pehle journal => FundLedger
+fundSchema.post('init', function () {
+    snapshotFundBalances(this);
+});
+fundSchema.pre('save', async function () {
+    await flushFundLedger(this);
+});
+fundSchema.post('save', function () {
+    snapshotFundBalances(this);
+});
 
 
 const Fund = mongoose.model('FundModel', fundSchema);
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// Customer ki pay-in / pay-out request (Utils/FundRequestManager.js).
+// PENDING => broker inbox; APPROVED => ledger entry + net_available_balance update.
+const fundRequestSchema = new mongoose.Schema({
+    broker_id_str: { type: String, required: true, index: true },
+    customer_id_str: { type: String, required: true, index: true },
+
+    request_type: { type: String, enum: ['DEPOSIT', 'WITHDRAWAL'], required: true },
+    amount: { type: Number, required: true, min: 1 },
+    utr: { type: String, trim: true, default: '' }, // deposit: customer ka UTR / bank reference
+    note: { type: String, default: '' },
+    proof: {
+        url: { type: String },
+        publicId: { type: String },
+    },
+
+    status: { type: String, enum: ['PENDING', 'APPROVED', 'REJECTED', 'CANCELLED'], default: 'PENDING', index: true },
+
+    // Broker decision
+    decided_by: {
+        user_id: { type: String },
+        name: { type: String },
+        role: { type: String },
+    },
+    decided_at: { type: Date },
+    rejection_reason: { type: String, default: '' },
+    payout_reference: { type: String, default: '' }, // withdrawal: broker ka transfer UTR
+    balance_after: { type: Number },                  // approve ke baad net_available_balance
+}, {
+    timestamps: true,
+});
+
+fundRequestSchema.index({ broker_id_str: 1, status: 1, createdAt: -1 });
+fundRequestSchema.index({ broker_id_str: 1, utr: 1 });
+
+const FundRequest = mongoose.model('FundRequest', fundRequestSchema);
+
+export default FundRequest;
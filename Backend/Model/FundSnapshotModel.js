@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// Har customer ka end-of-day fund snapshot (Utils/SettlementManager.js).
+// Ek trade_date ka ek hi snapshot - EOD job dobara chale to skip.
+const fundSnapshotSchema = new mongoose.Schema({
+    broker_id_str: { type: String, required: true, index: true },
+    customer_id_str: { type: String, required: true, index: true },
+    trade_date: { type: String, required: true, index: true }, // IST YYYY-MM-DD (settled day)
+
+    // Settlement ke baad balances
+    balances: {
+        net_available_balance: { type: Number, default: 0 },
+        intraday_available_limit: { type: Number, default: 0 },
+        intraday_used_limit: { type: Number, default: 0 },
+        intraday_free_limit: { type: Number, default: 0 },
+        overnight_available_limit: { type: Number, default: 0 },
+    },
+    used_limit_before: { type: Number, default: 0 }, // recompute se pehle (drift dekhne ke liye)
+
+    // Agle din carry hone wala margin
+    margin: {
+        intraday_open: { type: Number, default: 0 },     // OPEN MIS (square-off miss hua)
+        hold_carried: { type: Number, default: 0 },      // HOLD positions
+        overnight_carried: { type: Number, default: 0 }, // NRML positions
+        pending: { type: Number, default: 0 },           // resting PENDING / AMO orders
+    },
+
+    // Din ka realized P&L (CLOSED orders)
+    realized: {
+        orders: { type: Number, default: 0 },
+        gross: { type: Number, default: 0 },
+        charges: { type: Number, default: 0 },
+        net: { type: Number, default: 0 },
+        settled_amount: { type: Number, default: 0 }, // ledger me kam / zyada book hua tha => EOD entry
+    },
+
+    open_positions: { type: Number, default: 0 },
+    unrealized_pnl: { type: Number, default: 0 },
+    settled_at: { type: Date, default: Date.now },
+}, {
+    timestamps: true,
+});
+
+fundSnapshotSchema.index({ broker_id_str: 1, customer_id_str: 1, trade_date: 1 }, { unique: true });
+
+const FundSnapshot = mongoose.model('FundSnapshot', fundSnapshotSchema);
+
+export default FundSnapshot;
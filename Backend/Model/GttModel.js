@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+
+// One leg = trigger + the order to place when it is hit
+const GttLegSchema = new mongoose.Schema(
+  {
+    trigger_price: { type: Number, required: true },
+    side: { type: String, enum: ["BUY", "SELL"], required: true },
+    product: { type: String, enum: ["MIS", "NRML"], default: "NRML" },
+    order_type: { type: String, enum: ["MARKET", "LIMIT"], default: "LIMIT" },
+    price: { type: Number, default: 0 }, // limit price; MARKET => LTP at trigger
+    quantity: { type: Number, required: true, min: 1 },
+    lots: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// Good-Till-Triggered instruction. Instrument hold karna zaroori nahi;
+// trigger hit hone par normal placeOrder (fund checks same) se order banta hai.
+const GttSchema = new mongoose.Schema(
+  {
+    broker_id_str: { type: String, index: true, required: true },
+    customer_id_str: { type: String, index: true, required: true },
+
+    instrument_token: { type: String, index: true, required: true },
+    symbol: { type: String, required: true },
+    segment: { type: String },
+    lot_size: { type: Number, default: 1 },
+
+    // SINGLE => 1 leg, OCO => 2 legs (one trigger above last_price, one below)
+    gtt_type: { type: String, enum: ["SINGLE", "OCO"], required: true },
+    legs: { type: [GttLegSchema], default: [] },
+
+    // LTP when the GTT was created/modified; a leg fires when price crosses its
+    // trigger coming from this side (trigger above => LTP >= trigger, below => LTP <= trigger)
+    last_price: { type: Number, required: true },
+
+    jobbin_price: { type: String, default: "0" },
+
+    // ACTIVE -> TRIGGERED (order placed) / REJECTED (placement failed) / CANCELLED / EXPIRED
+    status: {
+      type: String,
+      enum: ["ACTIVE", "TRIGGERED", "REJECTED", "CANCELLED", "EXPIRED"],
+      default: "ACTIVE",
+      index: true,
+    },
+    expires_at: { type: Date, required: true }, // max 1 year from creation
+
+    triggered_at: { type: Date },
+    triggered_leg: { type: Number }, // index in legs
+    triggered_ltp: { type: Number },
+    order_id: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+    reason: { type: String }, // rejection / cancel reason
+
+    meta: { type: Object, default: {} },
+  },
+  { timestamps: true }
+);
+
+GttSchema.index({ status: 1, expires_at: 1 });
+
+export default mongoose.model("Gtt", GttSchema);
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// One row per (broker, customer, key). First request claims the key as IN_PROGRESS,
+// successful response is stored as COMPLETED and replayed to retries until expires_at.
+const IdempotencyKeySchema = new mongoose.Schema({
+  broker_id_str: { type: String, required: true },
+  customer_id_str: { type: String, required: true },
+  key: { type: String, required: true }, // Idempotency-Key header / client_order_id
+
+  // Stable order fields (token, side, product, type, qty) - same key with a different order => 422
+  request_hash: { type: String, required: true },
+
+  status: { type: String, enum: ['IN_PROGRESS', 'COMPLETED'], default: 'IN_PROGRESS' },
+  response_status: { type: Number },
+  response_body: { type: Object },
+
+  expires_at: { type: Date, required: true },
+}, { timestamps: true });
+
+IdempotencyKeySchema.index({ broker_id_str: 1, customer_id_str: 1, key: 1 }, { unique: true });
+// Mongo TTL monitor deletes the row once the replay window is over
+IdempotencyKeySchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
+
+export default IdempotencyKey;
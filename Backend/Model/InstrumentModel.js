@@ -10,6 +10,7 @@ const InstrumentSchema = new mongoose.Schema({
   strike: { type: Number },
   tick_size: { type: Number },
   lot_size: { type: Number },
+  freeze_qty: { type: Number }, // exchange max qty per order (optional; else InstrumentManager.FREEZE_LIMITS)
   instrument_type: { type: String },
   segment: { type: String },
   exchange: { type: String },
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// Restricted scrips (Utils/RestrictionManager.js). broker_id_str null => admin ka global rule
+// (sab brokers pe), warna sirf us broker ke customers pe.
+//   FNO_BAN  => exchange F&O ban (underlying, daily ban file se import)
+//   ILLIQUID => illiquid contract / underlying
+//   FAR_OTM  => underlying ke options, spot se max_strikes se zyada door OTM ('*' => sab)
+//   SYMBOL   => koi specific symbol / instrument_token
+// mode: EXIT_ONLY => fresh position / qty badhana band, exit allowed
+//       NO_SHORT  => fresh SELL (futures short / option writing) band
+const instrumentRestrictionSchema = new mongoose.Schema({
+    broker_id_str: { type: String, default: null, index: true },
+
+    type: { type: String, enum: ['FNO_BAN', 'ILLIQUID', 'FAR_OTM', 'SYMBOL'], required: true },
+    symbol: { type: String, uppercase: true, trim: true }, // underlying name ya tradingsymbol
+    instrument_token: { type: String, default: null },     // specific contract (optional)
+    max_strikes: { type: Number, default: null },           // FAR_OTM only
+
+    mode: { type: String, enum: ['EXIT_ONLY', 'NO_SHORT'], default: 'EXIT_ONLY' },
+    reason: { type: String, default: '' },
+
+    source: { type: String, enum: ['MANUAL', 'BAN_FILE'], default: 'MANUAL' },
+    trade_date: { type: String, default: null }, // BAN_FILE: IST YYYY-MM-DD
+    expires_at: { type: Date, default: null },   // null => jab tak hataya na jaye
+
+    created_by: {
+        user_id: { type: String },
+        name: { type: String },
+        role: { type: String },
+    },
+}, {
+    timestamps: true,
+});
+
+instrumentRestrictionSchema.index({ broker_id_str: 1, type: 1, symbol: 1 });
+
+const InstrumentRestriction = mongoose.model('InstrumentRestriction', instrumentRestrictionSchema);
+
+export default InstrumentRestriction;
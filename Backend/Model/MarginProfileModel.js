@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+// Segment-wise margin rules. customer_id_str null => broker ka default (sab customers),
+// warna us customer ka override. Rule: { mode: LEVERAGE|PERCENT, value, squareoff_pct }
+// keyed by margin segment (EQ_INTRADAY, FUT, OPT_SELL... see Utils/LeverageManager.js).
+const marginProfileSchema = new mongoose.Schema({
+    broker_id_str: { type: String, required: true, index: true },
+    customer_id_str: { type: String, default: null, index: true },
+
+    rules: { type: Object, default: {} },
+
+    updated_by: {
+        user_id: { type: String },
+        name: { type: String },
+    },
+}, {
+    timestamps: true,
+});
+
+marginProfileSchema.index({ broker_id_str: 1, customer_id_str: 1 }, { unique: true });
+
+const MarginProfile = mongoose.model('MarginProfile', marginProfileSchema);
+
+export default MarginProfile;
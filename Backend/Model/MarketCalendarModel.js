@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// Exchange calendar ke din (Utils/MarketCalendarManager.js), broker / admin update karte hain.
+//   HOLIDAY => in markets ka din band (weekend + cron/marketCalendar.js ki NSE list ke alawa)
+//   SPECIAL => sessions us din ka regular schedule replace karte hain, holiday / weekend par bhi
+//              (Muhurat trading, special live session)
+const sessionSchema = new mongoose.Schema({
+    session: { type: String, required: true },  // MUHURAT, NORMAL, ...
+    start: { type: String, required: true },    // IST "HH:MM"
+    end: { type: String, required: true },      // IST "HH:MM" (exclusive)
+    accepts_orders: { type: Boolean, default: true },
+}, { _id: false });
+
+const marketCalendarSchema = new mongoose.Schema({
+    date: { type: String, required: true, index: true }, // IST YYYY-MM-DD
+    type: { type: String, enum: ['HOLIDAY', 'SPECIAL'], required: true },
+    markets: { type: [String], enum: ['EQ', 'FO', 'CDS', 'MCX'], default: ['EQ', 'FO', 'CDS', 'MCX'] },
+    sessions: { type: [sessionSchema], default: [] }, // SPECIAL only
+    name: { type: String, default: '' },             // "Diwali Muhurat trading"
+
+    created_by: {
+        user_id: { type: String },
+        name: { type: String },
+        role: { type: String },
+    },
+}, {
+    timestamps: true,
+});
+
+const MarketCalendar = mongoose.model('MarketCalendar', marketCalendarSchema);
+
+export default MarketCalendar;
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// Option cap config change history (kisne, kab, kya badla). Append-only.
+const optionLimitAuditSchema = new mongoose.Schema({
+    broker_id_str: { type: String, required: true, index: true },
+    customer_id_str: { type: String, required: true, index: true },
+
+    changed_by: {
+        user_id: { type: String },
+        role: { type: String },
+        name: { type: String },
+    },
+
+    before: { type: Object, default: {} }, // option_limit_config before the change
+    after: { type: Object, default: {} },
+    note: { type: String },
+    ip: { type: String },
+}, {
+    timestamps: true,
+});
+
+optionLimitAuditSchema.index({ broker_id_str: 1, customer_id_str: 1, createdAt: -1 });
+
+const OptionLimitAudit = mongoose.model('OptionLimitAudit', optionLimitAuditSchema);
+
+export default OptionLimitAudit;
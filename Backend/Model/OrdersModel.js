@@ -11,23 +11,31 @@ const OrderSchema = new mongoose.Schema(
     instrument_token: { type: String, index: true, required: true }, // Kite instrument token
     symbol: { type: String, required: true }, // e.g. "RELIANCE" / "NIFTY24NOV19500CE"
     segment: { type: String, require: true },
+    instrument_type: { type: String }, // master: EQ / FUT / CE / PE (option detection)
     // exchange: { type: String, required: true },                      // optional for now
 
     // --- Order intent ---
     side: { type: String, enum: ["BUY", "SELL"], required: true },
-    // order_type: { type: String, enum: ['MARKET', 'LIMIT'], required: true },
+    // MARKET => executes immediately, LIMIT => rests as PENDING until a tick crosses `price`
+    // SL / SL-M => dormant PENDING until `trigger_price` is crossed, then becomes LIMIT (`price`) / MARKET
+    order_type: { type: String, enum: ["MARKET", "LIMIT", "SL", "SL-M"], default: "MARKET" },
+    // BO = entry + stop leg + target leg (OCO), CO = entry + compulsory stop leg; both intraday only
+    variety: { type: String, enum: ["REGULAR", "BO", "CO"], default: "REGULAR" },
+    leg_type: { type: String, enum: ["ENTRY", "STOPLOSS", "TARGET"] }, // BO / CO only
+    bracket_id: { type: String, index: true }, // entry order _id, shared by every leg of the group
     closed_ltp: { type: Number },
     product: { type: String, enum: ["MIS", "NRML"], required: true }, // intraday vs overnight
     price: { type: Number, default: 0 }, // limit price; MARKET => 0
     expire: { type: Date },
     came_From: { type: String, enum: ["Open", "Overnight", "Hold"] },
-    // trigger_price: { type: Number, default: 0 },                     // future SL use
+    trigger_price: { type: Number, default: 0 }, // SL / SL-M entry trigger
+    triggered_at: { type: Date }, // set once an SL order has been triggered (now a resting limit)
 
     // --- Quantity (store absolute quantity in shares; also keep lots for F&O UI) ---
     quantity: { type: Number, required: true, min: 1 }, // abs qty = lots * lot_size
     lots: { type: Number, default: 0 }, // UI display only
     lot_size: { type: Number, default: 1 }, // snapshot from instrument
-    brokerage: { type: Number, default: 0.01 },
+    brokerage: { type: Number, default: 0.01 }, // percent of turnover per leg (0.01 => 0.01%), capped ₹20
     stop_loss: {
       type: Number,
       default: 0,
@@ -40,6 +48,13 @@ const OrderSchema = new mongoose.Schema(
       index: true,
     },
 
+    // Trailing stop: stop_loss ratchets with the best price seen since entry
+    // POINTS => distance in price, PERCENT => distance as % of best price
+    trailing_sl_type: { type: String, enum: ["POINTS", "PERCENT"] },
+    trailing_sl_value: { type: Number, default: 0 },
+    trail_best_price: { type: Number, default: 0 }, // persisted high/low watermark
+    trail_active: { type: Boolean, default: false }, // stop_loss trail se aaya (original stop se tighter)
+
     // Ye field record karega ki order kyu close hua (SL Hit, Target Hit, ya Manual)
     exit_reason: {
       type: String,
@@ -55,12 +70,20 @@ const OrderSchema = new mongoose.Schema(
     // --- Execution summary ---
     filled_qty: { type: Number, default: 0 },
     avg_fill_price: { type: Number, default: 0 },
+    realized_pnl: { type: Number, default: 0 }, // net of charges, booked into Fund on close
+    charges: { type: Number, default: 0 },
+    charges_breakdown: { type: Object, default: {} }, // { entry: {...}, exit: {...} } per ChargesCalculator
+    parent_order_id: { type: mongoose.Schema.Types.ObjectId, ref: "Order", index: true }, // partial-exit leg => order it was cut from
 
     // --- New: UI buckets / tags ---
     // Open/Closed == UI filter; CLOSED when fully filled/cancelled/rejected
+    // PENDING = LIMIT order waiting in the book (margin blocked, not yet a position)
+    // AMO = placed after market hours, margin reserved, released at next open
+    // CANCELLED / EXPIRED = PENDING order that never filled (margin released)
+    // TRIGGER_PENDING / FILLED = BO / CO exit leg waiting / executed (P&L is on the entry order)
     order_status: {
       type: String,
-      enum: ["OPEN", "CLOSED", "HOLD"],
+      enum: ["OPEN", "CLOSED", "HOLD", "PENDING", "AMO", "CANCELLED", "EXPIRED", "TRIGGER_PENDING", "FILLED"],
       default: "OPEN",
       index: true,
     },
@@ -89,7 +112,12 @@ const OrderSchema = new mongoose.Schema(
     // --- Broker/Exchange references (real execution mode) ---
     broker_order_id: { type: String, index: true },
     exchange_order_id: { type: String, index: true },
-    // reason: { type: String }, // rejection/cancel reason
+    reason: { type: String }, // rejection/cancel reason
+    client_order_id: { type: String, index: true }, // Idempotency-Key / client_order_id sent by the app
+    slice_id: { type: String, index: true }, // freeze-limit auto-slice group (same for all child orders)
+    basket_id: { type: String, index: true }, // basket execution group (all legs placed together)
+    margin_rule: { type: Object }, // leverage snapshot at placement { segment, mode, value, rate, squareoff_pct }
+    squareoff_price: { type: Number, default: 0 }, // margin square-off level (loss = squareoff_pct of blocked margin)
 
     // --- Risk snapshot (optional but useful) ---
     margin_blocked: { type: Number, default: 0 },
@@ -97,6 +125,7 @@ const OrderSchema = new mongoose.Schema(
 
     // --- Audit ---
     placed_at: { type: Date },
+    filled_at: { type: Date },
     closed_at: { type: Date },
     updated_at: { type: Date },
     meta: { type: Object, default: {} }, // free-form (ui/device/ip etc.)
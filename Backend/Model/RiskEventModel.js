@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// MTM risk engine ke alerts / auto square-off ka record (RiskManager). Append-only.
+const riskEventSchema = new mongoose.Schema({
+    broker_id_str: { type: String, required: true, index: true },
+    customer_id_str: { type: String, required: true, index: true },
+
+    level: { type: String, enum: ['WARNING', 'SQUAREOFF'], required: true },
+    trade_date: { type: String }, // IST YYYY-MM-DD
+
+    mtm: { type: Number, default: 0 },            // unrealized + aaj ka realized
+    unrealized_pnl: { type: Number, default: 0 },
+    realized_pnl: { type: Number, default: 0 },
+    allocated_limit: { type: Number, default: 0 },
+    loss_pct: { type: Number, default: 0 },
+    threshold_pct: { type: Number, default: 0 },
+
+    // SQUAREOFF: kaunse orders exit hue / fail hue
+    orders: [{
+        order_id: { type: String },
+        symbol: { type: String },
+        exit_price: { type: Number },
+        ok: { type: Boolean },
+        error: { type: String },
+    }],
+}, {
+    timestamps: true,
+});
+
+riskEventSchema.index({ broker_id_str: 1, customer_id_str: 1, createdAt: -1 });
+
+const RiskEvent = mongoose.model('RiskEvent', riskEventSchema);
+
+export default RiskEvent;
@@ -12,7 +12,9 @@ import {
   restoreCustomer,
   permanentDeleteCustomer,
   uploadProfilePhoto,
-  getCustomerDetails
+  getCustomerDetails,
+  updateTradingAccess,
+  killSwitchCustomer
 } from '../Controllers/CustomerController.js';
 // IMPORTANT: JWT verification ke liye
 import { protect } from '../Middleware/authMiddleware.js';
@@ -50,6 +52,10 @@ router.delete('/deleteCustomer/:id', protect, deleteCustomer);
 router.get('/customer/:customerId', protect, getCustomerDetails);
 router.put('/customer/:customerId/profile-photo', protect, upload.single('profilePhoto'), uploadProfilePhoto);
 
+// --- TRADING ACCESS (kill switch / segment permissions) ---
+router.put('/customer/:customerId/trading-access', protect, updateTradingAccess);
+router.post('/customer/:customerId/kill-switch', protect, killSwitchCustomer);
+
 // --- RECYCLE BIN ROUTES ---
 router.get('/deleted-customers', protect, getDeletedCustomers);
 router.post('/restore-customer/:id', protect, restoreCustomer);
@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  createBasket,
+  getBaskets,
+  updateBasket,
+  deleteBasket,
+  executeBasket,
+  executeLegs,
+} from '../Controllers/basketController.js';
+
+const router = express.Router();
+
+router.post('/', createBasket);
+router.get('/', getBaskets);
+router.post('/execute', executeLegs);
+router.put('/:id', updateBasket);
+router.delete('/:id', deleteBasket);
+router.post('/:id/execute', executeBasket);
+
+export default router;
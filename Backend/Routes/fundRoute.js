@@ -1,12 +1,41 @@
 import express from 'express';
-import { updateNetAvailableBalance, getFunds, updateIntradayAvailabeLimit , updateOvernightAvailableLimit, updateBrokerMobile} from '../Controllers/fundController.js';
+import multer from 'multer';
+import { updateNetAvailableBalance, getFunds, updateIntradayAvailabeLimit , updateOvernightAvailableLimit, updateBrokerMobile, getOptionLimit, updateOptionLimit, getOptionLimitAudit, getRiskLimit, updateRiskLimit, getRiskEvents, getFundLedger, getEodSnapshots } from '../Controllers/fundController.js';
+import { createFundRequest, getFundRequests, getWithdrawable, approveFundRequest, rejectFundRequest, cancelFundRequest } from '../Controllers/fundRequestController.js';
+import { protect } from '../Middleware/authMiddleware.js';
 
 const router = express.Router();
 
-router.put('/updateNetAvailableBalance', updateNetAvailableBalance);
+// Pay-in proof (payment screenshot)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (['image/jpeg', 'image/png', 'image/jpg'].includes(file.mimetype)) cb(null, true);
+    else cb(new Error('Only JPG and PNG images are allowed'), false);
+  },
+  limits: { fileSize: 2 * 1024 * 1024 }, // 2MB
+});
+
+router.put('/updateNetAvailableBalance', protect, updateNetAvailableBalance);
 router.get('/getFunds', getFunds);
-router.put('/updateIntradayAvailableLimit', updateIntradayAvailabeLimit);
-router.put('/updateOvernightAvailableLimit', updateOvernightAvailableLimit);
+router.put('/updateIntradayAvailableLimit', protect, updateIntradayAvailabeLimit);
+router.put('/updateOvernightAvailableLimit', protect, updateOvernightAvailableLimit);
 router.put('/updateBrokerMobile', updateBrokerMobile);
+router.get('/optionLimit', getOptionLimit);
+router.put('/optionLimit', protect, updateOptionLimit);
+router.get('/optionLimit/audit', getOptionLimitAudit);
+router.get('/risk', getRiskLimit);
+router.put('/risk', protect, updateRiskLimit);
+router.get('/risk/events', getRiskEvents);
+router.get('/ledger', getFundLedger);
+router.get('/eod', getEodSnapshots);
+
+// --- PAY-IN / PAY-OUT REQUESTS ---
+router.post('/requests', protect, upload.single('proof'), createFundRequest);
+router.get('/requests', protect, getFundRequests);
+router.put('/requests/:id/approve', protect, approveFundRequest);
+router.put('/requests/:id/reject', protect, rejectFundRequest);
+router.put('/requests/:id/cancel', protect, cancelFundRequest);
+router.get('/withdrawable', protect, getWithdrawable);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,11 @@
+import express from 'express';
+import { createGtt, getGtts, modifyGtt, cancelGtt } from '../Controllers/gttController.js';
+
+const router = express.Router();
+
+router.post('/', createGtt);
+router.get('/', getGtts);
+router.put('/:id', modifyGtt);
+router.delete('/:id', cancelGtt);
+
+export default router;
@@ -0,0 +1,11 @@
+import express from 'express';
+import { getMarginProfile, updateMarginProfile, calculateMargin } from '../Controllers/marginController.js';
+import { protect } from '../Middleware/authMiddleware.js';
+
+const router = express.Router();
+
+router.get('/profile', getMarginProfile);
+router.put('/profile', protect, updateMarginProfile);
+router.post('/calculate', calculateMargin);
+
+export default router;
@@ -0,0 +1,21 @@
+import express from 'express';
+import {
+  getMarketStatus,
+  getMarketCalendar,
+  createCalendarEntry,
+  updateCalendarEntry,
+  deleteCalendarEntry,
+} from '../Controllers/marketController.js';
+import { protect } from '../Middleware/authMiddleware.js';
+
+const router = express.Router();
+
+router.get('/status', getMarketStatus);
+
+// Holidays + special sessions (Muhurat etc.)
+router.get('/calendar', getMarketCalendar);
+router.post('/calendar', protect, createCalendarEntry);
+router.put('/calendar/:id', protect, updateCalendarEntry);
+router.delete('/calendar/:id', protect, deleteCalendarEntry);
+
+export default router;
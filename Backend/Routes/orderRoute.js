@@ -1,11 +1,15 @@
 import express from 'express';
-import { postOrder, getOrderInstrument, updateOrder, exitAllOpenOrder } from '../Controllers/orderController.js';
+import { postOrder, getOrderInstrument, updateOrder, partialExitOrder, exitAllOpenOrder, cancelOrder, chargesPreview } from '../Controllers/orderController.js';
+import { orderIdempotency } from '../Middleware/idempotency.js';
 
 const router = express.Router();
 
-router.post('/postOrder', postOrder);
+router.post('/postOrder', orderIdempotency, postOrder);
 router.get('/getOrderInstrument', getOrderInstrument);
 router.post('/updateOrder', updateOrder);
+router.post('/partialExit', partialExitOrder);
 router.put('/exitAllOpenOrder', exitAllOpenOrder);
+router.post('/cancelOrder', cancelOrder);
+router.post('/charges-preview', chargesPreview);
 
 export default router;
\ No newline at end of file
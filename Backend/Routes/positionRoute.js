@@ -0,0 +1,9 @@
+import express from 'express';
+import { getPositions, getHoldings } from '../Controllers/positionController.js';
+
+const router = express.Router();
+
+router.get('/positions', getPositions);
+router.get('/holdings', getHoldings);
+
+export default router;
@@ -0,0 +1,26 @@
+import express from 'express';
+import multer from 'multer';
+import {
+  getRestrictions,
+  createRestriction,
+  updateRestriction,
+  deleteRestriction,
+  importBanListFile,
+} from '../Controllers/restrictionController.js';
+import { protect } from '../Middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Daily ban list (CSV / text) memory me, 1MB kaafi hai
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 },
+});
+
+router.get('/', getRestrictions);
+router.post('/', protect, createRestriction);
+router.post('/ban-list/import', protect, upload.single('file'), importBanListFile);
+router.put('/:id', protect, updateRestriction);
+router.delete('/:id', protect, deleteRestriction);
+
+export default router;
@@ -0,0 +1,142 @@
+import Order from '../Model/OrdersModel.js';
+import { lmf as dhanSocket } from '../index.js';
+import { fetchLtps } from './PriceManager.js';
+import { addToWatchlist } from './OrderManager.js';
+import {
+    addPendingOrder,
+    adjustMarginForFill,
+    isLimitCrossed,
+    releasePendingMargin,
+} from './PendingOrderManager.js';
+import { calculateOrderLegCharges } from './ChargesCalculator.js';
+import { runTradeTransaction, TradeError } from '../services/tradeTransaction.js';
+import { resolveMarket } from './marketStatus.js';
+import { computeMargin, computeSquareoffPrice, orderMarginRate } from './LeverageManager.js';
+
+// =========================================================
+// AFTER-MARKET ORDERS (AMO)
+// Market band hone par placeOrder order ko AMO status me rakhta hai
+// (margin reserved at limit / last price). Har market ke open par
+// (EQ / F&O 09:15, CDS / MCX 09:00 IST) yahan se release:
+//   MARKET            -> opening LTP pe fill (margin re-adjust)
+//   LIMIT marketable  -> opening LTP pe fill
+//   LIMIT otherwise   -> PENDING book me, normal resting limit
+//   no price / funds  -> REJECTED (CANCELLED + reason), margin wapis
+// =========================================================
+
+// Reject = CANCELLED with reason, reserved margin + option usage wapis
+const rejectAmo = async (orderId, reason) => {
+    const rejected = await runTradeTransaction(async (session) => {
+        const doc = await Order.findOneAndUpdate(
+            { _id: orderId, order_status: 'AMO' },
+            { $set: { order_status: 'CANCELLED', reason: `AMO rejected: ${reason}`, margin_blocked: 0, closed_at: new Date() } },
+            { new: false, session } // old doc => margin_blocked
+        );
+        if (doc) await releasePendingMargin(doc, session);
+        return doc;
+    });
+
+    if (rejected) console.log(`⚠️ [AmoManager] Rejected ${rejected.symbol} ${rejected.side}: ${reason}`);
+    return rejected;
+};
+
+/**
+ * Fill an AMO at the opening price. Extra margin (gap up on a BUY, etc.)
+ * must fit in the free limit, warna TradeError => reject.
+ */
+const fillAmo = async (order, fillPrice) => {
+    const quantity = Number(order.quantity) || 0;
+    const newMargin = computeMargin(fillPrice, quantity, orderMarginRate(order));
+    const delta = newMargin - (Number(order.margin_blocked) || 0);
+    const entryLeg = calculateOrderLegCharges(order, 'entry', fillPrice, quantity);
+
+    // Extra margin ka funds / option cap check adjustMarginForFill me (fail => TradeError => reject)
+    return runTradeTransaction(async (session) => {
+        const doc = await Order.findOneAndUpdate(
+            { _id: order._id, order_status: 'AMO' },
+            {
+                $set: {
+                    order_status: order.product === 'MIS' ? 'OPEN' : null,
+                    price: fillPrice,
+                    filled_qty: quantity,
+                    avg_fill_price: fillPrice,
+                    margin_blocked: newMargin,
+                    squareoff_price: computeSquareoffPrice({ side: order.side, price: fillPrice, marginRule: order.margin_rule }),
+                    'charges_breakdown.entry': entryLeg,
+                    filled_at: new Date(),
+                }
+            },
+            { new: true, session }
+        );
+
+        if (doc) await adjustMarginForFill(doc, delta, session);
+        return doc;
+    });
+};
+
+// LIMIT not reachable at open => normal resting limit for the day
+const moveAmoToBook = async (order) => {
+    const doc = await Order.findOneAndUpdate(
+        { _id: order._id, order_status: 'AMO' },
+        { $set: { order_status: 'PENDING' } },
+        { new: true }
+    );
+    if (doc) addPendingOrder(doc);
+    return doc;
+};
+
+/**
+ * Release queued AMOs (scheduler: each market's open on its session days).
+ * @param {Object} [opts]
+ * @param {string[]} [opts.markets] - only these markets (EQ / FO / CDS / MCX); default all
+ * @returns {Promise<{ filled: number, pending: number, rejected: number }>}
+ */
+export const releaseAmoOrders = async ({ markets } = {}) => {
+    const stats = { filled: 0, pending: 0, rejected: 0 };
+
+    const allQueued = await Order.find({ order_status: 'AMO' }).sort({ placed_at: 1 }).lean();
+    const queued = markets
+        ? allQueued.filter(o => markets.includes(resolveMarket(o.segment, o.symbol)))
+        : allQueued;
+    if (queued.length === 0) return stats;
+
+    console.log(`🔔 [AmoManager] Releasing ${queued.length} AMO orders...`);
+
+    const tokens = [...new Set(queued.map(o => String(o.instrument_token)))];
+    // Opening LTP: tick cache, baaki Kite LTP API
+    const prices = await fetchLtps(tokens);
+
+    for (const order of queued) {
+        const token = String(order.instrument_token);
+        const ltp = prices.get(token) || 0;
+
+        try {
+            if (!ltp) {
+                if (await rejectAmo(order._id, 'Opening price unavailable')) stats.rejected++;
+                continue;
+            }
+
+            if (order.order_type === 'LIMIT' && !isLimitCrossed(order.side, order.price, ltp)) {
+                if (await moveAmoToBook(order)) stats.pending++;
+            } else {
+                const filled = await fillAmo(order, ltp);
+                if (!filled) continue; // cancelled meanwhile
+
+                stats.filled++;
+                addToWatchlist(filled);
+                console.log(`✅ [AmoManager] Filled: ${filled.symbol} ${filled.side} ${filled.quantity} @ ${ltp}`);
+            }
+
+            dhanSocket.subscribe([{ instrument_token: token }]);
+        } catch (error) {
+            if (error instanceof TradeError) {
+                if (await rejectAmo(order._id, error.message)) stats.rejected++;
+            } else {
+                console.error(`❌ [AmoManager] Release Error for Order ${order._id}:`, error);
+            }
+        }
+    }
+
+    console.log(`[AmoManager] AMO release done: ${stats.filled} filled, ${stats.pending} resting, ${stats.rejected} rejected.`);
+    return stats;
+};
@@ -0,0 +1,175 @@
+import Order from '../Model/OrdersModel.js';
+
+// =========================================================
+// BRACKET (BO) / COVER (CO) ORDERS
+// Entry order carries stop_loss (+ target for BO) and sits in activeTriggers
+// like any position; onMarketTick resolves it. Exit legs are separate Order
+// docs linked by bracket_id, only for record + UI grouping:
+//   TRIGGER_PENDING -> FILLED (this leg closed the entry) / CANCELLED (OCO)
+// Margin + P&L always live on the ENTRY order.
+// =========================================================
+
+export const BRACKET_VARIETIES = ['BO', 'CO'];
+export const LEG_PENDING = 'TRIGGER_PENDING';
+
+// Minimum cover margin as a fraction of notional (gap risk beyond the stop)
+export const COVER_MIN_MARGIN_RATE = 0.1;
+
+export const isBracketOrder = (order) => BRACKET_VARIETIES.includes(order?.variety);
+
+/**
+ * Stop (and BO target) must sit on the right side of the entry reference price.
+ * Returns an error message, or null when valid.
+ */
+export const validateBracketParams = ({ variety, side, refPrice, stopLoss, target }) => {
+    const sl = Number(stopLoss) || 0;
+    const tgt = Number(target) || 0;
+    const ref = Number(refPrice) || 0;
+    const isBuy = side === 'BUY';
+
+    if (!(sl > 0)) return `${variety} order requires a stop_loss`;
+    if (variety === 'BO' && !(tgt > 0)) return 'BO order requires a target';
+    if (variety === 'CO' && tgt > 0) return 'CO order has no target leg; use BO instead';
+
+    if (!ref) return null; // reference price unknown - engine will still enforce on ticks
+
+    if (isBuy ? sl >= ref : sl <= ref) {
+        return `stop_loss must be ${isBuy ? 'below' : 'above'} the entry price ${ref}`;
+    }
+    if (tgt > 0 && (isBuy ? tgt <= ref : tgt >= ref)) {
+        return `target must be ${isBuy ? 'above' : 'below'} the entry price ${ref}`;
+    }
+    return null;
+};
+
+/**
+ * Margin on the reduced risk: distance to the stop, with a floor of
+ * COVER_MIN_MARGIN_RATE of notional, never more than full notional.
+ */
+export const computeCoverMargin = ({ refPrice, stopLoss, quantity }) => {
+    const ref = Number(refPrice) || 0;
+    const qty = Number(quantity) || 0;
+    const notional = ref * qty;
+
+    const risk = Math.abs(ref - (Number(stopLoss) || 0)) * qty;
+    const margin = Math.min(Math.max(risk, notional * COVER_MIN_MARGIN_RATE), notional);
+
+    return Number(margin.toFixed(2));
+};
+
+/**
+ * Create the exit legs for a freshly placed BO / CO entry (inside its transaction).
+ */
+export const createBracketLegs = async (entry, session) => {
+    const exitSide = entry.side === 'BUY' ? 'SELL' : 'BUY';
+
+    const base = {
+        broker_id_str: entry.broker_id_str,
+        customer_id_str: entry.customer_id_str,
+        instrument_token: entry.instrument_token,
+        symbol: entry.symbol,
+        segment: entry.segment,
+        side: exitSide,
+        product: entry.product,
+        quantity: entry.quantity,
+        lots: entry.lots,
+        lot_size: entry.lot_size,
+        variety: entry.variety,
+        bracket_id: String(entry._id),
+        parent_order_id: entry._id,
+        order_status: LEG_PENDING,
+        margin_blocked: 0,
+        placed_at: new Date(),
+        meta: { from: 'bracket_leg' },
+    };
+
+    const legs = [{
+        ...base,
+        leg_type: 'STOPLOSS',
+        order_type: 'SL-M',
+        trigger_price: Number(entry.stop_loss) || 0,
+    }];
+
+    if (entry.variety === 'BO') {
+        legs.push({
+            ...base,
+            leg_type: 'TARGET',
+            order_type: 'LIMIT',
+            price: Number(entry.target) || 0,
+        });
+    }
+
+    return Order.create(legs, { session, ordered: true });
+};
+
+/**
+ * Entry ka SL / target / qty badla => waiting legs bhi update karo.
+ */
+export const syncBracketLegs = async (entry, session) => {
+    if (!isBracketOrder(entry)) return;
+
+    const bracketId = String(entry._id);
+    const qtyFields = { quantity: entry.quantity, lots: entry.lots };
+
+    await Order.updateOne(
+        { bracket_id: bracketId, leg_type: 'STOPLOSS', order_status: LEG_PENDING },
+        { $set: { ...qtyFields, trigger_price: Number(entry.stop_loss) || 0 } },
+        { session }
+    );
+    await Order.updateOne(
+        { bracket_id: bracketId, leg_type: 'TARGET', order_status: LEG_PENDING },
+        { $set: { ...qtyFields, price: Number(entry.target) || 0 } },
+        { session }
+    );
+};
+
+/**
+ * Entry closed. If a leg caused it (SL / target hit) that leg is FILLED and the
+ * other is cancelled (OCO); any other close (manual, exit-all, square-off,
+ * pending entry cancelled) cancels every waiting leg.
+ */
+export const resolveBracketLegs = async (entry, { reason, exitPrice } = {}, session) => {
+    if (!isBracketOrder(entry)) return;
+
+    const bracketId = String(entry._id);
+    const now = new Date();
+
+    let filledLeg = null;
+    if (reason === 'TARGET_HIT') filledLeg = 'TARGET';
+    else if (reason === 'STOPLOSS_HIT' || reason === 'TRAILING_SL_HIT') filledLeg = 'STOPLOSS';
+
+    if (filledLeg) {
+        const fillPrice = Number(exitPrice) || 0;
+        await Order.updateOne(
+            { bracket_id: bracketId, leg_type: filledLeg, order_status: LEG_PENDING },
+            {
+                $set: {
+                    order_status: 'FILLED',
+                    quantity: entry.quantity,
+                    filled_qty: entry.quantity,
+                    avg_fill_price: fillPrice,
+                    closed_ltp: fillPrice,
+                    ...(filledLeg === 'STOPLOSS' ? { trigger_price: Number(entry.stop_loss) || 0 } : {}),
+                    exit_reason: reason,
+                    filled_at: now,
+                    closed_at: now,
+                }
+            },
+            { session }
+        );
+    }
+
+    await Order.updateMany(
+        { bracket_id: bracketId, order_status: LEG_PENDING },
+        {
+            $set: {
+                order_status: 'CANCELLED',
+                reason: filledLeg ? `OCO: ${filledLeg.toLowerCase()} leg filled` : 'Entry order closed',
+                closed_at: now,
+            }
+        },
+        { session }
+    );
+
+    console.log(`[BracketOrderManager] ${entry.variety} ${bracketId} resolved${filledLeg ? ` by ${filledLeg} leg` : ''}`);
+};
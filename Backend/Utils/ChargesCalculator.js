@@ -0,0 +1,113 @@
+/**
+ * ChargesCalculator.js
+ * Statutory charges per executed leg (one BUY or one SELL fill).
+ * Brokerage, STT/CTT, exchange transaction, SEBI fees, stamp duty and GST.
+ *
+ * Rates are fractions of turnover (0.00025 => 0.025%).
+ */
+
+import { isOptionSymbol } from './OptionLimitManager.js';
+
+const SEBI_RATE = 0.000001; // ₹10 per crore
+const GST_RATE = 0.18;      // on brokerage + exchange txn + SEBI
+const BROKERAGE_CAP = 20;   // ₹ per executed order
+
+export const CHARGE_RATES = {
+    EQ_INTRADAY: { stt: { BUY: 0, SELL: 0.00025 }, txn: 0.0000297, stamp: 0.00003 },
+    EQ_DELIVERY: { stt: { BUY: 0.001, SELL: 0.001 }, txn: 0.0000297, stamp: 0.00015 },
+    FUT: { stt: { BUY: 0, SELL: 0.0002 }, txn: 0.0000173, stamp: 0.00002 },
+    OPT: { stt: { BUY: 0, SELL: 0.001 }, txn: 0.0003503, stamp: 0.00003 },
+    COMMODITY_FUT: { stt: { BUY: 0, SELL: 0.0001 }, txn: 0.000021, stamp: 0.00002 },
+    COMMODITY_OPT: { stt: { BUY: 0, SELL: 0.0005 }, txn: 0.000418, stamp: 0.00003 },
+    CURRENCY_FUT: { stt: { BUY: 0, SELL: 0 }, txn: 0.0000035, stamp: 0.000001 },
+    CURRENCY_OPT: { stt: { BUY: 0, SELL: 0 }, txn: 0.000311, stamp: 0.000001 },
+};
+
+const round2 = (n) => Number((Number(n) || 0).toFixed(2));
+
+/**
+ * Charge category from Kite segment ("NSE", "NFO-OPT", "MCX-FUT", "CDS-OPT"...),
+ * master instrument_type (CE / PE / FUT / EQ) and product.
+ * Symbol suffix is the fallback when both are missing (legacy orders).
+ */
+export const resolveChargeCategory = ({ segment, symbol, product, instrument_type }) => {
+    const seg = String(segment || '').toUpperCase();
+    const sym = String(symbol || '').toUpperCase();
+    const type = String(instrument_type || '').toUpperCase();
+    // NSE/BSE cash segment ho to symbol suffix mat dekho (RELIANCE bhi "CE" pe khatam hota hai)
+    const useSymbol = !type && !seg.includes('-') && !['NSE', 'BSE'].includes(seg);
+    const isOption = ['CE', 'PE'].includes(type) || seg.endsWith('-OPT') || (useSymbol && isOptionSymbol(sym));
+    const isFuture = type === 'FUT' || seg.endsWith('-FUT') || (useSymbol && sym.endsWith('FUT'));
+
+    if (seg.startsWith('MCX')) return isOption ? 'COMMODITY_OPT' : 'COMMODITY_FUT';
+    if (seg.startsWith('CDS') || seg.startsWith('BCD')) return isOption ? 'CURRENCY_OPT' : 'CURRENCY_FUT';
+    if (isOption) return 'OPT';
+    if (isFuture) return 'FUT';
+
+    return String(product).trim().toUpperCase() === 'MIS' ? 'EQ_INTRADAY' : 'EQ_DELIVERY';
+};
+
+/**
+ * Charges for one executed leg.
+ *
+ * @param {Object} params
+ * @param {string} params.segment           - Kite segment of the instrument
+ * @param {string} params.symbol            - trading symbol (fallback detection)
+ * @param {string} [params.instrument_type] - master instrument_type (CE / PE / FUT / EQ)
+ * @param {"MIS"|"NRML"} params.product
+ * @param {"BUY"|"SELL"} params.side        - side of THIS leg (exit of a BUY is a SELL)
+ * @param {number} params.price
+ * @param {number} params.quantity
+ * @param {number} [params.brokeragePercent=0.01] - percent of turnover (0.01 => 0.01%), capped at ₹20
+ * @returns {{ category, side, turnover, brokerage, stt, exchange_txn, sebi, stamp_duty, gst, total }}
+ */
+export const calculateLegCharges = ({ segment, symbol, product, instrument_type, side, price, quantity, brokeragePercent = 0.01 }) => {
+    const category = resolveChargeCategory({ segment, symbol, product, instrument_type });
+    const rates = CHARGE_RATES[category];
+    const legSide = side === 'SELL' ? 'SELL' : 'BUY';
+
+    const turnover = (Number(price) || 0) * (Number(quantity) || 0);
+
+    const brokerage = Math.min(turnover * (Number(brokeragePercent) || 0) / 100, BROKERAGE_CAP);
+    const stt = turnover * rates.stt[legSide];
+    const exchangeTxn = turnover * rates.txn;
+    const sebi = turnover * SEBI_RATE;
+    const stampDuty = legSide === 'BUY' ? turnover * rates.stamp : 0;
+    const gst = (brokerage + exchangeTxn + sebi) * GST_RATE;
+
+    const components = {
+        brokerage: round2(brokerage),
+        stt: round2(stt),
+        exchange_txn: round2(exchangeTxn),
+        sebi: round2(sebi),
+        stamp_duty: round2(stampDuty),
+        gst: round2(gst),
+    };
+
+    // Total = rounded components ka sum, taaki ticket pe breakdown aur total match kare
+    return {
+        category,
+        side: legSide,
+        turnover: round2(turnover),
+        ...components,
+        total: round2(Object.values(components).reduce((sum, v) => sum + v, 0)),
+    };
+};
+
+// Order document ke fields se leg charges (entry ya exit)
+export const calculateOrderLegCharges = (order, leg, price, quantity = order.quantity) => {
+    const side = leg === 'exit'
+        ? (order.side === 'BUY' ? 'SELL' : 'BUY')
+        : order.side;
+
+    return calculateLegCharges({
+        segment: order.segment,
+        symbol: order.symbol,
+        product: order.product,
+        instrument_type: order.instrument_type,
+        side,
+        price,
+        quantity,
+        brokeragePercent: order.brokerage,
+    });
+};
@@ -0,0 +1,157 @@
+import Order from '../Model/OrdersModel.js';
+import Fund from '../Model/FundModel.js';
+import FundRequest from '../Model/FundRequestModel.js';
+import FundLedger from '../Model/FundLedgerModel.js';
+import FundSnapshot from '../Model/FundSnapshotModel.js';
+import { runTradeTransaction, TradeError } from '../services/tradeTransaction.js';
+import { postFundEntry } from './LedgerManager.js';
+import { computeMtm, refreshCustomerBook } from './RiskManager.js';
+import { getISTDateString } from './marketStatus.js';
+
+// =========================================================
+// PAY-IN / PAY-OUT REQUESTS
+// Customer request raise karta hai, broker inbox se approve / reject.
+// Approve => FundRequest PENDING -> APPROVED (conditional, double approve nahi)
+//            + net_available_balance ki DEPOSIT / WITHDRAWAL ledger entry, ek transaction me.
+// Withdrawal cap = net balance - blocked margin - unrealized loss - baaki pending withdrawals
+//                  - unsettled profit (T+1: EOD settlement ke baad hi nikal sakte hain)
+// =========================================================
+
+export const FUND_REQUEST_TYPES = ['DEPOSIT', 'WITHDRAWAL'];
+export const MAX_REQUEST_AMOUNT = 10000000; // ₹1 crore per request
+
+// Margin abhi bhi block hai: open positions + resting (pending / AMO) orders
+const MARGIN_HOLDING_STATUSES = ['OPEN', null, 'HOLD', 'PENDING', 'AMO'];
+
+const round2 = (n) => Number((Number(n) || 0).toFixed(2));
+
+/**
+ * Kitna nikal sakte hain. excludeRequestId => approve ke waqt wahi request pending me na gine.
+ */
+export const computeWithdrawable = async ({ broker_id_str, customer_id_str }, { session = null, excludeRequestId = null } = {}) => {
+    const scope = { broker_id_str: String(broker_id_str), customer_id_str: String(customer_id_str) };
+
+    // Transaction ke andar ek session pe parallel queries nahi - sequential
+    const fund = await Fund.findOne(scope).session(session).lean();
+    const marginRows = await Order.aggregate([
+        { $match: { ...scope, order_status: { $in: MARGIN_HOLDING_STATUSES } } },
+        { $group: { _id: null, margin: { $sum: '$margin_blocked' } } },
+    ]).session(session);
+    const pendingRows = await FundRequest.aggregate([
+        {
+            $match: {
+                ...scope,
+                request_type: 'WITHDRAWAL',
+                status: 'PENDING',
+                ...(excludeRequestId ? { _id: { $ne: excludeRequestId } } : {}),
+            },
+        },
+        { $group: { _id: null, amount: { $sum: '$amount' } } },
+    ]).session(session);
+    // Aakhri EOD snapshot ke baad book hua realized P&L abhi settle nahi hua
+    const lastSnapshot = await FundSnapshot.findOne(scope).sort({ trade_date: -1 }).select('trade_date').session(session).lean();
+    const unsettledRows = await FundLedger.aggregate([
+        {
+            $match: {
+                ...scope,
+                account: 'NET_BALANCE',
+                entry_type: { $in: ['REALIZED_PNL', 'CHARGES'] },
+                trade_date: lastSnapshot ? { $gt: lastSnapshot.trade_date } : getISTDateString(),
+            },
+        },
+        { $group: { _id: null, amount: { $sum: '$amount' } } },
+    ]).session(session);
+    const book = await refreshCustomerBook(scope.broker_id_str, scope.customer_id_str);
+
+    const netBalance = Number(fund?.net_available_balance) || 0;
+    const blockedMargin = Number(marginRows[0]?.margin) || 0;
+    const pendingWithdrawals = Number(pendingRows[0]?.amount) || 0;
+    const unrealizedPnl = book ? computeMtm(book).unrealized_pnl : 0;
+    const unrealizedLoss = Math.max(-unrealizedPnl, 0);
+    const unsettledProfit = Math.max(Number(unsettledRows[0]?.amount) || 0, 0);
+
+    return {
+        net_available_balance: round2(netBalance),
+        blocked_margin: round2(blockedMargin),
+        unrealized_loss: round2(unrealizedLoss),
+        unsettled_profit: round2(unsettledProfit),
+        pending_withdrawals: round2(pendingWithdrawals),
+        withdrawable: round2(Math.max(netBalance - blockedMargin - unrealizedLoss - unsettledProfit - pendingWithdrawals, 0)),
+    };
+};
+
+/**
+ * Request body => clean fields. Returns { fields } or { error }.
+ */
+export const normalizeFundRequest = ({ request_type, amount, utr, note } = {}) => {
+    const type = String(request_type || '').toUpperCase();
+    if (!FUND_REQUEST_TYPES.includes(type)) return { error: `request_type must be one of ${FUND_REQUEST_TYPES.join(', ')}` };
+
+    const value = round2(amount);
+    if (!(value >= 1) || value > MAX_REQUEST_AMOUNT) {
+        return { error: `amount must be between 1 and ${MAX_REQUEST_AMOUNT}` };
+    }
+
+    const reference = String(utr || '').trim().toUpperCase();
+    if (type === 'DEPOSIT' && !/^[A-Z0-9]{6,30}$/.test(reference)) {
+        return { error: 'A valid UTR / bank reference (6-30 letters or digits) is required for deposits' };
+    }
+
+    return {
+        fields: {
+            request_type: type,
+            amount: value,
+            utr: reference,
+            note: note ? String(note).slice(0, 300) : '',
+        },
+    };
+};
+
+/**
+ * Broker decision. action: APPROVE | REJECT. Returns { request, fund? }; business errors => TradeError.
+ */
+export const decideFundRequest = (requestId, action, { actor, reason = '', payout_reference = '', broker_id_str } = {}) => (
+    runTradeTransaction(async (session) => {
+        const status = action === 'APPROVE' ? 'APPROVED' : 'REJECTED';
+        const decision = {
+            status,
+            decided_by: actor,
+            decided_at: new Date(),
+            rejection_reason: status === 'REJECTED' ? String(reason || '').slice(0, 300) : '',
+            payout_reference: String(payout_reference || '').trim().slice(0, 60),
+        };
+
+        // PENDING => decided sirf ek baar (do tabs se approve => dusra fail)
+        const request = await FundRequest.findOneAndUpdate(
+            { _id: requestId, broker_id_str: String(broker_id_str), status: 'PENDING' },
+            { $set: decision },
+            { new: true, session }
+        );
+        if (!request) throw new TradeError('Request not found or already processed', 409);
+        if (status === 'REJECTED') return { request };
+
+        let fund = await Fund.findOne({ broker_id_str: request.broker_id_str, customer_id_str: request.customer_id_str }).session(session);
+        if (!fund) fund = new Fund({ broker_id_str: request.broker_id_str, customer_id_str: request.customer_id_str });
+
+        if (request.request_type === 'WITHDRAWAL') {
+            const { withdrawable } = await computeWithdrawable(request, { session, excludeRequestId: request._id });
+            if (request.amount > withdrawable) {
+                throw new TradeError(`Withdrawal exceeds free balance. Requested: ${request.amount.toFixed(2)}, Withdrawable: ${withdrawable.toFixed(2)}`);
+            }
+        }
+
+        postFundEntry(fund, 'NET_BALANCE', request.request_type === 'DEPOSIT' ? request.amount : -request.amount, {
+            entry_type: request.request_type,
+            fund_request: request,
+            actor,
+            narration: request.request_type === 'DEPOSIT'
+                ? `Pay-in UTR ${request.utr}`
+                : `Pay-out${decision.payout_reference ? ` ref ${decision.payout_reference}` : ''}`,
+        });
+        await fund.save({ session });
+
+        request.balance_after = fund.net_available_balance;
+        await request.save({ session });
+        return { request, fund };
+    })
+);
@@ -0,0 +1,214 @@
+import Gtt from '../Model/GttModel.js';
+
+// =========================================================
+// 1. GLOBAL MEMORY (RAM) - ACTIVE GTT BOOK
+// Key   = instrument_token (String)
+// Value = Array of { gttId, legs: [{ trigger, direction }] }
+// =========================================================
+export const gttBook = new Map();
+
+export const GTT_MAX_VALIDITY_DAYS = 365;
+
+// Trigger above the reference price waits for price to rise (UP), below waits for a fall (DOWN)
+export const triggerDirection = (triggerPrice, lastPrice) =>
+    Number(triggerPrice) >= Number(lastPrice) ? 'UP' : 'DOWN';
+
+const isLegHit = (leg, ltp) => (leg.direction === 'UP' ? ltp >= leg.trigger : ltp <= leg.trigger);
+
+/**
+ * GTT legs validate karo (create + modify dono me).
+ * Returns an error message, or null when valid.
+ */
+export const validateGttLegs = ({ gtt_type, legs, last_price, lot_size = 1 }) => {
+    if (!['SINGLE', 'OCO'].includes(gtt_type)) return 'gtt_type must be SINGLE or OCO';
+    if (!Array.isArray(legs)) return 'legs must be an array';
+    if (gtt_type === 'SINGLE' && legs.length !== 1) return 'SINGLE GTT needs exactly one leg';
+    if (gtt_type === 'OCO' && legs.length !== 2) return 'OCO GTT needs exactly two legs';
+
+    const last = Number(last_price);
+    if (!(last > 0)) return 'Last price unavailable for this instrument';
+
+    for (const leg of legs) {
+        const trigger = Number(leg.trigger_price);
+        if (!(trigger > 0)) return 'trigger_price must be a positive number';
+        if (trigger === last) return `trigger_price ${trigger} equals the last price; it would fire immediately`;
+        if (!['BUY', 'SELL'].includes(leg.side)) return 'side must be BUY or SELL';
+        if (leg.product && !['MIS', 'NRML'].includes(leg.product)) return 'product must be MIS or NRML';
+        if (leg.order_type && !['MARKET', 'LIMIT'].includes(leg.order_type)) return 'order_type must be MARKET or LIMIT';
+        if ((leg.order_type || 'LIMIT') === 'LIMIT' && !(Number(leg.price) > 0)) return 'LIMIT leg requires a positive price';
+
+        const qty = Number(leg.quantity);
+        if (!Number.isInteger(qty) || qty <= 0 || qty % (Number(lot_size) || 1) !== 0) {
+            return `quantity must be a positive multiple of lot size ${lot_size}`;
+        }
+    }
+
+    if (gtt_type === 'OCO') {
+        const directions = legs.map(l => triggerDirection(l.trigger_price, last));
+        if (directions[0] === directions[1]) {
+            return 'OCO GTT needs one trigger above and one below the last price';
+        }
+    }
+
+    return null;
+};
+
+/**
+ * =========================================================
+ * 2. INITIALIZATION (SERVER STARTUP)
+ * Overdue GTTs expire, baaki ACTIVE book me. Returns tokens to subscribe.
+ * =========================================================
+ */
+export const loadActiveGtts = async () => {
+    try {
+        console.log("🔄 [GttManager] Loading active GTTs...");
+
+        await expireGtts();
+        const active = await Gtt.find({ status: 'ACTIVE' }).lean();
+
+        gttBook.clear();
+        active.forEach(gtt => addGttToBook(gtt));
+
+        console.log(`✅ [GttManager] Book Ready. Tracking ${active.length} GTTs.`);
+        return [...gttBook.keys()];
+    } catch (error) {
+        console.error("❌ [GttManager] Failed to load GTTs:", error);
+        return [];
+    }
+};
+
+/**
+ * =========================================================
+ * 3. ADD / REMOVE GTT IN BOOK
+ * =========================================================
+ */
+export const removeGttFromBook = (token, gttId) => {
+    const key = String(token);
+    if (!gttBook.has(key)) return;
+
+    const updatedList = gttBook.get(key).filter(g => g.gttId !== String(gttId));
+    if (updatedList.length === 0) {
+        gttBook.delete(key);
+    } else {
+        gttBook.set(key, updatedList);
+    }
+};
+
+export const addGttToBook = (gtt) => {
+    const token = String(gtt.instrument_token);
+    removeGttFromBook(token, gtt._id); // modify => purani entry replace
+    if (gtt.status !== 'ACTIVE') return;
+
+    if (!gttBook.has(token)) gttBook.set(token, []);
+
+    gttBook.get(token).push({
+        gttId: String(gtt._id),
+        expiresAt: new Date(gtt.expires_at),
+        legs: gtt.legs.map(leg => ({
+            trigger: Number(leg.trigger_price),
+            direction: triggerDirection(leg.trigger_price, gtt.last_price),
+        })),
+    });
+};
+
+/**
+ * =========================================================
+ * 4. TRIGGER => PLACE ORDER
+ * GTT ko pehle TRIGGERED claim karo (double fire nahi), phir normal
+ * placeOrder se order - fund / option-limit checks same as postOrder.
+ * =========================================================
+ */
+const fireGtt = async (gttId, legIndex, ltp) => {
+    try {
+        const gtt = await Gtt.findOneAndUpdate(
+            { _id: gttId, status: 'ACTIVE', expires_at: { $gt: new Date() } },
+            { $set: { status: 'TRIGGERED', triggered_at: new Date(), triggered_leg: legIndex, triggered_ltp: ltp } },
+            { new: true }
+        );
+        if (!gtt) return;
+
+        const leg = gtt.legs[legIndex];
+        console.log(`🎯 [GttManager] GTT ${gttId} triggered: ${gtt.symbol} leg ${legIndex} @ ${ltp}`);
+
+        // Dynamic import to avoid circular dependency (controller -> index -> KiteWebSocket -> here)
+        const { placeOrder } = await import('../Controllers/orderController.js');
+
+        const orderType = leg.order_type || 'LIMIT';
+        const { status, payload } = await placeOrder({
+            broker_id_str: gtt.broker_id_str,
+            customer_id_str: gtt.customer_id_str,
+            instrument_token: gtt.instrument_token,
+            symbol: gtt.symbol,
+            segment: gtt.segment,
+            side: leg.side,
+            product: leg.product || 'NRML',
+            order_type: orderType,
+            price: orderType === 'LIMIT' ? leg.price : ltp,
+            quantity: leg.quantity,
+            lots: leg.lots,
+            lot_size: gtt.lot_size,
+            jobbin_price: gtt.jobbin_price || '0',
+            meta: { from: 'gtt', gtt_id: String(gtt._id), gtt_type: gtt.gtt_type },
+        }, { clientOrderId: `gtt-${gtt._id}` });
+
+        if (status === 200 && payload?.order) {
+            await Gtt.updateOne({ _id: gtt._id }, { $set: { order_id: payload.order._id } });
+            console.log(`✅ [GttManager] GTT ${gttId} placed order ${payload.order._id}`);
+        } else {
+            const reason = payload?.error || payload?.message || `Order placement failed (${status})`;
+            await Gtt.updateOne({ _id: gtt._id }, { $set: { status: 'REJECTED', reason } });
+            console.log(`⚠️ [GttManager] GTT ${gttId} order rejected: ${reason}`);
+        }
+    } catch (error) {
+        console.error(`❌ [GttManager] Fire Error for GTT ${gttId}:`, error);
+    }
+};
+
+export const onGttTick = async ({ token, ltp }) => {
+    const key = String(token);
+    if (!gttBook.has(key)) return;
+
+    const currentLtp = Number(ltp);
+    if (!currentLtp || currentLtp <= 0) return;
+
+    const now = new Date();
+    const hits = [];
+
+    for (const g of gttBook.get(key)) {
+        if (g.expiresAt <= now) continue; // cron expire karega
+        const legIndex = g.legs.findIndex(leg => isLegHit(leg, currentLtp));
+        if (legIndex !== -1) hits.push({ gttId: g.gttId, legIndex });
+    }
+
+    if (hits.length === 0) return;
+
+    // Remove from book IMMEDIATELY (OCO: ek leg fire => dusra bhi khatam)
+    hits.forEach(({ gttId }) => removeGttFromBook(key, gttId));
+
+    for (const { gttId, legIndex } of hits) {
+        await fireGtt(gttId, legIndex, currentLtp);
+    }
+};
+
+/**
+ * =========================================================
+ * 5. EXPIRY
+ * =========================================================
+ */
+export const expireGtts = async () => {
+    const now = new Date();
+    const overdue = await Gtt.find({ status: 'ACTIVE', expires_at: { $lte: now } })
+        .select('_id instrument_token')
+        .lean();
+
+    if (overdue.length === 0) return 0;
+
+    await Gtt.updateMany(
+        { _id: { $in: overdue.map(g => g._id) }, status: 'ACTIVE' },
+        { $set: { status: 'EXPIRED', reason: 'Validity ended' } }
+    );
+    overdue.forEach(g => removeGttFromBook(g.instrument_token, g._id));
+
+    console.log(`[GttManager] Expired ${overdue.length} GTTs.`);
+    return overdue.length;
+};
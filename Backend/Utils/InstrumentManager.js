@@ -0,0 +1,140 @@
+import Instrument from '../Model/InstrumentModel.js';
+import { getISTDateString } from './marketStatus.js';
+
+// =========================================================
+// ORDER VALIDATION AGAINST THE INSTRUMENT MASTER
+// Client ka lot_size / segment / symbol trust nahi karte - sab
+// instrument_token se master (instruments collection) se aata hai.
+// =========================================================
+
+// Exchange max quantity per order (freeze limit) for index derivatives, by underlying `name`.
+// Master me freeze_qty ho to wahi use hota hai; stock F&O ke liye table me entry nahi => no slicing.
+export const FREEZE_LIMITS = {
+    NIFTY: 1800,
+    BANKNIFTY: 900,
+    FINNIFTY: 1800,
+    MIDCPNIFTY: 2800,
+    NIFTYNXT50: 600,
+    SENSEX: 1000,
+    BANKEX: 900,
+};
+
+export const OPTION_INSTRUMENT_TYPES = ['CE', 'PE'];
+
+export const isOptionInstrumentType = (instrumentType) =>
+    OPTION_INSTRUMENT_TYPES.includes(String(instrumentType || '').toUpperCase());
+
+// Float-safe "price is a multiple of tick" (0.05 ticks => 101.35 ok, 101.33 not)
+export const isOnTick = (price, tickSize) => {
+    const tick = Number(tickSize) || 0;
+    if (!(tick > 0)) return true;
+    const steps = Number(price) / tick;
+    return Math.abs(steps - Math.round(steps)) < 1e-6;
+};
+
+export const getFreezeQuantity = (instrument) => {
+    const fromMaster = Number(instrument?.freeze_qty) || 0;
+    if (fromMaster > 0) return fromMaster;
+    if (isOptionInstrumentType(instrument?.instrument_type) || instrument?.instrument_type === 'FUT') {
+        return FREEZE_LIMITS[String(instrument?.name || '').toUpperCase()] || 0;
+    }
+    return 0;
+};
+
+export const findInstrument = (instrumentToken) =>
+    Instrument.findOne({ instrument_token: String(instrumentToken) }).lean();
+
+/**
+ * Order fields ko master ke against check karo.
+ * Returns { error } or { instrument, lotSize, tickSize, freezeQty }.
+ */
+export const validateOrderInstrument = (instrument, { quantity, order_type, price, trigger_price, stop_loss, target }) => {
+    if (!instrument) return { error: 'Unknown instrument_token; instrument not found in master' };
+
+    // Expiry day ke close tak trade allowed, uske baad contract expired
+    if (instrument.expiry) {
+        const expiryDay = getISTDateString(new Date(instrument.expiry));
+        if (expiryDay < getISTDateString()) {
+            return { error: `${instrument.tradingsymbol} expired on ${expiryDay}` };
+        }
+    }
+
+    const lotSize = Number(instrument.lot_size) || 1;
+    const qty = Number(quantity);
+    if (!Number.isInteger(qty) || qty % lotSize !== 0) {
+        return { error: `quantity must be a multiple of lot size ${lotSize}` };
+    }
+
+    const tickSize = Number(instrument.tick_size) || 0;
+    const orderType = String(order_type || 'MARKET').toUpperCase();
+    const priced = [];
+    if (['LIMIT', 'SL'].includes(orderType)) priced.push(['price', price]);
+    if (['SL', 'SL-M'].includes(orderType)) priced.push(['trigger_price', trigger_price]);
+    if (Number(stop_loss) > 0) priced.push(['stop_loss', stop_loss]);
+    if (Number(target) > 0) priced.push(['target', target]);
+
+    for (const [field, value] of priced) {
+        if (!isOnTick(value, tickSize)) {
+            return { error: `${field} ${value} is not a multiple of tick size ${tickSize}` };
+        }
+    }
+
+    return { instrument, lotSize, tickSize, freezeQty: getFreezeQuantity(instrument) };
+};
+
+/**
+ * Freeze limit se badi qty ko lot-aligned slices me todo.
+ * 3750 NIFTY (lot 75, freeze 1800) => [1800, 1800, 150]
+ */
+export const sliceQuantity = (quantity, lotSize, freezeQty) => {
+    const qty = Number(quantity);
+    const lot = Number(lotSize) || 1;
+    const maxSlice = Math.floor(Number(freezeQty) / lot) * lot;
+    if (!(maxSlice > 0) || qty <= maxSlice) return [qty];
+
+    const slices = [];
+    let remaining = qty;
+    while (remaining > 0) {
+        const slice = Math.min(maxSlice, remaining);
+        slices.push(slice);
+        remaining -= slice;
+    }
+    return slices;
+};
+
+/**
+ * Circuit band check (band = { lower, upper } from Kite quote).
+ * LIMIT / SL price and SL trigger must lie inside the band; MARKET is refused
+ * only on the frozen side: BUY at upper circuit (no sellers), SELL at lower circuit (no buyers).
+ * Returns an error message, or null when valid / band unknown.
+ */
+export const validatePriceBand = (band, { order_type, side, price, trigger_price, ltp }) => {
+    if (!band || !(band.upper > 0)) return null;
+
+    const { lower, upper } = band;
+    const orderType = String(order_type || 'MARKET').toUpperCase();
+    const range = `${lower} - ${upper}`;
+
+    if (['LIMIT', 'SL'].includes(orderType)) {
+        const p = Number(price);
+        if (p > upper || p < lower) {
+            return `Price ${p} is outside the circuit limits (${range})`;
+        }
+    }
+    if (['SL', 'SL-M'].includes(orderType)) {
+        const t = Number(trigger_price);
+        if (t > upper || t < lower) {
+            return `Trigger price ${t} is outside the circuit limits (${range})`;
+        }
+    }
+    if (orderType === 'MARKET') {
+        const last = Number(ltp) || 0;
+        if (last && last >= upper && side === 'BUY') {
+            return `Instrument is frozen at upper circuit ${upper}; place a LIMIT order within ${range}`;
+        }
+        if (last && last <= lower && side === 'SELL') {
+            return `Instrument is frozen at lower circuit ${lower}; place a LIMIT order within ${range}`;
+        }
+    }
+    return null;
+};
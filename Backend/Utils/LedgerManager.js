@@ -0,0 +1,171 @@
+import crypto from 'crypto';
+import FundLedger from '../Model/FundLedgerModel.js';
+import { getISTDateString } from './marketStatus.js';
+
+// =========================================================
+// FUND LEDGER
+// Fund ke balances sirf postFundEntry (ya blockMargin / releaseMargin) se badlo:
+// change fund doc pe lagta hai aur entry doc ke journal ($locals) me jaati hai.
+// fund.save() (FundModel pre-save hook) journal ko usi session me FundLedger
+// me likhta hai - transaction abort => ledger bhi rollback.
+// Journal ke bahar hua koi change (direct assignment) save par SYSTEM
+// ADJUSTMENT ban jata hai, taaki ledger hamesha balance se reconcile kare.
+// =========================================================
+
+export const LEDGER_ACCOUNTS = {
+    NET_BALANCE: 'net_available_balance',
+    INTRADAY_LIMIT: 'intraday.available_limit',
+    INTRADAY_USED: 'intraday.used_limit',
+    OVERNIGHT_LIMIT: 'overnight.available_limit',
+};
+
+const CONTRA_ACCOUNTS = {
+    DEPOSIT: 'BROKER',
+    WITHDRAWAL: 'BROKER',
+    MARGIN_BLOCK: 'MARGIN',
+    MARGIN_RELEASE: 'MARGIN',
+    REALIZED_PNL: 'MARKET',
+    CHARGES: 'CHARGES',
+    ADJUSTMENT: 'BROKER',
+};
+
+export const LEDGER_ENTRY_TYPES = Object.keys(CONTRA_ACCOUNTS);
+
+const round2 = (n) => Number((Number(n) || 0).toFixed(2));
+
+const readBalance = (fund, account) => Number(fund.get(LEDGER_ACCOUNTS[account])) || 0;
+
+const journalOf = (fund) => {
+    fund.$locals.ledger = fund.$locals.ledger || [];
+    return fund.$locals.ledger;
+};
+
+// DB se aaye / save hue balances (reconciliation ka base)
+export const snapshotFundBalances = (fund) => {
+    fund.$locals.ledgerSnapshot = Object.fromEntries(
+        Object.keys(LEDGER_ACCOUNTS).map(account => [account, readBalance(fund, account)])
+    );
+    fund.$locals.ledger = [];
+};
+
+/**
+ * Fund account me amount (signed) lagao + journal entry.
+ * floor: balance isse neeche na jaye (used_limit 0 pe clamp) - entry actual change ki banti hai.
+ * context: { entry_type, order, fund_request, actor, narration, contra_account }
+ */
+export const postFundEntry = (fund, account, amount, { entry_type, order, fund_request, actor, narration, contra_account, floor } = {}) => {
+    if (!LEDGER_ACCOUNTS[account]) throw new Error(`Unknown ledger account ${account}`);
+
+    const before = readBalance(fund, account);
+    let after = before + (Number(amount) || 0);
+    if (floor !== undefined && after < floor) after = floor;
+    if (after === before) return 0;
+
+    fund.set(LEDGER_ACCOUNTS[account], after);
+    journalOf(fund).push({
+        entry_type,
+        account,
+        contra_account: contra_account || CONTRA_ACCOUNTS[entry_type] || 'SYSTEM',
+        amount: round2(after - before),
+        balance_before: round2(before),
+        balance_after: round2(after),
+        order_id: order?._id || null,
+        symbol: order?.symbol,
+        fund_request_id: fund_request?._id || null,
+        actor,
+        narration: narration || '',
+    });
+    return after - before;
+};
+
+// Intraday: used_limit badhta hai; overnight: available_limit seedha kat-ta hai
+export const blockMargin = (fund, intraday, amount, context = {}) => (
+    intraday
+        ? postFundEntry(fund, 'INTRADAY_USED', amount, { ...context, entry_type: 'MARGIN_BLOCK' })
+        : postFundEntry(fund, 'OVERNIGHT_LIMIT', -amount, { ...context, entry_type: 'MARGIN_BLOCK' })
+);
+
+export const releaseMargin = (fund, intraday, amount, context = {}) => (
+    intraday
+        ? postFundEntry(fund, 'INTRADAY_USED', -amount, { ...context, entry_type: 'MARGIN_RELEASE', floor: 0 })
+        : postFundEntry(fund, 'OVERNIGHT_LIMIT', amount, { ...context, entry_type: 'MARGIN_RELEASE' })
+);
+
+/**
+ * Fund pre-save: journal + untracked changes => FundLedger (same session).
+ */
+export const flushFundLedger = async (fund) => {
+    const snapshot = fund.$locals.ledgerSnapshot || {};
+    const journal = [...(fund.$locals.ledger || [])];
+
+    for (const account of Object.keys(LEDGER_ACCOUNTS)) {
+        const entries = journal.filter(e => e.account === account);
+        const expected = entries.length ? entries[entries.length - 1].balance_after : round2(snapshot[account] || 0);
+        const actual = round2(readBalance(fund, account));
+        if (actual !== expected) {
+            journal.push({
+                entry_type: 'ADJUSTMENT',
+                account,
+                contra_account: 'SYSTEM',
+                amount: round2(actual - expected),
+                balance_before: expected,
+                balance_after: actual,
+                narration: fund.isNew ? 'Opening balance' : 'Balance change outside ledger',
+            });
+        }
+    }
+    if (!journal.length) return;
+
+    const txn_id = crypto.randomUUID();
+    const trade_date = getISTDateString();
+    await FundLedger.insertMany(journal.map(entry => ({
+        ...entry,
+        broker_id_str: fund.broker_id_str,
+        customer_id_str: fund.customer_id_str,
+        txn_id,
+        trade_date,
+    })), { session: fund.$session() || undefined });
+};
+
+/**
+ * Ledger statement: ek account ki entries [from, to] (IST dates) + opening / closing balance.
+ */
+export const getLedgerStatement = async ({ broker_id_str, customer_id_str, account = 'NET_BALANCE', from, to, entry_type, limit = 500 }, currentBalance = 0) => {
+    const scope = { broker_id_str: String(broker_id_str), customer_id_str: String(customer_id_str), account };
+    const start = from ? new Date(`${from}T00:00:00+05:30`) : null;
+    const end = to ? new Date(`${to}T23:59:59.999+05:30`) : null;
+
+    const range = {};
+    if (start) range.$gte = start;
+    if (end) range.$lte = end;
+    const filter = { ...scope, ...(start || end ? { createdAt: range } : {}) };
+    if (entry_type) filter.entry_type = entry_type;
+
+    const [entries, lastBefore, lastInRange, firstAfter] = await Promise.all([
+        FundLedger.find(filter).sort({ createdAt: 1, _id: 1 }).limit(limit).lean(),
+        start ? FundLedger.findOne({ ...scope, createdAt: { $lt: start } }).sort({ createdAt: -1, _id: -1 }).lean() : null,
+        FundLedger.findOne({ ...scope, ...(start || end ? { createdAt: range } : {}) }).sort({ createdAt: -1, _id: -1 }).lean(),
+        end ? FundLedger.findOne({ ...scope, createdAt: { $gt: end } }).sort({ createdAt: 1, _id: 1 }).lean() : null,
+    ]);
+
+    // Opening: range se pehle ki aakhri entry; warna range ki pehli entry ka before
+    let opening;
+    if (lastBefore) opening = lastBefore.balance_after;
+    else {
+        const first = await FundLedger.findOne({ ...scope, ...(start || end ? { createdAt: range } : {}) }).sort({ createdAt: 1, _id: 1 }).lean();
+        opening = first ? first.balance_before : (firstAfter ? firstAfter.balance_before : round2(currentBalance));
+    }
+    const closing = lastInRange ? lastInRange.balance_after : opening;
+
+    const totals = {};
+    for (const entry of entries) totals[entry.entry_type] = round2((totals[entry.entry_type] || 0) + entry.amount);
+
+    return {
+        account,
+        opening_balance: round2(opening),
+        closing_balance: round2(closing),
+        totals,
+        entries,
+        truncated: entries.length === limit,
+    };
+};
@@ -0,0 +1,168 @@
+import MarginProfile from '../Model/MarginProfileModel.js';
+import { resolveChargeCategory } from './ChargesCalculator.js';
+
+// =========================================================
+// SEGMENT-WISE LEVERAGE / MARGIN
+// Blocked margin = notional * rate. Rule per margin segment:
+//   { mode: 'LEVERAGE', value: 5 }  => 5x  (rate 0.20)
+//   { mode: 'PERCENT',  value: 12 } => 12% of notional
+//   { mode: 'SPAN',     value: 2 }  => SPAN + exposure (SpanMarginManager) / 2 - sirf F&O
+//                                      futures / option writing; rate order pe calculate hota hai
+// squareoff_pct: leveraged position ka loss blocked margin ke itne % tak
+// pahunche to auto square-off (1x pe margin hi poora notional hai => off).
+// Order pe `margin_rule` snapshot save hota hai, taaki fill / modify same rate use kare.
+// =========================================================
+
+export const MARGIN_MODES = ['LEVERAGE', 'PERCENT', 'SPAN'];
+
+export const MARGIN_SEGMENTS = {
+    EQ_INTRADAY: 'Equity Intraday',
+    EQ_DELIVERY: 'Equity Delivery',
+    FUT: 'Index / Stock Futures',
+    OPT_BUY: 'Options Buy',
+    OPT_SELL: 'Options Sell',
+    CURRENCY_FUT: 'Currency Futures',
+    CURRENCY_OPT_BUY: 'Currency Options Buy',
+    CURRENCY_OPT_SELL: 'Currency Options Sell',
+    COMMODITY_FUT: 'Commodity Futures',
+    COMMODITY_OPT_BUY: 'Commodity Options Buy',
+    COMMODITY_OPT_SELL: 'Commodity Options Sell',
+};
+
+// Option buy = premium-only, hamesha 1x
+export const PREMIUM_ONLY_SEGMENTS = ['OPT_BUY', 'CURRENCY_OPT_BUY', 'COMMODITY_OPT_BUY'];
+
+// Risk-array margin sirf futures aur option writing pe
+export const SPAN_SEGMENTS = ['FUT', 'OPT_SELL', 'CURRENCY_FUT', 'CURRENCY_OPT_SELL', 'COMMODITY_FUT', 'COMMODITY_OPT_SELL'];
+
+export const DEFAULT_SQUAREOFF_PCT = 90;
+
+// Platform default: F&O futures / writing => full SPAN, baaki purana behaviour (price * quantity, 1x)
+export const DEFAULT_MARGIN_RULES = Object.fromEntries(
+    Object.keys(MARGIN_SEGMENTS).map(key => [key, {
+        mode: SPAN_SEGMENTS.includes(key) ? 'SPAN' : 'LEVERAGE',
+        value: 1,
+        squareoff_pct: DEFAULT_SQUAREOFF_PCT,
+    }])
+);
+
+const OPTION_CATEGORIES = ['OPT', 'CURRENCY_OPT', 'COMMODITY_OPT'];
+
+// Order => margin segment key (charges category + option side)
+export const resolveMarginSegment = ({ segment, symbol, product, instrument_type, side }) => {
+    const category = resolveChargeCategory({ segment, symbol, product, instrument_type });
+    if (OPTION_CATEGORIES.includes(category)) {
+        return `${category}_${String(side).toUpperCase() === 'SELL' ? 'SELL' : 'BUY'}`;
+    }
+    return category;
+};
+
+// Fraction of notional to block (LEVERAGE 5 => 0.2, PERCENT 12 => 0.12).
+// SPAN => 1 / value sirf placeholder hai; order pe asli rate = SPAN margin / notional.
+export const ruleRate = ({ mode, value } = {}) => {
+    const v = Number(value);
+    if (!(v > 0)) return 1;
+    return mode === 'PERCENT' ? v / 100 : 1 / v;
+};
+
+/**
+ * Effective rules for a customer: platform default <- broker default <- customer override.
+ */
+export const getMarginRules = async (broker_id_str, customer_id_str) => {
+    const profiles = await MarginProfile.find({
+        broker_id_str: String(broker_id_str),
+        customer_id_str: { $in: customer_id_str ? [null, String(customer_id_str)] : [null] },
+    }).lean();
+
+    const brokerProfile = profiles.find(p => !p.customer_id_str);
+    const customerProfile = profiles.find(p => p.customer_id_str);
+
+    const rules = {};
+    for (const key of Object.keys(MARGIN_SEGMENTS)) {
+        rules[key] = {
+            ...DEFAULT_MARGIN_RULES[key],
+            ...(brokerProfile?.rules?.[key] || {}),
+            ...(customerProfile?.rules?.[key] || {}),
+        };
+    }
+    return rules;
+};
+
+/**
+ * Rule snapshot for one order => saved as `order.margin_rule`.
+ * @returns {{ segment, mode, value, rate, squareoff_pct }}
+ */
+export const resolveMarginRule = (rules, order) => {
+    const segment = resolveMarginSegment(order);
+    const rule = rules?.[segment] || DEFAULT_MARGIN_RULES[segment] || DEFAULT_MARGIN_RULES.EQ_DELIVERY;
+    return {
+        segment,
+        mode: rule.mode,
+        value: Number(rule.value),
+        rate: ruleRate(rule),
+        squareoff_pct: Number(rule.squareoff_pct) || 0,
+    };
+};
+
+// Legacy orders (rule se pehle ke) => 1x
+export const orderMarginRate = (order) => {
+    const rate = Number(order?.margin_rule?.rate);
+    return rate > 0 ? rate : 1;
+};
+
+export const computeMargin = (price, quantity, rate = 1) =>
+    Number(((Number(price) || 0) * (Number(quantity) || 0) * rate).toFixed(2));
+
+/**
+ * Price at which the loss eats `squareoff_pct` of the blocked margin.
+ * Per share: margin/qty = price * rate. 0 => no margin square-off (1x / disabled).
+ * SPAN short option ka rate 1 se upar ho sakta hai (margin > premium) - tab bhi level banta hai.
+ */
+export const computeSquareoffPrice = ({ side, price, marginRule }) => {
+    const rate = Number(marginRule?.rate) || 1;
+    const pct = Number(marginRule?.squareoff_pct) || 0;
+    const entry = Number(price) || 0;
+    if ((rate >= 1 && marginRule?.mode !== 'SPAN') || !(pct > 0) || !(entry > 0)) return 0;
+
+    const distance = entry * rate * pct / 100;
+    const level = side === 'SELL' ? entry + distance : entry - distance;
+    return Number(Math.max(level, 0).toFixed(2));
+};
+
+/**
+ * Broker input => clean rules (partial allowed; only given segments change).
+ * Returns { rules } or { error }.
+ */
+export const normalizeMarginRules = (input = {}, current = {}) => {
+    const rules = { ...(current || {}) };
+    for (const [key, incoming] of Object.entries(input || {})) {
+        if (!MARGIN_SEGMENTS[key]) return { error: `Unknown margin segment ${key}` };
+        if (incoming === null) {
+            delete rules[key]; // override hatao => upar wala (broker / default) rule
+            continue;
+        }
+
+        const mode = String(incoming.mode || 'LEVERAGE').toUpperCase();
+        const value = Number(incoming.value);
+        const squareoffPct = incoming.squareoff_pct === undefined
+            ? (current?.[key]?.squareoff_pct ?? DEFAULT_SQUAREOFF_PCT)
+            : Number(incoming.squareoff_pct);
+
+        if (!MARGIN_MODES.includes(mode)) return { error: `${key}.mode must be LEVERAGE, PERCENT or SPAN` };
+        if (!Number.isFinite(value) || value <= 0) return { error: `${key}.value must be a positive number` };
+        if (mode !== 'PERCENT' && value < 1) return { error: `${key} leverage cannot be below 1x` };
+        if (mode === 'SPAN' && !SPAN_SEGMENTS.includes(key)) {
+            return { error: `SPAN margin applies only to futures and option writing, not ${MARGIN_SEGMENTS[key]}` };
+        }
+        if (mode === 'PERCENT' && value > 100) return { error: `${key} margin cannot exceed 100%` };
+        if (PREMIUM_ONLY_SEGMENTS.includes(key) && ruleRate({ mode, value }) !== 1) {
+            return { error: `${MARGIN_SEGMENTS[key]} is premium-only (1x)` };
+        }
+        if (!Number.isFinite(squareoffPct) || squareoffPct < 0 || squareoffPct > 100) {
+            return { error: `${key}.squareoff_pct must be between 0 and 100` };
+        }
+
+        rules[key] = { mode, value, squareoff_pct: squareoffPct };
+    }
+    return { rules };
+};
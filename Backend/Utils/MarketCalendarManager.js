@@ -0,0 +1,103 @@
+import MarketCalendar from '../Model/MarketCalendarModel.js';
+import { MARKETS } from './marketStatus.js';
+
+// =========================================================
+// MARKET CALENDAR (holidays + special sessions)
+// Pehle Muhurat ki date code me hardcoded thi - har saal deploy. Ab MarketCalendar
+// collection me, broker / admin /api/market/calendar se update karte hain.
+// Session checks synchronous hain (har order pe), isliye entries memory me:
+// startup pe load, har write ke baad reload, aur CALENDAR_SYNC_MS pe refresh
+// (doosre instance ka write bhi aa jaye). NSE holiday list cron/marketCalendar.js me hi.
+// =========================================================
+
+export const CALENDAR_TYPES = ['HOLIDAY', 'SPECIAL'];
+
+const CALENDAR_SYNC_MS = 10 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+let entries = [];
+let syncTimer = null;
+
+export const loadMarketCalendar = async () => {
+    entries = await MarketCalendar.find({}).sort({ date: 1 }).lean();
+    return entries;
+};
+
+export const startMarketCalendarSync = async () => {
+    await loadMarketCalendar();
+    if (!syncTimer) {
+        syncTimer = setInterval(() => {
+            loadMarketCalendar().catch(err => console.error('❌ [MarketCalendar] Refresh failed:', err.message));
+        }, CALENDAR_SYNC_MS);
+        syncTimer.unref();
+    }
+    console.log(`📅 [MarketCalendar] ${entries.length} calendar entries loaded`);
+};
+
+export const getCalendarEntries = ({ from, to } = {}) => entries.filter(e => (
+    (!from || e.date >= from) && (!to || e.date <= to)
+));
+
+// Special day ke sessions (null => regular schedule)
+export const getSpecialSessions = (dateStr, market) => (
+    entries.find(e => e.type === 'SPECIAL' && e.date === dateStr && e.markets.includes(market))?.sessions || null
+);
+
+export const isCalendarHoliday = (dateStr, market) => (
+    entries.some(e => e.type === 'HOLIDAY' && e.date === dateStr && e.markets.includes(market))
+);
+
+const toMinutes = (hhmm) => {
+    const [h, m] = String(hhmm).split(':').map(Number);
+    return h * 60 + m;
+};
+
+/**
+ * Request body => clean fields. Returns { update } or { error }.
+ * current => PUT (jo field na aaye woh purana rehta hai)
+ */
+export const normalizeCalendarEntry = (input = {}, current = {}) => {
+    const merged = { ...current, ...input };
+
+    const type = String(merged.type || '').toUpperCase();
+    if (!CALENDAR_TYPES.includes(type)) return { error: `type must be one of ${CALENDAR_TYPES.join(', ')}` };
+
+    const date = String(merged.date || '').trim();
+    if (!DATE_PATTERN.test(date) || Number.isNaN(new Date(`${date}T00:00:00+05:30`).getTime())) {
+        return { error: 'date must be YYYY-MM-DD' };
+    }
+
+    const markets = merged.markets === undefined || merged.markets === null
+        ? MARKETS
+        : [...new Set([].concat(merged.markets).map(m => String(m).toUpperCase()))];
+    if (markets.length === 0 || markets.some(m => !MARKETS.includes(m))) {
+        return { error: `markets must be from ${MARKETS.join(', ')}` };
+    }
+
+    let sessions = [];
+    if (type === 'SPECIAL') {
+        if (!Array.isArray(merged.sessions) || merged.sessions.length === 0) {
+            return { error: 'A SPECIAL day needs at least one session' };
+        }
+        for (const s of merged.sessions) {
+            const session = String(s?.session || '').trim().toUpperCase();
+            if (!session) return { error: 'Each session needs a name (e.g. MUHURAT)' };
+            if (!TIME_PATTERN.test(s.start) || !TIME_PATTERN.test(s.end) || toMinutes(s.start) >= toMinutes(s.end)) {
+                return { error: `Session ${session}: start / end must be IST HH:MM with start before end` };
+            }
+            sessions.push({ session, start: s.start, end: s.end, accepts_orders: s.accepts_orders !== false });
+        }
+        sessions = sessions.sort((a, b) => toMinutes(a.start) - toMinutes(b.start));
+    }
+
+    return {
+        update: {
+            date,
+            type,
+            markets,
+            sessions,
+            name: merged.name ? String(merged.name).trim().slice(0, 100) : '',
+        },
+    };
+};
@@ -1,100 +1,211 @@
 /**
  * OptionLimitManager.js
- * Handles the logic for Daily 10% Option Limit (Intraday vs Overnight)
+ * Daily option exposure cap per customer (Intraday vs Overnight, Buy vs Sell).
+ * Cap is configured on the Fund (`option_limit_config`): PERCENT of the relevant
+ * available limit, or an ABSOLUTE rupee amount. Default = 10% (old hardcoded rule).
+ * Usage resets on the IST trading day, not server-local midnight.
  */
 
-export const checkOptionLimit = (fund, product, requiredMargin) => {
-    // 1. Determine Product Type (Intraday vs Overnight)
-    const productNorm = String(product).trim().toUpperCase();
-    const isOvernight = productNorm === 'NRML';
-    // 'MIS' and 'CO' or others treated as Intraday
-    const typeKey = isOvernight ? 'overnight' : 'intraday';
+import { getISTDateString } from './marketStatus.js';
 
-    // 2. Initialize if missing
+export const OPTION_CAP_MODES = ['PERCENT', 'ABSOLUTE'];
+export const DEFAULT_OPTION_CAP = { mode: 'PERCENT', value: 10 };
+
+const TYPE_KEYS = ['intraday', 'overnight'];
+const SIDE_KEYS = ['buy', 'sell'];
+
+// Option detection by trading symbol suffix (e.g. NIFTY24NOV19500CE)
+export const isOptionSymbol = (symbol) => {
+    const symUpper = String(symbol || '').toUpperCase();
+    return symUpper.endsWith('CE') || symUpper.endsWith('PE') || symUpper.endsWith('CALL') || symUpper.endsWith('PUT');
+};
+
+// Option-ness from the master's instrument_type (CE / PE); symbol suffix only for
+// legacy orders saved before instrument_type was stored
+export const isOptionOrder = ({ instrument_type, symbol } = {}) => (
+    instrument_type
+        ? ['CE', 'PE'].includes(String(instrument_type).toUpperCase())
+        : isOptionSymbol(symbol)
+);
+
+// 'NRML' => overnight; 'MIS' and 'CO' or others treated as Intraday
+const typeKeyOf = (product) => (String(product).trim().toUpperCase() === 'NRML' ? 'overnight' : 'intraday');
+
+// Side missing (legacy callers) => buy bucket
+const sideKeyOf = (side) => (String(side || '').trim().toUpperCase() === 'SELL' ? 'sell' : 'buy');
+
+/**
+ * Today's tracker for a bucket; naya IST trading day => usage zero.
+ * (Mongoose doc ya plain object dono pe chalta hai)
+ */
+const getTracker = (fund, typeKey) => {
     if (!fund.option_limit) fund.option_limit = {};
     if (!fund.option_limit[typeKey]) {
-        fund.option_limit[typeKey] = { used_today: 0, last_trade_date: new Date() };
+        fund.option_limit[typeKey] = { used_today: 0, used_buy: 0, used_sell: 0 };
     }
 
-    const limitTracker = fund.option_limit[typeKey];
-
-    // 3. Date Check (Reset if new day)
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    let lastDate = limitTracker.last_trade_date ? new Date(limitTracker.last_trade_date) : null;
-    if (lastDate) lastDate.setHours(0, 0, 0, 0);
+    const tracker = fund.option_limit[typeKey];
+    const today = getISTDateString();
+
+    // trade_date na ho (purana record) to last_trade_date se IST day nikalo
+    const trackedDay = tracker.trade_date
+        || (tracker.last_trade_date ? getISTDateString(new Date(tracker.last_trade_date)) : null);
+
+    if (trackedDay !== today) {
+        tracker.used_today = 0;
+        tracker.used_buy = 0;
+        tracker.used_sell = 0;
+        tracker.trade_date = today;
+        tracker.last_trade_date = new Date();
+    } else if (!tracker.trade_date) {
+        // Purana record (side split se pehle): aaj ki poori usage buy bucket me
+        tracker.used_buy = tracker.used_today || 0;
+        tracker.used_sell = 0;
+        tracker.trade_date = today;
+    }
+    return tracker;
+};
 
-    if (!lastDate || lastDate.getTime() !== today.getTime()) {
-        limitTracker.used_today = 0;
-        limitTracker.last_trade_date = new Date();
+const markOptionLimitModified = (fund) => {
+    // Force Mongoose to recognize the change
+    if (fund.markModified) {
+        fund.markModified('option_limit');
     }
+};
 
-    // 4. Calculate Maximum Allowed Cap (10% of RELEVANT Available Limit)
-    let baseLimit = 0;
-    if (isOvernight) {
-        // For NRML, base is Overnight Available Limit
-        baseLimit = fund.overnight ? fund.overnight.available_limit : 0;
-    } else {
-        // For MIS/Intraday, base is Intraday Available Limit
-        baseLimit = fund.intraday ? fund.intraday.available_limit : 0;
+// Configured cap for a bucket ({ mode, value }), default 10%
+export const getOptionCapConfig = (fund, product, side) => {
+    const config = fund?.option_limit_config?.[typeKeyOf(product)]?.[sideKeyOf(side)];
+    if (!config || !OPTION_CAP_MODES.includes(config.mode) || !(Number(config.value) >= 0)) {
+        return { ...DEFAULT_OPTION_CAP };
     }
+    return { mode: config.mode, value: Number(config.value) };
+};
+
+// Cap in rupees: PERCENT => % of RELEVANT Available Limit, ABSOLUTE => as configured
+export const resolveOptionCap = (fund, product, side) => {
+    const { mode, value } = getOptionCapConfig(fund, product, side);
+    if (mode === 'ABSOLUTE') return value;
+
+    // For NRML, base is Overnight Available Limit; MIS/Intraday => Intraday Available Limit
+    const baseLimit = typeKeyOf(product) === 'overnight'
+        ? fund?.overnight?.available_limit
+        : fund?.intraday?.available_limit;
+    return (Number(baseLimit) || 0) * value / 100;
+};
+
+export const checkOptionLimit = (fund, product, requiredMargin, side) => {
+    const typeKey = typeKeyOf(product);
+    const sideKey = sideKeyOf(side);
+    const tracker = getTracker(fund, typeKey);
 
-    const dailyCap = (baseLimit || 0) * 0.10;
-    const currentUsed = limitTracker.used_today || 0;
+    const { mode, value } = getOptionCapConfig(fund, product, side);
+    const dailyCap = resolveOptionCap(fund, product, side);
+    const currentUsed = tracker[`used_${sideKey}`] || 0;
 
-    // 5. Check Constraint
     if ((currentUsed + requiredMargin) > dailyCap) {
+        const capLabel = mode === 'PERCENT' ? `${value}% Cap` : 'Fixed Cap';
         return {
             allowed: false,
-            message: `Daily ${isOvernight ? 'Overnight' : 'Intraday'} Option Limit Exceeded (10% Cap). Max: ${dailyCap.toFixed(3)}, Used Today: ${currentUsed.toFixed(2)}, Required: ${requiredMargin.toFixed(3)}`
+            message: `Daily ${typeKey === 'overnight' ? 'Overnight' : 'Intraday'} Option ${sideKey === 'sell' ? 'Sell' : 'Buy'} Limit Exceeded (${capLabel}). Max: ${dailyCap.toFixed(3)}, Used Today: ${currentUsed.toFixed(2)}, Required: ${requiredMargin.toFixed(3)}`
         };
     }
 
     return { allowed: true };
 };
 
-export const updateOptionUsage = (fund, product, amount) => {
+export const updateOptionUsage = (fund, product, amount, side) => {
     if (amount <= 0) return;
 
-    const productNorm = String(product).trim().toUpperCase();
-    const isOvernight = productNorm === 'NRML';
-    const typeKey = isOvernight ? 'overnight' : 'intraday';
+    const typeKey = typeKeyOf(product);
+    const sideKey = sideKeyOf(side);
+    const tracker = getTracker(fund, typeKey);
 
-    if (!fund.option_limit) fund.option_limit = {};
-    if (!fund.option_limit[typeKey]) {
-        fund.option_limit[typeKey] = { used_today: 0, last_trade_date: new Date() };
-    }
+    // Just add to usage (total + side bucket)
+    tracker.used_today = (tracker.used_today || 0) + Number(amount);
+    tracker[`used_${sideKey}`] = (tracker[`used_${sideKey}`] || 0) + Number(amount);
+    tracker.last_trade_date = new Date();
 
-    const limitTracker = fund.option_limit[typeKey];
-    
-    // Just add to usage
-    limitTracker.used_today = (limitTracker.used_today || 0) + Number(amount);
-    limitTracker.last_trade_date = new Date();
-    
-    // Force Mongoose to recognize the change
-    if(fund.markModified) {
-        fund.markModified('option_limit');
-    }
-    
-    console.log(`[OptionLimit] Updated ${typeKey}: +${amount}, Total: ${limitTracker.used_today}`);
+    markOptionLimitModified(fund);
+
+    console.log(`[OptionLimit] Updated ${typeKey}/${sideKey}: +${amount}, Total: ${tracker.used_today}`);
 };
 
-export const rollbackOptionUsage = (fund, product, amount) => {
+// reservedAt => order ka placed_at (usage jis din reserve hui). Kal ka order aaj
+// cancel / fill hua => aaj ki usage pe koi asar nahi (woh kal ke tracker me thi)
+export const rollbackOptionUsage = (fund, product, amount, side, reservedAt) => {
     if (amount <= 0) return;
 
-    const productNorm = String(product).trim().toUpperCase();
-    const isOvernight = productNorm === 'NRML';
-    const typeKey = isOvernight ? 'overnight' : 'intraday';
-
-    if (fund.option_limit && fund.option_limit[typeKey]) {
-        const limitTracker = fund.option_limit[typeKey];
-        limitTracker.used_today = (limitTracker.used_today || 0) - Number(amount);
-        if (limitTracker.used_today < 0) limitTracker.used_today = 0;
-        
-        if(fund.markModified) {
-            fund.markModified('option_limit');
+    const typeKey = typeKeyOf(product);
+    const sideKey = sideKeyOf(side);
+    if (!fund.option_limit || !fund.option_limit[typeKey]) return;
+
+    const tracker = getTracker(fund, typeKey);
+    if (reservedAt && getISTDateString(new Date(reservedAt)) !== tracker.trade_date) return;
+
+    tracker.used_today = Math.max(0, (tracker.used_today || 0) - Number(amount));
+    tracker[`used_${sideKey}`] = Math.max(0, (tracker[`used_${sideKey}`] || 0) - Number(amount));
+
+    markOptionLimitModified(fund);
+    console.log(`[OptionLimit] Rollback ${typeKey}/${sideKey}: -${amount}, Total: ${tracker.used_today}`);
+};
+
+/**
+ * Today's utilisation per bucket (for the broker / customer funds screen).
+ * @returns {{ trade_date, intraday: { buy, sell }, overnight: { buy, sell } }}
+ *          each side = { mode, value, cap, used, remaining }
+ */
+export const getOptionUtilisation = (fund) => {
+    const result = { trade_date: getISTDateString() };
+    for (const typeKey of TYPE_KEYS) {
+        const product = typeKey === 'overnight' ? 'NRML' : 'MIS';
+        const tracker = getTracker(fund, typeKey);
+        result[typeKey] = {};
+        for (const sideKey of SIDE_KEYS) {
+            const cap = resolveOptionCap(fund, product, sideKey);
+            const used = tracker[`used_${sideKey}`] || 0;
+            result[typeKey][sideKey] = {
+                ...getOptionCapConfig(fund, product, sideKey),
+                cap,
+                used,
+                remaining: Math.max(0, cap - used),
+            };
+        }
+    }
+    return result;
+};
+
+/**
+ * Broker input => clean config. Partial input allowed (only given buckets change).
+ * Returns { config } (merged with current) or { error }.
+ */
+export const normalizeOptionCapConfig = (input = {}, current = {}) => {
+    const config = {};
+    for (const typeKey of TYPE_KEYS) {
+        config[typeKey] = {};
+        for (const sideKey of SIDE_KEYS) {
+            const existing = current?.[typeKey]?.[sideKey];
+            const incoming = input?.[typeKey]?.[sideKey];
+            if (!incoming) {
+                config[typeKey][sideKey] = existing?.mode
+                    ? { mode: existing.mode, value: Number(existing.value) }
+                    : { ...DEFAULT_OPTION_CAP };
+                continue;
+            }
+
+            const mode = String(incoming.mode || existing?.mode || DEFAULT_OPTION_CAP.mode).toUpperCase();
+            const value = Number(incoming.value);
+            if (!OPTION_CAP_MODES.includes(mode)) {
+                return { error: `${typeKey}.${sideKey}.mode must be PERCENT or ABSOLUTE` };
+            }
+            if (!Number.isFinite(value) || value < 0) {
+                return { error: `${typeKey}.${sideKey}.value must be a non-negative number` };
+            }
+            if (mode === 'PERCENT' && value > 100) {
+                return { error: `${typeKey}.${sideKey}.value cannot exceed 100%` };
+            }
+            config[typeKey][sideKey] = { mode, value };
         }
-        console.log(`[OptionLimit] Rollback ${typeKey}: -${amount}, Total: ${limitTracker.used_today}`);
     }
+    return { config };
 };
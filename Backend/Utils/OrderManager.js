@@ -1,4 +1,9 @@
 import Order from '../Model/OrdersModel.js';
+import Fund from '../Model/FundModel.js';
+import { bookRealizedPnl, isIntradayBucket } from './PnlManager.js';
+import { releaseMargin } from './LedgerManager.js';
+import { runTradeTransaction } from '../services/tradeTransaction.js';
+import { resolveBracketLegs } from './BracketOrderManager.js';
 
 // =========================================================
 // 1. GLOBAL MEMORY (RAM) - THE WATCHLIST
@@ -20,10 +25,12 @@ export const loadOpenOrders = async () => {
 
         // LOGIC: Status 'CLOSED' nahi hona chahiye + SL ya Target set hona chahiye
         const activeOrders = await Order.find({
-            order_status: { $ne: 'CLOSED' }, // Means: OPEN, HOLD, or null
+            order_status: { $nin: ['CLOSED', 'PENDING', 'AMO', 'CANCELLED', 'EXPIRED', 'TRIGGER_PENDING', 'FILLED'] }, // Means: OPEN, HOLD, or null
             $or: [
                 { stop_loss: { $exists: true, $ne: null, $gt: 0 } },
-                { target: { $exists: true, $ne: null, $gt: 0 } }
+                { target: { $exists: true, $ne: null, $gt: 0 } },
+                { trailing_sl_value: { $gt: 0 } },
+                { squareoff_price: { $gt: 0 } }
             ]
         });
 
@@ -39,6 +46,23 @@ export const loadOpenOrders = async () => {
     }
 };
 
+/**
+ * Trailing stop distance from the best price.
+ * BUY => stop below the high, SELL => stop above the low.
+ */
+const computeTrailStop = (side, bestPrice, trailType, trailValue) => {
+    const distance = trailType === 'PERCENT' ? bestPrice * trailValue / 100 : trailValue;
+    const stop = side === 'BUY' ? bestPrice - distance : bestPrice + distance;
+    return Number(Math.max(stop, 0).toFixed(2));
+};
+
+// Stop sirf ek direction me move karta hai (tighter), kabhi wapis nahi
+const isTighterStop = (side, candidate, current) => {
+    if (!(candidate > 0)) return false;
+    if (!(current > 0)) return true;
+    return side === 'BUY' ? candidate > current : candidate < current;
+};
+
 /**
  * =========================================================
  * 3. ADD ORDER TO MEMORY
@@ -46,16 +70,32 @@ export const loadOpenOrders = async () => {
  * =========================================================
  */
 export const addToWatchlist = (order) => {
-    // 1. Agar Order CLOSED hai to ignore karo
-    if (order.order_status === 'CLOSED') return;
+    // 1. Agar Order CLOSED hai (ya abhi position hi nahi bana) to ignore karo
+    if (['CLOSED', 'PENDING', 'AMO', 'CANCELLED', 'EXPIRED', 'TRIGGER_PENDING', 'FILLED'].includes(order.order_status)) return;
 
     // Use instrument_token for Kite (fallback to security_Id for backward compatibility)
     const token = String(order.instrument_token || order.security_Id);
-    const sl = Number(order.stop_loss) || 0;
+    let sl = Number(order.stop_loss) || 0;
     const target = Number(order.target) || 0;
+    const trailValue = Number(order.trailing_sl_value) || 0;
+    const trailType = trailValue > 0 ? (order.trailing_sl_type || 'POINTS') : null;
+    // Leveraged position ka margin square-off level (LeverageManager)
+    const squareoff = Number(order.squareoff_price) || 0;
 
-    // 2. Agar SL aur Target dono 0 hain, to track karne ka fayda nahi
-    if (sl === 0 && target === 0) return;
+    // 2. Agar SL, Target, Trailing aur margin square-off sab 0 hain, to track karne ka fayda nahi
+    if (sl === 0 && target === 0 && !trailType && squareoff === 0) return;
+
+    // Trailing: watermark restart ke baad DB se, warna entry price se shuru
+    // trailActive => active stop trail ka hai (exit reason TRAILING_SL_HIT), warna original SL
+    const bestPrice = Number(order.trail_best_price) || Number(order.avg_fill_price) || Number(order.price) || 0;
+    let trailActive = Boolean(trailType && order.trail_active);
+    if (trailType && bestPrice > 0) {
+        const trailStop = computeTrailStop(order.side, bestPrice, trailType, trailValue);
+        if (isTighterStop(order.side, trailStop, sl)) {
+            sl = trailStop;
+            trailActive = true;
+        }
+    }
 
     if (!activeTriggers.has(token)) {
         activeTriggers.set(token, []);
@@ -67,6 +107,11 @@ export const addToWatchlist = (order) => {
         side: order.side,          // 'BUY' or 'SELL'
         sl: sl,
         target: target,
+        trailType: trailType,
+        trailValue: trailValue,
+        trailActive: trailActive,
+        bestPrice: bestPrice,
+        squareoff: squareoff,
         // Status isliye rakh rahe hain taaki debug kar sakein (Open/Hold/null)
         status: order.order_status
     };
@@ -106,7 +151,7 @@ export const updateTriggerInWatchlist = (order) => {
 
 /**
  * =========================================================
- * 5. EXECUTE EXIT (DB UPDATE ONLY)
+ * 5. EXECUTE EXIT (ORDER CLOSE + FUND SETTLE)
  * Jab SL ya Target Hit ho jaye
  * =========================================================
  */
@@ -126,20 +171,50 @@ const executeExit = async (orderData, exitPrice, reason) => {
             }
         }
 
-        // B. Update Order Status in Database
-        // Hum Fund ko nahi chhed rahe, bas Order Close kar rahe hain.
-        // Fund logic agar future me chahiye to 'OrdersController' handle karega alag se
-        // ya fir user manual refresh karega tab sync hoga.
-
-        await Order.findByIdAndUpdate(orderId, {
-            $set: {
-                order_status: "CLOSED",
-                closed_ltp: exitPrice,
-                closed_at: new Date(),
-                exit_reason: reason // "STOPLOSS_HIT" or "TARGET_HIT"
+        // B + C ek transaction me: close + margin release + P&L (all or nothing)
+        const closedOrder = await runTradeTransaction(async (session) => {
+            // Conditional update: manual close / squareoff ne pehle hi close kar diya ho to skip
+            const doc = await Order.findOneAndUpdate(
+                { _id: orderId, order_status: { $ne: "CLOSED" } },
+                {
+                    $set: {
+                        order_status: "CLOSED",
+                        closed_ltp: exitPrice,
+                        closed_at: new Date(),
+                        margin_blocked: 0,
+                        exit_reason: reason // "STOPLOSS_HIT", "TRAILING_SL_HIT", "TARGET_HIT" or "MARGIN_SQUAREOFF"
+                    }
+                },
+                { new: false, session } // old doc: margin_blocked + status chahiye settlement ke liye
+            );
+
+            if (!doc) return null;
+
+            // C. Fund settle: blocked margin release + realized P&L
+            const fund = await Fund.findOne({
+                broker_id_str: doc.broker_id_str,
+                customer_id_str: doc.customer_id_str
+            }).session(session);
+
+            if (fund) {
+                const marginToRelease = Number(doc.margin_blocked) || 0;
+                if (marginToRelease > 0) {
+                    releaseMargin(fund, isIntradayBucket(doc), marginToRelease, { order: doc, narration: reason });
+                }
+
+                const pnlFields = bookRealizedPnl(fund, doc, exitPrice);
+                await fund.save({ session });
+                await Order.updateOne({ _id: doc._id }, { $set: pnlFields }, { session });
             }
+
+            // BO / CO: jo leg hit hua wo FILLED, dusra cancel (OCO)
+            await resolveBracketLegs(doc, { reason, exitPrice }, session);
+
+            return doc;
         });
 
+        if (!closedOrder) return;
+
         console.log(`✅ [OrderManager] Order ${orderId} Closed Successfully.`);
 
     } catch (error) {
@@ -147,6 +222,31 @@ const executeExit = async (orderData, exitPrice, reason) => {
     }
 };
 
+/**
+ * Naya best price mila to trailing stop ko ratchet karo. DB write sirf jab stop
+ * move ho (har improving tick pe nahi), taaki loadOpenOrders restart ke baad bhi
+ * moved stop mile; closed order pe kabhi nahi.
+ */
+const ratchetTrailingStop = (order, ltp) => {
+    const improved = !(order.bestPrice > 0) || (order.side === 'BUY' ? ltp > order.bestPrice : ltp < order.bestPrice);
+    if (!improved) return;
+
+    order.bestPrice = ltp;
+
+    const newSl = computeTrailStop(order.side, ltp, order.trailType, order.trailValue);
+    if (!isTighterStop(order.side, newSl, order.sl)) return;
+
+    order.sl = newSl;
+    order.trailActive = true;
+
+    Order.updateOne(
+        { _id: order.orderId, order_status: { $ne: 'CLOSED' } },
+        { $set: { trail_best_price: ltp, stop_loss: newSl, trail_active: true } }
+    ).catch(error => {
+        console.error(`❌ [OrderManager] Trailing SL persist failed for ${order.orderId}:`, error.message);
+    });
+};
+
 export const onMarketTick = async ({ token, ltp }) => {
     // 1. Check if we are watching this token
     if (!activeTriggers.has(String(token))) return;
@@ -164,19 +264,28 @@ export const onMarketTick = async ({ token, ltp }) => {
         let hitReason = "";
         let hitPrice = 0;
 
+        // Trailing stop pehle move karo, phir hit check
+        if (order.trailType) {
+            ratchetTrailingStop(order, currentLtp);
+        }
+        // Trailing on hai par stop abhi original SL hi hai => normal STOPLOSS_HIT
+        const slReason = order.trailActive ? "TRAILING_SL_HIT" : "STOPLOSS_HIT";
+
+        // Exit hamesha traded price (LTP) pe book hota hai, trigger pe nahi:
+        // gap stop ke paar khule to loss bhi gap ke hisaab se
         // BUY Logic
         if (order.side === 'BUY') {
             // SL Hit: Price gira <= SL
             if (order.sl > 0 && currentLtp <= order.sl) {
                 hit = true;
-                hitReason = "STOPLOSS_HIT";
-                hitPrice = order.sl;
+                hitReason = slReason;
+                hitPrice = currentLtp;
             }
             // Target Hit: Price utha >= Target
             else if (order.target > 0 && currentLtp >= order.target) {
                 hit = true;
                 hitReason = "TARGET_HIT";
-                hitPrice = order.target;
+                hitPrice = currentLtp;
             }
         }
         // SELL Logic
@@ -184,14 +293,24 @@ export const onMarketTick = async ({ token, ltp }) => {
             // SL Hit: Price utha >= SL (Shorting me loss upar jane pe hota hai)
             if (order.sl > 0 && currentLtp >= order.sl) {
                 hit = true;
-                hitReason = "STOPLOSS_HIT";
-                hitPrice = order.sl
+                hitReason = slReason;
+                hitPrice = currentLtp;
             }
             // Target Hit: Price gira <= Target
             else if (order.target > 0 && currentLtp <= order.target) {
                 hit = true;
                 hitReason = "TARGET_HIT";
-                hitPrice = order.target;
+                hitPrice = currentLtp;
+            }
+        }
+
+        // Margin square-off: loss blocked margin ke squareoff_pct tak pahuncha => LTP pe exit
+        if (!hit && order.squareoff > 0) {
+            const breached = order.side === 'BUY' ? currentLtp <= order.squareoff : currentLtp >= order.squareoff;
+            if (breached) {
+                hit = true;
+                hitReason = "MARGIN_SQUAREOFF";
+                hitPrice = currentLtp;
             }
         }
 
@@ -0,0 +1,367 @@
+import Order from '../Model/OrdersModel.js';
+import Fund from '../Model/FundModel.js';
+import { addToWatchlist } from './OrderManager.js';
+import { checkOptionLimit, isOptionOrder, rollbackOptionUsage, updateOptionUsage } from './OptionLimitManager.js';
+import { calculateOrderLegCharges } from './ChargesCalculator.js';
+import { runTradeTransaction, TradeError } from '../services/tradeTransaction.js';
+import { computeCoverMargin, isBracketOrder, resolveBracketLegs } from './BracketOrderManager.js';
+import { resolveMarket } from './marketStatus.js';
+import { computeMargin, computeSquareoffPrice, orderMarginRate } from './LeverageManager.js';
+import { blockMargin, releaseMargin } from './LedgerManager.js';
+
+// =========================================================
+// 1. GLOBAL MEMORY (RAM) - THE PENDING ORDER BOOK
+// Key   = instrument_token (String)
+// Value = Array of resting LIMIT orders + dormant SL / SL-M entries
+// =========================================================
+export const pendingBook = new Map();
+
+/**
+ * A LIMIT order is "marketable" when the LTP is already at or better than
+ * the limit: BUY fills at/below the limit, SELL fills at/above it.
+ */
+export const isLimitCrossed = (side, limitPrice, ltp) => {
+    const limit = Number(limitPrice);
+    const last = Number(ltp);
+    if (!limit || !last) return false;
+    return side === 'BUY' ? last <= limit : last >= limit;
+};
+
+/**
+ * SL entry trigger: BUY wakes up when price rises to the trigger (breakout),
+ * SELL wakes up when price falls to it (breakdown).
+ */
+export const isTriggerCrossed = (side, triggerPrice, ltp) => {
+    const trigger = Number(triggerPrice);
+    const last = Number(ltp);
+    if (!trigger || !last) return false;
+    return side === 'BUY' ? last >= trigger : last <= trigger;
+};
+
+/**
+ * =========================================================
+ * 2. INITIALIZATION (SERVER STARTUP)
+ * Restart ke baad saare PENDING orders wapis book me daalo.
+ * Returns the instrument tokens that need a live feed.
+ * =========================================================
+ */
+export const loadPendingOrders = async () => {
+    try {
+        console.log("🔄 [PendingOrderManager] Loading pending LIMIT / SL orders...");
+
+        const pendingOrders = await Order.find({ order_status: 'PENDING' });
+
+        pendingBook.clear();
+        pendingOrders.forEach(order => addPendingOrder(order));
+
+        console.log(`✅ [PendingOrderManager] Book Ready. Tracking ${pendingOrders.length} pending orders.`);
+        return [...pendingBook.keys()];
+    } catch (error) {
+        console.error("❌ [PendingOrderManager] Failed to load pending orders:", error);
+        return [];
+    }
+};
+
+/**
+ * =========================================================
+ * 3. ADD / REMOVE ORDER IN BOOK
+ * =========================================================
+ */
+export const addPendingOrder = (order) => {
+    if (order.order_status !== 'PENDING') return;
+
+    const token = String(order.instrument_token);
+
+    if (!pendingBook.has(token)) {
+        pendingBook.set(token, []);
+    }
+
+    const orderType = order.order_type || 'LIMIT';
+
+    pendingBook.get(token).push({
+        orderId: String(order._id),
+        side: order.side,
+        product: order.product,
+        orderType,
+        limitPrice: Number(order.price) || 0,
+        triggerPrice: Number(order.trigger_price) || 0,
+        // LIMIT is live from the start; SL / SL-M stay dormant until triggered
+        triggered: orderType === 'LIMIT' || Boolean(order.triggered_at),
+        quantity: Number(order.quantity) || 0,
+        marginBlocked: Number(order.margin_blocked) || 0,
+    });
+};
+
+export const removePendingOrder = (token, orderId) => {
+    const key = String(token);
+    if (!pendingBook.has(key)) return;
+
+    const updatedList = pendingBook.get(key).filter(o => o.orderId !== String(orderId));
+    if (updatedList.length === 0) {
+        pendingBook.delete(key);
+    } else {
+        pendingBook.set(key, updatedList);
+    }
+};
+
+/**
+ * Fill price kabhi kabhi blocked margin ke basis se alag hota hai
+ * (SL-M at market, or triggered SL crossing straight through its limit).
+ * Difference fund me adjust karo: delta > 0 => aur block, delta < 0 => release.
+ * Extra margin pe wahi free limit + option cap check jo naye order pe hota hai;
+ * fail => TradeError (caller ka transaction abort, fill nahi hota).
+ */
+export const adjustMarginForFill = async (order, delta, session) => {
+    if (!delta) return;
+
+    const fund = await Fund.findOne({
+        broker_id_str: order.broker_id_str,
+        customer_id_str: order.customer_id_str
+    }).session(session);
+
+    if (!fund) {
+        if (delta > 0) throw new TradeError('Fund account not found', 404);
+        return;
+    }
+
+    if (delta > 0) {
+        const free = order.product === 'MIS'
+            ? fund.intraday.available_limit - fund.intraday.used_limit
+            : fund.overnight.available_limit;
+        if (delta > free) {
+            throw new TradeError(`Insufficient funds at fill. Extra required: ${delta.toFixed(2)}, Available: ${free.toFixed(2)}`);
+        }
+        if (isOptionOrder(order)) {
+            const limitCheck = checkOptionLimit(fund, order.product, delta, order.side);
+            if (!limitCheck.allowed) throw new TradeError(limitCheck.message);
+        }
+    }
+
+    if (delta > 0) blockMargin(fund, order.product === 'MIS', delta, { order, narration: 'Fill price adjustment' });
+    else releaseMargin(fund, order.product === 'MIS', -delta, { order, narration: 'Fill price adjustment' });
+
+    if (isOptionOrder(order)) {
+        if (delta > 0) updateOptionUsage(fund, order.product, delta, order.side);
+        else rollbackOptionUsage(fund, order.product, -delta, order.side, order.placed_at || order.createdAt);
+    }
+
+    await fund.save({ session });
+};
+
+/**
+ * =========================================================
+ * 4. FILL A PENDING ORDER
+ * Resting LIMIT fills at its limit price; SL-M / freshly triggered SL
+ * fill at the LTP. PENDING -> OPEN (MIS) / null (NRML).
+ * =========================================================
+ */
+const fillPendingOrder = async (pending, token, fillPrice) => {
+    const { orderId, quantity, product, marginBlocked } = pending;
+
+    try {
+        const orderDoc = await Order.findById(orderId).lean();
+        if (!orderDoc) return;
+
+        // BO / CO entry: margin stop tak ke risk pe, baaki full notional
+        const newMargin = isBracketOrder(orderDoc)
+            ? computeCoverMargin({ refPrice: fillPrice, stopLoss: orderDoc.stop_loss, quantity })
+            : computeMargin(fillPrice, quantity, orderMarginRate(orderDoc));
+        const entryLeg = calculateOrderLegCharges(orderDoc, 'entry', fillPrice, quantity);
+
+        // Conditional update: agar beech me cancel ho gaya to fill nahi hoga.
+        // Fill + margin adjust ek hi transaction me.
+        const filled = await runTradeTransaction(async (session) => {
+            const doc = await Order.findOneAndUpdate(
+                { _id: orderId, order_status: 'PENDING' },
+                {
+                    $set: {
+                        order_status: product === 'MIS' ? 'OPEN' : null,
+                        price: fillPrice,
+                        filled_qty: quantity,
+                        avg_fill_price: fillPrice,
+                        margin_blocked: newMargin,
+                        squareoff_price: isBracketOrder(orderDoc)
+                            ? 0
+                            : computeSquareoffPrice({ side: orderDoc.side, price: fillPrice, marginRule: orderDoc.margin_rule }),
+                        'charges_breakdown.entry': entryLeg,
+                        filled_at: new Date(),
+                    }
+                },
+                { new: true, session }
+            );
+
+            if (doc) await adjustMarginForFill(doc, newMargin - marginBlocked, session);
+            return doc;
+        });
+
+        if (!filled) return;
+
+        console.log(`✅ [PendingOrderManager] ${pending.orderType} Filled: ${filled.symbol} ${filled.side} ${quantity} @ ${fillPrice}`);
+
+        // Ab ye ek position hai - SL/Target monitoring shuru
+        addToWatchlist(filled);
+    } catch (error) {
+        if (error instanceof TradeError) {
+            // Worse fill ka extra margin nahi hai => order cancel, reserved margin wapis
+            await cancelPendingOrder(orderId, 'CANCELLED', `Fill rejected: ${error.message}`)
+                .catch(err => console.error(`❌ [PendingOrderManager] Cancel after rejected fill failed for ${orderId}:`, err));
+            return;
+        }
+        console.error(`❌ [PendingOrderManager] Fill Error for Order ${orderId} (token ${token}):`, error);
+
+        // Transaction fail (DB / network) => order abhi bhi PENDING hai, book me wapis
+        // daalo warna restart tak kabhi fill nahi hoga. DB se reload taaki beech me
+        // cancel hua order dobara na aaye; reload bhi fail => purani entry hi wapis.
+        try {
+            const current = await Order.findById(orderId).lean();
+            if (current) addPendingOrder(current);
+        } catch (reloadError) {
+            console.error(`❌ [PendingOrderManager] Reload failed for ${orderId}, re-queueing book entry:`, reloadError.message);
+            if (!pendingBook.has(token)) pendingBook.set(token, []);
+            pendingBook.get(token).push(pending);
+        }
+    }
+};
+
+/**
+ * Dormant SL / SL-M ka trigger cross hua.
+ * SL-M => market fill at LTP. SL => limit ban jata hai; marketable ho to
+ * LTP pe fill, warna book me resting limit ki tarah rehta hai.
+ * Returns the fill price, or 0 if it should keep resting.
+ */
+const activateTriggeredOrder = async (pending, ltp) => {
+    if (pending.orderType === 'SL-M') return ltp;
+
+    pending.triggered = true;
+    await Order.updateOne(
+        { _id: pending.orderId, order_status: 'PENDING' },
+        { $set: { triggered_at: new Date() } }
+    );
+
+    console.log(`🎯 [PendingOrderManager] SL Triggered: ${pending.orderId} @ ${ltp}, limit ${pending.limitPrice}`);
+
+    return isLimitCrossed(pending.side, pending.limitPrice, ltp) ? ltp : 0;
+};
+
+export const onPendingTick = async ({ token, ltp }) => {
+    const key = String(token);
+    if (!pendingBook.has(key)) return;
+
+    const currentLtp = Number(ltp);
+    if (!currentLtp || currentLtp <= 0) return;
+
+    const book = pendingBook.get(key);
+    const fills = [];
+    const triggers = [];
+
+    for (const o of book) {
+        if (!o.triggered) {
+            if (isTriggerCrossed(o.side, o.triggerPrice, currentLtp)) triggers.push(o);
+        } else if (isLimitCrossed(o.side, o.limitPrice, currentLtp)) {
+            fills.push({ pending: o, fillPrice: o.limitPrice });
+        }
+    }
+
+    if (fills.length === 0 && triggers.length === 0) return;
+
+    // Remove from book IMMEDIATELY (prevent double fill on the next tick)
+    fills.forEach(({ pending }) => removePendingOrder(key, pending.orderId));
+    triggers.forEach(o => removePendingOrder(key, o.orderId));
+
+    for (const o of triggers) {
+        const fillPrice = await activateTriggeredOrder(o, currentLtp);
+        if (fillPrice) {
+            fills.push({ pending: o, fillPrice });
+        } else {
+            // Triggered SL, limit not reachable yet - rest as a normal limit
+            if (!pendingBook.has(key)) pendingBook.set(key, []);
+            pendingBook.get(key).push(o);
+        }
+    }
+
+    for (const { pending, fillPrice } of fills) {
+        await fillPendingOrder(pending, key, fillPrice);
+    }
+};
+
+/**
+ * =========================================================
+ * 5. CANCEL / EXPIRE
+ * Blocked margin (and option usage) wapis fund me jata hai.
+ * =========================================================
+ */
+export const releasePendingMargin = async (order, session) => {
+    const fund = await Fund.findOne({
+        broker_id_str: order.broker_id_str,
+        customer_id_str: order.customer_id_str
+    }).session(session);
+
+    if (!fund) return;
+
+    const margin = Number(order.margin_blocked) || 0;
+    if (margin <= 0) return;
+
+    releaseMargin(fund, order.product === 'MIS', margin, { order, narration: 'Pending order cancelled / expired' });
+
+    if (isOptionOrder(order)) {
+        rollbackOptionUsage(fund, order.product, margin, order.side, order.placed_at || order.createdAt);
+    }
+
+    await fund.save({ session });
+};
+
+export const cancelPendingOrder = async (orderId, status = 'CANCELLED', reason = 'Cancelled by user') => {
+    const cancelled = await runTradeTransaction(async (session) => {
+        const doc = await Order.findOneAndUpdate(
+            { _id: orderId, order_status: { $in: ['PENDING', 'AMO'] } }, // AMO: queued, not released yet
+            {
+                $set: {
+                    order_status: status,
+                    reason,
+                    margin_blocked: 0,
+                    closed_at: new Date(),
+                }
+            },
+            { new: false, session } // old doc chahiye taaki margin_blocked mil sake
+        );
+
+        if (doc) {
+            await releasePendingMargin(doc, session);
+            await resolveBracketLegs(doc, {}, session);
+        }
+        return doc;
+    });
+
+    if (!cancelled) return null;
+
+    removePendingOrder(cancelled.instrument_token, cancelled._id);
+
+    console.log(`🗑️ [PendingOrderManager] ${status}: ${cancelled.symbol} ${cancelled.side} @ ${cancelled.price}`);
+    return Order.findById(cancelled._id);
+};
+
+/**
+ * Session end: jo LIMIT / SL orders fill nahi hue unhe EXPIRED karo.
+ * @param {Object} filter - extra query (e.g. { product: 'MIS' })
+ * @param {Object} [opts]
+ * @param {string[]} [opts.markets] - only orders of these markets (EQ / FO / CDS / MCX)
+ */
+export const expirePendingOrders = async (filter = {}, { markets } = {}) => {
+    const found = await Order.find({ ...filter, order_status: 'PENDING' }).select('_id segment symbol').lean();
+    const candidates = markets
+        ? found.filter(o => markets.includes(resolveMarket(o.segment, o.symbol)))
+        : found;
+
+    let expired = 0;
+    for (const { _id } of candidates) {
+        try {
+            const res = await cancelPendingOrder(_id, 'EXPIRED', 'Unfilled at session end');
+            if (res) expired++;
+        } catch (error) {
+            console.error(`❌ [PendingOrderManager] Expire Error for Order ${_id}:`, error);
+        }
+    }
+
+    console.log(`[PendingOrderManager] Expired ${expired} pending orders.`);
+    return expired;
+};
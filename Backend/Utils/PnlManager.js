@@ -0,0 +1,79 @@
+/**
+ * PnlManager.js
+ * Realized P&L booking when a position is closed.
+ * Same maths for manual close, exit-all, SL/Target hits and cron square-off.
+ */
+
+import { calculateOrderLegCharges } from './ChargesCalculator.js';
+import { postFundEntry } from './LedgerManager.js';
+
+/**
+ * Gross P&L, statutory charges (entry + exit leg) and net P&L for a closed quantity.
+ */
+export const calculateRealizedPnl = (order, exitPrice, quantity = order.quantity) => {
+    const qty = Number(quantity) || 0;
+    const entry = Number(order.avg_fill_price || order.price) || 0;
+    const exit = Number(exitPrice) || 0;
+
+    if (!qty || !entry || !exit) {
+        return { grossPnl: 0, charges: 0, netPnl: 0, chargesBreakdown: {} };
+    }
+
+    const diffPerShare = order.side === 'SELL' ? entry - exit : exit - entry;
+    const grossPnl = diffPerShare * qty;
+
+    const entryLeg = calculateOrderLegCharges(order, 'entry', entry, qty);
+    const exitLeg = calculateOrderLegCharges(order, 'exit', exit, qty);
+    const charges = entryLeg.total + exitLeg.total;
+
+    return {
+        grossPnl: Number(grossPnl.toFixed(2)),
+        charges: Number(charges.toFixed(2)),
+        netPnl: Number((grossPnl - charges).toFixed(2)),
+        chargesBreakdown: { entry: entryLeg, exit: exitLeg },
+    };
+};
+
+// MIS aur HOLD (intraday se carry) dono intraday bucket me book hote hain
+export const isIntradayBucket = (order) => {
+    return String(order.product).trim().toUpperCase() === 'MIS'
+        || order.order_status === 'HOLD'
+        || order.came_From === 'Hold';
+};
+
+/**
+ * Net P&L ko fund me credit/debit karo (fund.save() caller karega).
+ * net_available_balance + relevant limit (intraday ya overnight) dono move hote hain.
+ * Ledger me gross P&L aur charges alag entries (net same rehta hai).
+ */
+export const applyRealizedPnl = (fund, order, netPnl, { charges = 0 } = {}) => {
+    const amount = Number(netPnl) || 0;
+    const chargesAmount = Number(charges) || 0;
+    if (!fund || (amount === 0 && chargesAmount === 0)) return;
+
+    const limitAccount = isIntradayBucket(order) ? 'INTRADAY_LIMIT' : 'OVERNIGHT_LIMIT';
+    const grossPnl = amount + chargesAmount;
+    for (const account of ['NET_BALANCE', limitAccount]) {
+        postFundEntry(fund, account, grossPnl, { entry_type: 'REALIZED_PNL', order });
+        postFundEntry(fund, account, -chargesAmount, { entry_type: 'CHARGES', order });
+    }
+
+    console.log(`[PnlManager] Booked ${amount >= 0 ? 'profit' : 'loss'} ${amount} for ${order.symbol} (${order._id})`);
+};
+
+/**
+ * One-shot helper: calculate + apply. Returns the P&L fields to $set on the order.
+ */
+export const bookRealizedPnl = (fund, order, exitPrice, quantity = order.quantity) => {
+    const pnl = calculateRealizedPnl(order, exitPrice, quantity);
+    applyRealizedPnl(fund, order, pnl.netPnl, { charges: pnl.charges });
+
+    const fields = {
+        realized_pnl: pnl.netPnl,
+        charges: pnl.charges,
+    };
+    // Exit price na mile to entry-leg breakdown overwrite mat karo
+    if (pnl.chargesBreakdown.exit) fields.charges_breakdown = pnl.chargesBreakdown;
+
+    return fields;
+};
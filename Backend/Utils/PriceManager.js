@@ -0,0 +1,64 @@
+import { lmf as dhanSocket } from '../index.js';
+import { getKiteLTP, getKiteOHLC } from '../services/kiteQuote.js';
+
+// =========================================================
+// SERVER PRICE
+// Fill / exit / P&L hamesha server ke LTP pe: pehle live tick cache,
+// jo tokens cache me nahi (ya tick purana hai) unke liye Kite LTP API (ek call).
+// Client ka bheja price (closed_ltp, MARKET price) kabhi fill price nahi banta.
+// =========================================================
+
+// Isse purana tick live nahi maana jata (feed ruka / token stream nahi ho raha)
+export const TICK_MAX_AGE_MS = 5 * 1000;
+
+// Tick cache ka LTP sirf jab token abhi subscribed hai aur tick taaza hai, warna 0
+export const liveLtp = (token) => {
+    if (!dhanSocket?.isConnected || !dhanSocket.subscribedTokens?.has(Number(token))) return 0;
+    const tick = dhanSocket.last?.get(String(token));
+    if (!tick || !(Date.now() - (Number(tick.receivedAt) || 0) <= TICK_MAX_AGE_MS)) return 0;
+    return Number(tick.ltp) || 0;
+};
+
+/**
+ * @param {string[]} tokens
+ * @returns {Promise<Map<string, number>>} token -> LTP; jinka price nahi mila woh missing
+ */
+export const fetchLtps = async (tokens) => {
+    const prices = new Map();
+    const missing = [];
+
+    for (const token of new Set((tokens || []).map(String))) {
+        const ltp = liveLtp(token);
+        if (ltp > 0) prices.set(token, ltp);
+        else missing.push(token);
+    }
+
+    if (missing.length) {
+        try {
+            const data = await getKiteLTP(missing);
+            for (const token of missing) {
+                const ltp = Number(data?.[token]?.last_price) || 0;
+                if (ltp > 0) prices.set(token, ltp);
+            }
+        } catch (error) {
+            console.error(`❌ [PriceManager] LTP fetch failed for ${missing.length} tokens:`, error.message);
+        }
+    }
+
+    return prices;
+};
+
+// Ek token ka LTP, na mile to 0
+export const fetchLtp = async (token) => (await fetchLtps([token])).get(String(token)) || 0;
+
+// Post-close (CLOSING) session ka fill exchange ke closing price pe (Kite OHLC close), LTP pe nahi.
+// Na mile to 0 - caller order reject kare
+export const fetchClosingPrice = async (token) => {
+    try {
+        const data = await getKiteOHLC([String(token)]);
+        return Number(data?.[String(token)]?.ohlc?.close) || 0;
+    } catch (error) {
+        console.error(`❌ [PriceManager] Closing price fetch failed for ${token}:`, error.message);
+        return 0;
+    }
+};
@@ -0,0 +1,269 @@
+import Instrument from '../Model/InstrumentModel.js';
+import InstrumentRestriction from '../Model/InstrumentRestrictionModel.js';
+import { isOptionInstrumentType } from './InstrumentManager.js';
+import { enrichLegs } from './SpanMarginManager.js';
+import { getISTDateString } from './marketStatus.js';
+
+// =========================================================
+// INSTRUMENT RESTRICTIONS (F&O ban, illiquid, far-OTM, symbol block)
+// Rules: admin ke global (broker_id_str null) + broker ke apne.
+// Har naya order (placeOrder => resolveOrderSlices) aur qty badhane wala modify
+// yahan se guzarta hai. Exit (order CLOSED) kabhi block nahi hota.
+// =========================================================
+
+export const RESTRICTION_TYPES = ['FNO_BAN', 'ILLIQUID', 'FAR_OTM', 'SYMBOL'];
+export const RESTRICTION_MODES = ['EXIT_ONLY', 'NO_SHORT'];
+export const ALL_UNDERLYINGS = '*';
+
+const TYPE_LABELS = {
+    FNO_BAN: 'in F&O ban',
+    ILLIQUID: 'restricted as illiquid',
+    FAR_OTM: 'a far-OTM strike',
+    SYMBOL: 'restricted',
+};
+
+const CACHE_TTL_MS = 30 * 1000;
+const STRIKE_CACHE_TTL_MS = 10 * 60 * 1000;
+
+const ruleCache = new Map();   // broker_id_str => { loadedAt, rules }
+const strikeCache = new Map(); // name|expiry|type => { loadedAt, strikes }
+
+const isDerivative = (type) => type === 'FUT' || isOptionInstrumentType(type);
+const underlyingOf = (instrument) => String(instrument?.name || instrument?.tradingsymbol || '').toUpperCase();
+
+// =========================================================
+// 1. ACTIVE RULES (cached, writes ke baad invalidate)
+// =========================================================
+
+export const invalidateRestrictions = () => ruleCache.clear();
+
+export const getActiveRestrictions = async (broker_id_str) => {
+    const key = String(broker_id_str || '');
+    const cached = ruleCache.get(key);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) return cached.rules;
+
+    const now = new Date();
+    const rules = await InstrumentRestriction.find({
+        broker_id_str: { $in: key ? [null, key] : [null] },
+        $or: [{ expires_at: null }, { expires_at: { $gt: now } }],
+    }).lean();
+
+    ruleCache.set(key, { loadedAt: Date.now(), rules });
+    return rules;
+};
+
+// =========================================================
+// 2. MATCHING
+// =========================================================
+
+// Same underlying + expiry + CE/PE ki listed strikes (ascending)
+const getStrikeLadder = async (instrument) => {
+    const key = `${underlyingOf(instrument)}|${getISTDateString(new Date(instrument.expiry))}|${instrument.instrument_type}`;
+    const cached = strikeCache.get(key);
+    if (cached && Date.now() - cached.loadedAt < STRIKE_CACHE_TTL_MS) return cached.strikes;
+
+    const strikes = (await Instrument.distinct('strike', {
+        name: instrument.name,
+        expiry: instrument.expiry,
+        instrument_type: instrument.instrument_type,
+        segment: instrument.segment,
+    })).map(Number).filter(s => s > 0).sort((a, b) => a - b);
+
+    strikeCache.set(key, { loadedAt: Date.now(), strikes });
+    return strikes;
+};
+
+/**
+ * Option kitni strikes OTM hai (ITM / ATM => 0). Underlying price SPAN wale
+ * enrichLegs se (same-expiry future LTP); price na mile => 0 (block nahi).
+ */
+export const strikesOutOfTheMoney = async (instrument) => {
+    const type = String(instrument?.instrument_type || '').toUpperCase();
+    const strike = Number(instrument?.strike) || 0;
+    if (!isOptionInstrumentType(type) || !(strike > 0) || !instrument.expiry) return 0;
+
+    const { legs } = await enrichLegs([{ instrument, instrument_token: instrument.instrument_token, side: 'BUY', quantity: 1 }]);
+    const spot = Number(legs[0]?.underlying_price) || 0;
+    if (!(spot > 0) || spot === strike) return 0;
+
+    const strikes = await getStrikeLadder(instrument);
+    return type === 'CE'
+        ? strikes.filter(s => s > spot && s <= strike).length
+        : strikes.filter(s => s < spot && s >= strike).length;
+};
+
+// Rule is instrument pe lagta hai? (FAR_OTM ka distance alag se)
+const ruleMatches = (rule, instrument) => {
+    if (rule.instrument_token) return String(rule.instrument_token) === String(instrument.instrument_token);
+
+    const type = String(instrument.instrument_type || '').toUpperCase();
+    const underlying = underlyingOf(instrument);
+    const tradingsymbol = String(instrument.tradingsymbol || '').toUpperCase();
+
+    switch (rule.type) {
+        case 'FNO_BAN':
+            return isDerivative(type) && rule.symbol === underlying;
+        case 'FAR_OTM':
+            return isOptionInstrumentType(type) && (rule.symbol === ALL_UNDERLYINGS || rule.symbol === underlying);
+        default:
+            return rule.symbol === tradingsymbol || rule.symbol === underlying;
+    }
+};
+
+const ruleBlocks = (rule, side) => rule.mode === 'EXIT_ONLY' || String(side).toUpperCase() === 'SELL';
+
+const restrictionMessage = (rule, instrument, strikesAway) => {
+    const what = rule.type === 'FAR_OTM'
+        ? `${TYPE_LABELS.FAR_OTM} (${strikesAway} strikes OTM, limit ${rule.max_strikes})`
+        : TYPE_LABELS[rule.type];
+    const allowed = rule.mode === 'EXIT_ONLY' ? 'only exits are allowed' : 'fresh short positions are not allowed';
+    return `${instrument.tradingsymbol || instrument.instrument_token} is ${what}: ${allowed}${rule.reason ? ` (${rule.reason})` : ''}`;
+};
+
+/**
+ * Naya order / qty badhana (side ke saath) allowed hai?
+ * Returns { rule, error } ya null.
+ */
+export const findOrderRestriction = async (instrument, { broker_id_str, side } = {}) => {
+    if (!instrument) return null;
+
+    const rules = (await getActiveRestrictions(broker_id_str))
+        .filter(rule => ruleBlocks(rule, side) && ruleMatches(rule, instrument));
+    if (!rules.length) return null;
+
+    const direct = rules.find(rule => rule.type !== 'FAR_OTM');
+    if (direct) return { rule: direct, error: restrictionMessage(direct, instrument) };
+
+    let strikesAway;
+    try {
+        strikesAway = await strikesOutOfTheMoney(instrument);
+    } catch (err) {
+        console.warn(`[Restriction] Far-OTM check failed for ${instrument.tradingsymbol}: ${err.message}`);
+        return null;
+    }
+    // Underlying specific rule global '*' rule pe bhaari
+    const farOtm = rules.find(rule => rule.symbol !== ALL_UNDERLYINGS) || rules[0];
+    if (strikesAway > Number(farOtm.max_strikes)) {
+        return { rule: farOtm, error: restrictionMessage(farOtm, instrument, strikesAway) };
+    }
+    return null;
+};
+
+// =========================================================
+// 3. BROKER / ADMIN INPUT
+// =========================================================
+
+/**
+ * Body => clean restriction fields. Returns { update } or { error }.
+ */
+export const normalizeRestriction = (input = {}, current = {}) => {
+    const merged = { ...current, ...input };
+    const type = String(merged.type || '').toUpperCase();
+    if (!RESTRICTION_TYPES.includes(type)) return { error: `type must be one of ${RESTRICTION_TYPES.join(', ')}` };
+
+    const mode = String(merged.mode || 'EXIT_ONLY').toUpperCase();
+    if (!RESTRICTION_MODES.includes(mode)) return { error: `mode must be one of ${RESTRICTION_MODES.join(', ')}` };
+
+    const symbol = String(merged.symbol || '').trim().toUpperCase();
+    const instrument_token = merged.instrument_token ? String(merged.instrument_token) : null;
+    if (!symbol && !instrument_token) return { error: 'symbol or instrument_token is required' };
+    if (symbol === ALL_UNDERLYINGS && type !== 'FAR_OTM') return { error: `'${ALL_UNDERLYINGS}' is only allowed for FAR_OTM rules` };
+
+    let max_strikes = null;
+    if (type === 'FAR_OTM') {
+        max_strikes = Number(merged.max_strikes);
+        if (!Number.isInteger(max_strikes) || max_strikes < 1 || max_strikes > 100) {
+            return { error: 'max_strikes must be a whole number between 1 and 100' };
+        }
+    }
+
+    let expires_at = null;
+    if (merged.expires_at) {
+        expires_at = new Date(merged.expires_at);
+        if (Number.isNaN(expires_at.getTime())) return { error: 'expires_at must be a valid date' };
+    }
+
+    return {
+        update: {
+            type,
+            mode,
+            symbol,
+            instrument_token,
+            max_strikes,
+            expires_at,
+            reason: merged.reason ? String(merged.reason).slice(0, 200) : '',
+        },
+    };
+};
+
+// =========================================================
+// 4. DAILY BAN FILE (NSE fo_secban.csv ya plain symbol list)
+//   "Securities in Ban For Trade Date 20-OCT-2026:"
+//   "1,IDEA"
+//   "2,RBLBANK"
+// =========================================================
+
+const MONTHS = { JAN: '01', FEB: '02', MAR: '03', APR: '04', MAY: '05', JUN: '06', JUL: '07', AUG: '08', SEP: '09', OCT: '10', NOV: '11', DEC: '12' };
+const SYMBOL_PATTERN = /^[A-Z][A-Z0-9&-]*$/;
+const HEADER_WORDS = new Set(['SYMBOL', 'SR', 'SRNO', 'NO', 'SECURITY', 'SECURITIES']);
+
+// "20-OCT-2026" / "20-10-2026" / "2026-10-20" => "2026-10-20"
+export const parseTradeDate = (value) => {
+    const text = String(value || '').trim().toUpperCase();
+    let match = text.match(/(\d{4})-(\d{2})-(\d{2})/);
+    if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+    match = text.match(/(\d{1,2})[-/ ]([A-Z]{3}|\d{1,2})[-/ ](\d{4})/);
+    if (!match) return null;
+    const month = MONTHS[match[2]] || (Number(match[2]) >= 1 && Number(match[2]) <= 12 ? match[2].padStart(2, '0') : null);
+    return month ? `${match[3]}-${month}-${match[1].padStart(2, '0')}` : null;
+};
+
+export const parseBanList = (text = '') => {
+    let trade_date = null;
+    const symbols = new Set();
+
+    for (const rawLine of String(text).split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line) continue;
+        if (/trade\s*date|securities\s+in\s+ban/i.test(line)) {
+            trade_date = trade_date || parseTradeDate(line);
+            continue;
+        }
+        for (const cell of line.split(/[,;\t]/)) {
+            const token = cell.trim().replace(/^"|"$/g, '').toUpperCase();
+            if (SYMBOL_PATTERN.test(token) && !HEADER_WORDS.has(token.replace(/[^A-Z]/g, ''))) symbols.add(token);
+        }
+    }
+
+    return { trade_date, symbols: [...symbols] };
+};
+
+/**
+ * Ban file import: us scope ke purane BAN_FILE rules hata ke naye FNO_BAN (EXIT_ONLY)
+ * rules, trade date ke IST din ke end tak valid.
+ */
+export const importBanList = async ({ broker_id_str = null, text, trade_date, created_by } = {}) => {
+    const parsed = parseBanList(text);
+    const day = parseTradeDate(trade_date) || parsed.trade_date || getISTDateString();
+    if (!parsed.symbols.length) return { error: 'No symbols found in the ban list' };
+
+    const known = await Instrument.distinct('name', { name: { $in: parsed.symbols }, instrument_type: 'FUT' });
+    const unknown = parsed.symbols.filter(s => !known.includes(s));
+
+    const scope = { broker_id_str: broker_id_str || null, source: 'BAN_FILE' };
+    await InstrumentRestriction.deleteMany(scope);
+    const expires_at = new Date(`${day}T23:59:59+05:30`);
+    const inserted = await InstrumentRestriction.insertMany(parsed.symbols.map(symbol => ({
+        ...scope,
+        type: 'FNO_BAN',
+        symbol,
+        mode: 'EXIT_ONLY',
+        reason: `F&O ban for ${day}`,
+        trade_date: day,
+        expires_at,
+        created_by,
+    })));
+
+    invalidateRestrictions();
+    return { trade_date: day, symbols: parsed.symbols, unknown, restrictions: inserted };
+};
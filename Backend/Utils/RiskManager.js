@@ -0,0 +1,428 @@
+import Order from '../Model/OrdersModel.js';
+import Fund from '../Model/FundModel.js';
+import RiskEvent from '../Model/RiskEventModel.js';
+import { liveLtp } from './PriceManager.js';
+import placeMarketOrder from '../cron/Scheduler/placeMarketOrder.js';
+import { updateTriggerInWatchlist } from './OrderManager.js';
+import { isIntradayBucket } from './PnlManager.js';
+import { getISTDateString } from './marketStatus.js';
+import { sendTelegramMessage } from '../services/telegramService.js';
+
+// =========================================================
+// MTM RISK ENGINE
+// Har customer ka live mark-to-market (open positions ka unrealized + aaj ka
+// realized) ticks pe. Loss allocated limit ke:
+//   warning_pct   (default 80%) => alert (din me ek baar)
+//   squareoff_pct (default 90%) => saari open positions placeMarketOrder se exit
+// Allocated limit = intraday + overnight available limit + NRML blocked margin,
+// aaj ke realized P&L se pehle (realized P&L limit me already book ho chuka hota hai).
+// Positions RAM book me; DB se har REFRESH_INTERVAL_MS reload.
+// Fresh tick na ho to position unpriced: MTM me nahi gini jati (flat maanna loss
+// chhupa deta), aur alert jata hai.
+// =========================================================
+
+export const DEFAULT_RISK_CONFIG = { enabled: true, warning_pct: 80, squareoff_pct: 90 };
+
+const REFRESH_INTERVAL_MS = 15 * 1000;
+const EVAL_THROTTLE_MS = 1000; // ek customer ka MTM har tick pe nahi, max ek baar per second
+const UNPRICED_ALERT_MS = 15 * 60 * 1000; // unpriced positions ka alert per customer
+
+const ACTIVE_STATUSES = ['OPEN', null, 'HOLD'];
+
+// key (broker|customer) => { broker_id_str, customer_id_str, positions, realized, allocated, config, state, lastEval }
+export const riskBooks = new Map();
+// instrument_token => Set<key>
+const tokenIndex = new Map();
+// Square-off chal raha hai => dobara trigger nahi
+const squaringOff = new Set();
+// key => last unpriced alert (ms); book refresh pe reset nahi hota
+const unpricedAlertAt = new Map();
+
+let refreshTimer = null;
+
+const bookKey = (broker_id_str, customer_id_str) => `${broker_id_str}|${customer_id_str}`;
+const round2 = (n) => Number((Number(n) || 0).toFixed(2));
+
+const startOfISTDay = () => new Date(`${getISTDateString()}T00:00:00+05:30`);
+
+export const getRiskConfig = (fund) => {
+    const config = fund?.mtm_risk_config || {};
+    return {
+        enabled: config.enabled ?? DEFAULT_RISK_CONFIG.enabled,
+        warning_pct: Number(config.warning_pct) || DEFAULT_RISK_CONFIG.warning_pct,
+        squareoff_pct: Number(config.squareoff_pct) || DEFAULT_RISK_CONFIG.squareoff_pct,
+    };
+};
+
+// Aaj ka state; purani date ka state => fresh
+const todayState = (fund) => {
+    const state = fund?.mtm_risk_state || {};
+    const today = getISTDateString();
+    return state.trade_date === today
+        ? { trade_date: today, warned_at: state.warned_at || null, squared_off_at: state.squared_off_at || null }
+        : { trade_date: today, warned_at: null, squared_off_at: null };
+};
+
+/**
+ * MTM snapshot of a book at current LTPs.
+ * Fresh tick nahi => position unpriced (ltp / pnl null), unrealized me shamil nahi.
+ */
+export const computeMtm = (book) => {
+    let unrealized = 0;
+    let unpriced = 0;
+    const positions = book.positions.map(p => {
+        const ltp = liveLtp(p.token);
+        if (!ltp) {
+            unpriced += 1;
+            return { ...p, ltp: null, pnl: null, priced: false };
+        }
+        const pnl = (p.side === 'SELL' ? p.entry - ltp : ltp - p.entry) * p.quantity;
+        unrealized += pnl;
+        return { ...p, ltp, pnl: round2(pnl), priced: true };
+    });
+
+    const mtm = unrealized + book.realized;
+    const loss = Math.max(-mtm, 0);
+    const lossPct = book.allocated > 0 ? loss / book.allocated * 100 : 0;
+
+    return {
+        mtm: round2(mtm),
+        unrealized_pnl: round2(unrealized),
+        realized_pnl: round2(book.realized),
+        allocated_limit: round2(book.allocated),
+        loss_pct: round2(lossPct),
+        unpriced_positions: unpriced,
+        positions,
+    };
+};
+
+// =========================================================
+// 1. BOOK LOAD / REFRESH
+// =========================================================
+
+const buildBooks = async (filter = {}) => {
+    const orders = await Order.find({ ...filter, order_status: { $in: ACTIVE_STATUSES } }).lean();
+
+    const books = new Map();
+    for (const order of orders) {
+        const qty = Number(order.quantity) || 0;
+        const entry = Number(order.avg_fill_price) || Number(order.price) || 0;
+        if (!qty || !entry) continue;
+
+        const key = bookKey(order.broker_id_str, order.customer_id_str);
+        if (!books.has(key)) {
+            books.set(key, {
+                key,
+                broker_id_str: order.broker_id_str,
+                customer_id_str: order.customer_id_str,
+                positions: [],
+                overnightMargin: 0,
+            });
+        }
+        const book = books.get(key);
+        book.positions.push({
+            orderId: String(order._id),
+            token: String(order.instrument_token || order.security_Id),
+            symbol: order.symbol,
+            side: order.side,
+            quantity: qty,
+            entry,
+        });
+        if (!isIntradayBucket(order)) book.overnightMargin += Number(order.margin_blocked) || 0;
+    }
+    if (books.size === 0) return books;
+
+    const customers = [...new Set([...books.values()].map(b => b.customer_id_str))];
+    const [funds, realizedRows] = await Promise.all([
+        Fund.find({ customer_id_str: { $in: customers } }).lean(),
+        Order.aggregate([
+            { $match: { customer_id_str: { $in: customers }, order_status: 'CLOSED', closed_at: { $gte: startOfISTDay() } } },
+            { $group: { _id: { broker: '$broker_id_str', customer: '$customer_id_str' }, realized: { $sum: '$realized_pnl' } } },
+        ]),
+    ]);
+
+    const fundByKey = new Map(funds.map(f => [bookKey(f.broker_id_str, f.customer_id_str), f]));
+    const realizedByKey = new Map(realizedRows.map(r => [bookKey(r._id.broker, r._id.customer), Number(r.realized) || 0]));
+
+    for (const [key, book] of books) {
+        const fund = fundByKey.get(key);
+        if (!fund) {
+            books.delete(key);
+            continue;
+        }
+        book.realized = realizedByKey.get(key) || 0;
+        book.allocated = (Number(fund.intraday?.available_limit) || 0)
+            + (Number(fund.overnight?.available_limit) || 0)
+            + book.overnightMargin
+            - book.realized;
+        book.config = getRiskConfig(fund);
+        book.state = todayState(fund);
+        book.lastEval = 0;
+    }
+    return books;
+};
+
+const indexBook = (book) => {
+    for (const { token } of book.positions) {
+        if (!tokenIndex.has(token)) tokenIndex.set(token, new Set());
+        tokenIndex.get(token).add(book.key);
+    }
+};
+
+const unindexBook = (key) => {
+    for (const [token, keys] of tokenIndex) {
+        keys.delete(key);
+        if (keys.size === 0) tokenIndex.delete(token);
+    }
+};
+
+/**
+ * Saari open positions se books dobara banao. Returns tokens (subscribe ke liye).
+ */
+export const loadRiskBooks = async () => {
+    try {
+        const books = await buildBooks();
+
+        riskBooks.clear();
+        tokenIndex.clear();
+        for (const [key, book] of books) {
+            riskBooks.set(key, book);
+            indexBook(book);
+        }
+        return [...tokenIndex.keys()];
+    } catch (error) {
+        console.error("❌ [RiskManager] Failed to load risk books:", error);
+        return [];
+    }
+};
+
+// Ek customer ka book (square-off ke baad / API se)
+export const refreshCustomerBook = async (broker_id_str, customer_id_str) => {
+    const key = bookKey(broker_id_str, customer_id_str);
+    const books = await buildBooks({ broker_id_str: String(broker_id_str), customer_id_str: String(customer_id_str) });
+    const book = books.get(key) || null;
+
+    unindexBook(key);
+    if (book) {
+        riskBooks.set(key, book);
+        indexBook(book);
+    } else {
+        riskBooks.delete(key);
+    }
+    return book;
+};
+
+/**
+ * Server start: books load + periodic refresh.
+ * subscribe(tokens) => open positions ke ticks chahiye (Kite WebSocket).
+ */
+export const startRiskEngine = async ({ subscribe } = {}) => {
+    // Sirf naye tokens subscribe (har refresh pe poori list bhejne se mode reset hota)
+    const subscribed = new Set();
+    const subscribeNew = (tokens) => {
+        const fresh = tokens.filter(token => !subscribed.has(token));
+        fresh.forEach(token => subscribed.add(token));
+        if (fresh.length) subscribe?.(fresh);
+    };
+
+    subscribeNew(await loadRiskBooks());
+    console.log(`✅ [RiskManager] Watching MTM of ${riskBooks.size} customers.`);
+
+    if (refreshTimer) clearInterval(refreshTimer);
+    refreshTimer = setInterval(async () => {
+        subscribeNew(await loadRiskBooks());
+        // Jin books ke tokens pe tick hi nahi aa raha (feed down) woh bhi evaluate / alert ho
+        riskBooks.forEach(evaluateBook);
+    }, REFRESH_INTERVAL_MS);
+};
+
+// =========================================================
+// 2. ALERT + SQUARE-OFF
+// =========================================================
+
+const markState = (book, field) => {
+    book.state[field] = new Date();
+    return Fund.updateOne(
+        { broker_id_str: book.broker_id_str, customer_id_str: book.customer_id_str },
+        { $set: { 'mtm_risk_state.trade_date': book.state.trade_date, [`mtm_risk_state.${field}`]: book.state[field] } }
+    );
+};
+
+const riskMessage = (level, book, snapshot, thresholdPct) => [
+    `<b>${level === 'SQUAREOFF' ? '🛑 MTM SQUARE-OFF' : '⚠️ MTM WARNING'}</b>`,
+    `Broker: ${book.broker_id_str} | Customer: ${book.customer_id_str}`,
+    `MTM: ₹${snapshot.mtm} (loss ${snapshot.loss_pct}% of ₹${snapshot.allocated_limit})`,
+    `Threshold: ${thresholdPct}%`,
+].join('\n');
+
+const warnCustomer = async (book, snapshot) => {
+    try {
+        await markState(book, 'warned_at');
+        await RiskEvent.create({
+            broker_id_str: book.broker_id_str,
+            customer_id_str: book.customer_id_str,
+            level: 'WARNING',
+            trade_date: book.state.trade_date,
+            ...snapshot,
+            threshold_pct: book.config.warning_pct,
+        });
+        await sendTelegramMessage(riskMessage('WARNING', book, snapshot, book.config.warning_pct));
+        console.log(`⚠️ [RiskManager] Warning ${book.key}: loss ${snapshot.loss_pct}%`);
+    } catch (error) {
+        console.error(`❌ [RiskManager] Warning failed for ${book.key}:`, error);
+    }
+};
+
+// MTM me jo positions gini nahi ja saki (live price nahi), unka alert - max ek baar per UNPRICED_ALERT_MS
+const alertUnpriced = async (book, snapshot) => {
+    const now = Date.now();
+    if (now - (unpricedAlertAt.get(book.key) || 0) < UNPRICED_ALERT_MS) return;
+    unpricedAlertAt.set(book.key, now);
+
+    const symbols = snapshot.positions.filter(p => !p.priced).map(p => p.symbol);
+    try {
+        await sendTelegramMessage([
+            '<b>⚠️ MTM UNPRICED POSITIONS</b>',
+            `Broker: ${book.broker_id_str} | Customer: ${book.customer_id_str}`,
+            `No live price for ${symbols.length} position(s): ${symbols.join(', ')}`,
+            `MTM shown without them: ₹${snapshot.mtm} (loss ${snapshot.loss_pct}%)`,
+        ].join('\n'));
+        console.warn(`⚠️ [RiskManager] Unpriced positions ${book.key}: ${symbols.join(', ')}`);
+    } catch (error) {
+        console.error(`❌ [RiskManager] Unpriced alert failed for ${book.key}:`, error);
+    }
+};
+
+// Positions ek ek karke placeMarketOrder se exit (same path as cron square-off)
+const exitPositions = async (positions, reason) => {
+    const results = [];
+    for (const position of positions) {
+        const res = await placeMarketOrder(position.orderId, { ltp: liveLtp(position.token), reason });
+        // Closed order ka SL / target monitoring band (fail hua to position open hai, next check retry karega)
+        if (res?.ok) updateTriggerInWatchlist({ _id: position.orderId, instrument_token: position.token, order_status: 'CLOSED' });
+        results.push({
+            order_id: position.orderId,
+            symbol: position.symbol,
+            exit_price: res?.price,
+            ok: Boolean(res?.ok),
+            error: res?.ok ? undefined : res?.details || res?.error,
+        });
+    }
+    return results;
+};
+
+/**
+ * Broker action (kill switch): customer ki saari open positions exit, MTM check ke bina.
+ * Returns per-order results.
+ */
+export const exitCustomerPositions = async (broker_id_str, customer_id_str, { reason = 'KILL_SWITCH' } = {}) => {
+    const key = bookKey(broker_id_str, customer_id_str);
+    if (squaringOff.has(key)) return [];
+    squaringOff.add(key);
+
+    try {
+        const books = await buildBooks({ broker_id_str: String(broker_id_str), customer_id_str: String(customer_id_str) });
+        const positions = books.get(key)?.positions || [];
+        console.log(`🛑 [RiskManager] ${reason} ${key}: exiting ${positions.length} positions`);
+        return await exitPositions(positions, reason);
+    } finally {
+        squaringOff.delete(key);
+        await refreshCustomerBook(broker_id_str, customer_id_str).catch(() => null);
+    }
+};
+
+/**
+ * MTM breach: customer ki saari open positions exit + event / alert.
+ * Returns per-order results.
+ */
+export const squareOffCustomer = async (book, snapshot = computeMtm(book), { reason = 'MTM_SQUAREOFF' } = {}) => {
+    if (squaringOff.has(book.key)) return [];
+    squaringOff.add(book.key);
+
+    try {
+        console.log(`🛑 [RiskManager] Squaring off ${book.key}: loss ${snapshot.loss_pct}%, ${book.positions.length} positions`);
+
+        const results = await exitPositions(snapshot.positions, reason);
+
+        await markState(book, 'squared_off_at');
+        await RiskEvent.create({
+            broker_id_str: book.broker_id_str,
+            customer_id_str: book.customer_id_str,
+            level: 'SQUAREOFF',
+            trade_date: book.state.trade_date,
+            ...snapshot,
+            threshold_pct: book.config.squareoff_pct,
+            orders: results,
+        });
+        await sendTelegramMessage(
+            `${riskMessage('SQUAREOFF', book, snapshot, book.config.squareoff_pct)}\nClosed: ${results.filter(r => r.ok).length}/${results.length}`
+        );
+
+        await refreshCustomerBook(book.broker_id_str, book.customer_id_str);
+        return results;
+    } catch (error) {
+        console.error(`❌ [RiskManager] Square-off failed for ${book.key}:`, error);
+        return [];
+    } finally {
+        squaringOff.delete(book.key);
+    }
+};
+
+const evaluateBook = (book) => {
+    if (!book.config?.enabled || !(book.allocated > 0) || squaringOff.has(book.key)) return;
+
+    const now = Date.now();
+    if (now - book.lastEval < EVAL_THROTTLE_MS) return;
+    book.lastEval = now;
+
+    // Din badla (book refresh se pehle) => aaj ka fresh state
+    if (book.state.trade_date !== getISTDateString()) book.state = todayState({});
+
+    const snapshot = computeMtm(book);
+    if (snapshot.unpriced_positions > 0) alertUnpriced(book, snapshot);
+    if (snapshot.loss_pct >= book.config.squareoff_pct) {
+        squareOffCustomer(book, snapshot);
+    } else if (snapshot.loss_pct >= book.config.warning_pct && !book.state.warned_at) {
+        book.state.warned_at = new Date(); // await se pehle, taaki agla tick dobara na bheje
+        warnCustomer(book, snapshot);
+    }
+};
+
+// =========================================================
+// 3. TICK HANDLER (KiteWebSocket)
+// =========================================================
+export const onRiskTick = ({ token }) => {
+    const keys = tokenIndex.get(String(token));
+    if (!keys) return;
+
+    for (const key of keys) {
+        const book = riskBooks.get(key);
+        if (book) evaluateBook(book);
+    }
+};
+
+// =========================================================
+// 4. CONFIG (broker input)
+// =========================================================
+
+/**
+ * Broker input => clean config (partial allowed). Returns { config } or { error }.
+ */
+export const normalizeRiskConfig = (input = {}, current = {}) => {
+    const base = getRiskConfig({ mtm_risk_config: current });
+    const config = {
+        enabled: input.enabled === undefined ? base.enabled : Boolean(input.enabled),
+        warning_pct: input.warning_pct === undefined ? base.warning_pct : Number(input.warning_pct),
+        squareoff_pct: input.squareoff_pct === undefined ? base.squareoff_pct : Number(input.squareoff_pct),
+    };
+
+    for (const field of ['warning_pct', 'squareoff_pct']) {
+        if (!Number.isFinite(config[field]) || config[field] <= 0 || config[field] > 100) {
+            return { error: `${field} must be between 0 and 100` };
+        }
+    }
+    if (config.warning_pct >= config.squareoff_pct) {
+        return { error: 'warning_pct must be below squareoff_pct' };
+    }
+    return { config };
+};
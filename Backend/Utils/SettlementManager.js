@@ -0,0 +1,188 @@
+import Order from '../Model/OrdersModel.js';
+import Fund from '../Model/FundModel.js';
+import FundLedger from '../Model/FundLedgerModel.js';
+import FundSnapshot from '../Model/FundSnapshotModel.js';
+import { runTradeTransaction } from '../services/tradeTransaction.js';
+import { postFundEntry } from './LedgerManager.js';
+import { isIntradayBucket } from './PnlManager.js';
+import { computeMargin, orderMarginRate } from './LeverageManager.js';
+import { computeMtm, refreshCustomerBook } from './RiskManager.js';
+import { getISTDateString } from './marketStatus.js';
+
+// =========================================================
+// EOD SETTLEMENT (cron/FundScheduler/fundCorn.js, 00:00 IST => pichla din)
+// Pehle midnight pe sabka intraday.used_limit = 0 hota tha - HOLD / carried
+// positions ka margin bhi free ho jata tha. Ab har fund ke liye ek transaction:
+//  1. Realized P&L: din ke CLOSED orders ka realized_pnl vs ledger me booked
+//     (REALIZED_PNL + CHARGES); farq => EOD REALIZED_PNL entry
+//  2. HOLD positions ka margin order pe stamp (margin_blocked) - close par wahi release
+//  3. intraday.used_limit = live intraday-bucket orders ka margin (ledger entry ke saath)
+//  4. FundSnapshot (broker + customer + trade_date unique) => rerun pe skip
+// =========================================================
+
+// Ye orders abhi bhi margin rok ke baithe hain
+const LIVE_STATUSES = ['OPEN', null, 'HOLD', 'PENDING', 'AMO'];
+const RESTING_STATUSES = ['PENDING', 'AMO'];
+
+const round2 = (n) => Number((Number(n) || 0).toFixed(2));
+
+// 00:00 IST pe chale to pichla din; restart catch-up me bhi kal ka din
+export const previousTradeDate = (now = new Date()) => getISTDateString(new Date(now.getTime() - 24 * 60 * 60 * 1000));
+
+// HOLD conversion order ka margin_blocked 0 kar deta hai (fund me used rehta hai) => entry price se dobara
+const carriedMargin = (order) => {
+    const blocked = Number(order.margin_blocked) || 0;
+    if (blocked > 0 || order.order_status !== 'HOLD') return blocked;
+    return computeMargin(order.avg_fill_price || order.price, order.quantity, orderMarginRate(order));
+};
+
+/**
+ * Din ke CLOSED orders ka P&L jo ledger me book nahi hua (ya kam / zyada hua) => fund me.
+ * Ledger shuru hone se pehle band hue orders skip (unka P&L seedha balance me ja chuka hai).
+ */
+const settleRealizedPnl = async (fund, { start, end }, session) => {
+    const scope = { broker_id_str: fund.broker_id_str, customer_id_str: fund.customer_id_str };
+    const summary = { orders: 0, gross: 0, charges: 0, net: 0, settled_amount: 0 };
+
+    const closed = await Order.find({ ...scope, order_status: 'CLOSED', closed_at: { $gte: start, $lt: end } })
+        .session(session)
+        .lean();
+    if (!closed.length) return summary;
+
+    for (const order of closed) {
+        summary.orders += 1;
+        summary.net += Number(order.realized_pnl) || 0;
+        summary.charges += Number(order.charges) || 0;
+    }
+    summary.gross = summary.net + summary.charges;
+
+    const firstEntry = await FundLedger.findOne(scope).sort({ createdAt: 1 }).session(session).lean();
+    if (!firstEntry) return summary;
+
+    const bookedRows = await FundLedger.aggregate([
+        {
+            $match: {
+                ...scope,
+                account: 'NET_BALANCE',
+                entry_type: { $in: ['REALIZED_PNL', 'CHARGES'] },
+                order_id: { $in: closed.map(o => o._id) },
+            },
+        },
+        { $group: { _id: '$order_id', amount: { $sum: '$amount' } } },
+    ]).session(session);
+    const booked = new Map(bookedRows.map(r => [String(r._id), r.amount]));
+
+    for (const order of closed) {
+        if (order.closed_at < firstEntry.createdAt) continue;
+
+        const diff = round2((Number(order.realized_pnl) || 0) - (booked.get(String(order._id)) || 0));
+        if (diff === 0) continue;
+
+        const limitAccount = isIntradayBucket(order) ? 'INTRADAY_LIMIT' : 'OVERNIGHT_LIMIT';
+        for (const account of ['NET_BALANCE', limitAccount]) {
+            postFundEntry(fund, account, diff, { entry_type: 'REALIZED_PNL', order, narration: 'EOD settlement' });
+        }
+        summary.settled_amount += diff;
+    }
+    return summary;
+};
+
+/**
+ * Ek fund ka settlement. Returns snapshot ya null (is din ka ho chuka).
+ */
+export const settleFund = async (fundId, trade_date) => {
+    const start = new Date(`${trade_date}T00:00:00+05:30`);
+    const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+
+    // MTM snapshot ke liye (read only, transaction ke bahar)
+    const meta = await Fund.findById(fundId).select('broker_id_str customer_id_str').lean();
+    if (!meta) return null;
+    if (await FundSnapshot.exists({ broker_id_str: meta.broker_id_str, customer_id_str: meta.customer_id_str, trade_date })) return null;
+    const book = await refreshCustomerBook(meta.broker_id_str, meta.customer_id_str);
+    const mtm = book ? computeMtm(book) : null;
+
+    return runTradeTransaction(async (session) => {
+        const scope = { broker_id_str: meta.broker_id_str, customer_id_str: meta.customer_id_str };
+        if (await FundSnapshot.exists({ ...scope, trade_date }).session(session)) return null;
+
+        const fund = await Fund.findById(fundId).session(session);
+        if (!fund) return null;
+
+        const realized = await settleRealizedPnl(fund, { start, end }, session);
+
+        // Carry forward + used limit recompute
+        const margin = { intraday_open: 0, hold_carried: 0, overnight_carried: 0, pending: 0 };
+        let intradayUsed = 0;
+        let openPositions = 0;
+
+        const live = await Order.find({ ...scope, order_status: { $in: LIVE_STATUSES } }).session(session).lean();
+        for (const order of live) {
+            const blocked = round2(carriedMargin(order));
+            const intraday = isIntradayBucket(order);
+            const resting = RESTING_STATUSES.includes(order.order_status);
+
+            if (order.order_status === 'HOLD' && blocked !== (Number(order.margin_blocked) || 0)) {
+                await Order.updateOne({ _id: order._id }, { $set: { margin_blocked: blocked } }, { session });
+            }
+
+            if (resting) margin.pending += blocked;
+            else {
+                openPositions += 1;
+                if (order.order_status === 'HOLD') margin.hold_carried += blocked;
+                else if (intraday) margin.intraday_open += blocked;
+                else margin.overnight_carried += blocked;
+            }
+            if (intraday) intradayUsed += blocked;
+        }
+
+        const usedBefore = Number(fund.intraday?.used_limit) || 0;
+        const delta = round2(intradayUsed - usedBefore);
+        if (delta !== 0) {
+            postFundEntry(fund, 'INTRADAY_USED', delta, {
+                entry_type: delta > 0 ? 'MARGIN_BLOCK' : 'MARGIN_RELEASE',
+                narration: `EOD ${trade_date}: used limit recomputed from open orders`,
+            });
+        }
+        fund.intraday.free_limit = round2((Number(fund.intraday.available_limit) || 0) - (Number(fund.intraday.used_limit) || 0));
+        await fund.save({ session });
+
+        const [snapshot] = await FundSnapshot.create([{
+            ...scope,
+            trade_date,
+            balances: {
+                net_available_balance: round2(fund.net_available_balance),
+                intraday_available_limit: round2(fund.intraday.available_limit),
+                intraday_used_limit: round2(fund.intraday.used_limit),
+                intraday_free_limit: fund.intraday.free_limit,
+                overnight_available_limit: round2(fund.overnight.available_limit),
+            },
+            used_limit_before: round2(usedBefore),
+            margin: Object.fromEntries(Object.entries(margin).map(([k, v]) => [k, round2(v)])),
+            realized: Object.fromEntries(Object.entries(realized).map(([k, v]) => [k, k === 'orders' ? v : round2(v)])),
+            open_positions: openPositions,
+            unrealized_pnl: mtm ? mtm.unrealized_pnl : 0,
+        }], { session });
+
+        return snapshot;
+    });
+};
+
+/**
+ * Saare funds ka EOD settlement (ek ke fail hone se baaki nahi rukte).
+ */
+export const settleTradingDay = async (trade_date = previousTradeDate()) => {
+    const summary = { trade_date, settled: 0, skipped: 0, failed: 0 };
+
+    const funds = await Fund.find({}).select('_id').lean();
+    for (const { _id } of funds) {
+        try {
+            const snapshot = await settleFund(_id, trade_date);
+            if (snapshot) summary.settled += 1;
+            else summary.skipped += 1;
+        } catch (error) {
+            summary.failed += 1;
+            console.error(`❌ [Settlement] Fund ${_id} failed for ${trade_date}:`, error.message);
+        }
+    }
+    return summary;
+};
@@ -0,0 +1,409 @@
+import Order from '../Model/OrdersModel.js';
+import Instrument from '../Model/InstrumentModel.js';
+import { fetchLtps, liveLtp } from './PriceManager.js';
+import { resolveChargeCategory } from './ChargesCalculator.js';
+import { computeMargin, orderMarginRate } from './LeverageManager.js';
+import { FREEZE_LIMITS, isOptionInstrumentType } from './InstrumentManager.js';
+import { getISTDateString } from './marketStatus.js';
+
+// =========================================================
+// SPAN-STYLE F&O MARGIN (risk array + exposure)
+// Har underlying+expiry group ke saare legs (futures, long/short options) ko
+// 16 price/volatility scenarios pe revalue karte hain; worst loss = scan risk.
+// Hedge (spread, covered future, strangle) isi se recognise hota hai - group ka
+// combined worst loss legs ke alag alag loss ke sum se kam hota hai.
+//
+// Group margin = max(long option value, scan risk) + exposure
+//   - long options ka premium hamesha block (sim me short premium credit nahi hota)
+//   - exposure = % of underlying notional on futures + short options
+// =========================================================
+
+export const SPAN_PARAMS = {
+    INDEX: { scan: 0.06, vol: 0.15, exposure: 0.02 },
+    STOCK: { scan: 0.12, vol: 0.30, exposure: 0.035 },
+    CURRENCY: { scan: 0.03, vol: 0.07, exposure: 0.01 },
+    COMMODITY: { scan: 0.06, vol: 0.25, exposure: 0.02 },
+};
+
+// Volatility scan: IV ko +-25% (relative) shift karke revalue
+export const VOLATILITY_SCAN = 0.25;
+
+// Index derivatives = jinke freeze limits hain (NIFTY, BANKNIFTY, ...)
+const INDEX_UNDERLYINGS = Object.keys(FREEZE_LIMITS);
+
+// [price move (x scan range), vol move (x VOLATILITY_SCAN), weight] - NSE SPAN ke 16 scenarios
+export const RISK_SCENARIOS = [
+    [0, 1, 1], [0, -1, 1],
+    [1 / 3, 1, 1], [1 / 3, -1, 1], [-1 / 3, 1, 1], [-1 / 3, -1, 1],
+    [2 / 3, 1, 1], [2 / 3, -1, 1], [-2 / 3, 1, 1], [-2 / 3, -1, 1],
+    [1, 1, 1], [1, -1, 1], [-1, 1, 1], [-1, -1, 1],
+    [2, 0, 0.35], [-2, 0, 0.35], // extreme moves, 35% weight
+];
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+const MIN_EXPIRY_YEARS = 1 / (365 * 24); // expiry day pe bhi ek ghante ka time value
+
+const round2 = (n) => Number((Number(n) || 0).toFixed(2));
+
+// =========================================================
+// 1. PRICING (Black-76 on the underlying future, r = 0)
+// =========================================================
+
+// Standard normal CDF (Abramowitz-Stegun 7.1.26)
+const normCdf = (x) => {
+    const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-(x * x) / 2);
+    return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+export const optionPrice = ({ type, underlying, strike, years, vol }) => {
+    const F = Number(underlying) || 0;
+    const K = Number(strike) || 0;
+    const isCall = String(type).toUpperCase() === 'CE';
+    const intrinsic = Math.max(isCall ? F - K : K - F, 0);
+    if (!(F > 0) || !(K > 0) || !(years > 0) || !(vol > 0)) return intrinsic;
+
+    const sd = vol * Math.sqrt(years);
+    const d1 = (Math.log(F / K) + sd * sd / 2) / sd;
+    const d2 = d1 - sd;
+    return isCall
+        ? F * normCdf(d1) - K * normCdf(d2)
+        : K * normCdf(-d2) - F * normCdf(-d1);
+};
+
+// Premium se IV (bisection); premium bounds ke bahar => null (default vol use hoga)
+export const impliedVolatility = ({ type, underlying, strike, years, premium }) => {
+    const target = Number(premium) || 0;
+    if (!(target > 0)) return null;
+
+    let low = 0.005;
+    let high = 3;
+    if (target <= optionPrice({ type, underlying, strike, years, vol: low })) return null;
+    if (target >= optionPrice({ type, underlying, strike, years, vol: high })) return null;
+
+    for (let i = 0; i < 60; i++) {
+        const mid = (low + high) / 2;
+        if (optionPrice({ type, underlying, strike, years, vol: mid }) > target) high = mid;
+        else low = mid;
+    }
+    return (low + high) / 2;
+};
+
+// Expiry day ke 15:30 IST tak ka time, years me
+export const yearsToExpiry = (expiry, now = new Date()) => {
+    if (!expiry) return MIN_EXPIRY_YEARS;
+    const expiryAt = new Date(`${getISTDateString(new Date(expiry))}T15:30:00+05:30`);
+    return Math.max((expiryAt.getTime() - now.getTime()) / YEAR_MS, MIN_EXPIRY_YEARS);
+};
+
+export const resolveSpanParams = ({ underlying, segment, symbol, instrument_type }) => {
+    const category = resolveChargeCategory({ segment, symbol, instrument_type, product: 'NRML' });
+    if (category.startsWith('CURRENCY')) return SPAN_PARAMS.CURRENCY;
+    if (category.startsWith('COMMODITY')) return SPAN_PARAMS.COMMODITY;
+    return INDEX_UNDERLYINGS.includes(String(underlying || '').toUpperCase()) ? SPAN_PARAMS.INDEX : SPAN_PARAMS.STOCK;
+};
+
+// =========================================================
+// 2. RISK ARRAY + PORTFOLIO MARGIN (pure, enriched legs)
+// Enriched leg: { underlying, expiry, instrument_type, strike, quantity (signed: BUY +, SELL -),
+//                 price, underlying_price, params }
+// =========================================================
+
+const legValue = (leg, underlying, vol) => (
+    isOptionInstrumentType(leg.instrument_type)
+        ? optionPrice({ type: leg.instrument_type, underlying, strike: leg.strike, years: leg.years, vol })
+        : underlying * (leg.price / leg.underlying_price) // future: price tracks the underlying
+);
+
+// Loss per scenario (positive = loss) for one leg
+export const legRiskArray = (leg) => {
+    const { scan } = leg.params;
+    const F = leg.underlying_price;
+    const vol = leg.vol;
+    const base = legValue(leg, F, vol);
+
+    return RISK_SCENARIOS.map(([priceMove, volMove, weight]) => {
+        const scenarioValue = legValue(leg, F * (1 + priceMove * scan), vol * (1 + volMove * VOLATILITY_SCAN));
+        return (base - scenarioValue) * leg.quantity * weight;
+    });
+};
+
+const groupKey = (leg) => `${leg.underlying}|${leg.expiry ? getISTDateString(new Date(leg.expiry)) : ''}`;
+
+/**
+ * Margin for a set of enriched legs, hedges recognised per underlying + expiry.
+ * @returns {{ total, span, exposure, premium, groups: Array }}
+ */
+export const calculatePortfolioMargin = (legs = []) => {
+    const groups = new Map();
+    for (const leg of legs) {
+        if (!leg.quantity) continue;
+        const key = groupKey(leg);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(leg);
+    }
+
+    const result = { total: 0, span: 0, exposure: 0, premium: 0, groups: [] };
+
+    for (const [key, groupLegs] of groups) {
+        const combined = new Array(RISK_SCENARIOS.length).fill(0);
+        let longValue = 0;
+        let exposure = 0;
+
+        for (const leg of groupLegs) {
+            legRiskArray(leg).forEach((loss, i) => { combined[i] += loss; });
+
+            const isOption = isOptionInstrumentType(leg.instrument_type);
+            if (isOption && leg.quantity > 0) {
+                longValue += leg.price * leg.quantity;
+            } else {
+                // Futures (dono side) + short options: underlying notional pe exposure
+                exposure += leg.underlying_price * Math.abs(leg.quantity) * leg.params.exposure;
+            }
+        }
+
+        const worst = Math.max(...combined);
+        const scanRisk = Math.max(worst, 0);
+        const span = Math.max(scanRisk - longValue, 0);
+        const margin = longValue + span + exposure;
+
+        result.groups.push({
+            key,
+            underlying: groupLegs[0].underlying,
+            expiry: groupLegs[0].expiry,
+            legs: groupLegs.length,
+            scan_risk: round2(scanRisk),
+            worst_scenario: combined.indexOf(worst) + 1,
+            span: round2(span),
+            exposure: round2(exposure),
+            premium: round2(longValue),
+            margin: round2(margin),
+        });
+
+        result.span += span;
+        result.exposure += exposure;
+        result.premium += longValue;
+        result.total += margin;
+    }
+
+    result.total = round2(result.total);
+    result.span = round2(result.span);
+    result.exposure = round2(result.exposure);
+    result.premium = round2(result.premium);
+    return result;
+};
+
+// =========================================================
+// 3. ENRICH (instrument master + live prices)
+// =========================================================
+
+// Underlying (future) price: same-expiry future, warna nearest live future, warna strike (ATM approx)
+const resolveUnderlyingPrices = async (legs) => {
+    const prices = new Map();
+
+    for (const leg of legs) {
+        if (!isOptionInstrumentType(leg.instrument_type) && leg.price > 0) {
+            prices.set(groupKey(leg), leg.price);
+        }
+        if (leg.underlying_price > 0) prices.set(groupKey(leg), leg.underlying_price);
+    }
+
+    const pending = legs.filter(leg => !prices.has(groupKey(leg)));
+    const names = [...new Set(pending.map(leg => leg.underlying))];
+    if (names.length) {
+        const futures = await Instrument.find({
+            name: { $in: names },
+            instrument_type: 'FUT',
+            expiry: { $gte: new Date(`${getISTDateString()}T00:00:00+05:30`) },
+        }).sort({ expiry: 1 }).lean();
+
+        const ltps = await fetchLtps(futures.map(f => f.instrument_token));
+        for (const leg of pending) {
+            const day = leg.expiry ? getISTDateString(new Date(leg.expiry)) : null;
+            const sameName = futures.filter(f => f.name === leg.underlying);
+            const future = sameName.find(f => getISTDateString(new Date(f.expiry)) === day) || sameName[0];
+            const price = (future && (ltps.get(String(future.instrument_token)) || future.last_price)) || 0;
+            if (price > 0) prices.set(groupKey(leg), price);
+        }
+    }
+
+    return prices;
+};
+
+/**
+ * Raw legs => enriched legs for calculatePortfolioMargin.
+ * raw: { instrument_token, side, quantity, price?, underlying_price?, instrument? }
+ * Non-derivative legs (cash equity) => `ignored`.
+ */
+export const enrichLegs = async (rawLegs = []) => {
+    const tokens = [...new Set(rawLegs.filter(l => !l.instrument).map(l => String(l.instrument_token)))];
+    const instruments = tokens.length
+        ? await Instrument.find({ instrument_token: { $in: tokens } }).lean()
+        : [];
+    const byToken = new Map(instruments.map(i => [String(i.instrument_token), i]));
+
+    const needPrice = rawLegs.filter(l => !(Number(l.price) > 0)).map(l => String(l.instrument_token));
+    const ltps = needPrice.length ? await fetchLtps(needPrice) : new Map();
+
+    const legs = [];
+    const ignored = [];
+    for (const [index, raw] of rawLegs.entries()) {
+        const instrument = raw.instrument || byToken.get(String(raw.instrument_token));
+        const type = String(instrument?.instrument_type || '').toUpperCase();
+        if (!instrument || !(type === 'FUT' || isOptionInstrumentType(type))) {
+            ignored.push({ index, instrument_token: raw.instrument_token, reason: instrument ? 'not a derivative' : 'unknown instrument' });
+            continue;
+        }
+
+        const qty = Math.abs(Number(raw.quantity) || 0);
+        legs.push({
+            index, // rawLegs me position (ignored legs ke baad bhi mapping sahi rahe)
+            instrument_token: String(instrument.instrument_token),
+            symbol: instrument.tradingsymbol,
+            underlying: String(instrument.name || instrument.tradingsymbol).toUpperCase(),
+            expiry: instrument.expiry,
+            instrument_type: type,
+            strike: Number(instrument.strike) || 0,
+            side: String(raw.side).toUpperCase() === 'SELL' ? 'SELL' : 'BUY',
+            quantity: String(raw.side).toUpperCase() === 'SELL' ? -qty : qty,
+            price: Number(raw.price) > 0 ? Number(raw.price) : (ltps.get(String(instrument.instrument_token)) || Number(instrument.last_price) || 0),
+            underlying_price: Number(raw.underlying_price) || 0,
+            years: yearsToExpiry(instrument.expiry),
+            params: resolveSpanParams({
+                underlying: instrument.name,
+                segment: instrument.segment,
+                symbol: instrument.tradingsymbol,
+                instrument_type: type,
+            }),
+        });
+    }
+
+    const underlyingPrices = await resolveUnderlyingPrices(legs);
+    for (const leg of legs) {
+        leg.underlying_price = underlyingPrices.get(groupKey(leg)) || leg.strike || leg.price;
+        if (!(leg.price > 0) && !isOptionInstrumentType(leg.instrument_type)) leg.price = leg.underlying_price;
+        leg.vol = isOptionInstrumentType(leg.instrument_type)
+            ? impliedVolatility({ type: leg.instrument_type, underlying: leg.underlying_price, strike: leg.strike, years: leg.years, premium: leg.price }) || leg.params.vol
+            : leg.params.vol;
+    }
+
+    return { legs, ignored };
+};
+
+// =========================================================
+// 4. CUSTOMER PORTFOLIO + INCREMENTAL MARGIN
+// =========================================================
+
+// Filled F&O positions (pending / AMO ko hedge credit nahi milta)
+const findOpenDerivativeOrders = (broker_id_str, customer_id_str) => Order.find({
+    broker_id_str: String(broker_id_str),
+    customer_id_str: String(customer_id_str),
+    order_status: { $in: ['OPEN', null, 'HOLD'] },
+    instrument_type: { $in: ['FUT', 'CE', 'PE'] },
+}).lean();
+
+const toRawLeg = (o) => ({
+    instrument_token: o.instrument_token,
+    side: o.side,
+    quantity: o.quantity,
+    price: liveLtp(o.instrument_token) || Number(o.avg_fill_price) || Number(o.price) || 0,
+});
+
+export const getOpenDerivativeLegs = async (broker_id_str, customer_id_str) => (
+    (await findOpenDerivativeOrders(broker_id_str, customer_id_str)).map(toRawLeg)
+);
+
+/**
+ * Margin the new legs add on top of the customer's open positions.
+ * Existing positions ka blocked margin release nahi hota, isliye hedge benefit
+ * tab milta hai jab hedge pehle (ya same basket me) liya gaya ho.
+ * @returns {{ incremental, before, after, standalone: number[], legs, ignored }}
+ *          standalone[i] = margin of legs[i] alone; legs[i].index = position in newRawLegs
+ */
+export const calculateIncrementalMargin = async (newRawLegs, { broker_id_str, customer_id_str } = {}) => {
+    const { legs: newLegs, ignored } = await enrichLegs(newRawLegs);
+    const groupKeys = new Set(newLegs.map(groupKey));
+
+    let existingLegs = [];
+    if (broker_id_str && customer_id_str && newLegs.length) {
+        const positions = await getOpenDerivativeLegs(broker_id_str, customer_id_str);
+        existingLegs = (await enrichLegs(positions)).legs.filter(leg => groupKeys.has(groupKey(leg)));
+    }
+
+    const before = calculatePortfolioMargin(existingLegs);
+    const after = calculatePortfolioMargin([...existingLegs, ...newLegs]);
+
+    return {
+        incremental: round2(Math.max(after.total - before.total, 0)),
+        before,
+        after,
+        standalone: newLegs.map(leg => calculatePortfolioMargin([leg]).total),
+        legs: newLegs,
+        ignored,
+    };
+};
+
+// HOLD conversion order ka margin_blocked 0 kar deta hai (fund me used rehta hai) => entry price se
+const heldMargin = (order) => {
+    const blocked = Number(order.margin_blocked) || 0;
+    if (blocked > 0 || order.order_status !== 'HOLD') return blocked;
+    return computeMargin(order.avg_fill_price || order.price, order.quantity, orderMarginRate(order));
+};
+
+/**
+ * Hedge credit entry pe milta hai; hedge leg band hone ke baad bache SPAN legs ka
+ * blocked margin group ke naye margin se kam pad sakta hai. Exit wale groups ka
+ * margin bachi qty pe dobara, kami SPAN orders me unke standalone margin ke hisaab se
+ * (applySpanMargin jaisa hi split, rule.value se divide). Margin sirf badhta hai.
+ * @param {Map<string, number>} exits - order _id -> exit qty (full exit => poori qty)
+ * @returns {Promise<Array<{ order_id, symbol, extra }>>} SPAN orders jinka margin badhana hai
+ */
+export const calculateExitRemargin = async (exits, { broker_id_str, customer_id_str } = {}) => {
+    if (!exits?.size || !broker_id_str || !customer_id_str) return [];
+
+    const orders = await findOpenDerivativeOrders(broker_id_str, customer_id_str);
+    if (!orders.some(o => exits.has(String(o._id)))) return [];
+
+    const { legs } = await enrichLegs(orders.map(toRawLeg));
+    const exitKeys = new Set(legs.filter(leg => exits.has(String(orders[leg.index]._id))).map(groupKey));
+
+    const topUps = [];
+    for (const key of exitKeys) {
+        // Bachi qty wale legs; partial exit me blocked margin bhi usi ratio me bachta hai
+        const groupLegs = legs
+            .filter(leg => groupKey(leg) === key)
+            .map(leg => {
+                const order = orders[leg.index];
+                const openQty = Math.abs(leg.quantity);
+                const remainingQty = Math.max(openQty - (exits.get(String(order._id)) || 0), 0);
+                return {
+                    ...leg,
+                    quantity: Math.sign(leg.quantity) * remainingQty,
+                    order,
+                    blocked: openQty > 0 ? heldMargin(order) * remainingQty / openQty : 0,
+                };
+            })
+            .filter(leg => leg.quantity !== 0);
+
+        const spanLegs = groupLegs.filter(leg => leg.order.margin_rule?.mode === 'SPAN');
+        if (spanLegs.length === 0) continue;
+
+        const required = calculatePortfolioMargin(groupLegs).total;
+        const otherBlocked = groupLegs
+            .filter(leg => !spanLegs.includes(leg))
+            .reduce((sum, leg) => sum + leg.blocked, 0);
+        const spanPortion = Math.max(required - otherBlocked, 0);
+        const standalone = spanLegs.map(leg => calculatePortfolioMargin([leg]).total);
+        const weightTotal = standalone.reduce((sum, m) => sum + m, 0);
+
+        spanLegs.forEach((leg, i) => {
+            const share = weightTotal > 0 ? spanPortion * standalone[i] / weightTotal : spanPortion / spanLegs.length;
+            const need = share / (Number(leg.order.margin_rule.value) || 1);
+            const extra = round2(need - leg.blocked);
+            if (extra > 0) topUps.push({ order_id: leg.order._id, symbol: leg.symbol, extra });
+        });
+    }
+
+    return topUps;
+};
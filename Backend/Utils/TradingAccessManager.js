@@ -0,0 +1,121 @@
+import CustomerModel from '../Model/CustomerModel.js';
+import { resolveChargeCategory } from './ChargesCalculator.js';
+import { isOptionInstrumentType } from './InstrumentManager.js';
+
+// =========================================================
+// CUSTOMER TRADING ACCESS (broker kill switch + segment permissions)
+//   ACTIVE     => normal
+//   CLOSE_ONLY => naye orders / quantity badhana band; exit + SL/target modify allowed
+//   BLOCKED    => koi naya order ya modify nahi (exit RMS / broker karega)
+// Segment: equity (NSE/BSE cash), fno (NFO/BFO + currency), mcx.
+// options_buy_only => derivatives me sirf option BUY (futures, option writing band).
+// =========================================================
+
+export const TRADING_STATUSES = ['ACTIVE', 'CLOSE_ONLY', 'BLOCKED'];
+export const SEGMENT_PERMISSION_KEYS = ['equity', 'fno', 'mcx', 'options_buy_only'];
+
+export const DEFAULT_TRADING_ACCESS = {
+    trading_status: 'ACTIVE',
+    segment_permissions: { equity: true, fno: true, mcx: true, options_buy_only: false },
+};
+
+const SEGMENT_LABELS = { equity: 'Equity', fno: 'F&O', mcx: 'MCX' };
+
+// Order => permission bucket (charges category se)
+export const resolvePermissionSegment = ({ segment, symbol, instrument_type, product }) => {
+    const category = resolveChargeCategory({ segment, symbol, instrument_type, product });
+    if (category.startsWith('COMMODITY')) return 'mcx';
+    if (category.startsWith('EQ')) return 'equity';
+    return 'fno';
+};
+
+// Customer record na mile (legacy / test ids) => default access
+export const getTradingAccess = async (customer_id_str) => {
+    if (!customer_id_str) return { ...DEFAULT_TRADING_ACCESS };
+    const customer = await CustomerModel.findOne({ customer_id: String(customer_id_str) })
+        .select('trading_status segment_permissions trading_status_reason')
+        .lean();
+
+    return {
+        trading_status: customer?.trading_status || DEFAULT_TRADING_ACCESS.trading_status,
+        segment_permissions: { ...DEFAULT_TRADING_ACCESS.segment_permissions, ...(customer?.segment_permissions || {}) },
+        reason: customer?.trading_status_reason || '',
+    };
+};
+
+/**
+ * Naya order allowed hai? Returns an error message or null.
+ * access null => check skip (caller ne load nahi kiya)
+ */
+export const checkNewOrderAccess = (access, order) => {
+    if (!access) return null;
+
+    if (access.trading_status === 'BLOCKED') {
+        return `Trading is blocked for this account${access.reason ? ` (${access.reason})` : ''}`;
+    }
+    if (access.trading_status === 'CLOSE_ONLY') {
+        return 'Account is in close-only mode: new positions are not allowed, only exits';
+    }
+
+    const bucket = resolvePermissionSegment(order);
+    const permissions = access.segment_permissions || DEFAULT_TRADING_ACCESS.segment_permissions;
+    if (permissions[bucket] === false) {
+        return `${SEGMENT_LABELS[bucket]} trading is not enabled for this account`;
+    }
+
+    const isOptionBuy = isOptionInstrumentType(order.instrument_type) && String(order.side).toUpperCase() === 'BUY';
+    if (bucket !== 'equity' && permissions.options_buy_only && !isOptionBuy) {
+        return 'Account is limited to option buying in derivatives';
+    }
+    return null;
+};
+
+/**
+ * Existing order modify allowed hai? increasesRisk => quantity badhana / naya exposure.
+ */
+export const checkModifyAccess = (access, { increasesRisk = false } = {}) => {
+    if (!access) return null;
+
+    if (access.trading_status === 'BLOCKED') {
+        return `Trading is blocked for this account${access.reason ? ` (${access.reason})` : ''}`;
+    }
+    if (access.trading_status === 'CLOSE_ONLY' && increasesRisk) {
+        return 'Account is in close-only mode: quantity cannot be increased';
+    }
+    return null;
+};
+
+/**
+ * Broker input => clean update. Returns { update } or { error }.
+ */
+export const normalizeTradingAccess = ({ trading_status, segment_permissions, reason } = {}, current = {}) => {
+    const update = {};
+
+    if (trading_status !== undefined) {
+        const status = String(trading_status).toUpperCase();
+        if (!TRADING_STATUSES.includes(status)) {
+            return { error: `trading_status must be one of ${TRADING_STATUSES.join(', ')}` };
+        }
+        update.trading_status = status;
+        update.trading_status_reason = reason ? String(reason).slice(0, 200) : '';
+        update.trading_status_updated_at = new Date();
+    }
+
+    if (segment_permissions !== undefined) {
+        if (!segment_permissions || typeof segment_permissions !== 'object') {
+            return { error: 'segment_permissions must be an object' };
+        }
+        const next = { ...DEFAULT_TRADING_ACCESS.segment_permissions, ...(current.segment_permissions || {}) };
+        for (const [key, value] of Object.entries(segment_permissions)) {
+            if (!SEGMENT_PERMISSION_KEYS.includes(key)) return { error: `Unknown segment permission ${key}` };
+            if (typeof value !== 'boolean') return { error: `${key} must be true or false` };
+            next[key] = value;
+        }
+        update.segment_permissions = next;
+    }
+
+    if (Object.keys(update).length === 0) {
+        return { error: 'Nothing to update: pass trading_status and/or segment_permissions' };
+    }
+    return { update };
+};
@@ -1,25 +1,75 @@
-const marketHolidays = [
-  "2025-01-26",
-  "2025-02-26",
-  "2025-03-14",
-  "2025-03-31",
-  "2025-04-06",
-  "2025-04-10",
-  "2025-04-14",
-  "2025-04-18",
-  "2025-05-01",
-  "2025-06-07",
-  "2025-07-06",
-  "2025-08-15",
-  "2025-08-27",
-  "2025-10-02",
-  "2025-10-21",
-  "2025-10-22",
-  "2025-11-05",
-  "2025-12-25"
-];
-
-const holidaySet = new Set(marketHolidays);
+/**
+ * marketStatus.js
+ * Session calendar per market (NSE/BSE equity, F&O, currency, MCX).
+ * Holidays come from cron/marketCalendar.js plus the MarketCalendar collection
+ * (Utils/MarketCalendarManager.js); times are IST ("HH:MM", end exclusive).
+ *
+ * Sessions:
+ *   PRE_OPEN          - order entry; queued as AMO and matched at the open
+ *   PRE_OPEN_MATCHING - order entry frozen while the exchange discovers the open price
+ *   NORMAL            - continuous trading
+ *   CLOSING           - post-close session, MARKET delivery orders at the closing price
+ *   EVENING           - MCX evening session
+ *   MUHURAT           - special Diwali session (MarketCalendar SPECIAL day)
+ */
+
+import { isTradingDay } from '../cron/marketCalendar.js';
+import { getSpecialSessions, isCalendarHoliday } from './MarketCalendarManager.js';
+import { resolveChargeCategory } from './ChargesCalculator.js';
+
+export const MARKET_CALENDAR = {
+  EQ: {
+    label: 'Equity',
+    open: '09:15',
+    close: '15:30',
+    squareoff: '15:15',
+    sessions: [
+      { session: 'PRE_OPEN', start: '09:00', end: '09:08', accepts_orders: false, amo: true },
+      { session: 'PRE_OPEN_MATCHING', start: '09:08', end: '09:15', accepts_orders: false, amo: false },
+      { session: 'NORMAL', start: '09:15', end: '15:30', accepts_orders: true },
+      { session: 'CLOSING', start: '15:40', end: '16:00', accepts_orders: true, order_types: ['MARKET'], products: ['NRML'] },
+    ],
+  },
+  FO: {
+    label: 'F&O',
+    open: '09:15',
+    close: '15:30',
+    squareoff: '15:15',
+    sessions: [
+      { session: 'NORMAL', start: '09:15', end: '15:30', accepts_orders: true },
+    ],
+  },
+  CDS: {
+    label: 'Currency',
+    open: '09:00',
+    close: '17:00',
+    squareoff: '16:45',
+    sessions: [
+      { session: 'NORMAL', start: '09:00', end: '17:00', accepts_orders: true },
+    ],
+  },
+  MCX: {
+    label: 'Commodity',
+    open: '09:00',
+    close: '23:30',
+    squareoff: '23:15',
+    sessions: [
+      { session: 'NORMAL', start: '09:00', end: '17:00', accepts_orders: true },
+      { session: 'EVENING', start: '17:00', end: '23:30', accepts_orders: true },
+    ],
+  },
+};
+
+export const MARKETS = Object.keys(MARKET_CALENDAR);
+
+const SESSION_LABELS = {
+  PRE_OPEN: 'pre-open',
+  PRE_OPEN_MATCHING: 'pre-open matching',
+  NORMAL: 'normal',
+  CLOSING: 'closing',
+  EVENING: 'evening',
+  MUHURAT: 'Muhurat',
+};
 
 export function getISTTime() {
   return new Date(new Date().toLocaleString("en-US", { timeZone: "Asia/Kolkata" }));
@@ -29,37 +79,128 @@ export function getISTDateString(date = new Date()) {
   return date.toLocaleDateString("en-CA", { timeZone: "Asia/Kolkata" });
 }
 
-function isTradingDay(date) {
+const toMinutes = (hhmm) => {
+  const [h, m] = String(hhmm).split(':').map(Number);
+  return h * 60 + m;
+};
+
+const istMinutes = (date) => {
   const istDate = new Date(date.toLocaleString("en-US", { timeZone: "Asia/Kolkata" }));
-  const dayOfWeek = istDate.getDay();
-  
-  if (dayOfWeek === 0 || dayOfWeek === 6) {
-    return false;
-  }
-  
+  return istDate.getHours() * 60 + istDate.getMinutes();
+};
+
+const istDateTime = (dateStr, hhmm) => new Date(`${dateStr}T${hhmm}:00+05:30`);
+
+/**
+ * Market key from a Kite segment ("NSE", "NFO-OPT", "MCX-FUT", "CDS-FUT"...)
+ * or a market key itself ("EQ", "FO", "CDS", "MCX").
+ * Segment missing / UNKNOWN => symbol suffix decides (same rules as charges).
+ */
+export const resolveMarket = (segment, symbol) => {
+  const key = String(segment || '').toUpperCase();
+  if (MARKET_CALENDAR[key]) return key;
+
+  const category = resolveChargeCategory({ segment, symbol, product: 'NRML' });
+  if (category.startsWith('COMMODITY')) return 'MCX';
+  if (category.startsWith('CURRENCY')) return 'CDS';
+  if (category === 'OPT' || category === 'FUT') return 'FO';
+  return 'EQ';
+};
+
+// Sessions of a market on a given IST day ([] => closed all day)
+export const getDaySessions = (market, date = new Date()) => {
   const dateStr = getISTDateString(date);
-  if (holidaySet.has(dateStr)) {
-    return false;
-  }
-  
-  return true;
+  // Special day (Muhurat etc.) ke sessions regular schedule replace karte hain, holiday par bhi
+  const special = getSpecialSessions(dateStr, market);
+  if (special) return special;
+  if (!isTradingDay(date) || isCalendarHoliday(dateStr, market)) return [];
+  return MARKET_CALENDAR[market]?.sessions || [];
+};
+
+export const isSessionDay = (market, date = new Date()) => getDaySessions(market, date).length > 0;
+
+/**
+ * Current session state for a segment.
+ * @returns {Object} { market, session, is_open, amo_allowed, sessions, next_change_at, ... }
+ */
+export function getMarketStatus(segment = 'NSE', { symbol, date = new Date() } = {}) {
+  const market = resolveMarket(segment, symbol);
+  const calendar = MARKET_CALENDAR[market];
+  const sessions = getDaySessions(market, date);
+  const dateStr = getISTDateString(date);
+  const now = istMinutes(date);
+
+  const current = sessions.find(s => now >= toMinutes(s.start) && now < toMinutes(s.end)) || null;
+  const isOpen = Boolean(current?.accepts_orders);
+
+  // Agla boundary (session start/end) - client tab tak status cache kar sakta hai
+  const boundaries = sessions
+    .flatMap(s => [s.start, s.end])
+    .filter(t => toMinutes(t) > now)
+    .sort((a, b) => toMinutes(a) - toMinutes(b));
+  const nextChangeAt = boundaries.length
+    ? istDateTime(dateStr, boundaries[0])
+    : new Date(istDateTime(dateStr, '00:00').getTime() + 24 * 60 * 60 * 1000);
+
+  return {
+    market,
+    label: calendar.label,
+    segment: String(segment || ''),
+    date: dateStr,
+    is_trading_day: sessions.length > 0,
+    session: current?.session || null,
+    is_open: isOpen,
+    // Closed => order AMO me queue hota hai, except frozen windows (pre-open matching)
+    amo_allowed: !isOpen && current?.amo !== false,
+    order_types: current?.order_types || null,
+    products: current?.products || null,
+    sessions: sessions.map(({ session, start, end }) => ({ session, start, end })),
+    open: calendar.open,
+    close: calendar.close,
+    squareoff: calendar.squareoff,
+    next_change_at: nextChangeAt.toISOString(),
+  };
 }
 
-function isMarketHours(date) {
-  const istDate = new Date(date.toLocaleString("en-US", { timeZone: "Asia/Kolkata" }));
-  const hours = istDate.getHours();
-  const minutes = istDate.getMinutes();
-  const totalMinutes = hours * 60 + minutes;
-  
-  const marketOpen = 9 * 60 + 15;
-  const marketClose = 15 * 60 + 15;
-  
-  return totalMinutes >= marketOpen && totalMinutes <= marketClose;
+/**
+ * Order acceptance against the session calendar.
+ * MIS after the market's squareoff time is rejected: the intraday square-off cron
+ * runs once at that time, so a later MIS position would never be squared off.
+ * @returns {{ allowed: boolean, amo: boolean, error?: string, status: Object }}
+ */
+export function checkOrderSession({ segment, symbol, order_type = 'MARKET', product, date = new Date() }) {
+  const status = getMarketStatus(segment, { symbol, date });
+  const sessionLabel = SESSION_LABELS[status.session] || status.session;
+
+  if (status.is_open) {
+    const orderType = String(order_type).toUpperCase();
+    const productNorm = String(product || '').toUpperCase();
+    if (productNorm === 'MIS' && istMinutes(date) >= toMinutes(status.squareoff)) {
+      return { allowed: false, amo: false, status, error: `Intraday (MIS) orders are not accepted after the ${status.squareoff} square-off; place it as NRML` };
+    }
+    if (status.order_types && !status.order_types.includes(orderType)) {
+      return { allowed: false, amo: false, status, error: `Only ${status.order_types.join(' / ')} orders are accepted in the ${sessionLabel} session` };
+    }
+    if (status.products && !status.products.includes(productNorm)) {
+      return { allowed: false, amo: false, status, error: `Only ${status.products.join(' / ')} orders are accepted in the ${sessionLabel} session` };
+    }
+    return { allowed: true, amo: false, status };
+  }
+
+  if (!status.amo_allowed) {
+    return {
+      allowed: false,
+      amo: false,
+      status,
+      error: `${status.label} order entry is paused during the ${sessionLabel} session; try again at ${status.open}`,
+    };
+  }
+
+  return { allowed: true, amo: true, status };
 }
 
-export function isMarketOpen() {
-  const now = new Date();
-  return isTradingDay(now) && isMarketHours(now);
+export function isMarketOpen(segment = 'NSE') {
+  return getMarketStatus(segment).is_open;
 }
 
 export function logMarketStatus() {
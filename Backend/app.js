@@ -18,6 +18,12 @@ import debugRoute from "./Routes/debug.js";
 import userWatchlistRoute from "./Routes/UserWatchlistRoute.js";
 import orderRoute from "./Routes/orderRoute.js";
 import fundRoute from "./Routes/fundRoute.js"
+import positionRoute from "./Routes/positionRoute.js"
+import gttRoute from "./Routes/gttRoute.js"
+import marketRoute from "./Routes/marketRoute.js"
+import basketRoute from "./Routes/basketRoute.js"
+import marginRoute from "./Routes/marginRoute.js"
+import restrictionRoute from "./Routes/restrictionRoute.js"
 import registrationRoute from "./Routes/registrationRoute.js"
 import kiteAuthRoute from "./Routes/kiteAuthRoute.js"
 
@@ -48,7 +54,8 @@ export function createApp() {
     origin: [...defaultOrigins, ...configOrigins], // Merge lists
     credentials: true,
     methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "Idempotency-Key"],
+    exposedHeaders: ["Idempotent-Replayed"],
     optionsSuccessStatus: 204,
   };
 
@@ -106,6 +113,12 @@ export function createApp() {
   app.use("/api/watchlist", userWatchlistRoute);
   app.use("/api/orders", orderRoute);
   app.use("/api/funds", fundRoute);
+  app.use("/api", positionRoute); // /api/positions, /api/holdings
+  app.use("/api/gtt", gttRoute);
+  app.use("/api/baskets", basketRoute); // saved baskets, all-or-none execution
+  app.use("/api/margin", marginRoute); // segment-wise leverage rules
+  app.use("/api/restrictions", restrictionRoute); // F&O ban / restricted scrips
+  app.use("/api/market", marketRoute); // session calendar status
   app.use("/api/registration", registrationRoute); // Public - no auth required
 
   // Version endpoint for cache busting - INCREMENT VERSION ON EVERY DEPLOYMENT
@@ -1,45 +1,31 @@
 import cron from 'node-cron';
-import Fund from '../../Model/FundModel.js';
+import { settleTradingDay, previousTradeDate } from '../../Utils/SettlementManager.js';
+
+const runSettlement = async (label) => {
+    const trade_date = previousTradeDate();
+    console.log(`⏰ [CRON] ${label}: EOD settlement for ${trade_date}...`);
+
+    try {
+        // Blind used_limit = 0 nahi - open / HOLD positions ka margin carry hota hai (Utils/SettlementManager.js)
+        const result = await settleTradingDay(trade_date);
+        console.log(`✅ [CRON] Settlement ${trade_date}: ${result.settled} settled, ${result.skipped} already done, ${result.failed} failed.`);
+    } catch (error) {
+        console.error("❌ [CRON] Error running EOD settlement:", error);
+    }
+};
 
 const FundCronJobs = () => {
-    
+
     // ---------------------------------------------------------
-    // Job: Reset Intraday Limits at 12:00 AM IST
+    // Job: EOD Fund Settlement at 12:00 AM IST (pichla trading day)
     // ---------------------------------------------------------
-    cron.schedule('0 0 * * *', async () => {
-        console.log('⏰ [CRON] Running Midnight Intraday Reset...');
-
-        try {
-            // Hum Aggregation Pipeline [...] use kar rahe hain
-            // Taaki hum existing field ($available_limit) ki value copy kar sakein.
-            
-            const result = await Fund.updateMany(
-                {}, // Filter: Sabhi funds select karo
-                [
-                    {
-                        $set: {
-                            // 1. Used Limit ko 0 set karo (Reset)
-                            "intraday.used_limit": 0, 
-                            
-                            // 2. Free Limit ko wapis Total Available Limit ke barabar set karo.
-                            // '$' ka matlab hai database se us field ki value uthao.
-                            // $ifNull ka matlab: Agar available_limit nahi mila, to 0 set karo (Safety)
-                            "intraday.free_limit": { 
-                                $ifNull: ["$intraday.available_limit", 0] 
-                            } 
-                        }
-                    }
-                ]
-            );
-
-            console.log(`✅ [CRON] Success! Reset limits for ${result.modifiedCount} funds.`);
-        } catch (error) {
-            console.error("❌ [CRON] Error resetting intraday limits:", error);
-        }
-    }, {
+    cron.schedule('0 0 * * *', () => runSettlement('Midnight'), {
         scheduled: true,
         timezone: "Asia/Kolkata" // Server pe Timezone zaroori hai agar local nahi hai
     });
+
+    // Server midnight pe band tha => kal ka settlement abhi (jo ho chuke woh skip)
+    runSettlement('Startup catch-up');
 };
 
-export default FundCronJobs;
\ No newline at end of file
+export default FundCronJobs;
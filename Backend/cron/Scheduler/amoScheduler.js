@@ -0,0 +1,39 @@
+import cron from "node-cron";
+import { MARKETS, MARKET_CALENDAR, isSessionDay } from "../../Utils/marketStatus.js";
+import { releaseAmoOrders } from "../../Utils/AmoManager.js";
+
+export function amoReleaseScheduler() {
+  console.log('🚀 AMO Release Scheduler Started...');
+
+  // =========================================================
+  // AMO RELEASE at each market's open (EQ / F&O 09:15, CDS / MCX 09:00 IST)
+  // Holiday par skip - AMO next session day tak queue me
+  // =========================================================
+  const byOpen = new Map();
+  for (const market of MARKETS) {
+    const open = MARKET_CALENDAR[market].open;
+    if (!byOpen.has(open)) byOpen.set(open, []);
+    byOpen.get(open).push(market);
+  }
+
+  for (const [open, markets] of byOpen) {
+    const [hh, mm] = open.split(":").map(Number);
+
+    cron.schedule(`${mm} ${hh} * * *`, async () => {
+      const active = markets.filter(m => isSessionDay(m));
+      if (active.length === 0) {
+        return console.log(`[cron] No session today for ${markets.join("/")}, AMO queue held.`);
+      }
+
+      console.log(`[cron] ⏰ Releasing AMO orders at market open (${active.join("/")})`);
+      try {
+        await releaseAmoOrders({ markets: active });
+      } catch (err) {
+        console.error(`[cron] Error in AMO_RELEASE:`, err);
+      }
+    }, {
+      scheduled: true,
+      timezone: "Asia/Kolkata"
+    });
+  }
+}
@@ -1,50 +1,113 @@
 import cron from "node-cron";
 import Order from "../../Model/OrdersModel.js";
-import { isTradingDay } from "../marketCalendar.js";
 import { attemptSquareoff } from "./attemptSquareoff.js";
+import { expirePendingOrders } from "../../Utils/PendingOrderManager.js";
+import { expireGtts } from "../../Utils/GttManager.js";
+import { MARKETS, MARKET_CALENDAR, isSessionDay, resolveMarket } from "../../Utils/marketStatus.js";
 
-// Helper to process list of orders
-async function processCandidates(query, label) {
+// Live price na milne se jo square-off fail hue unke liye dobara koshish
+const SQUAREOFF_RETRIES = 3;
+const SQUAREOFF_RETRY_DELAY_MS = 30 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Helper to process list of orders (markets => sirf un segments ke orders)
+async function processCandidates(query, label, markets) {
   try {
-    const candidates = await Order.find(query).limit(1000);
+    const found = await Order.find(query).limit(1000);
+    let candidates = markets
+      ? found.filter(o => markets.includes(resolveMarket(o.segment, o.symbol)))
+      : found;
     console.log(`[cron] 🔍 ${label}: Found ${candidates.length} orders`);
 
-    for (const orderDoc of candidates) {
-      await attemptSquareoff(orderDoc);
+    for (let attempt = 0; candidates.length > 0 && attempt <= SQUAREOFF_RETRIES; attempt++) {
+      if (attempt > 0) {
+        console.log(`[cron] 🔁 ${label}: retry ${attempt} for ${candidates.length} orders without a live price`);
+        await sleep(SQUAREOFF_RETRY_DELAY_MS);
+      }
+
+      const deferred = [];
+      for (const orderDoc of candidates) {
+        const res = await attemptSquareoff(orderDoc);
+        if (res?.result?.retryable) deferred.push(orderDoc);
+      }
+      candidates = deferred;
+    }
+
+    if (candidates.length > 0) {
+      console.error(`[cron] ❌ ${label}: ${candidates.length} orders still open, no live price (${candidates.map(o => o._id).join(', ')})`);
     }
   } catch (err) {
     console.error(`[cron] Error in ${label}:`, err);
   }
 }
 
+// Markets grouped by a calendar time ("HH:MM" -> [markets]), taaki har time ka ek hi cron bane
+const groupMarketsBy = (field) => {
+  const groups = new Map();
+  for (const market of MARKETS) {
+    const time = MARKET_CALENDAR[market][field];
+    if (!groups.has(time)) groups.set(time, []);
+    groups.get(time).push(market);
+  }
+  return groups;
+};
+
+const cronAt = (hhmm) => {
+  const [hh, mm] = hhmm.split(":").map(Number);
+  return `${mm} ${hh} * * *`;
+};
+
 export function stockSquareoffScheduler() {
   console.log('🚀 Stock Squareoff Scheduler Started...');
 
   // =========================================================
-  // 1. INTRADAY SQUARE OFF (Updated Time: 10:46 PM Mon-Fri)
+  // 1. INTRADAY SQUARE OFF - per market (session calendar)
+  // EQ / F&O 3:15 PM, CDS 4:45 PM, MCX 11:15 PM (evening session)
+  // Jis market ka aaj session nahi (holiday), uska skip
   // =========================================================
-  // Format: "Minute Hour * * DayOfWeek"
-  // "46 22 * * 1-5" = 10:46 PM, Monday to Friday
+  for (const [time, markets] of groupMarketsBy("squareoff")) {
+    cron.schedule(cronAt(time), async () => {
+      const active = markets.filter(m => isSessionDay(m));
+      if (active.length === 0) {
+        return console.log(`[cron] No session today for ${markets.join("/")}, skipping Intraday.`);
+      }
 
-  cron.schedule("15 15 * * 1-5", async () => {
-    if (!isTradingDay(new Date())) {
-      return console.log("[cron] Market holiday, skipping Intraday.");
-    }
+      console.log(`[cron] ⏰ Running INTRADAY Auto-Squareoff (${active.join("/")})`);
 
-    console.log(`[cron] ⏰ Running INTRADAY Auto-Squareoff`);
+      // Unfilled intraday LIMIT orders pehle expire karo, warna squareoff ke baad fill ho jayenge
+      await expirePendingOrders({ product: "MIS" }, { markets: active });
+
+      await processCandidates(
+        {
+          order_category: "INTRADAY",
+          order_status: { $in: ["OPEN"] }
+        },
+        `OPEN_INTRADAY_${active.join("_")}`,
+        active
+      );
+    }, {
+      scheduled: true,
+      timezone: "Asia/Kolkata"
+    });
+  }
 
-    await processCandidates(
-      {
-        order_category: "INTRADAY",
-        order_status: { $in: ["OPEN"] }
-      },
-      "OPEN_INTRADAY"
-    );
-  }, {
-    scheduled: true,
-    timezone: "Asia/Kolkata"
-  });
 
+  // =========================================================
+  // 1b. SESSION END: expire remaining (NRML) pending LIMIT orders per market close
+  // =========================================================
+  for (const [time, markets] of groupMarketsBy("close")) {
+    cron.schedule(cronAt(time), async () => {
+      const active = markets.filter(m => isSessionDay(m));
+      if (active.length === 0) return;
+
+      console.log(`[cron] ⏰ Expiring unfilled LIMIT orders (${active.join("/")})`);
+      await expirePendingOrders({}, { markets: active });
+    }, {
+      scheduled: true,
+      timezone: "Asia/Kolkata"
+    });
+  }
 
   // =========================================================
   // 2. MIDNIGHT CLEANUP & EXPIRY CHECK (Daily 12:00 AM)
@@ -71,6 +134,13 @@ export function stockSquareoffScheduler() {
       "OVERNIGHT_EXPIRY_CHECK"
     );
 
+    // C. GTT validity khatam => EXPIRED
+    try {
+      await expireGtts();
+    } catch (err) {
+      console.error(`[cron] Error in GTT_EXPIRY:`, err);
+    }
+
   }, {
     scheduled: true,
     timezone: "Asia/Kolkata" // ✅ Timezone Added Here
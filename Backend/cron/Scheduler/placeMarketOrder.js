@@ -1,86 +1,58 @@
 import mongoose from 'mongoose';
-import { getKiteLTP } from '../../services/kiteQuote.js';
+import { fetchLtp } from '../../Utils/PriceManager.js';
 import Order from '../../Model/OrdersModel.js';
 import Fund from '../../Model/FundModel.js';
+import { bookRealizedPnl, isIntradayBucket } from '../../Utils/PnlManager.js';
+import { releaseMargin } from '../../Utils/LedgerManager.js';
+import { runTradeTransaction } from '../../services/tradeTransaction.js';
+import { resolveBracketLegs } from '../../Utils/BracketOrderManager.js';
 
 // ---------------------------------------------------------
-// 1. HELPER: Fetch Live LTP (Using Kite Quote API)
+// 1. HELPER: Release Funds & Calculate P&L
+// Runs inside the square-off transaction; errors abort the close too.
 // ---------------------------------------------------------
-async function getLiveLtp(instrumentToken) {
-    try {
-        if (!instrumentToken) return 0;
+const releaseFundsOnSquareoff = async (order, exitPrice, session) => {
+    const fund = await Fund.findOne({
+        broker_id_str: order.broker_id_str,
+        customer_id_str: order.customer_id_str
+    }).session(session);
 
-        // Use our centralized Kite service
-        const data = await getKiteLTP([instrumentToken]);
+    if (!fund) return null;
 
-        // Data format: { "256265": { last_price: ..., ... } }
-        if (data && data[instrumentToken] && data[instrumentToken].last_price) {
-            return data[instrumentToken].last_price;
-        }
+    // 1. Margin Calculate karo (Jo blocked tha)
+    const qty = Number(order.quantity);
+    const entryPrice = Number(order.price || order.average_price);
+    const marginToRelease = Number(order.margin_blocked) || (entryPrice * qty);
 
-        return 0;
+    const isIntraday = isIntradayBucket(order);
 
-    } catch (err) {
-        console.error('[getLiveLtp] API Error:', err.message);
-        return 0;
+    if (marginToRelease > 0) {
+        // Intraday: used limit kam karo (available_limit postOrder me kabhi kata hi nahi tha)
+        // Overnight: paisa wapis available_limit me
+        releaseMargin(fund, isIntraday, marginToRelease, { order, narration: order.exit_reason || 'Auto square-off' });
+
+        if (!isIntraday && fund.overnight.used_limit) {
+            fund.overnight.used_limit -= marginToRelease; // Blocked hataya
+            if (fund.overnight.used_limit < 0) fund.overnight.used_limit = 0;
+        }
     }
-}
 
-// ---------------------------------------------------------
-// 2. HELPER: Release Funds & Calculate P&L
-// ---------------------------------------------------------
-const releaseFundsOnSquareoff = async (order, exitPrice) => {
-    try {
-        const fund = await Fund.findOne({
-            broker_id_str: order.broker_id_str,
-            customer_id_str: order.customer_id_str
-        });
+    // 3. Realized P&L + brokerage book karo
+    const pnlFields = bookRealizedPnl(fund, order, exitPrice);
 
-        if (!fund) return;
-
-        // 1. Sirf Margin Calculate karo (Jo blocked tha)
-        const qty = Number(order.quantity);
-        const entryPrice = Number(order.price || order.average_price);
-        const marginToRelease = Number(order.margin_blocked) || (entryPrice * qty);
-
-        // (P&L aur Brokerage ka logic hata diya hai)
-
-        const isIntraday = (order.product === 'MIS' || order.came_From === 'Hold' || order.order_status === 'HOLD');
-
-        if (marginToRelease > 0) {
-            if (isIntraday) {
-                // 2. Used Limit kam karo
-                fund.intraday.used_limit -= marginToRelease;
-                if (fund.intraday.used_limit < 0) fund.intraday.used_limit = 0;
-
-                // 3. Available Limit me wahi margin wapis jod do (No P&L)
-                if (fund.intraday.available_limit !== undefined) {
-                    fund.intraday.available_limit += marginToRelease;
-                } else if (fund.intraday.free_limit !== undefined) {
-                    fund.intraday.free_limit += marginToRelease;
-                }
-            } else {
-                // Overnight Logic
-                fund.overnight.available_limit += marginToRelease; // Paisa wapis
-
-                if (fund.overnight.used_limit) {
-                    fund.overnight.used_limit -= marginToRelease; // Blocked hataya
-                    if (fund.overnight.used_limit < 0) fund.overnight.used_limit = 0;
-                }
-            }
+    await fund.save({ session });
+    console.log(`[Squareoff] Funds Released: margin ${marginToRelease}, P&L ${pnlFields.realized_pnl}`);
 
-            await fund.save();
-            console.log(`[Squareoff] Funds Released (Margin Only): ${marginToRelease}`);
-        }
-    } catch (e) {
-        console.error('[Squareoff] Fund Release Error:', e);
-    }
+    return pnlFields;
 };
 
 // ---------------------------------------------------------
-// 3. MAIN FUNCTION: placeMarketOrder
+// 2. MAIN FUNCTION: placeMarketOrder
+// options.ltp    => caller ke paas live tick hai (risk engine), API fetch skip
+// options.reason => exit_reason (e.g. "MTM_SQUAREOFF"); cron ke liye null
+// Live price na mile => order close nahi hota ({ ok: false, retryable: true }), caller retry kare
 // ---------------------------------------------------------
-async function placeMarketOrder(orderId) {
+async function placeMarketOrder(orderId, { ltp, reason } = {}) {
     if (!orderId) {
         return { ok: false, error: 'orderId is required' };
     }
@@ -99,15 +71,15 @@ async function placeMarketOrder(orderId) {
             return { ok: false, error: 'Order not found' };
         }
 
-        // 2. Fetch LIVE LTP from Kite API
+        // 2. Live LTP (fresh tick cache, warna Kite LTP API)
         // Use instrument_token which implies standardization to Kite
         const tokenToFetch = order.instrument_token || order.security_Id; // Fallback if migration incomplete
-        let currentLtp = await getLiveLtp(tokenToFetch);
+        const currentLtp = Number(ltp) > 0 ? Number(ltp) : await fetchLtp(tokenToFetch);
 
-        // Fallback: If API fails (returns 0), use the last known LTP from DB to prevent 0 price exit
-        if (!currentLtp || currentLtp === 0) {
-            currentLtp = Number(order.ltp) || Number(order.price);
-            console.log(`[placeMarketOrder] API Price fetch failed. Using stored LTP: ${currentLtp}`);
+        // Entry / purane price pe close = galat realized P&L, isliye square-off fail (retry hoga)
+        if (!currentLtp) {
+            console.warn(`[placeMarketOrder] Live price unavailable for ${order.symbol} (${order._id}), square-off deferred`);
+            return { ok: false, retryable: true, error: 'Live price unavailable' };
         }
 
         // 3. Determine 'came_From'
@@ -119,27 +91,37 @@ async function placeMarketOrder(orderId) {
         else if (prevStatus === 'OVERNIGHT') cameFrom = 'Overnight';
         else if (prevStatus === 'HOLD') cameFrom = 'Hold';
 
-        // 4. Update Order in DB
-        const res = await Order.updateOne(
-            { _id: order._id },
-            {
-                $set: {
-                    order_status: 'CLOSED',
-                    closed_at: new Date().toISOString(),
-                    came_From: cameFrom,
-                    closed_ltp: Number(Number(currentLtp).toFixed(2)) // ✅ Save Live Price
-                }
+        // 4 + 5. Close order + release funds + book P&L in one transaction
+        const closed = await runTradeTransaction(async (session) => {
+            // Already CLOSED => skip, warna P&L double book hoga
+            const prev = await Order.findOneAndUpdate(
+                { _id: order._id, order_status: { $ne: 'CLOSED' } },
+                {
+                    $set: {
+                        order_status: 'CLOSED',
+                        closed_at: new Date().toISOString(),
+                        came_From: cameFrom,
+                        closed_ltp: Number(Number(currentLtp).toFixed(2)), // ✅ Save Live Price
+                        ...(reason ? { exit_reason: reason } : {})
+                    }
+                },
+                { new: false, session } // old doc: fresh margin_blocked for settlement
+            );
+
+            if (!prev) return null;
+
+            const pnlFields = await releaseFundsOnSquareoff(prev, currentLtp, session);
+            if (pnlFields) {
+                await Order.updateOne({ _id: order._id }, { $set: pnlFields }, { session });
             }
-        );
+            await resolveBracketLegs(prev, {}, session);
 
-        console.log('[placeMarketOrder] updateOne result', res);
+            return prev;
+        });
 
-        if (res.matchedCount > 0 || res.modifiedCount > 0) {
+        if (closed) {
             console.log(`[placeMarketOrder] Order ${order._id} Closed at ₹${currentLtp}`);
 
-            // 5. Release Funds Logic
-            await releaseFundsOnSquareoff(order, currentLtp);
-
             return {
                 ok: true,
                 action: 'status_updated_to_closed',
@@ -147,7 +129,7 @@ async function placeMarketOrder(orderId) {
                 price: currentLtp
             };
         }
-        return { ok: false, error: 'Update failed', details: res };
+        return { ok: false, error: 'Update failed', details: 'Order already closed' };
 
     } catch (err) {
         console.error('[placeMarketOrder] DB error:', err);
@@ -9,12 +9,18 @@ import { startMasterRefreshCron } from './cron/masterRefresh.js';
 import { setFeedInstance } from "./services/feedState.js";
 import { config } from "./config.js";
 import { stockSquareoffScheduler } from './cron/Scheduler/cron-squareoff.js';
+import { amoReleaseScheduler } from './cron/Scheduler/amoScheduler.js';
 import FundCronJobs from './cron/FundScheduler/fundCorn.js';
-import { isMarketOpen } from './Utils/marketStatus.js';
+import { isMarketOpen, MARKETS } from './Utils/marketStatus.js';
 import { startAutoLoginCron, checkAndRefreshOnStartup } from './cron/autoLoginCron.js';
 
 // 👇 1. IMPORT ORDER MANAGER
 import { loadOpenOrders } from './Utils/OrderManager.js';
+import { loadPendingOrders } from './Utils/PendingOrderManager.js';
+import { loadActiveGtts } from './Utils/GttManager.js';
+import { releaseAmoOrders } from './Utils/AmoManager.js';
+import { startRiskEngine } from './Utils/RiskManager.js';
+import { startMarketCalendarSync } from './Utils/MarketCalendarManager.js';
 
 const app = createApp();
 const server = http.createServer(app);
@@ -39,15 +45,29 @@ const MONGODB_URI = process.env.MONGODB_URI || process.env.MONGO_URL;
 await mongoose.connect(MONGODB_URI);
 console.log("✅ Mongo connected");
 
+// Holidays / special sessions (Muhurat) - session checks isi cache se
+await startMarketCalendarSync();
+
 // 👇 3. LOAD ACTIVE ORDERS & START SOCKET
 // DB connect hone ke baad hi purane orders load karo
 await loadOpenOrders();
+const pendingTokens = await loadPendingOrders();
+const gttTokens = await loadActiveGtts();
 
 // Check and refresh token on startup if needed
 await checkAndRefreshOnStartup();
 
 // Connect to Kite WebSocket
-lmf.connect();
+await lmf.connect();
+
+// Resting LIMIT orders need ticks to fill (queued until the socket connects)
+lmf.subscribe(pendingTokens.map(token => ({ instrument_token: token })));
+// Standing GTTs are evaluated on the same ticks
+lmf.subscribe(gttTokens.map(token => ({ instrument_token: token })));
+// MTM risk engine: har open position ka tick chahiye (refresh pe naye tokens bhi)
+await startRiskEngine({
+  subscribe: (tokens) => lmf.subscribe(tokens.map(token => ({ instrument_token: token }))),
+});
 
 const PORT = Number(config?.port || process.env.PORT || 8081);
 server.listen(PORT, async () => {
@@ -60,6 +80,12 @@ server.listen(PORT, async () => {
   FundCronJobs();
   console.log(`[Market Status] ${isMarketOpen() ? "🟢 OPEN" : "🔴 CLOSED"}`);
   stockSquareoffScheduler();
+  amoReleaseScheduler();
+  // Restart during market hours missed the open release - jo markets abhi open hain unke AMO release karo
+  const openMarkets = MARKETS.filter(market => isMarketOpen(market));
+  if (openMarkets.length) {
+    releaseAmoOrders({ markets: openMarkets }).catch(err => console.error("[AMO] Startup release failed:", err));
+  }
   // Start the cron job for automatic master data refresh
   startMasterRefreshCron();
 });
\ No newline at end of file
@@ -4,6 +4,9 @@
 import { KiteTicker } from 'kiteconnect';
 import { getIO } from "../sockets/io.js";
 import { onMarketTick } from "../Utils/OrderManager.js";
+import { onPendingTick } from "../Utils/PendingOrderManager.js";
+import { onGttTick } from "../Utils/GttManager.js";
+import { onRiskTick } from "../Utils/RiskManager.js";
 import KiteCredential from "../Model/KiteCredentialModel.js";
 
 const roomFor = (token) => `sec:${token}`;
@@ -317,7 +320,11 @@ export class KiteWebSocket {
 
     try {
       this.ticker.unsubscribe(tokens);
-      tokens.forEach(token => this.subscribedTokens.delete(token));
+      // Band stream ka aakhri price cache me na rahe
+      tokens.forEach(token => {
+        this.subscribedTokens.delete(token);
+        this.last.delete(String(token));
+      });
 
       console.log(`[KiteWS] ✅ Unsubscribed. Remaining: ${this.subscribedTokens.size}`);
     } catch (error) {
@@ -415,15 +422,19 @@ export class KiteWebSocket {
       }
     }
 
-    // Update cache
-    this.last.set(token, { ...this.last.get(token), ...payload });
+    // Update cache (receivedAt => PriceManager purana tick fill price nahi banata)
+    this.last.set(token, { ...this.last.get(token), ...payload, receivedAt: Date.now() });
 
     // Emit to Socket.IO room (room key = instrument_token)
     this.ns.to(roomFor(token)).emit("market_update", payload);
 
-    // Trigger OrderManager callback for stop-loss/target monitoring
+    // Match resting LIMIT orders first, then stop-loss/target monitoring, then GTT triggers,
+    // then customer-level MTM risk
     if (ltp > 0) {
+      onPendingTick({ token, ltp });
       onMarketTick({ token, ltp });
+      onGttTick({ token, ltp });
+      onRiskTick({ token, ltp });
     }
   }
 
@@ -474,6 +485,7 @@ export class KiteWebSocket {
       this.ticker = null;
       this.isConnected = false;
       this.subscribedTokens.clear();
+      this.last.clear();
     }
   }
 
@@ -179,8 +179,68 @@ export async function getKiteOHLC(instrumentTokens) {
     }
 }
 
+/**
+ * Circuit limits (daily price band) per instrument.
+ * Full quote me lower/upper_circuit_limit aata hai; band din me kam hi badalta hai
+ * isliye cache - IST day change ya CIRCUIT_TTL_MS (F&O dynamic bands) ke baad refresh.
+ */
+const CIRCUIT_TTL_MS = 15 * 60 * 1000;
+const circuitCache = new Map(); // token -> { lower, upper, last_price, day, fetchedAt }
+
+const istDay = () => new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+
+const isFreshCircuit = (entry) =>
+    entry && entry.day === istDay() && Date.now() - entry.fetchedAt < CIRCUIT_TTL_MS;
+
+/**
+ * @param {string[]} instrumentTokens
+ * @returns {Promise<Object>} token -> { lower, upper, last_price }; tokens whose band
+ *   could not be fetched are left out (caller skips the check)
+ */
+export async function getCircuitLimits(instrumentTokens) {
+    const tokens = [...new Set((instrumentTokens || []).map(String))];
+    const stale = tokens.filter(t => !isFreshCircuit(circuitCache.get(t)));
+
+    if (stale.length) {
+        try {
+            const quotes = await getKiteQuote(stale);
+            const day = istDay();
+            for (const token of stale) {
+                const q = quotes[token];
+                const lower = Number(q?.lower_circuit_limit) || 0;
+                const upper = Number(q?.upper_circuit_limit) || 0;
+                if (!(upper > 0)) continue;
+                circuitCache.set(token, {
+                    lower,
+                    upper,
+                    last_price: Number(q.last_price) || 0,
+                    day,
+                    fetchedAt: Date.now(),
+                });
+            }
+        } catch (error) {
+            // Quote API down => purana band (agar hai) use hoga, warna check skip
+            console.error('[KiteQuote] Circuit limit fetch failed:', error.message);
+        }
+    }
+
+    const result = {};
+    for (const token of tokens) {
+        const entry = circuitCache.get(token);
+        if (entry) result[token] = { lower: entry.lower, upper: entry.upper, last_price: entry.last_price };
+    }
+    return result;
+}
+
+export async function getCircuitLimit(instrumentToken) {
+    const limits = await getCircuitLimits([instrumentToken]);
+    return limits[String(instrumentToken)] || null;
+}
+
 export default {
     getKiteQuote,
     getKiteLTP,
-    getKiteOHLC
+    getKiteOHLC,
+    getCircuitLimits,
+    getCircuitLimit
 };
@@ -0,0 +1,187 @@
+// services/positionService.js
+// Net positions built from the orders collection.
+// Har order max do fills deta hai: entry (side, qty, avg_fill_price) aur,
+// agar CLOSED hai, exit (opposite side, qty, closed_ltp). Saare fills ko
+// customer + instrument + product pe net karke open qty, average price,
+// realized aur unrealized P&L nikalte hain (weighted-average cost).
+
+import Order from '../Model/OrdersModel.js';
+import { resolveChargeCategory } from '../Utils/ChargesCalculator.js';
+import { fetchLtps } from '../Utils/PriceManager.js';
+import { getISTDateString } from '../Utils/marketStatus.js';
+
+const round2 = (n) => Number((Number(n) || 0).toFixed(2));
+
+// Orders that never became a position (BO / CO exit legs are records only)
+const NON_POSITION_STATUSES = ['PENDING', 'AMO', 'CANCELLED', 'EXPIRED', 'TRIGGER_PENDING', 'FILLED'];
+
+const startOfISTDay = (date = new Date()) => new Date(`${getISTDateString(date)}T00:00:00+05:30`);
+
+const orderFills = (order) => {
+    const qty = Number(order.filled_qty || order.quantity) || 0;
+    const entryPrice = Number(order.avg_fill_price || order.price) || 0;
+    if (!qty || !entryPrice) return [];
+
+    const fills = [{
+        side: order.side,
+        qty,
+        price: entryPrice,
+        at: new Date(order.filled_at || order.placed_at || order.createdAt),
+    }];
+
+    const exitPrice = Number(order.closed_ltp) || 0;
+    if (order.order_status === 'CLOSED' && exitPrice > 0) {
+        fills.push({
+            side: order.side === 'BUY' ? 'SELL' : 'BUY',
+            qty,
+            price: exitPrice,
+            at: new Date(order.closed_at || order.updatedAt),
+        });
+    }
+
+    return fills;
+};
+
+// Booked charges: closed order => full round trip, open order => entry leg so far
+const orderCharges = (order) => {
+    if (order.order_status === 'CLOSED') return Number(order.charges) || 0;
+    return Number(order.charges_breakdown?.entry?.total) || 0;
+};
+
+/**
+ * Net a list of fills (sorted by time) into one position.
+ * Quantity is signed: + long, - short.
+ */
+export const netFills = (fills) => {
+    let netQty = 0;
+    let avgPrice = 0;
+    let realized = 0;
+    let buyQty = 0, buyValue = 0, sellQty = 0, sellValue = 0;
+
+    for (const { side, qty, price } of fills) {
+        const signed = side === 'BUY' ? qty : -qty;
+
+        if (side === 'BUY') { buyQty += qty; buyValue += qty * price; }
+        else { sellQty += qty; sellValue += qty * price; }
+
+        if (netQty === 0 || Math.sign(netQty) === Math.sign(signed)) {
+            // Adding to the position: average badlega
+            const total = Math.abs(netQty) + qty;
+            avgPrice = (avgPrice * Math.abs(netQty) + price * qty) / total;
+            netQty += signed;
+            continue;
+        }
+
+        // Reducing (partial / full exit) - average same rehta hai, P&L realize hota hai
+        const closing = Math.min(qty, Math.abs(netQty));
+        realized += (price - avgPrice) * closing * Math.sign(netQty);
+        netQty += signed;
+
+        if (netQty === 0) {
+            avgPrice = 0;
+        } else if (Math.sign(netQty) === Math.sign(signed)) {
+            // Position flip: bachi hui qty naye side ki nayi position hai
+            avgPrice = price;
+        }
+    }
+
+    return {
+        netQty,
+        avgPrice,
+        realized,
+        buyQty,
+        buyAvg: buyQty ? buyValue / buyQty : 0,
+        sellQty,
+        sellAvg: sellQty ? sellValue / sellQty : 0,
+    };
+};
+
+// Live price na mile (feed / quote down) to group ka aakhri exit price, warna entry average
+const fallbackPrice = (groupOrders, net) => {
+    const lastClosed = groupOrders
+        .filter(o => Number(o.closed_ltp) > 0)
+        .sort((a, b) => new Date(b.closed_at) - new Date(a.closed_at))[0];
+    return Number(lastClosed?.closed_ltp) || round2(net.avgPrice) || Number(groupOrders[0].avg_fill_price) || 0;
+};
+
+// Delivery equity (NRML in the cash segment) is a holding, everything else a position
+export const isHoldingPosition = (position) =>
+    position.product === 'NRML'
+    && resolveChargeCategory(position) === 'EQ_DELIVERY';
+
+/**
+ * All net positions of a customer.
+ * Open groups are always returned; flat groups only if they traded today (day's realized P&L).
+ *
+ * @returns {Promise<Array<Object>>}
+ */
+export const getNetPositions = async ({ broker_id_str, customer_id_str }) => {
+    const orders = await Order.find({
+        broker_id_str: String(broker_id_str),
+        customer_id_str: String(customer_id_str),
+        order_status: { $nin: NON_POSITION_STATUSES },
+        $or: [
+            { order_status: { $ne: 'CLOSED' } },
+            { closed_at: { $gte: startOfISTDay() } },
+        ],
+    }).lean();
+
+    const groups = new Map();
+    for (const order of orders) {
+        const key = `${order.instrument_token}|${order.product}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(order);
+    }
+
+    const netted = [];
+    for (const groupOrders of groups.values()) {
+        const fills = groupOrders.flatMap(orderFills).sort((a, b) => a.at - b.at);
+        if (fills.length === 0) continue;
+        netted.push({ groupOrders, net: netFills(fills) });
+    }
+
+    // Open qty wale tokens: tick cache, baaki Kite LTP (ek call)
+    const prices = await fetchLtps(netted.filter(g => g.net.netQty).map(g => g.groupOrders[0].instrument_token));
+
+    const positions = [];
+
+    for (const { groupOrders, net } of netted) {
+        const first = groupOrders[0];
+        const charges = groupOrders.reduce((sum, o) => sum + orderCharges(o), 0);
+
+        const ltp = prices.get(String(first.instrument_token)) || fallbackPrice(groupOrders, net);
+        const unrealized = net.netQty && ltp ? (ltp - net.avgPrice) * net.netQty : 0;
+
+        positions.push({
+            instrument_token: first.instrument_token,
+            symbol: first.symbol,
+            segment: first.segment,
+            product: first.product,
+            lot_size: first.lot_size || 1,
+            quantity: net.netQty,
+            average_price: round2(net.avgPrice),
+            buy_quantity: net.buyQty,
+            buy_average: round2(net.buyAvg),
+            sell_quantity: net.sellQty,
+            sell_average: round2(net.sellAvg),
+            ltp,
+            realized_pnl: round2(net.realized),
+            unrealized_pnl: round2(unrealized),
+            charges: round2(charges),
+            pnl: round2(net.realized + unrealized - charges),
+            order_ids: groupOrders.map(o => String(o._id)),
+        });
+    }
+
+    return positions;
+};
+
+export const getPositions = async (ids) => {
+    const all = await getNetPositions(ids);
+    return all.filter(p => !isHoldingPosition(p));
+};
+
+export const getHoldings = async (ids) => {
+    const all = await getNetPositions(ids);
+    return all.filter(p => isHoldingPosition(p) && p.quantity > 0);
+};
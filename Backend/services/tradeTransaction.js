@@ -0,0 +1,42 @@
+// services/tradeTransaction.js
+// MongoDB transaction wrapper for every Order + Fund mutation.
+// Do devices se same time pe order aaye to Fund document pe write-conflict hota hai;
+// withTransaction us attempt ko retry karta hai, jo fresh (updated) fund padhta hai
+// aur limit check dobara karta hai - isliye double-spend nahi hota.
+// NOTE: Transactions need a replica set (Atlas / rs-enabled mongod).
+
+import mongoose from 'mongoose';
+
+/**
+ * Business rejection inside a transaction (insufficient funds, order not found...).
+ * Transaction abort hota hai aur controller `status` + `message` client ko bhejta hai.
+ */
+export class TradeError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TradeError';
+    this.status = status;
+  }
+}
+
+/**
+ * Run `work(session)` inside a transaction. Every read/write in `work` must use
+ * the session (`.session(session)` on queries, `{ session }` on save/update).
+ * `work` may be retried on transient errors, so keep in-memory side effects
+ * (watchlist, pending book, socket subscribe) for AFTER this resolves.
+ *
+ * @param {(session: mongoose.ClientSession) => Promise<any>} work
+ * @returns {Promise<any>} whatever `work` returned on the committed attempt
+ */
+export async function runTradeTransaction(work) {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
@@ -22,6 +22,7 @@ const ChartPage = lazy(() => import('./page/Chart/ChartPage.jsx'));
 const BrockerDetailPage = lazy(() => import('./page/User/BrockerDetailPage.jsx'));
 const CustomerDetailsPage = lazy(() => import('./page/User/CutomerDetailPage.jsx'));
 const RecycleBin = lazy(() => import('./page/User/RecycleBin.jsx'));
+const RestrictionsPage = lazy(() => import('./page/User/RestrictionsPage.jsx'));
 const AdminRegistrations = lazy(() => import('./page/Admin/AdminRegistrations.jsx'));
 const AdminAccessToken = lazy(() => import('./page/Admin/AdminAccessToken.jsx'));
 
@@ -69,6 +70,7 @@ function App() {
                             <Route path="/customerDetail" element={<CustomerDetailsPage />} />
                             <Route path="/broker/:brokerId/customerDetail" element={<CustomerDetailsPage />} />
                             <Route path="/recycle-bin" element={<RecycleBin />} />
+                            <Route path="/restrictions" element={<RestrictionsPage />} />
 
                             {/* Admin Routes */}
                             <Route path="/admin/registrations" element={<AdminRegistrations />} />
@@ -1,25 +1,22 @@
-const marketHolidays = [
-  "2025-01-26",
-  "2025-02-26",
-  "2025-03-14",
-  "2025-03-31",
-  "2025-04-06",
-  "2025-04-10",
-  "2025-04-14",
-  "2025-04-18",
-  "2025-05-01",
-  "2025-06-07",
-  "2025-07-06",
-  "2025-08-15",
-  "2025-08-27",
-  "2025-10-02",
-  "2025-10-21",
-  "2025-10-22",
-  "2025-11-05",
-  "2025-12-25"
-];
-
-const holidaySet = new Set(marketHolidays);
+import { useEffect, useState } from 'react';
+
+// Market hours / holidays / sessions live on the backend session calendar
+// (GET /api/market/status?segment=). Yahan sirf uska cache hai.
+const apiBase = import.meta.env.VITE_REACT_APP_API_URL || "";
+const MAX_AGE_MS = 60 * 1000;
+const DEFAULT_SEGMENT = 'NSE';
+
+// segment -> { status, fetchedAt, promise }
+const statusCache = new Map();
+
+const segmentKey = (segment) => String(segment || DEFAULT_SEGMENT).toUpperCase();
+
+const isStale = (entry) => {
+  if (!entry?.status) return true;
+  const now = Date.now();
+  const nextChange = Date.parse(entry.status.next_change_at);
+  return now - entry.fetchedAt > MAX_AGE_MS || (Number.isFinite(nextChange) && now >= nextChange);
+};
 
 export function getISTTime() {
   return new Date(new Date().toLocaleString("en-US", { timeZone: "Asia/Kolkata" }));
@@ -29,35 +26,50 @@ export function getISTDateString(date = new Date()) {
   return date.toLocaleDateString("en-CA", { timeZone: "Asia/Kolkata" });
 }
 
-function isTradingDay(date) {
-  const istDate = new Date(date.toLocaleString("en-US", { timeZone: "Asia/Kolkata" }));
-  const dayOfWeek = istDate.getDay();
-  
-  if (dayOfWeek === 0 || dayOfWeek === 6) {
-    return false;
-  }
-  
-  const dateStr = getISTDateString(date);
-  if (holidaySet.has(dateStr)) {
-    return false;
-  }
-  
-  return true;
+export async function fetchMarketStatus(segment = DEFAULT_SEGMENT) {
+  const key = segmentKey(segment);
+  const entry = statusCache.get(key);
+  if (entry?.promise) return entry.promise;
+  if (!isStale(entry)) return entry.status;
+
+  const promise = fetch(`${apiBase}/api/market/status?segment=${encodeURIComponent(key)}`)
+    .then(res => (res.ok ? res.json() : null))
+    .then(body => {
+      const status = body?.status || null;
+      statusCache.set(key, { status: status || entry?.status || null, fetchedAt: Date.now() });
+      return status;
+    })
+    .catch(() => {
+      statusCache.set(key, { status: entry?.status || null, fetchedAt: Date.now() });
+      return entry?.status || null;
+    });
+
+  statusCache.set(key, { ...entry, promise });
+  return promise;
 }
 
-function isMarketHours(date) {
-  const istDate = new Date(date.toLocaleString("en-US", { timeZone: "Asia/Kolkata" }));
-  const hours = istDate.getHours();
-  const minutes = istDate.getMinutes();
-  const totalMinutes = hours * 60 + minutes;
-  
-  const marketOpen = 9 * 60 + 15;
-  const marketClose = 15 * 60 + 15;
-  
-  return totalMinutes >= marketOpen && totalMinutes <= marketClose;
+// Cached status (null until the first fetch lands); stale cache refreshes in the background
+export function getMarketStatus(segment = DEFAULT_SEGMENT) {
+  const entry = statusCache.get(segmentKey(segment));
+  if (isStale(entry)) fetchMarketStatus(segment);
+  return entry?.status || null;
 }
 
-export function canUserTrade() {
+export function useMarketStatus(segment = DEFAULT_SEGMENT) {
+  const [status, setStatus] = useState(() => getMarketStatus(segment));
+
+  useEffect(() => {
+    let active = true;
+    const refresh = () => fetchMarketStatus(segment).then(s => { if (active && s) setStatus(s); });
+    refresh();
+    const timer = setInterval(refresh, MAX_AGE_MS);
+    return () => { active = false; clearInterval(timer); };
+  }, [segment]);
+
+  return status;
+}
+
+export function canUserTrade(segment = DEFAULT_SEGMENT) {
   try {
     const activeContextString = localStorage.getItem('activeContext');
     if (activeContextString) {
@@ -70,30 +82,15 @@ export function canUserTrade() {
   } catch (e) {
     // Continue with market checks
   }
-  
-  const now = new Date();
-  
-  if (!isTradingDay(now)) {
-    return { canTrade: false };
-  }
-  
-  if (!isMarketHours(now)) {
-    return { canTrade: false };
-  }
-  
-  return { canTrade: true };
+
+  const status = getMarketStatus(segment);
+  return { canTrade: Boolean(status?.is_open), amoAllowed: Boolean(status?.amo_allowed), status };
 }
 
-export function isMarketOpen() {
-  const now = new Date();
-  return isTradingDay(now) && isMarketHours(now);
+export function isMarketOpen(segment = DEFAULT_SEGMENT) {
+  return Boolean(getMarketStatus(segment)?.is_open);
 }
 
-export function logMarketStatus() {
-  const istTime = getISTTime();
-  const open = isMarketOpen();
-  const timeStr = istTime.toLocaleTimeString("en-IN", { hour: "2-digit", minute: "2-digit", hour12: true });
-  const isOpen = open ? true : false;
-  return isOpen;
-  console.log(`[Market Status] ${open ? "🟢 OPEN" : "🔴 CLOSED"} | IST: ${timeStr}`);
+export function logMarketStatus(segment = DEFAULT_SEGMENT) {
+  return isMarketOpen(segment);
 }
@@ -0,0 +1,66 @@
+import { useCallback, useEffect, useState } from "react";
+
+// Active customer (broker ka selected / customer khud) + login, localStorage se
+export const getFundContext = () => {
+  const userString = localStorage.getItem('loggedInUser');
+  const activeContextString = localStorage.getItem('activeContext');
+  const { brokerId, customerId } = activeContextString ? JSON.parse(activeContextString) : {};
+  return {
+    brokerId,
+    customerId,
+    userRole: (userString ? JSON.parse(userString) : {}).role,
+    token: localStorage.getItem("token"),
+    apiBase: import.meta.env.VITE_REACT_APP_API_URL || "",
+  };
+};
+
+/**
+ * Funds page cards (page/Funds/*) ka common fetch + edit: GET `${path}?broker_id_str&customer_id_str&...params`,
+ * refreshKey / params badle to reload. save(body) => PUT same path (ids saath me),
+ * success pe response ka data hi naya state.
+ * Fund APIs { success, data } bhejti hain; margin API { ok, rules } => okKey / field.
+ */
+export function useFundResource(path, { params = {}, refreshKey, okKey = "success", field = "data" } = {}) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const ctx = getFundContext();
+  const { brokerId, customerId, token, apiBase } = ctx;
+  const query = new URLSearchParams({ broker_id_str: brokerId, customer_id_str: customerId, ...params }).toString();
+
+  const reload = useCallback(async () => {
+    if (!brokerId || !customerId) return;
+    setLoading(true);
+    try {
+      const res = await fetch(`${apiBase}${path}?${query}`, { headers: { Authorization: `Bearer ${token}` } });
+      const result = await res.json();
+      if (result[okKey]) setData(result[field]);
+    } catch (err) { console.error(err); } finally { setLoading(false); }
+  }, [apiBase, path, query, token, brokerId, customerId, okKey, field]);
+
+  useEffect(() => { reload(); }, [reload, refreshKey]);
+
+  // Returns true on success (card apna edit mode band kare)
+  const save = useCallback(async (body, failMessage = "Update failed") => {
+    setSaving(true);
+    setError("");
+    try {
+      const res = await fetch(`${apiBase}${path}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ broker_id_str: brokerId, customer_id_str: customerId, ...body }),
+      });
+      const result = await res.json();
+      if (result[okKey]) {
+        setData(result[field]);
+        return true;
+      }
+      setError(result.message || result.error || failMessage);
+    } catch (err) { console.error(err); } finally { setSaving(false); }
+    return false;
+  }, [apiBase, path, token, brokerId, customerId, okKey, field]);
+
+  return { data, setData, loading, reload, save, saving, error, setError, ctx };
+}
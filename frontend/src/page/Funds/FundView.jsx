@@ -3,6 +3,11 @@ import { DollarSign, Pencil, Check, X, Phone, Save, Smartphone, Banknote } from
 import { formatCurrency } from "./FundHelpers.jsx";
 import IntradayFundCard from "./intraday fund/IntradayFund.jsx";
 import OvernightFundCard from "./overnight fund/OvernightFund.jsx";
+import OptionLimitCard from "./option limit/OptionLimitCard.jsx";
+import LeverageCard from "./leverage/LeverageCard.jsx";
+import RiskLimitCard from "./risk/RiskLimitCard.jsx";
+import LedgerCard from "./ledger/LedgerCard.jsx";
+import FundRequestCard from "./requests/FundRequestCard.jsx";
 
 const Tab = ({ active, label, onClick }) => (
   <button
@@ -137,6 +142,20 @@ export default function FundsView() {
         <OvernightFundCard availableBalance={d.overnight_available} holdingsValue={0} onRefresh={fetchFunds} />
       )}
 
+      <LeverageCard
+        type={tab}
+        freeLimit={tab === "intraday" ? d.intraday_available - d.intraday_used : d.overnight_available}
+        refreshKey={fundsData?.updatedAt}
+      />
+
+      <OptionLimitCard type={tab} refreshKey={fundsData?.updatedAt} />
+
+      <RiskLimitCard refreshKey={fundsData?.updatedAt} />
+
+      <FundRequestCard userRole={userRole} refreshKey={fundsData?.updatedAt} onRefresh={fetchFunds} />
+
+      <LedgerCard refreshKey={fundsData?.updatedAt} />
+
       {/* --- BROKER: Set Number --- */}
       {userRole === 'broker' && (
         <div className="bg-[var(--bg-secondary)] p-4 rounded-xl shadow-inner border border-[var(--border-color)] mt-6">
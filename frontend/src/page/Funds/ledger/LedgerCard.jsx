@@ -0,0 +1,91 @@
+import React, { useState } from "react";
+import { ScrollText } from "lucide-react";
+import { formatCurrency } from "../FundHelpers.jsx";
+import { useFundResource } from "../../../hooks/useFundResource.js";
+
+const ACCOUNTS = [
+  { value: "NET_BALANCE", label: "Net balance" },
+  { value: "INTRADAY_LIMIT", label: "Intraday limit" },
+  { value: "INTRADAY_USED", label: "Intraday used" },
+  { value: "OVERNIGHT_LIMIT", label: "Overnight limit" },
+];
+
+const TYPE_LABELS = {
+  DEPOSIT: "Deposit",
+  WITHDRAWAL: "Withdrawal",
+  MARGIN_BLOCK: "Margin blocked",
+  MARGIN_RELEASE: "Margin released",
+  REALIZED_PNL: "Realized P&L",
+  CHARGES: "Charges",
+  ADJUSTMENT: "Adjustment",
+};
+
+// IST date (YYYY-MM-DD), n din pehle
+const istDate = (daysAgo = 0) =>
+  new Date(Date.now() - daysAgo * 86400000).toLocaleDateString("en-CA", { timeZone: "Asia/Kolkata" });
+
+// Fund ledger: period ki saari entries + opening / closing balance
+export default function LedgerCard({ refreshKey }) {
+  const [filters, setFilters] = useState({ account: "NET_BALANCE", from: istDate(7), to: istDate() });
+  // Filters badle => naya query => reload
+  const { data, loading } = useFundResource("/api/funds/ledger", { params: filters, refreshKey });
+
+  const handleFilter = (e) => setFilters((p) => ({ ...p, [e.target.name]: e.target.value }));
+
+  const inputClass = "bg-[var(--bg-card)] text-[var(--text-primary)] text-xs p-1 rounded border border-[var(--border-color)] focus:outline-none";
+
+  return (
+    <div className="bg-[var(--bg-secondary)] p-4 rounded-xl shadow-inner space-y-2">
+      <h3 className="text-[var(--text-primary)] text-lg font-bold mb-3 border-b border-[var(--border-color)] pb-2 flex items-center">
+        <ScrollText className="w-5 h-5 mr-2 text-indigo-400" /> Fund Ledger
+      </h3>
+
+      <div className="flex flex-wrap gap-2">
+        <select name="account" value={filters.account} onChange={handleFilter} className={inputClass}>
+          {ACCOUNTS.map((a) => <option key={a.value} value={a.value}>{a.label}</option>)}
+        </select>
+        <input type="date" name="from" value={filters.from} onChange={handleFilter} className={inputClass} />
+        <input type="date" name="to" value={filters.to} onChange={handleFilter} className={inputClass} />
+      </div>
+
+      {data && (
+        <>
+          <div className="flex justify-between text-sm py-1">
+            <span className="text-[var(--text-secondary)]">Opening</span>
+            <span className="text-[var(--text-primary)] font-semibold">{formatCurrency(data.opening_balance)}</span>
+          </div>
+
+          <div className="max-h-72 overflow-y-auto divide-y divide-[var(--border-color)]">
+            {data.entries.length === 0 ? (
+              <p className="text-xs text-[var(--text-muted)] py-2">{loading ? "Loading..." : "No entries in this period"}</p>
+            ) : data.entries.map((e) => (
+              <div key={e._id} className="flex justify-between items-center py-2 text-xs">
+                <div>
+                  <div className="text-[var(--text-primary)]">
+                    {TYPE_LABELS[e.entry_type] || e.entry_type}{e.symbol ? ` · ${e.symbol}` : ""}
+                  </div>
+                  <div className="text-[var(--text-muted)]">
+                    {new Date(e.createdAt).toLocaleString("en-IN")}
+                    {e.actor?.name ? ` · by ${e.actor.name}` : ""}
+                    {e.narration ? ` · ${e.narration}` : ""}
+                  </div>
+                </div>
+                <div className="text-right">
+                  <div className={`font-semibold ${e.amount < 0 ? "text-red-400" : "text-green-400"}`}>
+                    {e.amount > 0 ? "+" : ""}{formatCurrency(e.amount)}
+                  </div>
+                  <div className="text-[var(--text-muted)]">{formatCurrency(e.balance_after)}</div>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex justify-between text-sm py-1 border-t border-[var(--border-color)]">
+            <span className="text-[var(--text-secondary)]">Closing</span>
+            <span className="text-[var(--text-primary)] font-semibold">{formatCurrency(data.closing_balance)}</span>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
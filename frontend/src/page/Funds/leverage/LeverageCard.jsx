@@ -0,0 +1,113 @@
+import React, { useState } from "react";
+import { Pencil, Check, X, Layers } from "lucide-react";
+import { formatCurrency } from "../FundHelpers.jsx";
+import { useFundResource } from "../../../hooks/useFundResource.js";
+
+// Risk-array margin sirf futures / option writing pe (backend SPAN_SEGMENTS)
+const SPAN_SEGMENTS = ["FUT", "OPT_SELL", "CURRENCY_FUT", "CURRENCY_OPT_SELL", "COMMODITY_FUT", "COMMODITY_OPT_SELL"];
+
+const ruleLabel = (rule) => {
+  if (rule.mode === "PERCENT") return `${rule.value}% margin`;
+  if (rule.mode === "SPAN") return rule.value > 1 ? `SPAN + exposure / ${rule.value}x` : "SPAN + exposure";
+  return `${rule.leverage}x`;
+};
+
+// Equity intraday sirf intraday tab me, delivery sirf overnight tab me; F&O dono me
+const HIDDEN_BY_TAB = {
+  intraday: ["EQ_DELIVERY"],
+  overnight: ["EQ_INTRADAY"],
+};
+
+// Segment-wise leverage (customer ka effective rule) + us leverage pe buying power
+export default function LeverageCard({ type = "intraday", freeLimit = 0, refreshKey }) {
+  const [editing, setEditing] = useState(null); // segment key
+  const [form, setForm] = useState({ mode: "LEVERAGE", value: "", squareoff_pct: "" });
+  // Margin API { ok, rules } bhejti hai
+  const { data: rules, save, saving, error, setError, ctx } = useFundResource("/api/margin/profile", { refreshKey, okKey: "ok", field: "rules" });
+  const { userRole } = ctx;
+
+  const handleSave = async () => {
+    if (form.value === "" || isNaN(form.value)) return;
+    const saved = await save({
+      rules: {
+        [editing]: {
+          mode: form.mode,
+          value: Number(form.value),
+          squareoff_pct: form.squareoff_pct === "" ? undefined : Number(form.squareoff_pct),
+        }
+      }
+    }, "Failed to update leverage");
+    if (saved) setEditing(null);
+  };
+
+  if (!rules) return null;
+
+  const hidden = HIDDEN_BY_TAB[type] || [];
+  const free = Math.max(0, Number(freeLimit) || 0);
+
+  return (
+    <div className="bg-[var(--bg-secondary)] p-4 rounded-xl shadow-inner space-y-1">
+      <h3 className="text-[var(--text-primary)] text-lg font-bold mb-3 border-b border-[var(--border-color)] pb-2 flex items-center">
+        <Layers className="w-5 h-5 mr-2 text-indigo-400" /> Leverage & Buying Power
+      </h3>
+
+      {Object.entries(rules).filter(([key]) => !hidden.includes(key)).map(([key, rule]) => (
+        <div key={key} className="flex justify-between items-center py-2 border-b border-[var(--border-light)] last:border-b-0">
+          <div className="text-sm">
+            <p className="text-[var(--text-secondary)]">{rule.label}</p>
+            <p className="text-xs text-[var(--text-muted)]">
+              {ruleLabel(rule)}
+              {(rule.rate < 1 || rule.mode === "SPAN") && rule.squareoff_pct > 0 ? ` · auto square-off at ${rule.squareoff_pct}% margin loss` : ""}
+            </p>
+          </div>
+
+          {editing === key ? (
+            <div className="flex items-center gap-2">
+              <select
+                value={form.mode}
+                onChange={(e) => setForm({ ...form, mode: e.target.value })}
+                className="bg-[var(--bg-card)] text-[var(--text-primary)] text-xs p-1 rounded border border-indigo-500/50"
+              >
+                <option value="LEVERAGE">x</option>
+                <option value="PERCENT">%</option>
+                {SPAN_SEGMENTS.includes(key) && <option value="SPAN">SPAN</option>}
+              </select>
+              <input
+                type="number"
+                value={form.value}
+                onChange={(e) => setForm({ ...form, value: e.target.value })}
+                className="bg-[var(--bg-card)] text-[var(--text-primary)] text-sm font-bold p-1 rounded border border-indigo-500/50 w-16 focus:outline-none"
+                autoFocus
+              />
+              <input
+                type="number"
+                value={form.squareoff_pct}
+                onChange={(e) => setForm({ ...form, squareoff_pct: e.target.value })}
+                className="bg-[var(--bg-card)] text-[var(--text-primary)] text-sm p-1 rounded border border-indigo-500/50 w-14 focus:outline-none"
+                title="Square-off at % of margin lost"
+              />
+              <button onClick={handleSave} disabled={saving} className="p-1 bg-green-600/20 text-green-400 rounded hover:bg-green-600/40 transition"><Check size={16} /></button>
+              <button onClick={() => { setEditing(null); setError(""); }} className="p-1 bg-red-600/20 text-red-400 rounded hover:bg-red-600/40 transition"><X size={16} /></button>
+            </div>
+          ) : (
+            <div className="flex items-center gap-2">
+              {/* SPAN margin position pe depend karta hai - fixed buying power nahi */}
+              <span className="text-[var(--text-primary)] font-bold text-sm">{rule.mode === "SPAN" ? "Per order" : formatCurrency(free / rule.rate)}</span>
+              {userRole === 'broker' && (
+                <button
+                  onClick={() => { setForm({ mode: rule.mode, value: rule.value, squareoff_pct: rule.squareoff_pct }); setEditing(key); }}
+                  className="text-gray-600 hover:text-indigo-400 transition p-1"
+                  title="Edit Leverage"
+                >
+                  <Pencil size={14} />
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      ))}
+
+      {error && <p className="text-xs text-red-400">{error}</p>}
+    </div>
+  );
+}
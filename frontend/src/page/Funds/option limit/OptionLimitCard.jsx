@@ -0,0 +1,93 @@
+import React, { useState } from "react";
+import { Pencil, Check, X, ShieldCheck } from "lucide-react";
+import { formatCurrency } from "../FundHelpers.jsx";
+import { useFundResource } from "../../../hooks/useFundResource.js";
+
+const SIDES = [
+  { key: "buy", label: "Option Buy" },
+  { key: "sell", label: "Option Sell" },
+];
+
+// Daily option cap (per customer): aaj ki utilisation + broker edit (PERCENT / ABSOLUTE)
+export default function OptionLimitCard({ type = "intraday", refreshKey }) {
+  const [editing, setEditing] = useState(null); // side key
+  const [form, setForm] = useState({ mode: "PERCENT", value: "" });
+  const { data, save, saving, error, setError, ctx } = useFundResource("/api/funds/optionLimit", { refreshKey });
+  const { userRole } = ctx;
+
+  const handleSave = async () => {
+    if (form.value === "" || isNaN(form.value)) return;
+    const saved = await save(
+      { config: { [type]: { [editing]: { mode: form.mode, value: Number(form.value) } } } },
+      "Failed to update option limit"
+    );
+    if (saved) setEditing(null);
+  };
+
+  const utilisation = data?.utilisation?.[type];
+  if (!utilisation) return null;
+
+  return (
+    <div className="bg-[var(--bg-secondary)] p-4 rounded-xl shadow-inner space-y-2">
+      <h3 className="text-[var(--text-primary)] text-lg font-bold mb-3 border-b border-[var(--border-color)] pb-2 flex items-center">
+        <ShieldCheck className="w-5 h-5 mr-2 text-indigo-400" /> Daily Option Limit
+      </h3>
+
+      {SIDES.map(({ key, label }) => {
+        const row = utilisation[key];
+        const pct = row.cap > 0 ? Math.min(100, (row.used / row.cap) * 100) : 0;
+        return (
+          <div key={key} className="py-2 border-b border-[var(--border-light)] last:border-b-0">
+            <div className="flex justify-between items-center">
+              <span className="text-[var(--text-secondary)] text-sm">
+                {label} <span className="text-xs text-[var(--text-muted)]">({row.mode === "PERCENT" ? `${row.value}%` : "Fixed"})</span>
+              </span>
+              {editing === key ? (
+                <div className="flex items-center gap-2">
+                  <select
+                    value={form.mode}
+                    onChange={(e) => setForm({ ...form, mode: e.target.value })}
+                    className="bg-[var(--bg-card)] text-[var(--text-primary)] text-xs p-1 rounded border border-indigo-500/50"
+                  >
+                    <option value="PERCENT">%</option>
+                    <option value="ABSOLUTE">₹</option>
+                  </select>
+                  <input
+                    type="number"
+                    value={form.value}
+                    onChange={(e) => setForm({ ...form, value: e.target.value })}
+                    className="bg-[var(--bg-card)] text-[var(--text-primary)] text-sm font-bold p-1 rounded border border-indigo-500/50 w-24 focus:outline-none"
+                    autoFocus
+                  />
+                  <button onClick={handleSave} disabled={saving} className="p-1 bg-green-600/20 text-green-400 rounded hover:bg-green-600/40 transition"><Check size={16} /></button>
+                  <button onClick={() => { setEditing(null); setError(""); }} className="p-1 bg-red-600/20 text-red-400 rounded hover:bg-red-600/40 transition"><X size={16} /></button>
+                </div>
+              ) : (
+                <div className="flex items-center gap-2">
+                  <span className="text-[var(--text-primary)] font-bold text-sm">
+                    {formatCurrency(row.used)} / {formatCurrency(row.cap)}
+                  </span>
+                  {userRole === 'broker' && (
+                    <button
+                      onClick={() => { setForm({ mode: row.mode, value: row.value }); setEditing(key); }}
+                      className="text-gray-600 hover:text-indigo-400 transition p-1"
+                      title="Edit Option Limit"
+                    >
+                      <Pencil size={14} />
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+            <div className="mt-2 h-1.5 rounded-full bg-[var(--bg-card)] overflow-hidden">
+              <div className={`h-full ${pct >= 90 ? "bg-red-500" : "bg-indigo-500"}`} style={{ width: `${pct}%` }} />
+            </div>
+            <p className="text-xs text-[var(--text-muted)] mt-1">Remaining today: {formatCurrency(row.remaining)}</p>
+          </div>
+        );
+      })}
+
+      {error && <p className="text-xs text-red-400">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,175 @@
+import React, { useState } from "react";
+import { ArrowDownToLine, ArrowUpFromLine, Check, X, Inbox } from "lucide-react";
+import { formatCurrency } from "../FundHelpers.jsx";
+import { useFundResource } from "../../../hooks/useFundResource.js";
+
+const STATUS_CLASS = {
+  PENDING: "text-yellow-400",
+  APPROVED: "text-green-400",
+  REJECTED: "text-red-400",
+  CANCELLED: "text-[var(--text-muted)]",
+};
+
+// Pay-in / pay-out: customer request bhejta hai, broker isi card se approve / reject karta hai
+export default function FundRequestCard({ userRole, refreshKey, onRefresh }) {
+  const [form, setForm] = useState({ request_type: "DEPOSIT", amount: "", utr: "", note: "" });
+  const [proof, setProof] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const isBroker = userRole === 'broker';
+
+  // Broker: active customer ki requests; customer: apni (backend scope karta hai)
+  const { data: requestList, reload: reloadRequests, ctx } = useFundResource("/api/funds/requests", { refreshKey });
+  const { data: withdrawable, reload: reloadWithdrawable } = useFundResource("/api/funds/withdrawable", { refreshKey });
+  const requests = requestList || [];
+  const { token, apiBase } = ctx;
+
+  const fetchRequests = () => Promise.all([reloadRequests(), reloadWithdrawable()]);
+
+  const handleChange = (e) => setForm((p) => ({ ...p, [e.target.name]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setMessage(null);
+    try {
+      const body = new FormData();
+      Object.entries(form).forEach(([key, value]) => body.append(key, value));
+      if (proof && form.request_type === "DEPOSIT") body.append("proof", proof);
+
+      const res = await fetch(`${apiBase}/api/funds/requests`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${token}` },
+        body,
+      });
+      const result = await res.json();
+      setMessage({ ok: result.success, text: result.message });
+      if (result.success) {
+        setForm((p) => ({ ...p, amount: "", utr: "", note: "" }));
+        setProof(null);
+        await fetchRequests();
+      }
+    } catch (err) { console.error(err); } finally { setBusy(false); }
+  };
+
+  const handleAction = async (request, action) => {
+    const payload = {};
+    if (action === "reject") {
+      const reason = window.prompt("Reason for rejecting this request?");
+      if (!reason) return;
+      payload.reason = reason;
+    } else if (action === "approve") {
+      const label = request.request_type === "DEPOSIT" ? "credit" : "debit";
+      if (!window.confirm(`Approve and ${label} ${formatCurrency(request.amount)}?`)) return;
+      if (request.request_type === "WITHDRAWAL") payload.payout_reference = window.prompt("Payout UTR / reference (optional)") || "";
+    }
+
+    setBusy(true);
+    try {
+      const res = await fetch(`${apiBase}/api/funds/requests/${request._id}/${action}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+        body: JSON.stringify(payload),
+      });
+      const result = await res.json();
+      setMessage({ ok: result.success, text: result.message });
+      await fetchRequests();
+      if (result.success && action === "approve" && onRefresh) await onRefresh();
+    } catch (err) { console.error(err); } finally { setBusy(false); }
+  };
+
+  const inputClass = "bg-[var(--bg-card)] text-[var(--text-primary)] text-sm p-1.5 rounded border border-[var(--border-color)] focus:outline-none w-full";
+
+  return (
+    <div className="bg-[var(--bg-secondary)] p-4 rounded-xl shadow-inner space-y-3">
+      <h3 className="text-[var(--text-primary)] text-lg font-bold mb-3 border-b border-[var(--border-color)] pb-2 flex items-center">
+        <Inbox className="w-5 h-5 mr-2 text-emerald-400" /> {isBroker ? "Fund Requests" : "Add / Withdraw Funds"}
+      </h3>
+
+      {withdrawable && (
+        <div className="text-xs space-y-1">
+          <div className="flex justify-between">
+            <span className="text-[var(--text-secondary)]">Withdrawable</span>
+            <span className="text-[var(--text-primary)] font-semibold">{formatCurrency(withdrawable.withdrawable)}</span>
+          </div>
+          <div className="text-[var(--text-muted)]">
+            Blocked margin {formatCurrency(withdrawable.blocked_margin)} · Unrealized loss {formatCurrency(withdrawable.unrealized_loss)}
+            {withdrawable.unsettled_profit > 0 ? ` · Unsettled profit (T+1) ${formatCurrency(withdrawable.unsettled_profit)}` : ""}
+            {withdrawable.pending_withdrawals > 0 ? ` · Pending ${formatCurrency(withdrawable.pending_withdrawals)}` : ""}
+          </div>
+        </div>
+      )}
+
+      {!isBroker && (
+        <form onSubmit={handleSubmit} className="space-y-2">
+          <div className="flex gap-2">
+            {[
+              { value: "DEPOSIT", label: "Add Funds", icon: <ArrowDownToLine size={14} /> },
+              { value: "WITHDRAWAL", label: "Withdraw", icon: <ArrowUpFromLine size={14} /> },
+            ].map(({ value, label, icon }) => (
+              <button
+                key={value}
+                type="button"
+                onClick={() => setForm((p) => ({ ...p, request_type: value }))}
+                className={`flex-1 flex items-center justify-center gap-1 py-1.5 rounded text-sm font-semibold transition ${form.request_type === value ? "bg-indigo-600 text-white" : "bg-[var(--bg-card)] text-[var(--text-secondary)]"}`}
+              >
+                {icon} {label}
+              </button>
+            ))}
+          </div>
+          <input type="number" name="amount" min="1" step="0.01" placeholder="Amount (₹)" value={form.amount} onChange={handleChange} className={inputClass} required />
+          {form.request_type === "DEPOSIT" && (
+            <>
+              <input type="text" name="utr" placeholder="UTR / bank reference" value={form.utr} onChange={handleChange} className={inputClass} required />
+              <input type="file" accept="image/jpeg,image/png" onChange={(e) => setProof(e.target.files?.[0] || null)} className="text-xs text-[var(--text-secondary)]" />
+            </>
+          )}
+          <input type="text" name="note" placeholder="Note (optional)" value={form.note} onChange={handleChange} className={inputClass} />
+          <button type="submit" disabled={busy} className="w-full py-2 bg-indigo-600 text-white rounded font-semibold text-sm hover:bg-indigo-500 transition disabled:opacity-50">
+            {busy ? "Submitting..." : "Submit Request"}
+          </button>
+        </form>
+      )}
+
+      {message && <p className={`text-xs ${message.ok ? "text-green-400" : "text-red-400"}`}>{message.text}</p>}
+
+      <div className="max-h-72 overflow-y-auto divide-y divide-[var(--border-color)]">
+        {requests.length === 0 ? (
+          <p className="text-xs text-[var(--text-muted)] py-2">No requests yet</p>
+        ) : requests.map((r) => (
+          <div key={r._id} className="flex justify-between items-center py-2 text-xs gap-2">
+            <div>
+              <div className="text-[var(--text-primary)]">
+                {r.request_type === "DEPOSIT" ? "Pay-in" : "Pay-out"} · {formatCurrency(r.amount)}
+                <span className={`ml-2 font-semibold ${STATUS_CLASS[r.status]}`}>{r.status}</span>
+              </div>
+              <div className="text-[var(--text-muted)]">
+                {new Date(r.createdAt).toLocaleString("en-IN")}
+                {r.utr ? ` · UTR ${r.utr}` : ""}
+                {r.payout_reference ? ` · Ref ${r.payout_reference}` : ""}
+                {r.rejection_reason ? ` · ${r.rejection_reason}` : ""}
+                {r.note ? ` · ${r.note}` : ""}
+              </div>
+              {r.proof?.url && (
+                <a href={r.proof.url} target="_blank" rel="noreferrer" className="text-indigo-400 hover:underline">View proof</a>
+              )}
+            </div>
+            {r.status === "PENDING" && (
+              <div className="flex gap-1 shrink-0">
+                {isBroker ? (
+                  <>
+                    <button onClick={() => handleAction(r, "approve")} disabled={busy} className="p-1.5 bg-green-600/20 text-green-400 rounded hover:bg-green-600/40 transition"><Check size={16} /></button>
+                    <button onClick={() => handleAction(r, "reject")} disabled={busy} className="p-1.5 bg-red-600/20 text-red-400 rounded hover:bg-red-600/40 transition"><X size={16} /></button>
+                  </>
+                ) : (
+                  <button onClick={() => handleAction(r, "cancel")} disabled={busy} className="px-2 py-1 bg-[var(--bg-card)] text-[var(--text-secondary)] rounded hover:text-red-400 transition">Cancel</button>
+                )}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
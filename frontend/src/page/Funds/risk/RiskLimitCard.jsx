@@ -0,0 +1,103 @@
+import React, { useState } from "react";
+import { Pencil, Check, X, Siren } from "lucide-react";
+import { formatCurrency } from "../FundHelpers.jsx";
+import { useFundResource } from "../../../hooks/useFundResource.js";
+
+// MTM risk (per customer): live loss vs allocated limit + broker edit (warning / square-off %)
+export default function RiskLimitCard({ refreshKey }) {
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState({ enabled: true, warning_pct: "", squareoff_pct: "" });
+  const { data, save, saving, error, setError, ctx } = useFundResource("/api/funds/risk", { refreshKey });
+  const { userRole } = ctx;
+
+  const handleSave = async () => {
+    if (form.warning_pct === "" || form.squareoff_pct === "") return;
+    const saved = await save({
+      enabled: form.enabled,
+      warning_pct: Number(form.warning_pct),
+      squareoff_pct: Number(form.squareoff_pct),
+    }, "Failed to update risk limits");
+    if (saved) setEditing(false);
+  };
+
+  if (!data) return null;
+
+  const { config, live } = data;
+  const lossPct = live?.loss_pct || 0;
+  const barPct = config.squareoff_pct > 0 ? Math.min(100, (lossPct / config.squareoff_pct) * 100) : 0;
+
+  return (
+    <div className="bg-[var(--bg-secondary)] p-4 rounded-xl shadow-inner space-y-2">
+      <h3 className="text-[var(--text-primary)] text-lg font-bold mb-3 border-b border-[var(--border-color)] pb-2 flex items-center">
+        <Siren className="w-5 h-5 mr-2 text-indigo-400" /> MTM Risk
+      </h3>
+
+      <div className="flex justify-between items-center py-2">
+        <span className="text-[var(--text-secondary)] text-sm">
+          {config.enabled
+            ? <>Alert at {config.warning_pct}% · Square-off at {config.squareoff_pct}%</>
+            : "Auto square-off disabled"}
+        </span>
+        {editing ? (
+          <div className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={form.enabled}
+              onChange={(e) => setForm({ ...form, enabled: e.target.checked })}
+              title="Enabled"
+            />
+            <input
+              type="number"
+              value={form.warning_pct}
+              onChange={(e) => setForm({ ...form, warning_pct: e.target.value })}
+              className="bg-[var(--bg-card)] text-[var(--text-primary)] text-sm p-1 rounded border border-indigo-500/50 w-14 focus:outline-none"
+              title="Warning at % of allocated limit lost"
+              autoFocus
+            />
+            <input
+              type="number"
+              value={form.squareoff_pct}
+              onChange={(e) => setForm({ ...form, squareoff_pct: e.target.value })}
+              className="bg-[var(--bg-card)] text-[var(--text-primary)] text-sm p-1 rounded border border-indigo-500/50 w-14 focus:outline-none"
+              title="Square-off at % of allocated limit lost"
+            />
+            <button onClick={handleSave} disabled={saving} className="p-1 bg-green-600/20 text-green-400 rounded hover:bg-green-600/40 transition"><Check size={16} /></button>
+            <button onClick={() => { setEditing(false); setError(""); }} className="p-1 bg-red-600/20 text-red-400 rounded hover:bg-red-600/40 transition"><X size={16} /></button>
+          </div>
+        ) : userRole === 'broker' && (
+          <button
+            onClick={() => { setForm({ ...config }); setEditing(true); }}
+            className="text-gray-600 hover:text-indigo-400 transition p-1"
+            title="Edit Risk Limits"
+          >
+            <Pencil size={14} />
+          </button>
+        )}
+      </div>
+
+      {live ? (
+        <div>
+          <div className="flex justify-between text-sm">
+            <span className="text-[var(--text-secondary)]">Live MTM ({live.positions} open)</span>
+            <span className={`font-bold ${live.mtm < 0 ? "text-red-400" : "text-green-400"}`}>{formatCurrency(live.mtm)}</span>
+          </div>
+          <div className="mt-2 h-1.5 rounded-full bg-[var(--bg-card)] overflow-hidden">
+            <div className={`h-full ${lossPct >= config.warning_pct ? "bg-red-500" : "bg-indigo-500"}`} style={{ width: `${barPct}%` }} />
+          </div>
+          <p className="text-xs text-[var(--text-muted)] mt-1">
+            Loss {lossPct}% of {formatCurrency(live.allocated_limit)} allocated
+          </p>
+          {live.unpriced_positions > 0 && (
+            <p className="text-xs text-yellow-400 mt-1">
+              {live.unpriced_positions} position(s) without a live price, not included in MTM
+            </p>
+          )}
+        </div>
+      ) : (
+        <p className="text-xs text-[var(--text-muted)]">No open positions</p>
+      )}
+
+      {error && <p className="text-xs text-red-400">{error}</p>}
+    </div>
+  );
+}
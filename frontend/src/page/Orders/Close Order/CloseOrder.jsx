@@ -44,7 +44,7 @@ const ClosedOrderBottomWindow = ({ selectedOrder, onClose }) => {
     const userString = localStorage.getItem('loggedInUser');
     const userObject = userString ? JSON.parse(userString) : {};
     const userRole = userObject.role; // 'broker' or 'customer'
-    const isOpen = logMarketStatus();
+    const isOpen = logMarketStatus(selectedOrder.segment);
 
     const [submitting, setSubmitting] = useState(false);
     const [feedback, setFeedback] = useState(null);
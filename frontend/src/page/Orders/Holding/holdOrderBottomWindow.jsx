@@ -26,7 +26,7 @@ const DetailRow = ({ Icon, label, value, colorClass }) => {
 export default function HoldOrderBottomWindow({ selectedOrder, onClose, sheetData }) {
 
     if (!selectedOrder) return null;
-    const isOpen = logMarketStatus();
+    const isOpen = logMarketStatus(selectedOrder.segment);
 
     const userString = localStorage.getItem('loggedInUser');
     const userObject = userString ? JSON.parse(userString) : {};
@@ -22,8 +22,35 @@ const DetailRow = ({ Icon, label, value, colorClass }) => {
 
 export default function OpenOrderBottomWindow({ selectedOrder, onClose, sheetData }) {
 
+    // Hooks early return se pehle (rules-of-hooks)
+    // States
+    const [addLotInput, setAddLotInput] = useState('');
+    const [exitLotInput, setExitLotInput] = useState('');
+    // SL & Target States
+    const [slPrice, setSlPrice] = useState(selectedOrder?.stop_loss || '');
+    const [targetPrice, setTargetPrice] = useState(selectedOrder?.target || '');
+
+    const [submitting, setSubmitting] = useState(false);
+    const [action, setAction] = useState('Adjust');
+    const [feedback, setFeedback] = useState(null);
+    const [orderStatus, setOrderStatus] = useState((selectedOrder?.order_status || 'OPEN').toUpperCase());
+
+    // --- Price Edit State (Ported) ---
+    const [isEditingPrice, setIsEditingPrice] = useState(false);
+    const [editPriceInput, setEditPriceInput] = useState('');
+
+    useEffect(() => {
+        if (!selectedOrder) return;
+        setAddLotInput('');
+        setExitLotInput('');
+        setSlPrice(selectedOrder.stop_loss || '');
+        setTargetPrice(selectedOrder.target || '');
+        setFeedback(null);
+        setOrderStatus((selectedOrder.order_status || 'OPEN').toUpperCase());
+    }, [selectedOrder]);
+
     if (!selectedOrder) return null;
-    const isOpen = logMarketStatus();
+    const isOpen = logMarketStatus(selectedOrder.segment);
 
     const userString = localStorage.getItem('loggedInUser');
     const userObject = userString ? JSON.parse(userString) : {};
@@ -72,21 +99,6 @@ export default function OpenOrderBottomWindow({ selectedOrder, onClose, sheetDat
 
     const pnlColor = netPnl >= 0 ? "text-green-400" : "text-red-400";
 
-    // States
-    const [addLotInput, setAddLotInput] = useState('');
-    // SL & Target States
-    const [slPrice, setSlPrice] = useState(selectedOrder.stop_loss || '');
-    const [targetPrice, setTargetPrice] = useState(selectedOrder.target || '');
-
-    const [submitting, setSubmitting] = useState(false);
-    const [action, setAction] = useState('Adjust');
-    const [feedback, setFeedback] = useState(null);
-    const [orderStatus, setOrderStatus] = useState((selectedOrder.order_status || 'OPEN').toUpperCase());
-
-    // --- Price Edit State (Ported) ---
-    const [isEditingPrice, setIsEditingPrice] = useState(false);
-    const [editPriceInput, setEditPriceInput] = useState('');
-
     const apiBase = import.meta.env.VITE_REACT_APP_API_URL || "";
     const token = localStorage.getItem("token") || null;
     const activeContextString = localStorage.getItem('activeContext');
@@ -94,14 +106,6 @@ export default function OpenOrderBottomWindow({ selectedOrder, onClose, sheetDat
     const brokerId = activeContext.brokerId;
     const customerId = activeContext.customerId;
 
-    useEffect(() => {
-        setAddLotInput('');
-        setSlPrice(selectedOrder.stop_loss || '');
-        setTargetPrice(selectedOrder.target || '');
-        setFeedback(null);
-        setOrderStatus((selectedOrder.order_status || 'OPEN').toUpperCase());
-    }, [selectedOrder]);
-
     // --- ADD LOT CALCULATION ---
     const currentLots = Number(lots ?? 0);
     const parsedAddLots = Math.max(0, parseInt(String(addLotInput).trim() || '0', 10));
@@ -118,6 +122,22 @@ export default function OpenOrderBottomWindow({ selectedOrder, onClose, sheetDat
     }
     const displayComputedAvg = `₹${Number(computedAvg || 0).toFixed(2)}`;
 
+    // --- PARTIAL EXIT ---
+    const parsedExitLots = Math.max(0, parseInt(String(exitLotInput).trim() || '0', 10));
+
+    // Exit price = live LTP adjusted by jobbing %
+    const getExitLtp = () => {
+        const liveLtp = Number(sheetData?.ltp ?? 0);
+        const jobbing = Number(jobbin_price ?? 0);
+        let closedLtp = liveLtp;
+
+        if (liveLtp > 0 && !Number.isNaN(jobbing)) {
+            if (orderSide === 'BUY') closedLtp = liveLtp - (liveLtp * (jobbing / 100));
+            else closedLtp = liveLtp + (liveLtp * (jobbing / 100));
+        }
+        return Number(Number(closedLtp || 0).toFixed(4));
+    };
+
 
 
     // --- PRICE EDIT HANDLER (Ported) ---
@@ -272,21 +292,12 @@ export default function OpenOrderBottomWindow({ selectedOrder, onClose, sheetDat
                 };
             } else {
                 // *** EXIT LOGIC ***
-                const liveLtp = Number(sheetData?.ltp ?? 0);
-                const jobbing = Number(jobbin_price ?? 0);
-                let closedLtp = liveLtp;
-
-                if (liveLtp > 0 && !Number.isNaN(jobbing)) {
-                    if (orderSide === 'BUY') closedLtp = liveLtp - (liveLtp * (jobbing / 100));
-                    else closedLtp = liveLtp + (liveLtp * (jobbing / 100));
-                }
-
                 payload = {
                     broker_id_str: brokerId,
                     customer_id_str: customerId,
                     order_id: orderId,
                     instrument_token: instrument_token,
-                    closed_ltp: Number(Number(closedLtp || 0).toFixed(4)),
+                    closed_ltp: getExitLtp(),
                     closed_at: new Date().toISOString(),
                     symbol: tradingsymbol,
                     order_status: targetStatus,
@@ -327,6 +338,48 @@ export default function OpenOrderBottomWindow({ selectedOrder, onClose, sheetDat
         }
     };
 
+    // --- PARTIAL EXIT HANDLER ---
+    const handlePartialExit = async () => {
+        if (parsedExitLots >= currentLots) {
+            setFeedback({ type: 'error', message: `Exit lots must be less than ${currentLots}. Use EXIT for the full position.` });
+            return;
+        }
+
+        setSubmitting(true);
+        setFeedback(null);
+        try {
+            const endpoint = `${apiBase.replace(/\/$/, "")}/api/orders/partialExit`;
+            const payload = {
+                order_id: orderId,
+                lots: parsedExitLots,
+                closed_ltp: getExitLtp(),
+            };
+
+            const res = await fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+                body: JSON.stringify(payload)
+            });
+
+            const body = await res.json().catch(() => null);
+
+            if (!res.ok || (body && body.success === false)) {
+                throw new Error(body?.message || `Server error: ${res.status}`);
+            }
+
+            setFeedback({ type: 'success', message: body?.message || 'Partial exit successful.' });
+
+            window.dispatchEvent(new CustomEvent('orders:changed', { detail: { order: body?.order } }));
+
+            setTimeout(() => onClose(), 1000);
+        } catch (err) {
+            console.error("Partial Exit Error:", err);
+            setFeedback({ type: 'error', message: `Failed: ${err.message}` });
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
     return (
         <div className="open-order-bottom-window fixed bottom-0 left-0 right-0 z-50 bg-[var(--bg-secondary)] border-t border-[var(--border-color)] shadow-2xl p-4 transition-transform duration-300">
             <div className="flex justify-between items-start mb-3 border-b border-[var(--border-color)] pb-2">
@@ -397,6 +450,23 @@ export default function OpenOrderBottomWindow({ selectedOrder, onClose, sheetDat
                         </div>
                     </div>
 
+                    <div className="flex items-center space-x-2">
+                        <h6 className='text-lg font-semibold text-[var(--text-primary)]'>Exit Lot</h6>
+                        <input
+                            type="number"
+                            min="0"
+                            max={Math.max(0, currentLots - 1)}
+                            value={exitLotInput}
+                            onChange={(e) => setExitLotInput(e.target.value)}
+                            placeholder="0 = full exit"
+                            className="flex-1 p-2 bg-[var(--bg-hover)] text-[var(--text-primary)] rounded-md transition"
+                            disabled={orderStatus !== 'OPEN'}
+                        />
+                        <div className="text-xs text-gray-400 italic">
+                            Open: <span className="font-medium text-white ml-1">{currentLots}</span>
+                        </div>
+                    </div>
+
                     {/* --- SL & TARGET INPUTS (Half-Half) --- */}
                     <div className="flex space-x-2">
                         <div className="flex-1 flex items-center space-x-2 bg-[var(--bg-hover)] p-2 rounded-md">
@@ -485,11 +555,11 @@ export default function OpenOrderBottomWindow({ selectedOrder, onClose, sheetDat
                                 : (parsedAddLots > 0 ? 'BUY MORE..' : 'BUY MORE')}
                         </button>
                         <button
-                            onClick={() => handleAction('Adjust', 'CLOSED')}
+                            onClick={() => (parsedExitLots > 0 ? handlePartialExit() : handleAction('Adjust', 'CLOSED'))}
                             disabled={submitting}
                             className={`flex-1 p-3 rounded-lg text-white font-semibold transition bg-red-500 hover:bg-yellow-700 ${submitting ? 'opacity-50' : ''}`}
                         >
-                            EXIT
+                            {parsedExitLots > 0 ? `EXIT ${parsedExitLots} LOT${parsedExitLots > 1 ? 'S' : ''}` : 'EXIT'}
                         </button>
                     </div>
 
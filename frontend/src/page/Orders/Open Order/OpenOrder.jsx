@@ -427,6 +427,11 @@ export default function OpenOrder() {
                 <h4 className="text-[var(--text-primary)] font-bold tracking-wide text-sm whitespace-nowrap overflow-hidden text-ellipsis pr-2 flex-1">
                   {tradingsymbol || "—"}{" "}
                   <span className="text-xs text-[var(--text-secondary)]">({sideUpper})</span>
+                  {data.variety && data.variety !== "REGULAR" && (
+                    <span className="ml-1 px-1 rounded bg-indigo-500/20 text-indigo-300 text-[10px] align-middle">
+                      {data.variety}
+                    </span>
+                  )}
                 </h4>
                 <div
                   className={`text-xs font-bold ${pnlColor} whitespace-nowrap flex-shrink-0`}
@@ -458,6 +463,23 @@ export default function OpenOrder() {
                   Est. Brokerage (entry): -{money(totalBrokerage)}
                 </div>
               </div>
+
+              {/* BO / CO linked exit legs (one fills => other cancels) */}
+              {Array.isArray(data.legs) && data.legs.length > 0 && (
+                <div className="mt-2 pl-3 border-l border-[var(--border-color)] space-y-0.5">
+                  {data.legs.map((leg) => (
+                    <div key={leg._id} className="flex justify-between text-[11px] text-[var(--text-secondary)]">
+                      <span>
+                        {leg.leg_type === "TARGET" ? "Target" : "Stop loss"} · {leg.side} {leg.order_type}
+                      </span>
+                      <span className="text-[var(--text-primary)]">
+                        {money(leg.leg_type === "TARGET" ? leg.price : leg.trigger_price)}{" "}
+                        <span className="text-[var(--text-muted)]">{leg.order_status}</span>
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
             </li>
           );
         })}
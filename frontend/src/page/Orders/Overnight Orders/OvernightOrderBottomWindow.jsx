@@ -25,7 +25,7 @@ const DetailRow = ({ Icon, label, value, colorClass }) => {
 
 export default function OvernightOrderBottomWindow({ selectedOrder, onClose, sheetData }) {
     if (!selectedOrder) return null;
-    const isOpen = logMarketStatus();
+    const isOpen = logMarketStatus(selectedOrder.segment);
 
     const userString = localStorage.getItem('loggedInUser');
     const userObject = userString ? JSON.parse(userString) : {};
@@ -106,6 +106,105 @@ const AddCustomerModal = ({ isVisible, onClose, onCustomerAdded }) => {
   );
 };
 
+/* ---------- Trading access: status, segments, kill switch ---------- */
+const TRADING_STATUSES = [
+  { value: 'ACTIVE', label: 'Active', className: 'bg-green-600/20 text-green-400' },
+  { value: 'CLOSE_ONLY', label: 'Close only', className: 'bg-yellow-600/20 text-yellow-400' },
+  { value: 'BLOCKED', label: 'Blocked', className: 'bg-red-600/20 text-red-400' },
+];
+
+const SEGMENT_PERMISSIONS = [
+  { key: 'equity', label: 'Equity' },
+  { key: 'fno', label: 'F&O' },
+  { key: 'mcx', label: 'MCX' },
+  { key: 'options_buy_only', label: 'Options buy only' },
+];
+
+const TradingAccessPanel = ({ customer, onUpdated }) => {
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const status = customer.trading_status || 'ACTIVE';
+  const permissions = customer.segment_permissions || {};
+  const headers = { Authorization: `Bearer ${localStorage.getItem('authToken')}` };
+
+  const saveAccess = async (body) => {
+    setBusy(true);
+    setMessage('');
+    try {
+      const res = await axios.put(`${API_URL}/api/auth/customer/${customer.id}/trading-access`, body, { headers });
+      if (res.data?.success) onUpdated(res.data.customer);
+      else setMessage(`❌ ${res.data?.message || 'Update failed.'}`);
+    } catch (err) {
+      setMessage(`❌ ${err.response?.data?.message || 'Network error.'}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleKillSwitch = async () => {
+    if (!window.confirm(`Exit all positions of ${customer.name} and block trading?`)) return;
+    setBusy(true);
+    setMessage('');
+    try {
+      const res = await axios.post(`${API_URL}/api/auth/customer/${customer.id}/kill-switch`, {}, { headers });
+      onUpdated(res.data.customer);
+      setMessage(`${res.data?.success ? '✅' : '❌'} ${res.data?.message}`);
+    } catch (err) {
+      setMessage(`❌ ${err.response?.data?.message || 'Network error.'}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="mt-3 space-y-2 border-t border-[var(--border-color)] pt-3">
+      <div className="flex flex-wrap items-center gap-2">
+        {TRADING_STATUSES.map((s) => (
+          <button
+            key={s.value}
+            type="button"
+            disabled={busy || status === s.value}
+            onClick={() => saveAccess({ trading_status: s.value })}
+            className={`rounded-md px-3 py-1 text-xs font-semibold disabled:cursor-default ${status === s.value ? s.className : 'bg-[var(--bg-card)] text-[var(--text-secondary)] hover:text-[var(--text-primary)]'}`}
+          >
+            {s.label}
+          </button>
+        ))}
+        <button
+          type="button"
+          disabled={busy}
+          onClick={handleKillSwitch}
+          className="ml-auto rounded-md bg-red-700 px-3 py-1 text-xs font-semibold text-white hover:bg-red-800 disabled:opacity-60"
+        >
+          {busy ? 'Working…' : 'Exit all & Block'}
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-3 text-xs text-[var(--text-secondary)]">
+        {SEGMENT_PERMISSIONS.map(({ key, label }) => (
+          <label key={key} className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={key === 'options_buy_only' ? Boolean(permissions[key]) : permissions[key] !== false}
+              disabled={busy}
+              onChange={(e) => saveAccess({ segment_permissions: { [key]: e.target.checked } })}
+            />
+            {label}
+          </label>
+        ))}
+      </div>
+
+      {customer.trading_status_reason && status !== 'ACTIVE' && (
+        <p className="text-xs text-[var(--text-muted)]">Reason: {customer.trading_status_reason}</p>
+      )}
+      {message && (
+        <p className={`text-xs ${message.startsWith('❌') ? 'text-red-400' : 'text-green-400'}`}>{message}</p>
+      )}
+    </div>
+  );
+};
+
 /* ---------------- Main Page ---------------- */
 export default function CustomerDetailsPage() {
   const { brokerId: urlBrokerId } = useParams();
@@ -130,6 +229,8 @@ export default function CustomerDetailsPage() {
 
   const handleCustomerAdded = (c) => setCustomers((prev) => [c, ...prev]);
   const handleCustomerDeleted = (id) => setCustomers((prev) => prev.filter((c) => c.id !== id));
+  const handleAccessUpdated = (access) =>
+    setCustomers((prev) => prev.map((c) => (c.id === access?.id ? { ...c, ...access } : c)));
 
   useEffect(() => {
     const token = localStorage.getItem('authToken');
@@ -188,12 +289,20 @@ export default function CustomerDetailsPage() {
         <h1 className="text-2xl font-bold text-[var(--text-primary)]">
           Customers <span className="ml-2 text-sm font-semibold text-[var(--text-secondary)]">({displayBrokerId})</span>
         </h1>
-        <Link
-          to="/recycle-bin"
-          className="rounded-lg bg-[var(--bg-secondary)] px-3 py-2 text-sm text-[var(--text-secondary)] hover:bg-[var(--bg-hover)] hover:text-[var(--text-primary)]"
-        >
-          🗑️ Recycle Bin
-        </Link>
+        <div className="flex gap-2">
+          <Link
+            to="/restrictions"
+            className="rounded-lg bg-[var(--bg-secondary)] px-3 py-2 text-sm text-[var(--text-secondary)] hover:bg-[var(--bg-hover)] hover:text-[var(--text-primary)]"
+          >
+            🚫 Restrictions
+          </Link>
+          <Link
+            to="/recycle-bin"
+            className="rounded-lg bg-[var(--bg-secondary)] px-3 py-2 text-sm text-[var(--text-secondary)] hover:bg-[var(--bg-hover)] hover:text-[var(--text-primary)]"
+          >
+            🗑️ Recycle Bin
+          </Link>
+        </div>
       </div>
 
       {/* List */}
@@ -238,6 +347,8 @@ export default function CustomerDetailsPage() {
                 Delete
               </button>
             </div>
+
+            <TradingAccessPanel customer={c} onUpdated={handleAccessUpdated} />
           </div>
         ))}
 
@@ -0,0 +1,253 @@
+// src/page/User/RestrictionsPage.jsx
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { API_URL } from '../../config.js';
+
+const TYPE_LABELS = {
+  FNO_BAN: 'F&O ban',
+  ILLIQUID: 'Illiquid',
+  FAR_OTM: 'Far OTM',
+  SYMBOL: 'Symbol',
+};
+
+const MODE_LABELS = {
+  EXIT_ONLY: 'Exit only',
+  NO_SHORT: 'No fresh shorts',
+};
+
+const EMPTY_FORM = { type: 'SYMBOL', symbol: '', mode: 'EXIT_ONLY', max_strikes: 10, reason: '', global: false };
+
+const inputClass = 'w-full rounded-lg border border-[var(--border-color)] bg-[var(--bg-input)] p-2 text-sm text-[var(--text-primary)] outline-none focus:ring-2 focus:ring-indigo-600';
+
+const readUser = () => {
+  try {
+    return JSON.parse(localStorage.getItem('loggedInUser') || 'null');
+  } catch {
+    return null;
+  }
+};
+
+export default function RestrictionsPage() {
+  const user = readUser();
+  const brokerId = user?.id || '';
+  const isAdmin = user?.role === 'admin';
+
+  const [restrictions, setRestrictions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState('');
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [banFile, setBanFile] = useState(null);
+  const [banGlobal, setBanGlobal] = useState(false);
+
+  const headers = { Authorization: `Bearer ${localStorage.getItem('authToken')}` };
+
+  const fetchRestrictions = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await axios.get(`${API_URL}/api/restrictions`, { params: { broker_id_str: brokerId, all: true } });
+      setRestrictions(res.data?.restrictions || []);
+    } catch (err) {
+      setMessage(`❌ ${err.response?.data?.error || 'Failed to load restrictions.'}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [brokerId]);
+
+  useEffect(() => {
+    if (!localStorage.getItem('authToken')) {
+      window.location.href = '/';
+      return;
+    }
+    fetchRestrictions();
+  }, [fetchRestrictions]);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm((p) => ({ ...p, [name]: type === 'checkbox' ? checked : value }));
+    setMessage('');
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const body = { ...form, max_strikes: form.type === 'FAR_OTM' ? Number(form.max_strikes) : undefined };
+      const res = await axios.post(`${API_URL}/api/restrictions`, body, { headers });
+      setRestrictions((prev) => [...prev, res.data.restriction]);
+      setForm(EMPTY_FORM);
+      setMessage('✅ Restriction added.');
+    } catch (err) {
+      setMessage(`❌ ${err.response?.data?.error || 'Network error.'}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleImport = async (e) => {
+    e.preventDefault();
+    if (!banFile) {
+      setMessage('❌ Choose the ban list file first.');
+      return;
+    }
+    setSaving(true);
+    try {
+      const data = new FormData();
+      data.append('file', banFile);
+      data.append('global', String(banGlobal));
+      const res = await axios.post(`${API_URL}/api/restrictions/ban-list/import`, data, { headers });
+      const unknown = res.data?.unknown?.length ? ` (not in F&O master: ${res.data.unknown.join(', ')})` : '';
+      setMessage(`✅ ${res.data?.message}${unknown}`);
+      setBanFile(null);
+      fetchRestrictions();
+    } catch (err) {
+      setMessage(`❌ ${err.response?.data?.error || 'Import failed.'}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await axios.delete(`${API_URL}/api/restrictions/${id}`, { headers });
+      setRestrictions((prev) => prev.filter((r) => r._id !== id));
+    } catch (err) {
+      setMessage(`❌ ${err.response?.data?.error || 'Delete failed.'}`);
+    }
+  };
+
+  const isExpired = (r) => r.expires_at && new Date(r.expires_at) <= new Date();
+  const canDelete = (r) => (r.broker_id_str === null ? isAdmin : r.broker_id_str === String(brokerId));
+
+  return (
+    <div className="min-h-screen bg-[var(--bg-primary)] p-4">
+      <div className="mx-auto mb-4 flex w-full max-w-3xl items-center justify-between">
+        <h1 className="text-2xl font-bold text-[var(--text-primary)]">Restricted Scrips</h1>
+        <Link
+          to="/customerDetail"
+          className="rounded-lg bg-[var(--bg-secondary)] px-3 py-2 text-sm text-[var(--text-secondary)] hover:bg-[var(--bg-hover)] hover:text-[var(--text-primary)]"
+        >
+          ← Customers
+        </Link>
+      </div>
+
+      <div className="mx-auto w-full max-w-3xl space-y-4">
+        {message && (
+          <p className={`text-sm ${message.startsWith('❌') ? 'text-red-400' : 'text-green-400'}`}>{message}</p>
+        )}
+
+        {/* Daily ban file */}
+        <form onSubmit={handleImport} className="rounded-xl border border-[var(--border-color)] bg-[var(--bg-secondary)] p-4">
+          <h2 className="mb-1 font-semibold text-[var(--text-primary)]">Import F&O ban list</h2>
+          <p className="mb-3 text-xs text-[var(--text-muted)]">
+            Exchange ka daily ban file (fo_secban.csv) ya ek line me ek symbol. Pichli ban list replace ho jayegi; din khatam hote hi expire.
+          </p>
+          <div className="flex flex-wrap items-center gap-3">
+            <input
+              type="file"
+              accept=".csv,.txt"
+              onChange={(e) => setBanFile(e.target.files?.[0] || null)}
+              className="text-sm text-[var(--text-secondary)]"
+              disabled={saving}
+            />
+            {isAdmin && (
+              <label className="flex items-center gap-1 text-xs text-[var(--text-secondary)]">
+                <input type="checkbox" checked={banGlobal} onChange={(e) => setBanGlobal(e.target.checked)} />
+                All brokers
+              </label>
+            )}
+            <button
+              type="submit"
+              disabled={saving}
+              className="ml-auto rounded-lg bg-indigo-600 px-4 py-2 text-sm font-semibold text-white hover:bg-indigo-700 disabled:opacity-60"
+            >
+              Import
+            </button>
+          </div>
+        </form>
+
+        {/* Manual rule */}
+        <form onSubmit={handleAdd} className="grid grid-cols-2 gap-3 rounded-xl border border-[var(--border-color)] bg-[var(--bg-secondary)] p-4 md:grid-cols-3">
+          <h2 className="col-span-full font-semibold text-[var(--text-primary)]">Add restriction</h2>
+          <select name="type" value={form.type} onChange={handleChange} className={inputClass}>
+            {Object.entries(TYPE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+          <input
+            name="symbol"
+            value={form.symbol}
+            onChange={handleChange}
+            placeholder={form.type === 'FAR_OTM' ? 'Underlying or * for all' : 'Symbol / underlying'}
+            className={inputClass}
+            required
+          />
+          <select name="mode" value={form.mode} onChange={handleChange} className={inputClass}>
+            {Object.entries(MODE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+          {form.type === 'FAR_OTM' && (
+            <label className="text-xs text-[var(--text-secondary)]">
+              Max strikes OTM
+              <input type="number" min="1" max="100" name="max_strikes" value={form.max_strikes} onChange={handleChange} className={inputClass} />
+            </label>
+          )}
+          <input name="reason" value={form.reason} onChange={handleChange} placeholder="Reason (optional)" className={inputClass} />
+          <div className="col-span-full flex items-center gap-3">
+            {isAdmin && (
+              <label className="flex items-center gap-1 text-xs text-[var(--text-secondary)]">
+                <input type="checkbox" name="global" checked={form.global} onChange={handleChange} />
+                All brokers
+              </label>
+            )}
+            <button
+              type="submit"
+              disabled={saving}
+              className="ml-auto rounded-lg bg-green-600 px-4 py-2 text-sm font-semibold text-white hover:bg-green-700 disabled:opacity-60"
+            >
+              {saving ? 'Saving…' : 'Add'}
+            </button>
+          </div>
+        </form>
+
+        {/* List */}
+        {loading ? (
+          <div className="p-6 text-center text-[var(--text-secondary)]">⏳ Loading restrictions...</div>
+        ) : restrictions.length === 0 ? (
+          <div className="rounded-xl border border-[var(--border-color)] bg-[var(--bg-secondary)] p-6 text-center text-[var(--text-muted)]">
+            Koi restriction nahi. Saare scrips tradable hain.
+          </div>
+        ) : (
+          <div className="space-y-2">
+            {restrictions.map((r) => (
+              <div
+                key={r._id}
+                className={`flex items-center justify-between rounded-xl border border-[var(--border-color)] bg-[var(--bg-secondary)] p-3 ${isExpired(r) ? 'opacity-50' : ''}`}
+              >
+                <div className="text-sm">
+                  <div className="font-semibold text-[var(--text-primary)]">
+                    {r.symbol || r.instrument_token}
+                    <span className="ml-2 rounded bg-[var(--bg-card)] px-2 py-0.5 text-xs text-[var(--text-secondary)]">{TYPE_LABELS[r.type]}</span>
+                    <span className="ml-1 rounded bg-red-600/20 px-2 py-0.5 text-xs text-red-400">{MODE_LABELS[r.mode]}</span>
+                    {r.broker_id_str === null && <span className="ml-1 text-xs text-indigo-400">global</span>}
+                  </div>
+                  <div className="text-xs text-[var(--text-muted)]">
+                    {r.type === 'FAR_OTM' && `Beyond ${r.max_strikes} strikes · `}
+                    {r.reason || '—'}
+                    {r.expires_at && ` · ${isExpired(r) ? 'expired' : 'till'} ${new Date(r.expires_at).toLocaleString('en-IN')}`}
+                  </div>
+                </div>
+                {canDelete(r) && (
+                  <button
+                    onClick={() => handleDelete(r._id)}
+                    className="rounded-lg bg-red-600 px-3 py-1 text-xs font-semibold text-white hover:bg-red-700"
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
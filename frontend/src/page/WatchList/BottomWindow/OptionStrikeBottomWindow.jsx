@@ -1,6 +1,6 @@
 import React, { useState, useMemo, useRef, useEffect } from 'react';
 import { X, ShoppingCart, DollarSign, Hash } from 'lucide-react';
-import { logMarketStatus } from '../../../Utils/marketStatus.js'
+import { useMarketStatus } from '../../../Utils/marketStatus.js'
 import { getFundsData } from '../../../Utils/fetchFund.jsx';
 import { useMarketData } from '../../../contexts/MarketDataContext';
 
@@ -29,7 +29,7 @@ const OptionStrikeBottomWindow = ({
     const inputRef = useRef(null);
 
     // --- Context & Role ---
-    const isMarketOpen = logMarketStatus();
+    const isMarketOpen = Boolean(useMarketStatus(underlyingStock?.segment || 'NFO-OPT')?.is_open);
     const userString = localStorage.getItem('loggedInUser');
     const userObject = userString ? JSON.parse(userString) : {};
     const userRole = userObject.role;
@@ -3,7 +3,7 @@ import React, { useEffect, useMemo, useState, useRef } from 'react';
 import { TrendingUp, ShoppingCart, DollarSign, Hash, Zap, TrendingDown, DollarSign as BidAskIcon } from 'lucide-react';
 // *** IMPORT FETCH FUND UTILITY ***
 import { getFundsData } from '../../../Utils/fetchFund.jsx';
-import { logMarketStatus } from '../../../Utils/marketStatus.js'
+import { useMarketStatus } from '../../../Utils/marketStatus.js'
 
 const DetailRow = ({ Icon, label, value, colorClass = "text-[var(--text-primary)]" }) => (
   <div className="flex justify-between items-center py-1 border-b border-[var(--border-color)] last:border-b-0">
@@ -17,6 +17,14 @@ const DetailRow = ({ Icon, label, value, colorClass = "text-[var(--text-primary)
   </div>
 );
 
+// One key per order attempt: a double-tap / network retry reuses it, so the
+// backend replays the first response instead of placing a second order.
+const newIdempotencyKey = () => (
+  window.crypto?.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(36).slice(2, 12)}`
+);
+
 function Summery({
   selectedStock,
   sheetData,
@@ -36,9 +44,21 @@ function Summery({
   const [jobbin_price, setJobbin_price] = useState("0.08");
   const [localLotsStr, setLocalLotsStr] = useState('');
   const inputRef = useRef(null);
+  const idempotencyKeyRef = useRef(null);
   const [submitting, setSubmitting] = useState(false);
   const [feedback, setFeedback] = useState(null);
-  const isOpen = logMarketStatus();
+  const [orderType, setOrderType] = useState('MARKET');
+  const [variety, setVariety] = useState('REGULAR');
+  const [stopLossStr, setStopLossStr] = useState('');
+  const [targetStr, setTargetStr] = useState('');
+  const [limitPriceStr, setLimitPriceStr] = useState('');
+  const [triggerPriceStr, setTriggerPriceStr] = useState('');
+  const [chargesPreview, setChargesPreview] = useState(null);
+  const [spanMargin, setSpanMargin] = useState(null);
+  // Segment-wise session (MCX evening, CDS till 5 PM...) backend calendar se
+  const marketStatus = useMarketStatus(selectedStock?.segment);
+  const isOpen = Boolean(marketStatus?.is_open);
+  const amoAllowed = Boolean(marketStatus?.amo_allowed);
 
   // ---------- FRESH DATA HELPER ----------
   // Gets the latest tick data directly from ticksRef (Kite uses instrument_token)
@@ -93,6 +113,13 @@ function Summery({
       setLocalLotsStr('');
     }
     setFeedback(null);
+    setOrderType('MARKET');
+    setLimitPriceStr('');
+    setTriggerPriceStr('');
+    setVariety('REGULAR');
+    setStopLossStr('');
+    setTargetStr('');
+    idempotencyKeyRef.current = null;
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [selectedStock]);
 
@@ -115,6 +142,26 @@ function Summery({
     return actionTab === 'Buy' ? 'bg-green-600 text-white shadow-lg' : 'bg-red-600 text-white shadow-lg';
   };
 
+  const getVarietyClass = (mode) => {
+    if (variety !== mode) return 'bg-[var(--bg-secondary)] text-[var(--text-secondary)] hover:text-[var(--text-primary)]';
+    return actionTab === 'Buy' ? 'bg-green-600 text-white shadow-lg' : 'bg-red-600 text-white shadow-lg';
+  };
+
+  // Bracket / Cover entry is MARKET or LIMIT only, and intraday only
+  const selectVariety = (mode) => {
+    setVariety(mode);
+    setFeedback(null);
+    if (mode !== 'REGULAR') {
+      setOrderType((prev) => (prev === 'LIMIT' ? 'LIMIT' : 'MARKET'));
+      setProductType('Intraday');
+    }
+  };
+
+  const getOrderTypeClass = (mode) => {
+    if (orderType !== mode) return 'bg-[var(--bg-secondary)] text-[var(--text-secondary)] hover:text-[var(--text-primary)]';
+    return actionTab === 'Buy' ? 'bg-green-600 text-white shadow-lg' : 'bg-red-600 text-white shadow-lg';
+  };
+
   // ---------- calculations ----------
   const lotsNum = useMemo(() => {
     const n = Number(localLotsStr);
@@ -140,10 +187,135 @@ function Summery({
     return { adjustedPricePerShareRaw: pxRaw, adjustedPricePerShare: Number(pxRaw.toFixed(4)) };
   }, [baseLtp, actionTab, jobbinPct]);
 
+  const limitPriceNum = useMemo(() => {
+    const v = parseFloat(String(limitPriceStr).trim());
+    return Number.isFinite(v) && v > 0 ? v : 0;
+  }, [limitPriceStr]);
+
+  const triggerPriceNum = useMemo(() => {
+    const v = parseFloat(String(triggerPriceStr).trim());
+    return Number.isFinite(v) && v > 0 ? v : 0;
+  }, [triggerPriceStr]);
+
+  // LIMIT / SL carry a limit price; SL / SL-M carry a trigger
+  const needsLimitPrice = orderType === 'LIMIT' || orderType === 'SL';
+  const needsTrigger = orderType === 'SL' || orderType === 'SL-M';
+
+  // BO = stop + target legs, CO = stop leg only (Intraday only)
+  const isBracket = variety !== 'REGULAR' && productType === 'Intraday';
+  const needsTarget = isBracket && variety === 'BO';
+
+  const stopLossNum = useMemo(() => {
+    const v = parseFloat(String(stopLossStr).trim());
+    return Number.isFinite(v) && v > 0 ? v : 0;
+  }, [stopLossStr]);
+
+  const targetNum = useMemo(() => {
+    const v = parseFloat(String(targetStr).trim());
+    return Number.isFinite(v) && v > 0 ? v : 0;
+  }, [targetStr]);
+
+  // Same rule as backend computeCoverMargin: risk till stop, min 10% of value, max full value
+  const coverMargin = (price, qty) => {
+    const notional = price * qty;
+    const risk = Math.abs(price - stopLossNum) * qty;
+    return Number(Math.min(Math.max(risk, notional * 0.1), notional).toFixed(2));
+  };
+
+  const ticketPrice = needsLimitPrice
+    ? limitPriceNum
+    : orderType === 'SL-M' ? triggerPriceNum : adjustedPricePerShare;
+
   const totalOrderValue = useMemo(() => {
-    if (!adjustedPricePerShare || !qtyNum) return 0;
-    return Number((adjustedPricePerShare * qtyNum).toFixed(2));
-  }, [adjustedPricePerShare, qtyNum]);
+    if (!ticketPrice || !qtyNum) return 0;
+    return Number((ticketPrice * qtyNum).toFixed(2));
+  }, [ticketPrice, qtyNum]);
+
+  // Server-side charges preview (same calculator that books the executed legs)
+  useEffect(() => {
+    if (!selectedStock || !ticketPrice || !qtyNum) {
+      setChargesPreview(null);
+      return;
+    }
+
+    const apiBase = import.meta.env.VITE_REACT_APP_API_URL || "";
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const res = await fetch(`${apiBase}/api/orders/charges-preview`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          signal: controller.signal,
+          body: JSON.stringify({
+            segment: selectedStock?.segment || '',
+            symbol: selectedStock?.tradingSymbol || '',
+            product: productType === 'Intraday' ? 'MIS' : 'NRML',
+            side: actionTab === 'Buy' ? 'BUY' : 'SELL',
+            price: ticketPrice,
+            quantity: qtyNum,
+          }),
+        });
+        const body = await res.json();
+        setChargesPreview(res.ok && body?.ok ? body : null);
+      } catch (err) {
+        if (err.name !== 'AbortError') setChargesPreview(null);
+      }
+    }, 400);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [selectedStock, ticketPrice, qtyNum, productType, actionTab]);
+
+  // F&O: SPAN + exposure margin (open positions ke hedge ke saath) backend se
+  const isDerivative = String(selectedStock?.segment || '').includes('-');
+  useEffect(() => {
+    if (!selectedStock || !isDerivative || !ticketPrice || !qtyNum) {
+      setSpanMargin(null);
+      return;
+    }
+
+    const apiBase = import.meta.env.VITE_REACT_APP_API_URL || "";
+    const activeContext = JSON.parse(localStorage.getItem('activeContext') || '{}');
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const res = await fetch(`${apiBase}/api/margin/calculate`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          signal: controller.signal,
+          body: JSON.stringify({
+            broker_id_str: activeContext?.brokerId,
+            customer_id_str: activeContext?.customerId,
+            legs: [{
+              instrument_token: selectedStock?.instrument_token,
+              segment: selectedStock?.segment || '',
+              product: productType === 'Intraday' ? 'MIS' : 'NRML',
+              side: actionTab === 'Buy' ? 'BUY' : 'SELL',
+              price: ticketPrice,
+              quantity: qtyNum,
+            }],
+          }),
+        });
+        const body = await res.json();
+        setSpanMargin(res.ok && body?.ok ? body : null);
+      } catch (err) {
+        if (err.name !== 'AbortError') setSpanMargin(null);
+      }
+    }, 400);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [selectedStock, isDerivative, ticketPrice, qtyNum, productType, actionTab]);
+
+  // SPAN rule (futures / option writing) => SPAN margin / leverage; warna null (notional)
+  const spanRule = spanMargin?.legs?.[0]?.margin_rule;
+  const spanRequired = spanRule?.mode === 'SPAN'
+    ? Number((spanMargin.required / (Number(spanRule.value) || 1)).toFixed(2))
+    : null;
 
   useEffect(() => {
     if (totalOrderValue > 0) setOrderPrice(String(totalOrderValue));
@@ -189,6 +361,30 @@ function Summery({
       return;
     }
 
+    if (needsLimitPrice && !limitPriceNum) {
+      setFeedback({ type: 'error', message: 'Please enter a valid limit price.' });
+      setSubmitting(false);
+      return;
+    }
+
+    if (needsTrigger && !triggerPriceNum) {
+      setFeedback({ type: 'error', message: 'Please enter a valid trigger price.' });
+      setSubmitting(false);
+      return;
+    }
+
+    if (isBracket && !stopLossNum) {
+      setFeedback({ type: 'error', message: `${variety} order needs a stop loss.` });
+      setSubmitting(false);
+      return;
+    }
+
+    if (needsTarget && !targetNum) {
+      setFeedback({ type: 'error', message: 'Bracket order needs a target.' });
+      setSubmitting(false);
+      return;
+    }
+
     // *** CRITICAL: Get FRESH price from ticksRef at this exact moment ***
     const isBuy = actionTab === 'Buy';
     const latestTickData = getLatestTickData();
@@ -219,14 +415,22 @@ function Summery({
     const qty = Number(lots) * Number(lot_size);
 
     // Calculate final price with jobbin adjustment using FRESH price
+    // LIMIT / SL orders go at the customer's own price (backend keeps them PENDING until LTP crosses it)
+    // SL-M margin is blocked at the trigger price
     const jobbinFactor = isBuy ? (1 + jobbinPct) : (1 - jobbinPct);
-    const finalPrice = Number((priceForOrder * jobbinFactor).toFixed(4));
+    const finalPrice = needsLimitPrice
+      ? limitPriceNum
+      : orderType === 'SL-M'
+        ? triggerPriceNum
+        : Number((priceForOrder * jobbinFactor).toFixed(4));
     const calculatedOrderValue = Number((finalPrice * qty).toFixed(2));
 
     // *** 2. FUND VALIDATION LOGIC ***
     try {
       // Calculate Total Required Amount for this Order (using fresh calculated value)
-      const requiredAmount = calculatedOrderValue;
+      const requiredAmount = isBracket
+        ? coverMargin(finalPrice, qty)
+        : spanRequired ?? calculatedOrderValue;
 
       // Fetch Latest Funds from Backend
       const fundsData = await getFundsData();
@@ -279,7 +483,12 @@ function Summery({
       segment: selectedStock?.segment || '',
       side,
       product,
+      order_type: orderType,
+      variety: isBracket ? variety : 'REGULAR',
+      stop_loss: isBracket ? stopLossNum : 0,
+      target: needsTarget ? targetNum : 0,
       price: Number(finalPrice),
+      trigger_price: needsTrigger ? triggerPriceNum : 0,
       quantity: qty,
       lots: Number(lots),
       lot_size: Number(lot_size),
@@ -290,10 +499,12 @@ function Summery({
 
     const apiBase = import.meta.env.VITE_REACT_APP_API_URL || "";
 
+    if (!idempotencyKeyRef.current) idempotencyKeyRef.current = newIdempotencyKey();
+
     try {
       const res = await fetch(`${apiBase}/api/orders/postOrder`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': idempotencyKeyRef.current },
         body: JSON.stringify(payload)
       });
 
@@ -306,8 +517,22 @@ function Summery({
       }
 
       console.log('Order successful:', body);
+      idempotencyKeyRef.current = null; // next order gets a fresh key
       // *** GREEN SUCCESS TOAST ***
-      setFeedback({ type: 'success', message: 'Order placed successfully!' });
+      const isPendingOrder = body?.order?.order_status === 'PENDING';
+      const isAmoOrder = body?.order?.order_status === 'AMO';
+      setFeedback({
+        type: 'success',
+        message: body?.orders?.length > 1
+          ? body.message // freeze limit ke upar => multiple slices
+          : isAmoOrder
+          ? 'Market is closed. AMO placed; it will execute at the next market open (09:15).'
+          : !isPendingOrder
+          ? 'Order placed successfully!'
+          : needsTrigger
+            ? `${orderType} order placed. It will activate when price reaches trigger ₹${triggerPriceNum}.`
+            : `Limit order placed @ ₹${finalPrice}. It will execute when the price is reached.`
+      });
 
       setTimeout(() => {
         setSelectedStock && setSelectedStock(null);
@@ -378,11 +603,27 @@ function Summery({
         <button className={`flex-1 p-2 rounded-lg  font-semibold transition ${getProductTypeClass('Overnight')}`} onClick={() => setProductType('Overnight')}>overnight</button>
       </div>
 
-      {/* <h4 className="text-20 font-semibold mb-2 text-white/80 text-muted">Order Type</h4>
+      {/* Variety: Regular / Bracket / Cover (Intraday only) */}
+      {productType === 'Intraday' && (
+        <div className="flex space-x-2 mb-4">
+          <button className={`flex-1 p-2 rounded-lg text-xs font-medium transition ${getVarietyClass('REGULAR')}`} onClick={() => selectVariety('REGULAR')}>Regular</button>
+          <button className={`flex-1 p-2 rounded-lg text-xs font-medium transition ${getVarietyClass('BO')}`} onClick={() => selectVariety('BO')}>Bracket</button>
+          <button className={`flex-1 p-2 rounded-lg text-xs font-medium transition ${getVarietyClass('CO')}`} onClick={() => selectVariety('CO')}>Cover</button>
+        </div>
+      )}
+
+      {/* Order type */}
+      <h4 className="text-20 font-semibold mb-2 text-[var(--text-secondary)] text-muted">Order Type</h4>
       <div className="flex space-x-2 mb-4">
-        <button className={`flex-1 p-2 rounded-lg text-xs font-medium transition ${getProductTypeClass('Market')}`} >Market</button>
-        <button className={`flex-1 p-2 rounded-lg text-xs font-medium transition ${getProductTypeClass('SL')}`} >SL</button>
-      </div> */}
+        <button className={`flex-1 p-2 rounded-lg text-xs font-medium transition ${getOrderTypeClass('MARKET')}`} onClick={() => setOrderType('MARKET')}>Market</button>
+        <button className={`flex-1 p-2 rounded-lg text-xs font-medium transition ${getOrderTypeClass('LIMIT')}`} onClick={() => setOrderType('LIMIT')}>Limit</button>
+        {!isBracket && (
+          <>
+            <button className={`flex-1 p-2 rounded-lg text-xs font-medium transition ${getOrderTypeClass('SL')}`} onClick={() => setOrderType('SL')}>SL</button>
+            <button className={`flex-1 p-2 rounded-lg text-xs font-medium transition ${getOrderTypeClass('SL-M')}`} onClick={() => setOrderType('SL-M')}>SL-M</button>
+          </>
+        )}
+      </div>
 
       {feedback && (
         <div className={`p-2 mb-3 rounded-md text-sm ${feedback.type === 'error' ? 'bg-red-500/20 text-red-400' : 'bg-green-500/20 text-green-400'}`}>
@@ -413,6 +654,64 @@ function Summery({
             <div className="text-xs text-[var(--text-secondary)] italic">Lot size: <span className="font-medium text-[var(--text-primary)] ml-1">{lotSize}</span></div>
           </div>
 
+          {/* Trigger price */}
+          {needsTrigger && (
+            <div className="flex items-center space-x-2">
+              <h6 className='text-lg font-semibold text-[var(--text-primary)]'>Trigger</h6>
+              <input
+                type="number"
+                step="0.05"
+                min="0"
+                value={triggerPriceStr}
+                onChange={(e) => { setTriggerPriceStr(e.target.value); setFeedback(null); }}
+                placeholder={baseLtp ? baseLtp.toFixed(2) : 'trigger price'}
+                className="flex-1 p-2 bg-[var(--bg-input)] text-[var(--text-primary)] rounded-md transition border border-[var(--border-color)]"
+              />
+            </div>
+          )}
+
+          {/* Limit price */}
+          {needsLimitPrice && (
+            <div className="flex items-center space-x-2">
+              <h6 className='text-lg font-semibold text-[var(--text-primary)]'>Price</h6>
+              <input
+                type="number"
+                step="0.05"
+                min="0"
+                value={limitPriceStr}
+                onChange={(e) => { setLimitPriceStr(e.target.value); setFeedback(null); }}
+                placeholder={baseLtp ? baseLtp.toFixed(2) : 'limit price'}
+                className="flex-1 p-2 bg-[var(--bg-input)] text-[var(--text-primary)] rounded-md transition border border-[var(--border-color)]"
+              />
+            </div>
+          )}
+
+          {/* Bracket / Cover legs */}
+          {isBracket && (
+            <div className="flex space-x-2">
+              <input
+                type="number"
+                step="0.05"
+                min="0"
+                value={stopLossStr}
+                onChange={(e) => { setStopLossStr(e.target.value); setFeedback(null); }}
+                placeholder="Stop loss"
+                className="flex-1 p-2 bg-[var(--bg-input)] text-[var(--text-primary)] rounded-md transition border border-[var(--border-color)]"
+              />
+              {needsTarget && (
+                <input
+                  type="number"
+                  step="0.05"
+                  min="0"
+                  value={targetStr}
+                  onChange={(e) => { setTargetStr(e.target.value); setFeedback(null); }}
+                  placeholder="Target"
+                  className="flex-1 p-2 bg-[var(--bg-input)] text-[var(--text-primary)] rounded-md transition border border-[var(--border-color)]"
+                />
+              )}
+            </div>
+          )}
+
           {/* Jobbing % */}
           {userRole === 'broker' && (
             <div className="flex items-center">
@@ -445,26 +744,63 @@ function Summery({
               <span className="text-[var(--text-secondary)]">Total Order Value</span>
               <span className="text-[var(--text-primary)] font-semibold">{totalOrderValue ? `₹${totalOrderValue.toFixed(2)}` : '—'}</span>
             </div>
+            {isBracket && ticketPrice > 0 && qtyNum > 0 && stopLossNum > 0 && (
+              <div className="flex justify-between mt-2">
+                <span className="text-[var(--text-secondary)]">Margin ({variety}, till stop)</span>
+                <span className="text-[var(--text-primary)] font-semibold">₹{coverMargin(ticketPrice, qtyNum).toFixed(2)}</span>
+              </div>
+            )}
+            {!isBracket && spanRequired !== null && (
+              <>
+                <div className="flex justify-between mt-2">
+                  <span className="text-[var(--text-secondary)]">Margin (SPAN + exposure)</span>
+                  <span className="text-[var(--text-primary)] font-semibold">₹{spanRequired.toFixed(2)}</span>
+                </div>
+                <div className="text-xs text-[var(--text-muted)] mt-1">
+                  SPAN ₹{spanMargin.span.toFixed(2)} · Exposure ₹{spanMargin.exposure.toFixed(2)}
+                  {spanMargin.hedge_benefit > 0 ? ` · Hedge benefit ₹${spanMargin.hedge_benefit.toFixed(2)}` : ''}
+                  {Number(spanRule.value) > 1 ? ` · ${spanRule.value}x leverage` : ''}
+                </div>
+              </>
+            )}
+            <div className="flex justify-between mt-2">
+              <span className="text-[var(--text-secondary)]">Charges (this order)</span>
+              <span className="text-[var(--text-primary)] font-semibold">{chargesPreview ? `₹${chargesPreview.entry.total.toFixed(2)}` : '—'}</span>
+            </div>
+            {chargesPreview && (
+              <div className="text-xs text-[var(--text-muted)] mt-1">
+                Brokerage ₹{chargesPreview.entry.brokerage.toFixed(2)} · STT ₹{chargesPreview.entry.stt.toFixed(2)} · Txn ₹{chargesPreview.entry.exchange_txn.toFixed(2)} · GST ₹{chargesPreview.entry.gst.toFixed(2)} · SEBI ₹{chargesPreview.entry.sebi.toFixed(2)} · Stamp ₹{chargesPreview.entry.stamp_duty.toFixed(2)}
+                <br />Round-trip at same price: ₹{chargesPreview.round_trip_total.toFixed(2)}
+              </div>
+            )}
           </div>
 
           {/* Buttons */}
           <div className="flex space-x-2">
 
-            {/* Buy/Sell Button: Sirf tab dikhega jab Broker ho YA Market Open ho */}
-            {(userRole === 'broker' || isOpen) && (
+            {/* Buy/Sell Button: Broker, Market Open, ya market band par AMO allowed ho */}
+            {(userRole === 'broker' || isOpen || amoAllowed) && (
               <button
                 onClick={handleConfirm}
                 disabled={submitting}
                 className={`flex-1 p-3 rounded-lg text-white font-semibold ${actionTab === 'Buy' ? 'bg-green-600' : 'bg-red-600'} ${submitting ? 'opacity-50' : ''}`}
               >
-                {submitting ? 'Placing...' : `${actionTab === 'Buy' ? 'Instant Buy' : 'Instant Sell'}`}
+                {submitting
+                  ? 'Placing...'
+                  : !isOpen && amoAllowed
+                    ? `Place AMO ${actionTab === 'Buy' ? 'Buy' : 'Sell'}`
+                  : isBracket
+                    ? `Place ${variety} ${actionTab === 'Buy' ? 'Buy' : 'Sell'}`
+                    : orderType !== 'MARKET'
+                    ? `Place ${orderType} ${actionTab === 'Buy' ? 'Buy' : 'Sell'}`
+                    : `${actionTab === 'Buy' ? 'Instant Buy' : 'Instant Sell'}`}
               </button>
             )}
 
             {/* Cancel Button: Hamesha dikhega taaki user window band kar sake */}
             <button
               onClick={() => setSelectedStock(null)}
-              className={`p-3 rounded-lg bg-[var(--bg-secondary)] text-[var(--text-secondary)] font-medium ${(userRole === 'broker' || isOpen) ? '' : 'flex-1'}`}
+              className={`p-3 rounded-lg bg-[var(--bg-secondary)] text-[var(--text-secondary)] font-medium ${(userRole === 'broker' || isOpen || amoAllowed) ? '' : 'flex-1'}`}
             >
               Cancel
             </button>
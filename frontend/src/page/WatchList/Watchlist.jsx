@@ -5,7 +5,7 @@ import BottomWindow from "./BottomWindow/BottomWindow";
 import { useMarketData } from "../../contexts/MarketDataContext.jsx";
 import { motion, AnimatePresence, useMotionValue, useTransform } from "framer-motion";
 import Toast from '../../Utils/Toast.jsx'
-import { logMarketStatus } from '../../Utils/marketStatus';
+import { fetchMarketStatus } from '../../Utils/marketStatus';
 
 
 // --- Index Card (Same as before) ---
@@ -177,7 +177,7 @@ function Watchlist() {
   };
 
   useEffect(() => {
-    logMarketStatus();
+    fetchMarketStatus(); // session status cache warm karo (order windows sync read karte hain)
   }, []);
 
   // Helper function to get proper exchange display name based on Kite segment and instrument type